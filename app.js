@@ -1,16 +1,115 @@
+// Load .env before any module reads process.env at require time
+require("dotenv").config();
+
 const express = require("express");
 const cors = require("cors");
 const helmet = require("helmet");
-const fetch =
-  globalThis.fetch ||
-  ((...args) =>
-    import("node-fetch").then(({ default: fetchFn }) => fetchFn(...args)));
-const { ensureIntakeTable, upsertIntakeForm } = require("./config/database");
-const { inviteExternalUserToEfmod } = require("./config/efsmod-provision");
-require("dotenv").config();
+const { getStore } = require("./config/stores");
+const { createGraphClient } = require("./config/graph-client");
+const {
+  INTAKE_FIELDS,
+  getIntakeSchema,
+  validateIntake,
+  validateIntakeDraft,
+  diffIntakeVersions,
+} = require("./config/intake");
+const {
+  HOUSEHOLD_MAX_MEMBERS,
+  HOUSEHOLD_MEMBER_FIELDS,
+  getHouseholdMemberSchema,
+  validateHouseholdMember,
+  toHouseholdMember,
+} = require("./config/household");
+const {
+  DOCUMENT_MAX_BYTES,
+  DOCUMENT_MAX_PER_APPLICANT,
+  getDocumentRules,
+  validateDocumentUpload,
+  newStorageKey,
+  contentDisposition,
+  toDocument,
+} = require("./config/documents");
+const { getDocumentStorage } = require("./config/document-storage");
+const {
+  SCHOOL_READINESS,
+  validateStatusChange,
+  buildApplication,
+} = require("./config/applications");
+const {
+  validateCaseSearch,
+  validateCaseNote,
+  validateAssignment,
+  toCaseSummary,
+  toAssignment,
+} = require("./config/cases");
+const {
+  getActiveRuleSet,
+  getScreenerQuestions,
+  validateScreening,
+  screenEligibility,
+} = require("./config/eligibility");
+const { OutboxWorker } = require("./config/outbox-worker");
+const { createOutboxHandlers } = require("./config/outbox-handlers");
+const {
+  getProvisioningMode,
+  planProvisioning,
+  describeAccountCreation,
+} = require("./config/provisioning");
+const {
+  CREDENTIAL_VIEW_PATH,
+  describeCredentialDelivery,
+} = require("./config/credential-delivery");
+const {
+  refreshRedemptionStatus,
+  toInvitationStatus,
+  resolveEfsmodLink,
+} = require("./config/efsmod-invitations");
+const {
+  isEasyAuthEmulatorEnabled,
+  easyAuthEmulator,
+} = require("./config/easy-auth-emulator");
+const { optionalAuth, toAuthStatus } = require("./config/auth");
+const { ROLES, getAppRoles, requireRole } = require("./config/authorization");
+const { correlationId } = require("./config/correlation");
+const { logger } = require("./config/logger");
+const {
+  READINESS_STATUS,
+  createReadinessChecks,
+  createReadinessProbe,
+  toPublicReadiness,
+} = require("./config/readiness");
+const {
+  AUDIT_ACTIONS,
+  AUDIT_EXPORT_MAX_EVENTS,
+  AUDIT_EXPORT_FORMATS,
+  auditContext,
+  changedFieldNames,
+  recordAuditEvent,
+  validateAuditQuery,
+  usedCriteria,
+  toAuditRecord,
+  formatAuditExport,
+} = require("./config/audit");
 
 const app = express();
-const port = process.env.PORT || 3000;
+
+// Behind App Service the client address arrives in X-Forwarded-For. Set
+// TRUST_PROXY (true, a hop count or a list of proxy addresses) so req.ip,
+// and with it the audit log, uses it.
+const trustProxy = (process.env.TRUST_PROXY || "").trim();
+if (trustProxy) {
+  app.set(
+    "trust proxy",
+    trustProxy === "true" || trustProxy === "false"
+      ? trustProxy === "true"
+      : /^\d+$/.test(trustProxy)
+      ? Number(trustProxy)
+      : trustProxy
+  );
+}
+
+// Correlation id for every request (X-Correlation-Id)
+app.use(correlationId());
 
 // Security middleware
 app.use(helmet());
@@ -24,15 +123,53 @@ app.use(express.json());
 // Parse URL-encoded bodies
 app.use(express.urlencoded({ extended: true }));
 
+// Local Easy Auth emulator (dev only). Must run before any route that reads
+// x-ms-client-principal or calls /.auth/me.
+if (isEasyAuthEmulatorEnabled()) {
+  app.use(easyAuthEmulator());
+  logger.warn("Easy Auth emulator enabled: /.auth/* is served locally.");
+}
+
 // Serve static files from public directory
 app.use(express.static("public"));
 
-// Ensure database schema (best effort)
-if (process.env.SQL_SERVER || process.env.SQL_CONNECTION_STRING) {
-  ensureIntakeTable().catch((err) => {
-    console.error("Failed to ensure intake table:", err.message);
+// Delivers queued side effects such as EFSMOD invitations. Polling is
+// started by server.js; intake requests also deliver their own messages
+// directly.
+const outboxWorker = new OutboxWorker({
+  store: getStore(),
+  handlers: createOutboxHandlers(getStore()),
+  logger: logger.child({ component: "outbox" }),
+});
+
+const PROVISIONING_WAIT_MS =
+  Number.parseInt(process.env.PROVISIONING_WAIT_MS, 10) || 10000;
+
+// Delivers a request's outbox messages now, giving up waiting (not
+// processing) after `ms`
+const waitForDelivery = (ids, ms) =>
+  new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    outboxWorker.deliverNow(ids).then(() => {
+      clearTimeout(timer);
+      resolve();
+    });
   });
-}
+
+// Records access to an applicant's data in the audit log (see
+// config/audit.js). The applicant is the one in the path on staff routes and
+// the signed-in user on their own.
+const audit = (req, action, details = {}) =>
+  recordAuditEvent(getStore(), {
+    ...auditContext(req),
+    action,
+    targetId: req.params.userId || req.user.id,
+    ...details,
+  });
+
+const fieldNames = (fields) => fields.map(({ name }) => name);
+const INTAKE_FIELD_NAMES = fieldNames(INTAKE_FIELDS);
+const HOUSEHOLD_FIELD_NAMES = fieldNames(HOUSEHOLD_MEMBER_FIELDS);
 
 // Routes
 app.get("/", (req, res) => {
@@ -58,33 +195,60 @@ app.get("/health", (req, res) => {
   });
 });
 
-// EFSMOD config status (no secrets). Useful to verify App Settings are loaded.
-app.get("/api/efsmod/config-status", (req, res) => {
-  const hasTenantId = !!(
-    process.env.EFSMOD_TENANT_ID || process.env.B_TENANT_ID
-  );
-  const hasClientId = !!(
-    process.env.EFSMOD_CLIENT_ID || process.env.B_GRAPH_CLIENT_ID
-  );
-  const hasClientSecret = !!(
-    process.env.EFSMOD_CLIENT_SECRET || process.env.B_GRAPH_CLIENT_SECRET
-  );
-  const baseUrl = process.env.EFSMOD_BASE_URL || process.env.B_BASE_URL || null;
-  const redirectPath = process.env.EFSMOD_REDIRECT_PATH || null;
-  const normalizedBaseUrl =
-    baseUrl && (baseUrl.startsWith("http") ? baseUrl : `https://${baseUrl}`);
-  res.json({
-    EFSMOD_TENANT_ID: hasTenantId,
-    EFSMOD_CLIENT_ID: hasClientId,
-    EFSMOD_CLIENT_SECRET: hasClientSecret,
-    EFSMOD_BASE_URL: !!baseUrl,
-    resolvedBaseUrl: baseUrl,
-    normalizedBaseUrl,
-    EFSMOD_REDIRECT_PATH: !!redirectPath,
-    resolvedRedirectPath: redirectPath,
-  });
+// Readiness for App Service health checks: 503 when intakes cannot be
+// saved, so the instance is taken out of rotation (see config/readiness.js).
+// Failure details only go to the log.
+const checkReady = createReadinessProbe(() => createReadinessChecks(getStore), {
+  onResult: (readiness) => {
+    if (readiness.status !== READINESS_STATUS.UP) {
+      logger.warn("Readiness check failed", readiness);
+    }
+  },
 });
 
+app.get("/health/ready", async (req, res) => {
+  const readiness = await checkReady();
+  res
+    .status(readiness.status === READINESS_STATUS.DOWN ? 503 : 200)
+    .set("Cache-Control", "no-store")
+    .json({
+      ...toPublicReadiness(readiness),
+      timestamp: new Date().toISOString(),
+    });
+});
+
+// EFSMOD config status (no secrets). Useful to verify App Settings are loaded.
+app.get(
+  "/api/efsmod/config-status",
+  requireRole(ROLES.SYSTEM_ADMIN),
+  (req, res) => {
+    const hasTenantId = !!(
+      process.env.EFSMOD_TENANT_ID || process.env.B_TENANT_ID
+    );
+    const hasClientId = !!(
+      process.env.EFSMOD_CLIENT_ID || process.env.B_GRAPH_CLIENT_ID
+    );
+    const hasClientSecret = !!(
+      process.env.EFSMOD_CLIENT_SECRET || process.env.B_GRAPH_CLIENT_SECRET
+    );
+    const baseUrl =
+      process.env.EFSMOD_BASE_URL || process.env.B_BASE_URL || null;
+    const redirectPath = process.env.EFSMOD_REDIRECT_PATH || null;
+    const normalizedBaseUrl =
+      baseUrl && (baseUrl.startsWith("http") ? baseUrl : `https://${baseUrl}`);
+    res.json({
+      EFSMOD_TENANT_ID: hasTenantId,
+      EFSMOD_CLIENT_ID: hasClientId,
+      EFSMOD_CLIENT_SECRET: hasClientSecret,
+      EFSMOD_BASE_URL: !!baseUrl,
+      resolvedBaseUrl: baseUrl,
+      normalizedBaseUrl,
+      EFSMOD_REDIRECT_PATH: !!redirectPath,
+      resolvedRedirectPath: redirectPath,
+    });
+  }
+);
+
 // Authentication routes
 app.get("/signin", (req, res) => {
   // Redirect to local FLWINS provider and return to FLWINS app (Profile page)
@@ -116,353 +280,1064 @@ app.get("/profile", (req, res) => {
   res.sendFile(__dirname + "/public/profile.html");
 });
 
-// Helper to extract claim values
-const getClaimValue = (claims = [], claimTypes = []) => {
-  for (const type of claimTypes) {
-    const claim = claims.find((c) => c.typ === type);
-    if (claim && claim.val) {
-      return claim.val;
-    }
-  }
-  return null;
-};
-
-const getAppBaseUrl = (req) => {
-  const protocol = req.get("x-forwarded-proto") || req.protocol;
-  const host = req.get("host");
-  return `${protocol}://${host}`;
-};
-
-class ProfileError extends Error {
-  constructor(message, status = 500) {
-    super(message);
-    this.status = status;
-  }
-}
-
-const fetchProfileData = async (req, { includeGraph = true } = {}) => {
-  const authResponse = await fetch(`${getAppBaseUrl(req)}/.auth/me`, {
-    headers: {
-      cookie: req.headers.cookie || "",
-      "x-zumo-auth": req.headers["x-zumo-auth"] || "",
-    },
-  });
-
-  if (!authResponse.ok) {
-    throw new ProfileError(
-      "Authentication context not available",
-      authResponse.status === 401 ? 401 : 500
-    );
-  }
-
-  const authData = await authResponse.json();
-  const principal = authData?.[0];
-
-  if (!principal || !principal.user_id) {
-    throw new ProfileError("User not authenticated", 401);
-  }
-
-  const claims = principal.user_claims || [];
+// One-time initial password page
+app.get(CREDENTIAL_VIEW_PATH, (req, res) => {
+  res.sendFile(__dirname + "/public/account-password.html");
+});
 
+// Enriches the signed-in user's claims with their Microsoft Graph profile
+const fetchProfileData = async (user, { includeGraph = true } = {}) => {
   const baseProfile = {
-    id: principal.user_id,
-    displayName: getClaimValue(claims, [
-      "name",
-      "http://schemas.microsoft.com/identity/claims/displayname",
-      "http://schemas.xmlsoap.org/ws/2005/05/identity/claims/name",
-    ]),
-    firstName: getClaimValue(claims, [
-      "http://schemas.xmlsoap.org/ws/2005/05/identity/claims/givenname",
-      "given_name",
-    ]),
-    lastName: getClaimValue(claims, [
-      "http://schemas.xmlsoap.org/ws/2005/05/identity/claims/surname",
-      "family_name",
-    ]),
-    email: getClaimValue(claims, [
-      "http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress",
-      "email",
-      "upn",
-    ]),
-    department: getClaimValue(claims, [
-      "department",
-      "http://schemas.microsoft.com/ws/2008/06/identity/claims/department",
-    ]),
-    jobTitle: getClaimValue(claims, [
-      "jobTitle",
-      "http://schemas.microsoft.com/identity/claims/jobtitle",
-    ]),
-    phone: getClaimValue(claims, [
-      "http://schemas.xmlsoap.org/ws/2005/05/identity/claims/otherphone",
-      "phone_number",
-    ]),
+    id: user.id,
+    displayName: user.displayName,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    email: user.email,
+    department: user.department,
+    jobTitle: user.jobTitle,
+    phone: user.phone,
   };
 
   let graphProfile = null;
-  const accessToken = principal.access_token;
+  const accessToken = user.accessToken;
 
   if (includeGraph && accessToken) {
     try {
-      const graphResponse = await fetch(
-        "https://graph.microsoft.com/v1.0/me?$select=displayName,givenName,surname,mail,userPrincipalName,jobTitle,department,mobilePhone,businessPhones,officeLocation,streetAddress,city,state,postalCode",
-        {
-          headers: {
-            Authorization: `Bearer ${accessToken}`,
-          },
-        }
+      // Delegated token; one quick retry when throttled so the page is not
+      // held up waiting on Graph
+      graphProfile = await createGraphClient({
+        accessToken,
+        maxRetries: 1,
+        maxRetryAfterSeconds: 5,
+      }).get(
+        "/me?$select=displayName,givenName,surname,mail,userPrincipalName,jobTitle,department,mobilePhone,businessPhones,officeLocation,streetAddress,city,state,postalCode"
       );
 
-      if (graphResponse.ok) {
-        graphProfile = await graphResponse.json();
-
-        baseProfile.displayName =
-          graphProfile.displayName || baseProfile.displayName;
-        baseProfile.firstName = graphProfile.givenName || baseProfile.firstName;
-        baseProfile.lastName = graphProfile.surname || baseProfile.lastName;
-        baseProfile.email =
-          graphProfile.mail ||
-          graphProfile.userPrincipalName ||
-          baseProfile.email;
-        baseProfile.department =
-          graphProfile.department || baseProfile.department;
-        baseProfile.jobTitle = graphProfile.jobTitle || baseProfile.jobTitle;
-        baseProfile.phone = graphProfile.mobilePhone || baseProfile.phone;
-        baseProfile.workPhone = Array.isArray(graphProfile.businessPhones)
-          ? graphProfile.businessPhones[0]
-          : undefined;
-        baseProfile.officeLocation =
-          graphProfile.officeLocation || baseProfile.officeLocation;
-        baseProfile.address = graphProfile.streetAddress;
-        baseProfile.city = graphProfile.city;
-        baseProfile.state = graphProfile.state;
-        baseProfile.zipCode = graphProfile.postalCode;
-      } else {
-        console.warn(
-          "Microsoft Graph responded with status:",
-          graphResponse.status
-        );
-      }
+      baseProfile.displayName =
+        graphProfile.displayName || baseProfile.displayName;
+      baseProfile.firstName = graphProfile.givenName || baseProfile.firstName;
+      baseProfile.lastName = graphProfile.surname || baseProfile.lastName;
+      baseProfile.email =
+        graphProfile.mail ||
+        graphProfile.userPrincipalName ||
+        baseProfile.email;
+      baseProfile.department =
+        graphProfile.department || baseProfile.department;
+      baseProfile.jobTitle = graphProfile.jobTitle || baseProfile.jobTitle;
+      baseProfile.phone = graphProfile.mobilePhone || baseProfile.phone;
+      baseProfile.workPhone = Array.isArray(graphProfile.businessPhones)
+        ? graphProfile.businessPhones[0]
+        : undefined;
+      baseProfile.officeLocation =
+        graphProfile.officeLocation || baseProfile.officeLocation;
+      baseProfile.address = graphProfile.streetAddress;
+      baseProfile.city = graphProfile.city;
+      baseProfile.state = graphProfile.state;
+      baseProfile.zipCode = graphProfile.postalCode;
     } catch (graphError) {
-      console.warn("Microsoft Graph request failed:", graphError.message);
+      logger.warn("Microsoft Graph request failed", graphError);
     }
-  } else if (!accessToken) {
-    console.warn("No access token available for Microsoft Graph");
+  } else if (includeGraph && !accessToken) {
+    logger.warn("No access token available for Microsoft Graph");
   }
 
-  return { principal, claims, baseProfile, graphProfile, accessToken };
+  return { baseProfile, graphProfile };
 };
 
 // API endpoint to get user profile
-app.get("/api/profile", async (req, res) => {
+app.get("/api/profile", requireRole(ROLES.APPLICANT), async (req, res) => {
   try {
-    const { principal, baseProfile, claims, graphProfile } =
-      await fetchProfileData(req);
+    const { baseProfile, graphProfile } = await fetchProfileData(req.user);
+    await audit(req, AUDIT_ACTIONS.PROFILE_READ);
 
     res.json({
       profile: baseProfile,
-      authProvider: principal.identity_provider,
-      claims,
+      authProvider: req.user.identityProvider,
+      claims: req.user.claims,
       graph: graphProfile,
     });
   } catch (error) {
-    const status = error instanceof ProfileError ? error.status : 500;
-    if (!(error instanceof ProfileError)) {
-      console.error("Profile API error:", error);
-    }
+    logger.error("Profile API error", error);
     res
-      .status(status)
+      .status(500)
       .json({ error: error.message || "Failed to get user profile" });
   }
 });
 
-// API endpoint to check authentication status
-app.get("/api/auth/status", (req, res) => {
+// API endpoints to check authentication status. Both read the same
+// normalized principal so they always agree with the guarded routes.
+app.get("/api/auth/status", optionalAuth, (req, res) => {
+  res.json(toAuthStatus(req.user, getAppRoles(req.user)));
+});
+
+app.get("/api/auth/me", optionalAuth, (req, res) => {
+  res.json(toAuthStatus(req.user, getAppRoles(req.user)));
+});
+
+// School Readiness eligibility pre-screener. Public and advisory: answers
+// are evaluated against the rule set in effect (config/eligibility-rules)
+// and not stored.
+const loadRuleSet = (res) => {
   try {
-    console.log("Auth status check - Headers received:");
-    console.log(
-      "x-ms-client-principal:",
-      req.headers["x-ms-client-principal"] ? "Present" : "Not present"
-    );
-    console.log(
-      "x-ms-client-principal-idp:",
-      req.headers["x-ms-client-principal-idp"]
+    return getActiveRuleSet();
+  } catch (error) {
+    logger.error("Eligibility rules error", error);
+    res.status(503).json({ error: "Eligibility screening is unavailable." });
+    return null;
+  }
+};
+
+app.get("/api/eligibility/questions", (req, res) => {
+  const ruleSet = loadRuleSet(res);
+  if (ruleSet) res.json(getScreenerQuestions(ruleSet));
+});
+
+app.post("/api/eligibility/screen", (req, res) => {
+  const ruleSet = loadRuleSet(res);
+  if (!ruleSet) return;
+  const { answers, errors } = validateScreening(req.body, ruleSet);
+  if (Object.keys(errors).length) {
+    return res.status(422).json({
+      error: "Please correct the highlighted fields.",
+      fields: errors,
+    });
+  }
+  res.json(screenEligibility(answers, ruleSet));
+});
+
+// Field rules for the intake form, household members and document uploads;
+// the browser validates with the same schema the server enforces below
+app.get("/api/intake/schema", (req, res) => {
+  res.json({
+    ...getIntakeSchema(),
+    householdMember: getHouseholdMemberSchema(),
+    documents: getDocumentRules(),
+  });
+});
+
+// API endpoint to update user profile
+app.post("/api/intake", requireRole(ROLES.APPLICANT), async (req, res) => {
+  try {
+    const { intake, errors } = validateIntake(req.body, req.user);
+
+    if (Object.keys(errors).length) {
+      return res.status(422).json({
+        error: "Please correct the highlighted fields.",
+        fields: errors,
+      });
+    }
+
+    // Provisioning steps (EFSMOD guest invite and/or member account, per
+    // PROVISIONING_MODE) are queued with the save, then given a few seconds
+    // to complete so the response can report them. Anything still pending
+    // is retried by the outbox worker.
+    const store = getStore();
+    const mode = getProvisioningMode();
+    const previous = await store.getIntake(req.user.id);
+    const { outbox, provisioning } = await planProvisioning(
+      store,
+      mode,
+      req.user.id,
+      intake,
+      { correlationId: req.correlationId }
     );
-    console.log(
-      "x-ms-client-principal-name:",
-      req.headers["x-ms-client-principal-name"]
+
+    const version = await store.saveIntake(
+      { userId: req.user.id, ...intake },
+      { id: req.user.id, name: req.user.displayName },
+      { outbox, provisioning }
     );
+    await audit(req, AUDIT_ACTIONS.INTAKE_SUBMIT, {
+      recordId: version.sequence,
+      fields: changedFieldNames(previous, intake, INTAKE_FIELD_NAMES),
+    });
+    if (
+      version.outboxMessageIds.length &&
+      process.env.OUTBOX_WORKER_ENABLED !== "false"
+    ) {
+      await waitForDelivery(version.outboxMessageIds, PROVISIONING_WAIT_MS);
+    }
 
-    const clientPrincipal = req.headers["x-ms-client-principal"];
-    const clientPrincipalIdp = req.headers["x-ms-client-principal-idp"];
-    const clientPrincipalName = req.headers["x-ms-client-principal-name"];
-
-    if (clientPrincipal) {
-      const decoded = Buffer.from(clientPrincipal, "base64").toString("ascii");
-      const userInfo = JSON.parse(decoded);
-
-      console.log("Decoded user info:", userInfo);
-
-      const response = {
-        authenticated: true,
-        user: {
-          id: userInfo.userId || userInfo.sid,
-          name: userInfo.userDetails || clientPrincipalName,
-          email: userInfo.claims?.find(
-            (c) =>
-              c.typ ===
-              "http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress"
-          )?.val,
-          provider: clientPrincipalIdp || "aad",
-        },
-      };
+    res.json({
+      message: "Intake form saved successfully.",
+      version: {
+        sequence: version.sequence,
+        submittedAt: version.submittedAt,
+      },
+      accountCreation: await describeAccountCreation(store, mode, req.user.id),
+    });
+  } catch (error) {
+    logger.error("Intake form submission error", error);
+    res.status(500).json({ error: "Failed to submit intake form." });
+  }
+});
 
-      console.log("Sending authenticated response:", response);
-      res.json(response);
-    } else {
-      console.log(
-        "No authentication headers found, sending unauthenticated response"
-      );
-      res.json({
-        authenticated: false,
-        user: null,
-      });
+// Intake wizard drafts. Applicants save unfinished answers as they move
+// between steps and resume on any device; submitting the intake removes the
+// draft.
+app.get("/api/intake/draft", requireRole(ROLES.APPLICANT), async (req, res) => {
+  try {
+    const draft = await getStore().getIntakeDraft(req.user.id);
+    if (!draft) {
+      return res.status(404).json({ error: "No intake draft found." });
     }
+    await audit(req, AUDIT_ACTIONS.DRAFT_READ);
+    const { step, data, updatedAt } = draft;
+    res.json({ draft: { step, data, updatedAt } });
   } catch (error) {
-    console.error("Auth status error:", error);
-    res.status(500).json({
-      error: "Failed to check authentication status",
-      authenticated: false,
+    logger.error("Intake draft lookup error", error);
+    res.status(500).json({ error: "Failed to load intake draft." });
+  }
+});
+
+app.put("/api/intake/draft", requireRole(ROLES.APPLICANT), async (req, res) => {
+  const { step, data, errors } = validateIntakeDraft(req.body);
+  if (Object.keys(errors).length) {
+    return res.status(422).json({
+      error: "Please correct the highlighted fields.",
+      fields: errors,
     });
   }
+  try {
+    await getStore().saveIntakeDraft(req.user.id, { step, data });
+    await audit(req, AUDIT_ACTIONS.DRAFT_SAVE, { fields: Object.keys(data) });
+    res.json({ message: "Draft saved.", draft: { step, data } });
+  } catch (error) {
+    logger.error("Intake draft save error", error);
+    res.status(500).json({ error: "Failed to save intake draft." });
+  }
 });
 
-// Alternative auth endpoint using Azure's built-in endpoint
-app.get("/api/auth/me", async (req, res) => {
+app.delete(
+  "/api/intake/draft",
+  requireRole(ROLES.APPLICANT),
+  async (req, res) => {
+    try {
+      await getStore().deleteIntakeDraft(req.user.id);
+      await audit(req, AUDIT_ACTIONS.DRAFT_DELETE);
+      res.status(204).end();
+    } catch (error) {
+      logger.error("Intake draft delete error", error);
+      res.status(500).json({ error: "Failed to discard intake draft." });
+    }
+  }
+);
+
+// Intake submission history. Applicants read their own versions; staff read
+// any applicant's through /api/applicants/:userId/...
+const parseSequence = (value) => {
+  const sequence = Number(value);
+  return Number.isInteger(sequence) && sequence > 0 ? sequence : null;
+};
+
+const listVersionsHandler = async (req, res) => {
   try {
-    console.log("Auth me endpoint called");
+    const userId = req.params.userId || req.user.id;
+    const versions = await getStore().listIntakeVersions(userId);
+    await audit(req, AUDIT_ACTIONS.INTAKE_VERSION_READ);
+    res.json({ userId, versions });
+  } catch (error) {
+    logger.error("Intake history error", error);
+    res.status(500).json({ error: "Failed to load intake history." });
+  }
+};
 
-    // Try the built-in Azure endpoint first
-    const authResponse = await fetch(`${getAppBaseUrl(req)}/.auth/me`, {
-      headers: {
-        cookie: req.headers.cookie || "",
-        "x-zumo-auth": req.headers["x-zumo-auth"] || "",
-      },
+const getVersionHandler = async (req, res) => {
+  const sequence = parseSequence(req.params.sequence);
+  if (!sequence) {
+    return res.status(400).json({ error: "Invalid version sequence." });
+  }
+  try {
+    const userId = req.params.userId || req.user.id;
+    const version = await getStore().getIntakeVersion(userId, sequence);
+    if (!version) {
+      return res.status(404).json({ error: "Intake version not found." });
+    }
+    await audit(req, AUDIT_ACTIONS.INTAKE_VERSION_READ, {
+      recordId: sequence,
+      fields: INTAKE_FIELD_NAMES,
     });
+    res.json({ userId, version });
+  } catch (error) {
+    logger.error("Intake history error", error);
+    res.status(500).json({ error: "Failed to load intake version." });
+  }
+};
 
-    if (authResponse.ok) {
-      const authData = await authResponse.json();
-      console.log("Azure auth response:", authData);
-
-      if (authData && authData.length > 0 && authData[0].user_id) {
-        const userInfo = authData[0];
-        res.json({
-          authenticated: true,
-          user: {
-            id: userInfo.user_id,
-            name:
-              userInfo.user_claims?.find((c) => c.typ === "name")?.val ||
-              userInfo.user_id,
-            email: userInfo.user_claims?.find(
-              (c) =>
-                c.typ ===
-                "http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress"
-            )?.val,
-            provider: userInfo.identity_provider || "aad",
-          },
-        });
-      } else {
-        res.json({ authenticated: false, user: null });
-      }
-    } else {
-      console.log("Azure auth endpoint returned:", authResponse.status);
-      res.json({ authenticated: false, user: null });
+const diffVersionsHandler = async (req, res) => {
+  const from = parseSequence(req.query.from);
+  const to = parseSequence(req.query.to);
+  if (!from || !to) {
+    return res.status(400).json({
+      error: "Query parameters 'from' and 'to' must be version sequences.",
+    });
+  }
+  try {
+    const userId = req.params.userId || req.user.id;
+    const [fromVersion, toVersion] = await Promise.all([
+      getStore().getIntakeVersion(userId, from),
+      getStore().getIntakeVersion(userId, to),
+    ]);
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ error: "Intake version not found." });
+    }
+    const summarize = ({ sequence, submittedAt, submittedBy }) => ({
+      sequence,
+      submittedAt,
+      submittedBy,
+    });
+    const changes = diffIntakeVersions(fromVersion, toVersion);
+    await audit(req, AUDIT_ACTIONS.INTAKE_VERSION_READ, {
+      recordId: `${from}..${to}`,
+      fields: changes.map((change) => change.field),
+    });
+    res.json({
+      userId,
+      from: summarize(fromVersion),
+      to: summarize(toVersion),
+      changes,
+    });
+  } catch (error) {
+    logger.error("Intake diff error", error);
+    res.status(500).json({ error: "Failed to compare intake versions." });
+  }
+};
+
+const ownIntakeAccess = requireRole(ROLES.APPLICANT);
+const staffIntakeAccess = requireRole(ROLES.CASEWORKER);
+
+app.get("/api/intake/versions", ownIntakeAccess, listVersionsHandler);
+app.get("/api/intake/versions/diff", ownIntakeAccess, diffVersionsHandler);
+app.get("/api/intake/versions/:sequence", ownIntakeAccess, getVersionHandler);
+app.get(
+  "/api/applicants/:userId/intake/versions",
+  staffIntakeAccess,
+  listVersionsHandler
+);
+app.get(
+  "/api/applicants/:userId/intake/versions/diff",
+  staffIntakeAccess,
+  diffVersionsHandler
+);
+app.get(
+  "/api/applicants/:userId/intake/versions/:sequence",
+  staffIntakeAccess,
+  getVersionHandler
+);
+
+// Household members on the applicant's intake. Applicants manage their own
+// from the wizard's household step or their profile; staff can read any
+// applicant's.
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const memberNotFound = (res) =>
+  res.status(404).json({ error: "Household member not found." });
+
+const listHouseholdHandler = async (req, res) => {
+  try {
+    const userId = req.params.userId || req.user.id;
+    const members = await getStore().listHouseholdMembers(userId);
+    await audit(req, AUDIT_ACTIONS.HOUSEHOLD_READ);
+    res.json({ userId, members: members.map(toHouseholdMember) });
+  } catch (error) {
+    logger.error("Household lookup error", error);
+    res.status(500).json({ error: "Failed to load household members." });
+  }
+};
+
+app.get("/api/household/members", ownIntakeAccess, listHouseholdHandler);
+app.get(
+  "/api/applicants/:userId/household/members",
+  staffIntakeAccess,
+  listHouseholdHandler
+);
+
+app.post("/api/household/members", ownIntakeAccess, async (req, res) => {
+  const { member, errors } = validateHouseholdMember(req.body);
+  if (Object.keys(errors).length) {
+    return res.status(422).json({
+      error: "Please correct the highlighted fields.",
+      fields: errors,
+    });
+  }
+  try {
+    const store = getStore();
+    const existing = await store.listHouseholdMembers(req.user.id);
+    if (existing.length >= HOUSEHOLD_MAX_MEMBERS) {
+      return res.status(409).json({
+        error: `A household can list at most ${HOUSEHOLD_MAX_MEMBERS} members.`,
+      });
     }
+    const saved = await store.addHouseholdMember(req.user.id, member);
+    await audit(req, AUDIT_ACTIONS.HOUSEHOLD_CREATE, {
+      recordId: saved.id,
+      fields: changedFieldNames(null, member, HOUSEHOLD_FIELD_NAMES),
+    });
+    res.status(201).json({ member: toHouseholdMember(saved) });
   } catch (error) {
-    console.error("Auth me error:", error);
-    res.json({ authenticated: false, user: null });
+    logger.error("Household member save error", error);
+    res.status(500).json({ error: "Failed to add household member." });
   }
 });
 
-// API endpoint to update user profile
-app.post("/api/intake", express.json(), async (req, res) => {
+app.put(
+  "/api/household/members/:memberId",
+  ownIntakeAccess,
+  async (req, res) => {
+    if (!UUID_PATTERN.test(req.params.memberId)) return memberNotFound(res);
+    const { member, errors } = validateHouseholdMember(req.body);
+    if (Object.keys(errors).length) {
+      return res.status(422).json({
+        error: "Please correct the highlighted fields.",
+        fields: errors,
+      });
+    }
+    try {
+      const store = getStore();
+      const before = (await store.listHouseholdMembers(req.user.id)).find(
+        (m) => m.id === req.params.memberId
+      );
+      const saved = await store.updateHouseholdMember(
+        req.user.id,
+        req.params.memberId,
+        member
+      );
+      if (!saved) return memberNotFound(res);
+      await audit(req, AUDIT_ACTIONS.HOUSEHOLD_UPDATE, {
+        recordId: saved.id,
+        fields: changedFieldNames(before, saved, HOUSEHOLD_FIELD_NAMES),
+      });
+      res.json({ member: toHouseholdMember(saved) });
+    } catch (error) {
+      logger.error("Household member save error", error);
+      res.status(500).json({ error: "Failed to update household member." });
+    }
+  }
+);
+
+app.delete(
+  "/api/household/members/:memberId",
+  ownIntakeAccess,
+  async (req, res) => {
+    if (!UUID_PATTERN.test(req.params.memberId)) return memberNotFound(res);
+    try {
+      const deleted = await getStore().deleteHouseholdMember(
+        req.user.id,
+        req.params.memberId
+      );
+      if (!deleted) return memberNotFound(res);
+      await audit(req, AUDIT_ACTIONS.HOUSEHOLD_DELETE, {
+        recordId: req.params.memberId,
+      });
+      res.status(204).end();
+    } catch (error) {
+      logger.error("Household member delete error", error);
+      res.status(500).json({ error: "Failed to remove household member." });
+    }
+  }
+);
+
+// Supporting documents. The file is the raw request body (Content-Type is
+// its type) with the category and file name in the query string; files go
+// to document storage and metadata to the store. Applicants manage their
+// own; staff can list and download any applicant's.
+const documentNotFound = (res) =>
+  res.status(404).json({ error: "Document not found." });
+
+const rawDocumentBody = express.raw({
+  type: () => true,
+  limit: DOCUMENT_MAX_BYTES,
+});
+
+const readDocumentBody = (req, res, next) =>
+  rawDocumentBody(req, res, (err) => {
+    if (err && err.type === "entity.too.large") {
+      const message = `Files must be ${
+        DOCUMENT_MAX_BYTES / (1024 * 1024)
+      } MB or smaller.`;
+      return res
+        .status(413)
+        .json({ error: message, fields: { file: message } });
+    }
+    next(err);
+  });
+
+const listDocumentsHandler = async (req, res) => {
+  try {
+    const userId = req.params.userId || req.user.id;
+    const documents = await getStore().listDocuments(userId);
+    await audit(req, AUDIT_ACTIONS.DOCUMENT_READ);
+    res.json({ userId, documents: documents.map(toDocument) });
+  } catch (error) {
+    logger.error("Document lookup error", error);
+    res.status(500).json({ error: "Failed to load documents." });
+  }
+};
+
+const downloadDocumentHandler = async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.documentId)) return documentNotFound(res);
   try {
-    const { principal, baseProfile } = await fetchProfileData(req, {
-      includeGraph: false,
+    const userId = req.params.userId || req.user.id;
+    const document = await getStore().getDocument(
+      userId,
+      req.params.documentId
+    );
+    if (!document) return documentNotFound(res);
+    const data = await getDocumentStorage().get(document.storageKey);
+    if (!data) {
+      logger.error("Document is missing from storage", {
+        documentId: document.id,
+      });
+      return documentNotFound(res);
+    }
+    await audit(req, AUDIT_ACTIONS.DOCUMENT_DOWNLOAD, {
+      recordId: document.id,
+    });
+    res.set({
+      "Content-Type": document.contentType,
+      "Content-Disposition": contentDisposition(document.fileName),
+      "Cache-Control": "private, no-store",
     });
+    res.send(data);
+  } catch (error) {
+    logger.error("Document download error", error);
+    res.status(500).json({ error: "Failed to download document." });
+  }
+};
+
+app.get("/api/documents", ownIntakeAccess, listDocumentsHandler);
+app.get(
+  "/api/documents/:documentId/file",
+  ownIntakeAccess,
+  downloadDocumentHandler
+);
+app.get(
+  "/api/applicants/:userId/documents",
+  staffIntakeAccess,
+  listDocumentsHandler
+);
+app.get(
+  "/api/applicants/:userId/documents/:documentId/file",
+  staffIntakeAccess,
+  downloadDocumentHandler
+);
+
+app.post(
+  "/api/documents",
+  ownIntakeAccess,
+  readDocumentBody,
+  async (req, res) => {
+    const { document, errors } = validateDocumentUpload({
+      category: req.query.category,
+      fileName: req.query.fileName,
+      contentType: req.get("Content-Type"),
+      data: req.body,
+    });
+    if (Object.keys(errors).length) {
+      return res.status(422).json({
+        error: "Please correct the highlighted fields.",
+        fields: errors,
+      });
+    }
+    try {
+      const store = getStore();
+      const existing = await store.listDocuments(req.user.id);
+      if (existing.length >= DOCUMENT_MAX_PER_APPLICANT) {
+        return res.status(409).json({
+          error: `You can upload at most ${DOCUMENT_MAX_PER_APPLICANT} documents.`,
+        });
+      }
+      const storage = getDocumentStorage();
+      const storageKey = newStorageKey();
+      await storage.put(storageKey, req.body, {
+        contentType: document.contentType,
+      });
+      let saved;
+      try {
+        saved = await store.addDocument(req.user.id, {
+          ...document,
+          storageKey,
+        });
+      } catch (error) {
+        await storage.delete(storageKey).catch(() => undefined);
+        throw error;
+      }
+      await audit(req, AUDIT_ACTIONS.DOCUMENT_UPLOAD, {
+        recordId: saved.id,
+        fields: ["category", "fileName", "file"],
+      });
+      res.status(201).json({ document: toDocument(saved) });
+    } catch (error) {
+      logger.error("Document upload error", error);
+      res.status(500).json({ error: "Failed to upload document." });
+    }
+  }
+);
 
-    const hasSql = !!(
-      process.env.SQL_SERVER || process.env.SQL_CONNECTION_STRING
+app.delete("/api/documents/:documentId", ownIntakeAccess, async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.documentId)) return documentNotFound(res);
+  try {
+    const deleted = await getStore().deleteDocument(
+      req.user.id,
+      req.params.documentId
     );
+    if (!deleted) return documentNotFound(res);
+    await audit(req, AUDIT_ACTIONS.DOCUMENT_DELETE, { recordId: deleted.id });
+    // The record is gone either way; a leftover file is only logged
+    await getDocumentStorage()
+      .delete(deleted.storageKey)
+      .catch((error) =>
+        logger.error("Failed to delete document file", {
+          documentId: deleted.id,
+          error,
+        })
+      );
+    res.status(204).end();
+  } catch (error) {
+    logger.error("Document delete error", error);
+    res.status(500).json({ error: "Failed to delete document." });
+  }
+});
 
-    const body = req.body || {};
-    const sanitize = (value, maxLength = 4000) => {
-      if (typeof value !== "string") return null;
-      const trimmed = value.trim();
-      if (!trimmed) return null;
-      return trimmed.length > maxLength ? trimmed.slice(0, maxLength) : trimmed;
-    };
+// Application status dashboard. Status is derived from the applicant's
+// draft, intake versions, EFSMOD invitation and caseworker decisions (see
+// config/applications.js); caseworkers record the decisions.
+const loadApplications = async (userId, { includeDetails = false } = {}) => {
+  const store = getStore();
+  const [draft, versions, storedInvitation, events, documents] =
+    await Promise.all([
+      store.getIntakeDraft(userId),
+      store.listIntakeVersions(userId),
+      store.getEfsmodInvitation(userId),
+      store.listApplicationStatusEvents(userId),
+      store.listDocuments(userId),
+    ]);
+  const invitation = await refreshRedemptionStatus(store, storedInvitation);
+  const application = buildApplication(
+    {
+      draft,
+      versions,
+      invitation,
+      events,
+      documentCount: documents.length,
+      efsmodLink: invitation ? resolveEfsmodLink(invitation).url : null,
+    },
+    { includeDetails }
+  );
+  return application ? [application] : [];
+};
+
+const listApplicationsHandler = async (req, res) => {
+  try {
+    const userId = req.params.userId || req.user.id;
+    const applications = await loadApplications(userId, {
+      includeDetails: Boolean(req.params.userId),
+    });
+    await audit(req, AUDIT_ACTIONS.APPLICATION_READ);
+    res.set("Cache-Control", "no-store");
+    res.json({ userId, applications });
+  } catch (error) {
+    logger.error("Application status error", error);
+    res.status(500).json({ error: "Failed to load applications." });
+  }
+};
 
-    const firstName = sanitize(body.firstName, 150) || baseProfile.firstName;
-    const lastName = sanitize(body.lastName, 150) || baseProfile.lastName;
-    const email = sanitize(body.email, 256) || baseProfile.email;
+app.get("/api/applications", ownIntakeAccess, listApplicationsHandler);
+app.get(
+  "/api/applicants/:userId/applications",
+  staffIntakeAccess,
+  listApplicationsHandler
+);
 
-    if (!email) {
-      return res.status(400).json({ error: "Email is required." });
+app.post(
+  "/api/applicants/:userId/applications/:applicationId/status",
+  staffIntakeAccess,
+  async (req, res) => {
+    if (req.params.applicationId !== SCHOOL_READINESS.id) {
+      return res.status(404).json({ error: "Application not found." });
     }
+    const { change, errors } = validateStatusChange(req.body);
+    if (Object.keys(errors).length) {
+      return res.status(422).json({
+        error: "Please correct the highlighted fields.",
+        fields: errors,
+      });
+    }
+    try {
+      const store = getStore();
+      const { userId } = req.params;
+      const versions = await store.listIntakeVersions(userId);
+      if (!versions.length) {
+        return res.status(409).json({
+          error: "Only submitted applications can be reviewed.",
+        });
+      }
+      await store.addApplicationStatusEvent(userId, {
+        ...change,
+        changedBy: req.user.id,
+        changedByName: req.user.displayName || null,
+      });
+      await audit(req, AUDIT_ACTIONS.APPLICATION_STATUS_CHANGE, {
+        recordId: SCHOOL_READINESS.id,
+        fields: Object.keys(change).filter((name) => change[name]),
+      });
+      const [application] = await loadApplications(userId, {
+        includeDetails: true,
+      });
+      res.status(201).json({ userId, application });
+    } catch (error) {
+      logger.error("Application status change error", error);
+      res.status(500).json({ error: "Failed to update application status." });
+    }
+  }
+);
+
+// Caseworker portal: search submitted intakes, read one applicant's case
+// with its history, keep internal notes and assign cases (see
+// config/cases.js). Staff only; applicants never see notes or assignments.
+const caseNotFound = (res) =>
+  res
+    .status(404)
+    .json({ error: "No intake has been submitted for this applicant." });
+
+app.get("/api/applicants", staffIntakeAccess, async (req, res) => {
+  const { filter, errors } = validateCaseSearch(req.query, {
+    userId: req.user.id,
+  });
+  if (Object.keys(errors).length) {
+    return res.status(422).json({
+      error: "Please correct the highlighted fields.",
+      fields: errors,
+    });
+  }
+  try {
+    const { page, pageSize, offset, ...criteria } = filter;
+    const { total, intakes } = await getStore().searchIntakes({
+      ...criteria,
+      offset,
+      limit: pageSize,
+    });
+    await audit(req, AUDIT_ACTIONS.CASE_SEARCH, {
+      targetId: null,
+      fields: Object.keys(criteria).filter(
+        (name) => criteria[name] !== null && criteria[name] !== undefined
+      ),
+    });
+    res.set("Cache-Control", "no-store");
+    res.json({
+      cases: intakes.map(toCaseSummary),
+      page,
+      pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+    });
+  } catch (error) {
+    logger.error("Case search error", error);
+    res.status(500).json({ error: "Failed to search applications." });
+  }
+});
 
-    if (hasSql) {
-      await upsertIntakeForm({
-        userId: principal.user_id,
-        email,
-        firstName,
-        lastName,
-        department: sanitize(body.department, 150),
-        jobTitle: sanitize(body.jobTitle, 150),
-        officeLocation: sanitize(body.officeLocation, 150),
-        workPhone: sanitize(body.workPhone, 50),
-        address: sanitize(body.address, 500),
-        city: sanitize(body.city, 150),
-        state: sanitize(body.state, 50),
-        zipCode: sanitize(body.zipCode, 20),
-        phone: sanitize(body.phone, 50),
+app.get("/api/applicants/:userId", staffIntakeAccess, async (req, res) => {
+  try {
+    const store = getStore();
+    const { userId } = req.params;
+    const intake = await store.getIntake(userId);
+    if (!intake) return caseNotFound(res);
+    const [versions, assignment, notes, applications] = await Promise.all([
+      store.listIntakeVersions(userId),
+      store.getCaseAssignment(userId),
+      store.listCaseNotes(userId),
+      loadApplications(userId, { includeDetails: true }),
+    ]);
+    await audit(req, AUDIT_ACTIONS.CASE_READ, {
+      fields: INTAKE_FIELD_NAMES,
+    });
+    const { id, ...fields } = intake;
+    res.set("Cache-Control", "no-store");
+    res.json({
+      case: {
+        userId,
+        intake: fields,
+        versions,
+        assignment: toAssignment(assignment),
+        notes,
+        applications,
+      },
+    });
+  } catch (error) {
+    logger.error("Case lookup error", error);
+    res.status(500).json({ error: "Failed to load the application." });
+  }
+});
+
+app.post(
+  "/api/applicants/:userId/notes",
+  staffIntakeAccess,
+  async (req, res) => {
+    const { note, errors } = validateCaseNote(req.body);
+    if (Object.keys(errors).length) {
+      return res.status(422).json({
+        error: "Please correct the highlighted fields.",
+        fields: errors,
       });
-    } else {
-      console.warn("SQL not configured; skipping intake persistence.");
     }
+    try {
+      const store = getStore();
+      const { userId } = req.params;
+      if (!(await store.getIntake(userId))) return caseNotFound(res);
+      const saved = await store.addCaseNote(userId, {
+        ...note,
+        authorId: req.user.id,
+        authorName: req.user.displayName || null,
+      });
+      await audit(req, AUDIT_ACTIONS.CASE_NOTE_ADD, {
+        recordId: saved.id,
+        fields: ["body"],
+      });
+      res.status(201).json({ note: saved });
+    } catch (error) {
+      logger.error("Case note error", error);
+      res.status(500).json({ error: "Failed to save the note." });
+    }
+  }
+);
+
+// Caseworkers take unassigned cases and release their own; agency
+// administrators can assign any case to anyone
+const canChangeAssignment = (user, current, assignedTo) => {
+  if (user.appRoles.includes(ROLES.AGENCY_ADMIN)) return true;
+  const assignee = current ? current.assignedTo : null;
+  if (assignee && assignee !== user.id) return false;
+  return !assignedTo || assignedTo === user.id;
+};
 
-    // Invite user into EFSMOD tenant (Tenant B). Best-effort; failure will not break intake save.
-    let efsmodeInvite = null;
+app.put(
+  "/api/applicants/:userId/assignment",
+  staffIntakeAccess,
+  async (req, res) => {
+    const { assignment, errors } = validateAssignment(req.body);
+    if (Object.keys(errors).length) {
+      return res.status(422).json({
+        error: "Please correct the highlighted fields.",
+        fields: errors,
+      });
+    }
     try {
-      efsmodeInvite = await inviteExternalUserToEfmod({
-        firstName,
-        lastName,
-        email,
-        department: sanitize(body.department, 150),
-        jobTitle: sanitize(body.jobTitle, 150),
+      const store = getStore();
+      const { userId } = req.params;
+      if (!(await store.getIntake(userId))) return caseNotFound(res);
+      const current = await store.getCaseAssignment(userId);
+      if (!canChangeAssignment(req.user, current, assignment.assignedTo)) {
+        return res.status(403).json({
+          error:
+            "Only an agency administrator can assign another caseworker's cases.",
+        });
+      }
+      const self = assignment.assignedTo === req.user.id;
+      await store.saveCaseAssignment(userId, {
+        assignedTo: assignment.assignedTo,
+        assignedToName:
+          assignment.assignedToName ||
+          (self ? req.user.displayName || null : null),
+        assignedBy: req.user.id,
       });
-    } catch (efmodErr) {
-      console.warn("EFSMOD invite failed:", efmodErr?.message || efmodErr);
-      efsmodeInvite = { error: efmodErr?.message };
+      await audit(req, AUDIT_ACTIONS.CASE_ASSIGN, {
+        fields: ["assignedTo"],
+      });
+      res.json({
+        userId,
+        assignment: toAssignment(await store.getCaseAssignment(userId)),
+      });
+    } catch (error) {
+      logger.error("Case assignment error", error);
+      res.status(500).json({ error: "Failed to assign the application." });
     }
+  }
+);
 
+// EFSMOD invitation status. Checks Tenant B for redemption while the
+// invitation is still outstanding.
+const invitationHandler = async (req, res) => {
+  try {
+    const userId = req.params.userId || req.user.id;
+    const store = getStore();
+    const invitation = await refreshRedemptionStatus(
+      store,
+      await store.getEfsmodInvitation(userId)
+    );
+    if (!invitation) {
+      return res.status(404).json({ error: "No EFSMOD invitation found." });
+    }
+    await audit(req, AUDIT_ACTIONS.EFSMOD_INVITATION_READ);
     res.json({
-      message: "Intake form saved successfully.",
-      efsmodeInvite,
+      userId,
+      invitation: toInvitationStatus(invitation, {
+        includeDetails: Boolean(req.params.userId),
+      }),
+    });
+  } catch (error) {
+    logger.error("EFSMOD invitation lookup error", error);
+    res.status(500).json({ error: "Failed to load EFSMOD invitation." });
+  }
+};
+
+app.get("/api/efsmod/invitation", ownIntakeAccess, invitationHandler);
+app.get("/api/efsmod/link", ownIntakeAccess, async (req, res) => {
+  try {
+    const store = getStore();
+    const invitation = await refreshRedemptionStatus(
+      store,
+      await store.getEfsmodInvitation(req.user.id)
+    );
+    if (!invitation) {
+      return res.status(404).json({ error: "No EFSMOD invitation found." });
+    }
+    await audit(req, AUDIT_ACTIONS.EFSMOD_INVITATION_READ, {
+      fields: ["link"],
+    });
+    res.set("Cache-Control", "no-store");
+    res.json(resolveEfsmodLink(invitation));
+  } catch (error) {
+    logger.error("EFSMOD link lookup error", error);
+    res.status(500).json({ error: "Failed to load EFSMOD link." });
+  }
+});
+app.get(
+  "/api/applicants/:userId/efsmod/invitation",
+  staffIntakeAccess,
+  invitationHandler
+);
+
+// Initial password of the applicant's member account. Status is always
+// readable; the password itself only once, then it is erased.
+app.get(
+  "/api/account/credentials",
+  requireRole(ROLES.APPLICANT),
+  async (req, res) => {
+    try {
+      const delivery = await getStore().getCredentialDelivery(req.user.id);
+      if (!delivery) {
+        return res.status(404).json({ error: "No initial password issued." });
+      }
+      await audit(req, AUDIT_ACTIONS.CREDENTIAL_READ);
+      res.json(describeCredentialDelivery(delivery));
+    } catch (error) {
+      logger.error("Credential status error", error);
+      res.status(500).json({ error: "Failed to load password status." });
+    }
+  }
+);
+
+app.post(
+  "/api/account/credentials/view",
+  requireRole(ROLES.APPLICANT),
+  async (req, res) => {
+    res.set({ "Cache-Control": "no-store", Pragma: "no-cache" });
+    try {
+      const password = await getStore().takeCredentialSecret(req.user.id);
+      if (!password) {
+        return res.status(410).json({
+          error:
+            "This password has already been viewed or has expired. Contact support to have it reset.",
+        });
+      }
+      await audit(req, AUDIT_ACTIONS.CREDENTIAL_VIEW, { fields: ["password"] });
+      res.json({ password, mustChangeOnSignIn: true });
+    } catch (error) {
+      logger.error("Credential view error", error);
+      res.status(500).json({ error: "Failed to load password." });
+    }
+  }
+);
+
+// Access audit log (see config/audit.js). Agency administrators search it
+// and export it for data-sharing reviews; both are audited in turn.
+const auditAccess = requireRole(ROLES.AGENCY_ADMIN);
+
+app.get("/api/audit", auditAccess, async (req, res) => {
+  const { filter, errors } = validateAuditQuery(req.query);
+  if (Object.keys(errors).length) {
+    return res.status(422).json({
+      error: "Please correct the highlighted fields.",
+      fields: errors,
+    });
+  }
+  try {
+    const { page, pageSize, offset, ...criteria } = filter;
+    const { total, events } = await getStore().listAuditEvents({
+      ...criteria,
+      offset,
+      limit: pageSize,
+    });
+    await audit(req, AUDIT_ACTIONS.AUDIT_SEARCH, {
+      targetId: criteria.targetId,
+      fields: usedCriteria(criteria),
+    });
+    res.set("Cache-Control", "no-store");
+    res.json({
+      events: events.map(toAuditRecord),
+      page,
+      pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize),
     });
   } catch (error) {
-    const status = error instanceof ProfileError ? error.status : 500;
-    if (!(error instanceof ProfileError)) {
-      console.error("Intake form submission error:", error);
+    logger.error("Audit log search error", error);
+    res.status(500).json({ error: "Failed to search the audit log." });
+  }
+});
+
+app.get("/api/audit/export", auditAccess, async (req, res) => {
+  const { filter, errors } = validateAuditQuery(req.query);
+  const format = req.query.format || "csv";
+  if (!AUDIT_EXPORT_FORMATS.includes(format)) {
+    errors.format = `Choose one of: ${AUDIT_EXPORT_FORMATS.join(", ")}.`;
+  }
+  if (Object.keys(errors).length) {
+    return res.status(422).json({
+      error: "Please correct the highlighted fields.",
+      fields: errors,
+    });
+  }
+  try {
+    const { page, pageSize, offset, ...criteria } = filter;
+    const { total, events } = await getStore().listAuditEvents({
+      ...criteria,
+      offset: 0,
+      limit: AUDIT_EXPORT_MAX_EVENTS,
+    });
+    if (total > AUDIT_EXPORT_MAX_EVENTS) {
+      return res.status(422).json({
+        error: "Please correct the highlighted fields.",
+        fields: {
+          from: `An export holds at most ${AUDIT_EXPORT_MAX_EVENTS} events; narrow the search.`,
+        },
+      });
     }
-    res.status(status).json({
-      error: error.message || "Failed to submit intake form.",
+    await audit(req, AUDIT_ACTIONS.AUDIT_EXPORT, {
+      targetId: criteria.targetId,
+      fields: usedCriteria(criteria),
+    });
+    const day = new Date().toISOString().slice(0, 10);
+    res.set({
+      "Content-Type":
+        format === "csv"
+          ? "text/csv; charset=utf-8"
+          : "application/x-ndjson; charset=utf-8",
+      "Content-Disposition": `attachment; filename="flwins-audit-${day}.${format}"`,
+      "Cache-Control": "no-store",
     });
+    res.send(formatAuditExport(events.map(toAuditRecord), format));
+  } catch (error) {
+    logger.error("Audit log export error", error);
+    res.status(500).json({ error: "Failed to export the audit log." });
   }
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error(err.stack);
+  logger.error("Unhandled request error", err);
   res.status(500).json({
     error: "Something went wrong!",
     message:
@@ -480,7 +1355,5 @@ app.use("*", (req, res) => {
   });
 });
 
-app.listen(port, () => {
-  console.log(`Server is running on port ${port}`);
-  console.log(`Environment: ${process.env.NODE_ENV || "development"}`);
-});
+// server.js listens; tests mount the app directly
+module.exports = { app, outboxWorker };
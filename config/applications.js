@@ -0,0 +1,287 @@
+// Application status for the applicant dashboard and caseworkers
+// An application's status is derived from what the store already records:
+//
+//   draft           - wizard answers saved, nothing submitted yet
+//   submitted       - intake submitted; EFSMOD invitation not sent yet
+//   efsmod-invited  - EFSMOD (Tenant B) invitation sent or accepted
+//   in-review       - a caseworker has started reviewing it
+//   approved        - a caseworker approved it
+//   denied          - a caseworker denied it (with a reason)
+//
+// The last three are caseworker decisions, kept as append-only status
+// events (dbo.ApplicationStatusEvents). A decision applies to the
+// submission it was made on: resubmitting the intake returns the
+// application to submitted/efsmod-invited until it is reviewed again.
+// Decision reasons are encrypted at rest by the store.
+
+const { INVITATION_STATUS } = require("./efsmod-invitations");
+
+const APPLICATION_STATUS = Object.freeze({
+  DRAFT: "draft",
+  SUBMITTED: "submitted",
+  EFSMOD_INVITED: "efsmod-invited",
+  IN_REVIEW: "in-review",
+  APPROVED: "approved",
+  DENIED: "denied",
+});
+
+const STATUS_LABELS = {
+  [APPLICATION_STATUS.DRAFT]: "Draft",
+  [APPLICATION_STATUS.SUBMITTED]: "Submitted",
+  [APPLICATION_STATUS.EFSMOD_INVITED]: "EFSMOD invitation sent",
+  [APPLICATION_STATUS.IN_REVIEW]: "In review",
+  [APPLICATION_STATUS.APPROVED]: "Approved",
+  [APPLICATION_STATUS.DENIED]: "Denied",
+};
+
+// Statuses a caseworker can set
+const REVIEW_STATUSES = [
+  APPLICATION_STATUS.IN_REVIEW,
+  APPLICATION_STATUS.APPROVED,
+  APPLICATION_STATUS.DENIED,
+];
+
+const REASON_MAX_LENGTH = 1000;
+
+const SCHOOL_READINESS = {
+  id: "school-readiness",
+  program: "School Readiness",
+  url: "/school-readiness.html",
+};
+
+/**
+ * Validates a caseworker's status change. Denials need a reason the
+ * applicant will see.
+ * @returns {{ change: { status: string, reason: string|null }, errors: Object<string, string> }}
+ */
+const validateStatusChange = (body = {}) => {
+  const input = body || {};
+  const errors = {};
+
+  const status = REVIEW_STATUSES.includes(input.status) ? input.status : null;
+  if (!status) {
+    errors.status = `Choose one of: ${REVIEW_STATUSES.join(", ")}.`;
+  }
+
+  let reason = null;
+  if (input.reason !== undefined && input.reason !== null) {
+    if (typeof input.reason !== "string") {
+      errors.reason = "Reason must be text.";
+    } else {
+      reason = input.reason.trim() || null;
+    }
+  }
+  if (reason && reason.length > REASON_MAX_LENGTH) {
+    errors.reason = `Reason must be ${REASON_MAX_LENGTH} characters or fewer.`;
+  } else if (!reason && status === APPLICATION_STATUS.DENIED) {
+    errors.reason = "Give the reason for the denial.";
+  }
+
+  return { change: { status, reason }, errors };
+};
+
+const time = (value) => (value ? new Date(value).getTime() : 0);
+
+const action = (id, label, href = null) => ({ id, label, href });
+
+const statusMessage = (status, decision) => {
+  switch (status) {
+    case APPLICATION_STATUS.DRAFT:
+      return "Your application is saved as a draft. Submit it from the review step when you are ready.";
+    case APPLICATION_STATUS.SUBMITTED:
+      return "We received your application.";
+    case APPLICATION_STATUS.EFSMOD_INVITED:
+      return "We received your application and sent your EFSMOD invitation. A caseworker will review it next.";
+    case APPLICATION_STATUS.IN_REVIEW:
+      return "A caseworker is reviewing your application. We will contact you if anything else is needed.";
+    case APPLICATION_STATUS.APPROVED:
+      return "Your application was approved.";
+    case APPLICATION_STATUS.DENIED:
+      return decision && decision.reason
+        ? `Your application was denied: ${decision.reason}`
+        : "Your application was denied.";
+    default:
+      return null;
+  }
+};
+
+/**
+ * Builds the School Readiness application from the applicant's records, or
+ * null when they have not started one.
+ * @param {{ draft?: object|null, versions?: object[], invitation?: object|null, events?: object[], documentCount?: number, efsmodLink?: string|null }} records
+ *   `versions` newest first (listIntakeVersions), `events` oldest first
+ * @param {{ includeDetails?: boolean }} [options] Staff also see who changed
+ *   each status
+ */
+const buildApplication = (
+  {
+    draft = null,
+    versions = [],
+    invitation = null,
+    events = [],
+    documentCount = 0,
+    efsmodLink = null,
+  },
+  { includeDetails = false } = {}
+) => {
+  if (!draft && !versions.length) return null;
+
+  const latest = versions[0] || null;
+  const submittedAt = latest ? latest.submittedAt : null;
+  const decision =
+    [...events]
+      .reverse()
+      .find((event) => latest && time(event.createdAt) >= time(submittedAt)) ||
+    null;
+  const invited =
+    invitation &&
+    [INVITATION_STATUS.INVITED, INVITATION_STATUS.REDEEMED].includes(
+      invitation.status
+    );
+
+  let status = APPLICATION_STATUS.DRAFT;
+  if (decision) status = decision.status;
+  else if (latest && invited) status = APPLICATION_STATUS.EFSMOD_INVITED;
+  else if (latest) status = APPLICATION_STATUS.SUBMITTED;
+
+  const timeline = [];
+  const add = (entryStatus, label, at, extra = {}) => {
+    if (at) timeline.push({ status: entryStatus, label, at, ...extra });
+  };
+  if (draft && !versions.length) {
+    add(APPLICATION_STATUS.DRAFT, "Application started", draft.createdAt);
+  }
+  [...versions]
+    .reverse()
+    .forEach((version) =>
+      add(
+        APPLICATION_STATUS.SUBMITTED,
+        version.sequence > 1
+          ? `Application resubmitted (version ${version.sequence})`
+          : "Application submitted",
+        version.submittedAt
+      )
+    );
+  if (invitation) {
+    add(
+      APPLICATION_STATUS.EFSMOD_INVITED,
+      "EFSMOD invitation sent",
+      invitation.invitedAt
+    );
+    add(
+      APPLICATION_STATUS.EFSMOD_INVITED,
+      "EFSMOD invitation accepted",
+      invitation.redeemedAt
+    );
+  }
+  for (const event of events) {
+    add(
+      event.status,
+      STATUS_LABELS[event.status] || event.status,
+      event.createdAt,
+      includeDetails
+        ? {
+            reason: event.reason || null,
+            changedBy: event.changedBy || null,
+            changedByName: event.changedByName || null,
+          }
+        : {}
+    );
+  }
+  timeline.sort((a, b) => time(a.at) - time(b.at));
+
+  const nextActions = [];
+  if (status === APPLICATION_STATUS.DRAFT) {
+    nextActions.push(
+      action("continue", "Continue your application", SCHOOL_READINESS.url)
+    );
+  } else if (draft) {
+    nextActions.push(
+      action(
+        "resubmit",
+        "Finish and resubmit your changes",
+        SCHOOL_READINESS.url
+      )
+    );
+  }
+  if (latest && invitation && invitation.status === INVITATION_STATUS.FAILED) {
+    nextActions.push(
+      action(
+        "contact-help",
+        "We could not send your EFSMOD invitation. Please call the help line."
+      )
+    );
+  }
+  if (
+    invitation &&
+    invitation.status === INVITATION_STATUS.INVITED &&
+    efsmodLink
+  ) {
+    nextActions.push(
+      action("accept-efsmod", "Accept your EFSMOD invitation", efsmodLink)
+    );
+  }
+  if (
+    latest &&
+    !documentCount &&
+    status !== APPLICATION_STATUS.APPROVED &&
+    status !== APPLICATION_STATUS.DENIED
+  ) {
+    nextActions.push(
+      action(
+        "upload-documents",
+        "Upload proof of income, residency or employment",
+        "/profile.html#supporting-documents"
+      )
+    );
+  }
+  if (status === APPLICATION_STATUS.DENIED && !draft) {
+    nextActions.push(
+      action(
+        "resubmit",
+        "Update and resubmit your application",
+        SCHOOL_READINESS.url
+      )
+    );
+  }
+
+  const firstSubmittedAt = versions.length
+    ? versions[versions.length - 1].submittedAt
+    : null;
+  const lastChanges = [
+    timeline.length ? timeline[timeline.length - 1].at : null,
+    draft && draft.updatedAt,
+  ].filter(Boolean);
+
+  return {
+    id: SCHOOL_READINESS.id,
+    program: SCHOOL_READINESS.program,
+    status,
+    statusLabel: STATUS_LABELS[status],
+    message: statusMessage(status, decision),
+    startedAt: firstSubmittedAt || draft.createdAt,
+    submittedAt,
+    firstSubmittedAt,
+    version: latest ? latest.sequence : null,
+    draftSavedAt: draft ? draft.updatedAt : null,
+    decision: decision
+      ? {
+          status: decision.status,
+          reason: decision.reason || null,
+          decidedAt: decision.createdAt,
+        }
+      : null,
+    updatedAt: lastChanges.sort((a, b) => time(b) - time(a))[0],
+    timeline,
+    nextActions,
+  };
+};
+
+module.exports = {
+  APPLICATION_STATUS,
+  STATUS_LABELS,
+  REVIEW_STATUSES,
+  SCHOOL_READINESS,
+  validateStatusChange,
+  buildApplication,
+};
@@ -0,0 +1,283 @@
+// Access audit log for applicant data
+// Every read and write of an applicant's records is appended to the audit
+// log (dbo.AuditEvents) with who did it, what they did, which applicant and
+// record it touched, the names of the fields written (never their values),
+// the client IP and the request's correlation id. Provisioning steps run by
+// the outbox are recorded as the "system" actor under the correlation id of
+// the intake save that queued them.
+//
+// Events are only ever appended: the SQL table refuses UPDATE and DELETE.
+// Writing an event is best effort so an audit outage does not lock
+// applicants out; failures are logged (without the event's contents) for
+// operations to follow up.
+
+const { logger } = require("./logger");
+const { DAY_MS, text, parseDay, parsePositiveInt } = require("./input-parsing");
+
+const AUDIT_ACTIONS = Object.freeze({
+  PROFILE_READ: "profile.read",
+  INTAKE_SUBMIT: "intake.submit",
+  INTAKE_VERSION_READ: "intake.version.read",
+  DRAFT_READ: "intake.draft.read",
+  DRAFT_SAVE: "intake.draft.save",
+  DRAFT_DELETE: "intake.draft.delete",
+  HOUSEHOLD_READ: "household.read",
+  HOUSEHOLD_CREATE: "household.create",
+  HOUSEHOLD_UPDATE: "household.update",
+  HOUSEHOLD_DELETE: "household.delete",
+  DOCUMENT_READ: "document.read",
+  DOCUMENT_DOWNLOAD: "document.download",
+  DOCUMENT_UPLOAD: "document.upload",
+  DOCUMENT_DELETE: "document.delete",
+  APPLICATION_READ: "application.read",
+  APPLICATION_STATUS_CHANGE: "application.status.change",
+  CASE_SEARCH: "case.search",
+  CASE_READ: "case.read",
+  CASE_NOTE_ADD: "case.note.add",
+  CASE_ASSIGN: "case.assign",
+  EFSMOD_INVITATION_READ: "efsmod.invitation.read",
+  EFSMOD_INVITE: "efsmod.invite",
+  ACCOUNT_CREATE: "account.create",
+  CREDENTIAL_READ: "credential.read",
+  CREDENTIAL_VIEW: "credential.view",
+  AUDIT_SEARCH: "audit.search",
+  AUDIT_EXPORT: "audit.export",
+});
+
+const ACTOR_TYPES = Object.freeze({ USER: "user", SYSTEM: "system" });
+const SYSTEM_ACTOR_ID = "flwins-outbox";
+const APPLICANT_TARGET = "applicant";
+
+const AUDIT_PAGE_SIZE = 50;
+const AUDIT_MAX_PAGE_SIZE = 200;
+const AUDIT_EXPORT_MAX_EVENTS = 10000;
+const AUDIT_EXPORT_FORMATS = ["csv", "ndjson"];
+
+const ACTIONS = Object.values(AUDIT_ACTIONS);
+
+/**
+ * The request's client address. Behind App Service the address comes from
+ * X-Forwarded-For (with TRUST_PROXY set), which may carry a port.
+ */
+const clientIp = (req) => {
+  const ip = req.ip || (req.socket && req.socket.remoteAddress) || null;
+  if (!ip) return null;
+  const bracketed = /^\[([^\]]+)\](?::\d+)?$/.exec(ip);
+  if (bracketed) return bracketed[1];
+  const ipv4WithPort = /^(\d{1,3}(?:\.\d{1,3}){3}):\d+$/.exec(ip);
+  if (ipv4WithPort) return ipv4WithPort[1];
+  return ip.startsWith("::ffff:") ? ip.slice(7) : ip;
+};
+
+/** Actor, IP and correlation id of a signed-in user's request */
+const auditContext = (req) => ({
+  actorType: ACTOR_TYPES.USER,
+  actorId: req.user ? req.user.id : null,
+  ip: clientIp(req),
+  correlationId: req.correlationId || null,
+});
+
+/** Actor of provisioning steps delivered by the outbox worker */
+const systemAuditContext = (correlationId = null) => ({
+  actorType: ACTOR_TYPES.SYSTEM,
+  actorId: SYSTEM_ACTOR_ID,
+  ip: null,
+  correlationId,
+});
+
+/**
+ * Names of the fields in `names` whose values differ between two records.
+ * Only the names are audited.
+ */
+const changedFieldNames = (before, after, names) =>
+  names.filter(
+    (name) => ((before || {})[name] ?? null) !== ((after || {})[name] ?? null)
+  );
+
+/** Normalizes an event for the store; unknown keys are dropped */
+const toAuditEvent = ({
+  actorType = ACTOR_TYPES.USER,
+  actorId = null,
+  action,
+  targetType = APPLICANT_TARGET,
+  targetId = null,
+  recordId = null,
+  fields = [],
+  ip = null,
+  correlationId = null,
+}) => ({
+  occurredAt: new Date(),
+  actorType,
+  actorId,
+  action,
+  targetType: targetId ? targetType : null,
+  targetId,
+  recordId: recordId === null ? null : String(recordId),
+  fields: [...new Set(fields)].sort(),
+  ip,
+  correlationId,
+});
+
+/**
+ * Appends an audit event. Never throws: a failed write is logged with the
+ * action and correlation id only, and the caller's request carries on.
+ * @param {import("./stores").Store} store
+ */
+const recordAuditEvent = async (store, event) => {
+  try {
+    await store.appendAuditEvent(toAuditEvent(event));
+  } catch (error) {
+    logger.error("Audit write failed", {
+      action: event.action,
+      correlationId: event.correlationId || null,
+      error,
+    });
+  }
+};
+
+/**
+ * Validates an audit log query. Dates are whole days (YYYY-MM-DD, UTC), both
+ * inclusive.
+ * @returns {{ filter: { actorId: string|null, targetId: string|null, action: string|null, correlationId: string|null, from: Date|null, before: Date|null, page: number, pageSize: number, offset: number }, errors: Object<string, string> }}
+ *   `before` is exclusive (the day after `to`)
+ */
+const validateAuditQuery = (query = {}) => {
+  const input = query || {};
+  const errors = {};
+
+  const action = text(input.action);
+  if (action && !ACTIONS.includes(action)) {
+    errors.action = "Choose one of the audited actions.";
+  }
+
+  const fromText = text(input.from);
+  const toText = text(input.to);
+  const from = fromText ? parseDay(fromText) : null;
+  const to = toText ? parseDay(toText) : null;
+  if (fromText && !from) errors.from = "Enter the date as YYYY-MM-DD.";
+  if (toText && !to) errors.to = "Enter the date as YYYY-MM-DD.";
+  if (from && to && from > to) {
+    errors.to = "The end date must be on or after the start date.";
+  }
+
+  const page = parsePositiveInt(input.page, 1);
+  if (Number.isNaN(page)) {
+    errors.page = "Page must be a whole number of 1 or more.";
+  }
+  const pageSize = parsePositiveInt(input.pageSize, AUDIT_PAGE_SIZE);
+  if (Number.isNaN(pageSize) || pageSize > AUDIT_MAX_PAGE_SIZE) {
+    errors.pageSize = `Page size must be between 1 and ${AUDIT_MAX_PAGE_SIZE}.`;
+  }
+
+  return {
+    filter: {
+      actorId: text(input.actorId),
+      targetId: text(input.targetId),
+      action,
+      correlationId: text(input.correlationId),
+      from,
+      before: to ? new Date(to.getTime() + DAY_MS) : null,
+      page,
+      pageSize,
+      offset: (page - 1) * pageSize,
+    },
+    errors,
+  };
+};
+
+/** Query parameters that were used, for auditing the query itself */
+const usedCriteria = (filter) => [
+  ...["actorId", "targetId", "action", "correlationId", "from"].filter(
+    (name) => filter[name]
+  ),
+  ...(filter.before ? ["to"] : []),
+];
+
+/** Memory-store version of the query filter (SQL does the same in T-SQL). */
+const matchesAuditFilter = (event, filter) => {
+  const occurredAt = new Date(event.occurredAt);
+  return (
+    (!filter.actorId || event.actorId === filter.actorId) &&
+    (!filter.targetId || event.targetId === filter.targetId) &&
+    (!filter.action || event.action === filter.action) &&
+    (!filter.correlationId || event.correlationId === filter.correlationId) &&
+    (!filter.from || occurredAt >= filter.from) &&
+    (!filter.before || occurredAt < filter.before)
+  );
+};
+
+// API shape of an event
+const toAuditRecord = (event) => ({
+  id: event.id,
+  occurredAt: new Date(event.occurredAt).toISOString(),
+  actorType: event.actorType,
+  actorId: event.actorId,
+  action: event.action,
+  targetType: event.targetType,
+  targetId: event.targetId,
+  recordId: event.recordId,
+  fields: event.fields || [],
+  ip: event.ip,
+  correlationId: event.correlationId,
+});
+
+const CSV_COLUMNS = [
+  "id",
+  "occurredAt",
+  "actorType",
+  "actorId",
+  "action",
+  "targetType",
+  "targetId",
+  "recordId",
+  "fields",
+  "ip",
+  "correlationId",
+];
+
+// Quotes a CSV cell; cells a spreadsheet would run as a formula get a
+// leading apostrophe
+const csvCell = (value) => {
+  let cell = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(cell)) cell = `'${cell}`;
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+/**
+ * Serializes audit records for export. CSV lists `fields` separated by
+ * spaces; NDJSON is one JSON record per line.
+ * @param {object[]} records toAuditRecord output
+ * @param {"csv"|"ndjson"} format
+ */
+const formatAuditExport = (records, format) => {
+  if (format === "ndjson") {
+    return records.map((record) => `${JSON.stringify(record)}\n`).join("");
+  }
+  const rows = records.map((record) =>
+    CSV_COLUMNS.map((column) =>
+      csvCell(column === "fields" ? record.fields.join(" ") : record[column])
+    ).join(",")
+  );
+  return `${[CSV_COLUMNS.join(","), ...rows].join("\r\n")}\r\n`;
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  ACTOR_TYPES,
+  SYSTEM_ACTOR_ID,
+  AUDIT_PAGE_SIZE,
+  AUDIT_MAX_PAGE_SIZE,
+  AUDIT_EXPORT_MAX_EVENTS,
+  AUDIT_EXPORT_FORMATS,
+  clientIp,
+  auditContext,
+  systemAuditContext,
+  changedFieldNames,
+  toAuditEvent,
+  recordAuditEvent,
+  validateAuditQuery,
+  usedCriteria,
+  matchesAuditFilter,
+  toAuditRecord,
+  formatAuditExport,
+};
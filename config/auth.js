@@ -0,0 +1,311 @@
+// Authentication middleware
+// Resolves the App Service (Easy Auth) principal once per request, from the
+// x-ms-client-principal header or /.auth/me, and exposes it as `req.user`.
+// The header is only trusted behind Easy Auth or the local emulator, which
+// replace any copy the client sent; anywhere else a client could forge it.
+
+const fetch =
+  globalThis.fetch ||
+  ((...args) =>
+    import("node-fetch").then(({ default: fetchFn }) => fetchFn(...args)));
+const { logger } = require("./logger");
+const { isEasyAuthEmulatorEnabled } = require("./easy-auth-emulator");
+
+const CLAIM_TYPES = {
+  displayName: [
+    "name",
+    "http://schemas.microsoft.com/identity/claims/displayname",
+    "http://schemas.xmlsoap.org/ws/2005/05/identity/claims/name",
+    "preferred_username",
+  ],
+  firstName: [
+    "http://schemas.xmlsoap.org/ws/2005/05/identity/claims/givenname",
+    "given_name",
+  ],
+  lastName: [
+    "http://schemas.xmlsoap.org/ws/2005/05/identity/claims/surname",
+    "family_name",
+  ],
+  email: [
+    "http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress",
+    "email",
+    "preferred_username",
+    "upn",
+    "http://schemas.xmlsoap.org/ws/2005/05/identity/claims/upn",
+  ],
+  department: [
+    "department",
+    "http://schemas.microsoft.com/ws/2008/06/identity/claims/department",
+  ],
+  jobTitle: [
+    "jobTitle",
+    "http://schemas.microsoft.com/identity/claims/jobtitle",
+  ],
+  phone: [
+    "http://schemas.xmlsoap.org/ws/2005/05/identity/claims/otherphone",
+    "phone_number",
+  ],
+  objectId: [
+    "http://schemas.microsoft.com/identity/claims/objectidentifier",
+    "oid",
+  ],
+  roles: [
+    "roles",
+    "http://schemas.microsoft.com/ws/2008/06/identity/claims/role",
+  ],
+  groups: ["groups"],
+};
+
+/**
+ * @typedef {Object} Claim
+ * @property {string} typ
+ * @property {string} val
+ */
+
+/**
+ * Normalized signed-in user attached to `req.user`.
+ * @typedef {Object} AuthenticatedUser
+ * @property {string} id Easy Auth user id (UPN or email); key for intake data
+ * @property {string|null} objectId Entra object id, when present in claims
+ * @property {string} identityProvider
+ * @property {string|null} displayName
+ * @property {string|null} firstName
+ * @property {string|null} lastName
+ * @property {string|null} email
+ * @property {string|null} department
+ * @property {string|null} jobTitle
+ * @property {string|null} phone
+ * @property {string[]} roles Raw `roles` claim values
+ * @property {string[]} groups Raw `groups` claim values
+ * @property {Claim[]} claims
+ * @property {string|null} accessToken Delegated token for Microsoft Graph
+ * @property {"header"|"auth-me"} source Where the principal was read from
+ */
+
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const getClaimValue = (claims = [], claimTypes = []) => {
+  for (const type of claimTypes) {
+    const claim = claims.find((c) => c.typ === type);
+    if (claim && claim.val) {
+      return claim.val;
+    }
+  }
+  return null;
+};
+
+const getClaimValues = (claims = [], claimTypes = []) => {
+  const values = claims
+    .filter((c) => claimTypes.includes(c.typ) && c.val)
+    .map((c) => c.val);
+  return [...new Set(values)];
+};
+
+/**
+ * Where this app's own /.auth/me is served: APP_BASE_URL, or the
+ * WEBSITE_HOSTNAME App Service sets. Never taken from the request's Host or
+ * X-Forwarded-Proto, because roles are granted from the response and a
+ * forged Host could point the lookup at a server returning any principal.
+ * Null off App Service, where there is no /.auth/me to ask.
+ */
+const getAppBaseUrl = (env = process.env) => {
+  if (env.APP_BASE_URL) return env.APP_BASE_URL.trim().replace(/\/+$/, "");
+  if (env.WEBSITE_HOSTNAME) return `https://${env.WEBSITE_HOSTNAME}`;
+  return null;
+};
+
+// App Service sets WEBSITE_AUTH_ENABLED when Easy Auth is configured
+const trustsPrincipalHeaders = (env = process.env) =>
+  env.WEBSITE_AUTH_ENABLED === "True" || isEasyAuthEmulatorEnabled(env);
+
+/**
+ * Builds the normalized user from a raw principal.
+ * @returns {AuthenticatedUser}
+ */
+const normalizePrincipal = ({
+  userId,
+  identityProvider,
+  claims = [],
+  accessToken = null,
+  source,
+}) => ({
+  id: userId,
+  objectId: getClaimValue(claims, CLAIM_TYPES.objectId),
+  identityProvider: identityProvider || "aad",
+  displayName: getClaimValue(claims, CLAIM_TYPES.displayName),
+  firstName: getClaimValue(claims, CLAIM_TYPES.firstName),
+  lastName: getClaimValue(claims, CLAIM_TYPES.lastName),
+  email: getClaimValue(claims, CLAIM_TYPES.email),
+  department: getClaimValue(claims, CLAIM_TYPES.department),
+  jobTitle: getClaimValue(claims, CLAIM_TYPES.jobTitle),
+  phone: getClaimValue(claims, CLAIM_TYPES.phone),
+  roles: getClaimValues(claims, CLAIM_TYPES.roles),
+  groups: getClaimValues(claims, CLAIM_TYPES.groups),
+  claims,
+  accessToken,
+  source,
+});
+
+/**
+ * Decodes x-ms-client-principal. Accepts the App Service shape
+ * ({ auth_typ, claims }) and the Static Web Apps shape
+ * ({ identityProvider, userId, userDetails, userRoles }).
+ */
+const principalFromHeaders = (req) => {
+  const encoded = req.headers["x-ms-client-principal"];
+  if (!encoded || !trustsPrincipalHeaders()) return null;
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(encoded, "base64").toString("utf8"));
+  } catch (_) {
+    throw new AuthError("Malformed x-ms-client-principal header", 400);
+  }
+
+  const claims = Array.isArray(decoded.claims)
+    ? decoded.claims.filter((c) => c && c.typ)
+    : [];
+  if (Array.isArray(decoded.userRoles)) {
+    for (const role of decoded.userRoles) {
+      claims.push({ typ: "roles", val: role });
+    }
+  }
+
+  const nameClaim = decoded.name_typ
+    ? getClaimValue(claims, [decoded.name_typ])
+    : null;
+  const userId =
+    req.headers["x-ms-client-principal-name"] ||
+    decoded.userDetails ||
+    nameClaim ||
+    decoded.userId ||
+    req.headers["x-ms-client-principal-id"];
+
+  if (!userId) return null;
+
+  return normalizePrincipal({
+    userId,
+    identityProvider:
+      req.headers["x-ms-client-principal-idp"] ||
+      decoded.auth_typ ||
+      decoded.identityProvider,
+    claims,
+    accessToken: req.headers["x-ms-token-aad-access-token"] || null,
+    source: "header",
+  });
+};
+
+const principalFromAuthMe = async (req) => {
+  const baseUrl = getAppBaseUrl();
+  if (!baseUrl) return null;
+  const authResponse = await fetch(`${baseUrl}/.auth/me`, {
+    headers: {
+      cookie: req.headers.cookie || "",
+      "x-zumo-auth": req.headers["x-zumo-auth"] || "",
+    },
+  });
+
+  if (authResponse.status === 401 || authResponse.status === 404) {
+    return null;
+  }
+  if (!authResponse.ok) {
+    throw new AuthError("Authentication context not available", 500);
+  }
+
+  const authData = await authResponse.json().catch(() => null);
+  const principal = Array.isArray(authData) ? authData[0] : null;
+  if (!principal || !principal.user_id) return null;
+
+  return normalizePrincipal({
+    userId: principal.user_id,
+    identityProvider: principal.provider_name || principal.identity_provider,
+    claims: principal.user_claims || [],
+    accessToken: principal.access_token || null,
+    source: "auth-me",
+  });
+};
+
+/**
+ * Resolves the principal for this request, at most once.
+ * Resolves to null for anonymous requests; rejects with AuthError when the
+ * authentication context itself is broken.
+ * @returns {Promise<AuthenticatedUser|null>}
+ */
+const resolveUser = (req) => {
+  if (!req._authPromise) {
+    req._authPromise = (async () => {
+      const fromHeader = principalFromHeaders(req);
+      if (fromHeader) return fromHeader;
+      return principalFromAuthMe(req);
+    })();
+  }
+  return req._authPromise;
+};
+
+const sendAuthError = (res, error) => {
+  const status = error instanceof AuthError ? error.status : 500;
+  if (!(error instanceof AuthError)) {
+    logger.error("Authentication error", error);
+  }
+  res.status(status).json({
+    error: error.message || "Authentication failed",
+    authenticated: false,
+  });
+};
+
+// Populates req.user (null when anonymous). Never rejects the request.
+const optionalAuth = async (req, res, next) => {
+  try {
+    req.user = await resolveUser(req);
+  } catch (error) {
+    logger.warn("Authentication context unavailable", error);
+    req.user = null;
+  }
+  next();
+};
+
+// Populates req.user or responds 401 when there is no signed-in user.
+const requireAuth = async (req, res, next) => {
+  try {
+    req.user = await resolveUser(req);
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+  if (!req.user) {
+    return sendAuthError(res, new AuthError("User not authenticated", 401));
+  }
+  next();
+};
+
+// Public shape used by /api/auth/status and /api/auth/me
+const toAuthStatus = (user, roles = []) =>
+  user
+    ? {
+        authenticated: true,
+        user: {
+          id: user.id,
+          name: user.displayName || user.email || user.id,
+          email: user.email,
+          provider: user.identityProvider,
+          roles,
+        },
+      }
+    : { authenticated: false, user: null };
+
+module.exports = {
+  CLAIM_TYPES,
+  AuthError,
+  getClaimValue,
+  getAppBaseUrl,
+  trustsPrincipalHeaders,
+  normalizePrincipal,
+  resolveUser,
+  optionalAuth,
+  requireAuth,
+  toAuthStatus,
+};
@@ -0,0 +1,104 @@
+// Role-based access control
+// Maps Entra app roles (`roles` claim) and security groups (`groups` claim)
+// on the signed-in principal to FLWINS app roles and guards routes by them.
+
+const { requireAuth } = require("./auth");
+
+const ROLES = Object.freeze({
+  APPLICANT: "applicant",
+  CASEWORKER: "caseworker",
+  AGENCY_ADMIN: "agency-admin",
+  SYSTEM_ADMIN: "system-admin",
+});
+
+// Higher roles inherit everything granted to the roles they list
+const IMPLIED_ROLES = {
+  [ROLES.SYSTEM_ADMIN]: [ROLES.AGENCY_ADMIN, ROLES.CASEWORKER],
+  [ROLES.AGENCY_ADMIN]: [ROLES.CASEWORKER],
+};
+
+// Default Entra app role values; override per environment with
+// RBAC_<ROLE>_ROLES / RBAC_<ROLE>_GROUPS (comma-separated).
+const DEFAULT_ROLE_CLAIMS = {
+  [ROLES.CASEWORKER]: ["FLWINS.Caseworker"],
+  [ROLES.AGENCY_ADMIN]: ["FLWINS.AgencyAdmin"],
+  [ROLES.SYSTEM_ADMIN]: ["FLWINS.SystemAdmin"],
+};
+
+const envKey = (role) => role.toUpperCase().replace(/-/g, "_");
+
+const parseList = (value) =>
+  String(value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+function getRoleMappings(env = process.env) {
+  const mappings = {};
+  for (const role of Object.keys(DEFAULT_ROLE_CLAIMS)) {
+    const roleOverride = env[`RBAC_${envKey(role)}_ROLES`];
+    mappings[role] = {
+      roles: roleOverride ? parseList(roleOverride) : DEFAULT_ROLE_CLAIMS[role],
+      groups: parseList(env[`RBAC_${envKey(role)}_GROUPS`]),
+    };
+  }
+  return mappings;
+}
+
+/**
+ * Resolves the FLWINS app roles for a normalized user (see config/auth.js).
+ * Every signed-in user is an applicant; staff roles come from claims.
+ * @returns {string[]}
+ */
+function getAppRoles(user, env = process.env) {
+  if (!user) return [];
+
+  const claimRoles = (user.roles || []).map((r) => r.toLowerCase());
+  const claimGroups = (user.groups || []).map((g) => g.toLowerCase());
+  const granted = new Set([ROLES.APPLICANT]);
+
+  for (const [role, mapping] of Object.entries(getRoleMappings(env))) {
+    const byRole = mapping.roles.some((r) =>
+      claimRoles.includes(r.toLowerCase())
+    );
+    const byGroup = mapping.groups.some((g) =>
+      claimGroups.includes(g.toLowerCase())
+    );
+    if (byRole || byGroup) {
+      granted.add(role);
+      for (const implied of IMPLIED_ROLES[role] || []) granted.add(implied);
+    }
+  }
+
+  return Object.values(ROLES).filter((role) => granted.has(role));
+}
+
+function hasRole(user, ...roles) {
+  const appRoles = getAppRoles(user);
+  return roles.some((role) => appRoles.includes(role));
+}
+
+/**
+ * Route guard: 401 when signed out, 403 unless the user holds one of `roles`.
+ */
+function requireRole(...roles) {
+  const checkRole = (req, res, next) => {
+    req.user.appRoles = getAppRoles(req.user);
+    if (!roles.some((role) => req.user.appRoles.includes(role))) {
+      return res.status(403).json({
+        error: "You do not have permission to access this resource.",
+        requiredRoles: roles,
+      });
+    }
+    next();
+  };
+  return [requireAuth, checkRole];
+}
+
+module.exports = {
+  ROLES,
+  getRoleMappings,
+  getAppRoles,
+  hasRole,
+  requireRole,
+};
@@ -0,0 +1,198 @@
+// Caseworker portal: searching, reading and annotating intake submissions
+// A "case" is one applicant's current intake (dbo.IntakeForms) seen by staff,
+// with its submission history, internal notes and the caseworker it is
+// assigned to. Notes are staff-only and encrypted at rest; applicants never
+// see them.
+//
+// Search works on what can be matched without decrypting: names, ZIP code
+// and submission dates are stored in the clear, while email is encrypted and
+// only matches exactly, through its blind index.
+
+const { DAY_MS, text, parseDay, parsePositiveInt } = require("./input-parsing");
+
+const CASE_PAGE_SIZE = 25;
+const CASE_MAX_PAGE_SIZE = 100;
+const NOTE_MAX_LENGTH = 4000;
+const NAME_QUERY_MAX_LENGTH = 150;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ZIP_PREFIX_PATTERN = /^\d{3,5}$/;
+
+// assignedTo filter values besides a caseworker's user id
+const ASSIGNED_TO_ME = "me";
+const UNASSIGNED = "unassigned";
+
+/**
+ * Validates the search query string. Dates are whole days (YYYY-MM-DD, UTC),
+ * both inclusive. `assignedTo` is a caseworker's user id, "me" or
+ * "unassigned".
+ * @param {object} query
+ * @param {{ userId: string }} viewer The signed-in caseworker, for "me"
+ * @returns {{ filter: { name: string|null, email: string|null, zipCode: string|null, submittedFrom: Date|null, submittedBefore: Date|null, assignedTo: string|null|undefined, page: number, pageSize: number, offset: number }, errors: Object<string, string> }}
+ *   `submittedBefore` is exclusive (the day after `submittedTo`);
+ *   `assignedTo` is undefined for any and null for unassigned
+ */
+const validateCaseSearch = (query = {}, { userId } = {}) => {
+  const input = query || {};
+  const errors = {};
+
+  const name = text(input.name);
+  if (name && name.length > NAME_QUERY_MAX_LENGTH) {
+    errors.name = `Search by up to ${NAME_QUERY_MAX_LENGTH} characters of the name.`;
+  }
+
+  const email = text(input.email);
+  if (email && !EMAIL_PATTERN.test(email)) {
+    errors.email = "Enter the applicant's full email address.";
+  }
+
+  const zipCode = text(input.zipCode);
+  if (zipCode && !ZIP_PREFIX_PATTERN.test(zipCode)) {
+    errors.zipCode = "Enter the first 3 to 5 digits of the ZIP code.";
+  }
+
+  const from = text(input.submittedFrom);
+  const to = text(input.submittedTo);
+  const submittedFrom = from ? parseDay(from) : null;
+  const submittedTo = to ? parseDay(to) : null;
+  if (from && !submittedFrom) {
+    errors.submittedFrom = "Enter the date as YYYY-MM-DD.";
+  }
+  if (to && !submittedTo) {
+    errors.submittedTo = "Enter the date as YYYY-MM-DD.";
+  }
+  if (submittedFrom && submittedTo && submittedFrom > submittedTo) {
+    errors.submittedTo = "The end date must be on or after the start date.";
+  }
+
+  let assignedTo;
+  const assigned = text(input.assignedTo);
+  if (assigned === UNASSIGNED) assignedTo = null;
+  else if (assigned === ASSIGNED_TO_ME) assignedTo = userId;
+  else if (assigned) assignedTo = assigned;
+
+  const page = parsePositiveInt(input.page, 1);
+  if (Number.isNaN(page)) {
+    errors.page = "Page must be a whole number of 1 or more.";
+  }
+  const pageSize = parsePositiveInt(input.pageSize, CASE_PAGE_SIZE);
+  if (Number.isNaN(pageSize) || pageSize > CASE_MAX_PAGE_SIZE) {
+    errors.pageSize = `Page size must be between 1 and ${CASE_MAX_PAGE_SIZE}.`;
+  }
+
+  return {
+    filter: {
+      name,
+      email,
+      zipCode,
+      submittedFrom,
+      submittedBefore: submittedTo
+        ? new Date(submittedTo.getTime() + DAY_MS)
+        : null,
+      assignedTo,
+      page,
+      pageSize,
+      offset: (page - 1) * pageSize,
+    },
+    errors,
+  };
+};
+
+// Every word of a name search must start the first or the last name, so
+// "jan riv" finds Jane Rivera
+const nameTerms = (name) =>
+  name ? name.toLowerCase().split(/\s+/).filter(Boolean) : [];
+
+/** Memory-store version of the search filter (SQL does the same in T-SQL). */
+const matchesCaseFilter = (intake, assignment, filter) => {
+  const first = (intake.firstName || "").toLowerCase();
+  const last = (intake.lastName || "").toLowerCase();
+  const submitted = new Date(intake.updatedAt);
+  const assignedTo = assignment ? assignment.assignedTo || null : null;
+  return (
+    nameTerms(filter.name).every(
+      (term) => first.startsWith(term) || last.startsWith(term)
+    ) &&
+    (!filter.emailHash || intake.emailHash === filter.emailHash) &&
+    (!filter.zipCode || (intake.zipCode || "").startsWith(filter.zipCode)) &&
+    (!filter.submittedFrom || submitted >= filter.submittedFrom) &&
+    (!filter.submittedBefore || submitted < filter.submittedBefore) &&
+    (filter.assignedTo === undefined || assignedTo === filter.assignedTo)
+  );
+};
+
+/** @returns {{ note: { body: string|null }, errors: Object<string, string> }} */
+const validateCaseNote = (body = {}) => {
+  const input = body || {};
+  const errors = {};
+  const note = typeof input.body === "string" ? input.body.trim() : "";
+  if (!note) {
+    errors.body = "Write the note before saving it.";
+  } else if (note.length > NOTE_MAX_LENGTH) {
+    errors.body = `Notes must be ${NOTE_MAX_LENGTH} characters or fewer.`;
+  }
+  return { note: { body: note || null }, errors };
+};
+
+/**
+ * Validates an assignment change. `caseworkerId: null` unassigns.
+ * @returns {{ assignment: { assignedTo: string|null, assignedToName: string|null }, errors: Object<string, string> }}
+ */
+const validateAssignment = (body = {}) => {
+  const input = body || {};
+  const errors = {};
+  const assignedTo = text(input.caseworkerId);
+  if (
+    !("caseworkerId" in input) ||
+    (input.caseworkerId !== null && !assignedTo)
+  ) {
+    errors.caseworkerId = "Choose a caseworker, or null to unassign.";
+  } else if (assignedTo && assignedTo.length > 255) {
+    errors.caseworkerId = "Caseworker id is too long.";
+  }
+  const name = text(input.caseworkerName);
+  return {
+    assignment: {
+      assignedTo,
+      assignedToName: assignedTo && name ? name.slice(0, 256) : null,
+    },
+    errors,
+  };
+};
+
+// API shape of a search result
+const toCaseSummary = (row) => ({
+  userId: row.userId,
+  firstName: row.firstName,
+  lastName: row.lastName,
+  email: row.email,
+  city: row.city,
+  zipCode: row.zipCode,
+  firstSubmittedAt: row.createdAt,
+  lastSubmittedAt: row.updatedAt,
+  assignedTo: row.assignedTo || null,
+  assignedToName: row.assignedToName || null,
+});
+
+const toAssignment = (row) =>
+  row && row.assignedTo
+    ? {
+        assignedTo: row.assignedTo,
+        assignedToName: row.assignedToName || null,
+        assignedBy: row.assignedBy || null,
+        assignedAt: row.updatedAt,
+      }
+    : null;
+
+module.exports = {
+  CASE_PAGE_SIZE,
+  CASE_MAX_PAGE_SIZE,
+  NOTE_MAX_LENGTH,
+  validateCaseSearch,
+  nameTerms,
+  matchesCaseFilter,
+  validateCaseNote,
+  validateAssignment,
+  toCaseSummary,
+  toAssignment,
+};
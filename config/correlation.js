@@ -0,0 +1,70 @@
+// Per-request correlation ids
+// Every request gets an id that ties together what it caused: audit events,
+// log lines, outbound Graph/EFSMOD calls and the outbox steps it queued. A
+// caller (or an upstream proxy) can supply its own in X-Correlation-Id;
+// anything that is not a short, plain token is replaced so it is safe to log
+// and store. The id is echoed back in the response header.
+//
+// The current id is kept in async context, so code far from the request
+// (the logger, the Graph client) reads it with getCorrelationId() instead of
+// having it passed down. The outbox worker restores the id of the request
+// that queued a message while delivering it.
+
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const CORRELATION_HEADER = "x-correlation-id";
+const CORRELATION_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+const GUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const storage = new AsyncLocalStorage();
+
+const resolveCorrelationId = (value) =>
+  typeof value === "string" && CORRELATION_ID_PATTERN.test(value)
+    ? value
+    : crypto.randomUUID();
+
+/** The correlation id of the work in progress, or null outside of one */
+const getCorrelationId = () => {
+  const context = storage.getStore();
+  return context ? context.correlationId : null;
+};
+
+/** Runs `fn` with `correlationId` as the current id. */
+const runWithCorrelationId = (correlationId, fn) =>
+  storage.run({ correlationId: correlationId || null }, fn);
+
+/**
+ * Headers that pass the current id on to Microsoft Graph and Entra.
+ * Graph echoes `client-request-id` in its logs and responses, but only
+ * accepts GUIDs there.
+ */
+const correlationHeaders = (correlationId = getCorrelationId()) => {
+  if (!correlationId) return {};
+  return {
+    [CORRELATION_HEADER]: correlationId,
+    ...(GUID_PATTERN.test(correlationId)
+      ? { "client-request-id": correlationId }
+      : {}),
+  };
+};
+
+/**
+ * Sets `req.correlationId` and the X-Correlation-Id response header, and
+ * makes the id current for the rest of the request.
+ */
+const correlationId = () => (req, res, next) => {
+  req.correlationId = resolveCorrelationId(req.get(CORRELATION_HEADER));
+  res.set(CORRELATION_HEADER, req.correlationId);
+  runWithCorrelationId(req.correlationId, next);
+};
+
+module.exports = {
+  CORRELATION_HEADER,
+  resolveCorrelationId,
+  getCorrelationId,
+  runWithCorrelationId,
+  correlationHeaders,
+  correlationId,
+};
@@ -0,0 +1,60 @@
+// One-time delivery of initial passwords
+// The password generated for a new member account is stored encrypted and
+// can be viewed exactly once, by the applicant it belongs to, before it
+// expires (INITIAL_PASSWORD_VIEW_TTL_MINUTES, default 60). It is erased when
+// viewed or expired and never appears in logs or other API responses.
+
+const CREDENTIAL_VIEW_PATH = "/account-password";
+
+const CREDENTIAL_STATUS = Object.freeze({
+  AVAILABLE: "available",
+  VIEWED: "viewed",
+  EXPIRED: "expired",
+});
+
+const getCredentialTtlMs = (env = process.env) => {
+  const minutes = Number(env.INITIAL_PASSWORD_VIEW_TTL_MINUTES);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : 60) * 60 * 1000;
+};
+
+/**
+ * Stores `secret` for one-time viewing, replacing any earlier delivery.
+ * @param {import("./stores").Store} store
+ */
+const issueCredential = async (
+  store,
+  userId,
+  secret,
+  { ttlMs = getCredentialTtlMs() } = {}
+) => {
+  await store.saveCredentialDelivery(userId, {
+    secret,
+    expiresAt: new Date(Date.now() + ttlMs),
+    viewedAt: null,
+  });
+};
+
+/** API shape of a delivery (see GET /api/account/credentials). */
+const describeCredentialDelivery = (delivery, now = new Date()) => {
+  let status = CREDENTIAL_STATUS.AVAILABLE;
+  if (delivery.viewedAt) {
+    status = CREDENTIAL_STATUS.VIEWED;
+  } else if (!delivery.hasSecret || new Date(delivery.expiresAt) <= now) {
+    status = CREDENTIAL_STATUS.EXPIRED;
+  }
+  return {
+    status,
+    expiresAt: delivery.expiresAt,
+    viewedAt: delivery.viewedAt || null,
+    viewUrl:
+      status === CREDENTIAL_STATUS.AVAILABLE ? CREDENTIAL_VIEW_PATH : null,
+  };
+};
+
+module.exports = {
+  CREDENTIAL_VIEW_PATH,
+  CREDENTIAL_STATUS,
+  getCredentialTtlMs,
+  issueCredential,
+  describeCredentialDelivery,
+};
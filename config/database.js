@@ -1,5 +1,7 @@
 const sql = require('mssql');
 const { DefaultAzureCredential } = require('@azure/identity');
+const { nameTerms } = require('./cases');
+const { logger } = require('./logger');
 
 const SQL_SCOPE = 'https://database.windows.net/.default';
 
@@ -74,7 +76,7 @@ const getPool = async () => {
     : await connectWithManagedIdentity();
 
   pool.on('error', (err) => {
-    console.error('SQL pool error:', err);
+    logger.error('SQL pool error', err);
     pool.close().catch(() => undefined);
     pool = null;
   });
@@ -82,122 +84,1100 @@ const getPool = async () => {
   return pool;
 };
 
-const ensureIntakeTable = async () => {
-  const sqlPool = await getPool();
-  const createTableQuery = `
-    IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'IntakeForms' AND schema_id = SCHEMA_ID('dbo'))
-    BEGIN
-      CREATE TABLE dbo.IntakeForms (
-        Id UNIQUEIDENTIFIER NOT NULL DEFAULT NEWSEQUENTIALID() PRIMARY KEY,
-        UserId NVARCHAR(255) NOT NULL,
-        Email NVARCHAR(256) NOT NULL,
-        FirstName NVARCHAR(150) NULL,
-        LastName NVARCHAR(150) NULL,
-        Department NVARCHAR(150) NULL,
-        JobTitle NVARCHAR(150) NULL,
-        OfficeLocation NVARCHAR(150) NULL,
-        WorkPhone NVARCHAR(50) NULL,
-        Address NVARCHAR(500) NULL,
-        City NVARCHAR(150) NULL,
-        State NVARCHAR(50) NULL,
-        ZipCode NVARCHAR(20) NULL,
-        Phone NVARCHAR(50) NULL,
-        CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
-        UpdatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
-      );
+// Round trip through the pool (connecting if needed), for readiness checks
+const pingDatabase = async () => {
+  const sqlPool = await getPool();
+  await sqlPool.request().query('SELECT 1 AS ok');
+};
 
-      CREATE INDEX IX_IntakeForms_UserId ON dbo.IntakeForms(UserId);
-      CREATE INDEX IX_IntakeForms_Email ON dbo.IntakeForms(Email);
-    END
-  `;
+// Intake fields stored on both the current row and each immutable version.
+// Schema is owned by /migrations (see config/migrations.js). PII columns hold
+// encrypted envelopes, hence the wide types.
+const INTAKE_COLUMNS = [
+  { column: 'Email', field: 'email', type: () => sql.NVarChar(2000) },
+  { column: 'EmailHash', field: 'emailHash', type: () => sql.Char(64) },
+  { column: 'FirstName', field: 'firstName', type: () => sql.NVarChar(150) },
+  { column: 'LastName', field: 'lastName', type: () => sql.NVarChar(150) },
+  { column: 'Department', field: 'department', type: () => sql.NVarChar(150) },
+  { column: 'JobTitle', field: 'jobTitle', type: () => sql.NVarChar(150) },
+  { column: 'OfficeLocation', field: 'officeLocation', type: () => sql.NVarChar(150) },
+  { column: 'WorkPhone', field: 'workPhone', type: () => sql.NVarChar(2000) },
+  { column: 'Address', field: 'address', type: () => sql.NVarChar(2000) },
+  { column: 'City', field: 'city', type: () => sql.NVarChar(150) },
+  { column: 'State', field: 'state', type: () => sql.NVarChar(50) },
+  { column: 'ZipCode', field: 'zipCode', type: () => sql.NVarChar(20) },
+  { column: 'Phone', field: 'phone', type: () => sql.NVarChar(2000) }
+];
 
-  await sqlPool.request().query(createTableQuery);
-  return sqlPool;
+// Outbox rows are written through the caller's request so they commit (or
+// roll back) together with the data change that produced them.
+const insertOutboxMessage = async (request, { type, payload }, now = new Date()) => {
+  const result = await request
+    .input('Type', sql.NVarChar(100), type)
+    .input('Payload', sql.NVarChar(sql.MAX), payload)
+    .input('Now', sql.DateTime2, now)
+    .query(`
+      INSERT INTO dbo.OutboxMessages (Type, Payload, NextAttemptAt, CreatedAt, UpdatedAt)
+      OUTPUT inserted.Id
+      VALUES (@Type, @Payload, @Now, @Now, @Now);
+    `);
+  return result.recordset[0].Id;
 };
 
-const upsertIntakeForm = async (form) => {
-  const sqlPool = await ensureIntakeTable();
+/**
+ * Saves the applicant's current intake and appends an immutable version.
+ * The applicant's wizard draft, if any, is removed in the same transaction,
+ * and household members added before the first submission are linked to it.
+ * @param {object} form Intake fields plus `userId`
+ * @param {{ id: string, name?: string }} submittedBy Principal submitting the form
+ * @param {{ outbox?: { type: string, payload: string }[], provisioning?: { efsmodInvitation?: object|null, provisionedAccount?: object|null } }} [options]
+ *   Outbox messages, and the provisioning status changes they go with,
+ *   committed in the same transaction as the intake
+ * @returns {Promise<{ intakeFormId: string, sequence: number, submittedAt: Date, outboxMessageIds: string[] }>}
+ */
+const upsertIntakeForm = async (form, submittedBy, { outbox = [], provisioning = {} } = {}) => {
+  const sqlPool = await getPool();
   const now = new Date();
 
-  const request = sqlPool.request();
-  request.input('UserId', sql.NVarChar(255), form.userId);
-  request.input('Email', sql.NVarChar(256), form.email);
-  request.input('FirstName', sql.NVarChar(150), form.firstName);
-  request.input('LastName', sql.NVarChar(150), form.lastName);
-  request.input('Department', sql.NVarChar(150), form.department);
-  request.input('JobTitle', sql.NVarChar(150), form.jobTitle);
-  request.input('OfficeLocation', sql.NVarChar(150), form.officeLocation);
-  request.input('WorkPhone', sql.NVarChar(50), form.workPhone);
-  request.input('Address', sql.NVarChar(500), form.address);
-  request.input('City', sql.NVarChar(150), form.city);
-  request.input('State', sql.NVarChar(50), form.state);
-  request.input('ZipCode', sql.NVarChar(20), form.zipCode);
-  request.input('Phone', sql.NVarChar(50), form.phone);
-  request.input('UpdatedAt', sql.DateTime2, now);
-
-  const upsertQuery = `
-    IF EXISTS (SELECT 1 FROM dbo.IntakeForms WHERE UserId = @UserId)
-    BEGIN
-      UPDATE dbo.IntakeForms
-      SET
-        Email = @Email,
-        FirstName = @FirstName,
-        LastName = @LastName,
-        Department = @Department,
-        JobTitle = @JobTitle,
-        OfficeLocation = @OfficeLocation,
-        WorkPhone = @WorkPhone,
-        Address = @Address,
-        City = @City,
-        State = @State,
-        ZipCode = @ZipCode,
-        Phone = @Phone,
-        UpdatedAt = @UpdatedAt
+  const transaction = new sql.Transaction(sqlPool);
+  await transaction.begin();
+
+  try {
+    const request = new sql.Request(transaction);
+    request.input('UserId', sql.NVarChar(255), form.userId);
+    for (const { column, field, type } of INTAKE_COLUMNS) {
+      request.input(column, type(), form[field]);
+    }
+    request.input('UpdatedAt', sql.DateTime2, now);
+    request.input('SubmittedBy', sql.NVarChar(255), submittedBy.id);
+    request.input('SubmittedByName', sql.NVarChar(256), submittedBy.name || null);
+
+    const columns = INTAKE_COLUMNS.map((c) => c.column);
+    const upsertQuery = `
+      DECLARE @IntakeFormId UNIQUEIDENTIFIER;
+      DECLARE @Sequence INT;
+
+      SELECT @IntakeFormId = Id FROM dbo.IntakeForms WITH (UPDLOCK, HOLDLOCK) WHERE UserId = @UserId;
+
+      IF @IntakeFormId IS NOT NULL
+      BEGIN
+        UPDATE dbo.IntakeForms
+        SET
+          ${columns.map((c) => `${c} = @${c}`).join(',\n          ')},
+          UpdatedAt = @UpdatedAt
+        WHERE Id = @IntakeFormId;
+      END
+      ELSE
+      BEGIN
+        DECLARE @Inserted TABLE (Id UNIQUEIDENTIFIER);
+        INSERT INTO dbo.IntakeForms (
+          UserId,
+          ${columns.join(',\n          ')},
+          CreatedAt,
+          UpdatedAt
+        )
+        OUTPUT inserted.Id INTO @Inserted
+        VALUES (
+          @UserId,
+          ${columns.map((c) => `@${c}`).join(',\n          ')},
+          @UpdatedAt,
+          @UpdatedAt
+        );
+        SELECT @IntakeFormId = Id FROM @Inserted;
+      END
+
+      SELECT @Sequence = ISNULL(MAX(Sequence), 0) + 1
+      FROM dbo.IntakeFormVersions WITH (UPDLOCK, HOLDLOCK)
       WHERE UserId = @UserId;
-    END
-    ELSE
-    BEGIN
-      INSERT INTO dbo.IntakeForms (
+
+      INSERT INTO dbo.IntakeFormVersions (
+        IntakeFormId,
         UserId,
-        Email,
-        FirstName,
-        LastName,
-        Department,
-        JobTitle,
-        OfficeLocation,
-        WorkPhone,
-        Address,
-        City,
-        State,
-        ZipCode,
-        Phone,
-        CreatedAt,
-        UpdatedAt
+        Sequence,
+        ${columns.join(',\n        ')},
+        SubmittedAt,
+        SubmittedBy,
+        SubmittedByName
       ) VALUES (
+        @IntakeFormId,
         @UserId,
-        @Email,
-        @FirstName,
-        @LastName,
-        @Department,
-        @JobTitle,
-        @OfficeLocation,
-        @WorkPhone,
-        @Address,
-        @City,
-        @State,
-        @ZipCode,
-        @Phone,
+        @Sequence,
+        ${columns.map((c) => `@${c}`).join(',\n        ')},
         @UpdatedAt,
-        @UpdatedAt
+        @SubmittedBy,
+        @SubmittedByName
       );
-    END
+
+      DELETE FROM dbo.IntakeDrafts WHERE UserId = @UserId;
+
+      UPDATE dbo.HouseholdMembers
+      SET IntakeFormId = @IntakeFormId
+      WHERE UserId = @UserId AND IntakeFormId IS NULL;
+
+      SELECT @IntakeFormId AS IntakeFormId, @Sequence AS Sequence;
+    `;
+
+    const result = await request.query(upsertQuery);
+    const outboxMessageIds = [];
+    for (const message of outbox) {
+      outboxMessageIds.push(await insertOutboxMessage(new sql.Request(transaction), message, now));
+    }
+    if (provisioning.efsmodInvitation) {
+      await mergeUserRow('dbo.EfsmodInvitations', INVITATION_COLUMNS, form.userId, provisioning.efsmodInvitation, { transaction });
+    }
+    if (provisioning.provisionedAccount) {
+      await mergeUserRow('dbo.ProvisionedAccounts', ACCOUNT_COLUMNS, form.userId, provisioning.provisionedAccount, { transaction });
+    }
+    await transaction.commit();
+
+    const row = result.recordset[0];
+    return { intakeFormId: row.IntakeFormId, sequence: row.Sequence, submittedAt: now, outboxMessageIds };
+  } catch (err) {
+    await transaction.rollback().catch(() => undefined);
+    throw err;
+  }
+};
+
+const toIntakeVersion = (row) => {
+  const version = {
+    sequence: row.Sequence,
+    submittedAt: row.SubmittedAt,
+    submittedBy: row.SubmittedBy,
+    submittedByName: row.SubmittedByName
+  };
+  for (const { column, field } of INTAKE_COLUMNS) {
+    if (column in row) version[field] = row[column];
+  }
+  return version;
+};
+
+// Lists version metadata (no field values), newest first
+const listIntakeVersions = async (userId) => {
+  const sqlPool = await getPool();
+  const result = await sqlPool.request()
+    .input('UserId', sql.NVarChar(255), userId)
+    .query(`
+      SELECT Sequence, SubmittedAt, SubmittedBy, SubmittedByName
+      FROM dbo.IntakeFormVersions
+      WHERE UserId = @UserId
+      ORDER BY Sequence DESC
+    `);
+  return result.recordset.map(toIntakeVersion);
+};
+
+const getIntakeVersion = async (userId, sequence) => {
+  const sqlPool = await getPool();
+  const result = await sqlPool.request()
+    .input('UserId', sql.NVarChar(255), userId)
+    .input('Sequence', sql.Int, sequence)
+    .query(`
+      SELECT Sequence, SubmittedAt, SubmittedBy, SubmittedByName,
+        ${INTAKE_COLUMNS.map((c) => c.column).join(', ')}
+      FROM dbo.IntakeFormVersions
+      WHERE UserId = @UserId AND Sequence = @Sequence
+    `);
+  const row = result.recordset[0];
+  return row ? toIntakeVersion(row) : null;
+};
+
+const toOutboxMessage = (row) => ({
+  id: row.Id,
+  type: row.Type,
+  status: row.Status,
+  attempts: row.Attempts,
+  nextAttemptAt: row.NextAttemptAt,
+  lastError: row.LastError,
+  createdAt: row.CreatedAt,
+  updatedAt: row.UpdatedAt,
+  processedAt: row.ProcessedAt
+});
+
+/**
+ * Locks up to `limit` due messages for `lockMs` and counts the attempt.
+ * Messages whose lock expired (worker crashed mid-delivery) are due again.
+ * READPAST lets several instances claim different rows concurrently.
+ * @returns {Promise<{ id: string, type: string, payload: string, attempts: number }[]>}
+ */
+const claimOutboxMessages = async ({ limit = 10, lockMs = 120000, ids = null } = {}) => {
+  const sqlPool = await getPool();
+  const now = new Date();
+  const request = sqlPool.request()
+    .input('Limit', sql.Int, limit)
+    .input('Now', sql.DateTime2, now)
+    .input('LockedUntil', sql.DateTime2, new Date(now.getTime() + lockMs));
+  let filter = '';
+  if (ids) {
+    if (!ids.length) return [];
+    ids.forEach((id, i) => request.input(`Id${i}`, sql.UniqueIdentifier, id));
+    filter = `AND Id IN (${ids.map((_, i) => `@Id${i}`).join(', ')})`;
+  }
+  const result = await request
+    .query(`
+      WITH due AS (
+        SELECT TOP (@Limit) *
+        FROM dbo.OutboxMessages WITH (UPDLOCK, READPAST, ROWLOCK)
+        WHERE ((Status = 'pending' AND NextAttemptAt <= @Now)
+          OR (Status = 'processing' AND LockedUntil < @Now)) ${filter}
+        ORDER BY NextAttemptAt
+      )
+      UPDATE due
+      SET Status = 'processing', Attempts = Attempts + 1, LockedUntil = @LockedUntil, UpdatedAt = @Now
+      OUTPUT inserted.Id, inserted.Type, inserted.Payload, inserted.Attempts;
+    `);
+  return result.recordset.map((row) => ({
+    id: row.Id,
+    type: row.Type,
+    payload: row.Payload,
+    attempts: row.Attempts
+  }));
+};
+
+const completeOutboxMessage = async (id) => {
+  const sqlPool = await getPool();
+  await sqlPool.request()
+    .input('Id', sql.UniqueIdentifier, id)
+    .input('Now', sql.DateTime2, new Date())
+    .query(`
+      UPDATE dbo.OutboxMessages
+      SET Status = 'done', LockedUntil = NULL, LastError = NULL, UpdatedAt = @Now, ProcessedAt = @Now
+      WHERE Id = @Id
+    `);
+};
+
+/**
+ * Records a failed attempt: back to pending until `nextAttemptAt`, or
+ * dead-lettered when `dead` is set.
+ */
+const failOutboxMessage = async (id, { error, nextAttemptAt = null, dead = false }) => {
+  const sqlPool = await getPool();
+  await sqlPool.request()
+    .input('Id', sql.UniqueIdentifier, id)
+    .input('Status', sql.NVarChar(20), dead ? 'dead' : 'pending')
+    .input('NextAttemptAt', sql.DateTime2, nextAttemptAt || new Date())
+    .input('LastError', sql.NVarChar(2000), String(error || '').slice(0, 2000))
+    .input('Now', sql.DateTime2, new Date())
+    .query(`
+      UPDATE dbo.OutboxMessages
+      SET Status = @Status, NextAttemptAt = @NextAttemptAt, LockedUntil = NULL,
+        LastError = @LastError, UpdatedAt = @Now
+      WHERE Id = @Id
+    `);
+};
+
+// Message metadata (never the payload), newest first
+const listOutboxMessages = async ({ status = null, limit = 50 } = {}) => {
+  const sqlPool = await getPool();
+  const result = await sqlPool.request()
+    .input('Status', sql.NVarChar(20), status)
+    .input('Limit', sql.Int, limit)
+    .query(`
+      SELECT TOP (@Limit) Id, Type, Status, Attempts, NextAttemptAt, LastError, CreatedAt, UpdatedAt, ProcessedAt
+      FROM dbo.OutboxMessages
+      WHERE @Status IS NULL OR Status = @Status
+      ORDER BY CreatedAt DESC
+    `);
+  return result.recordset.map(toOutboxMessage);
+};
+
+/**
+ * Puts dead-lettered messages back in the queue with a fresh attempt budget.
+ * Replays every dead message unless `ids` is given.
+ * @returns {Promise<number>} Messages requeued
+ */
+const replayOutboxMessages = async ({ ids = null } = {}) => {
+  const sqlPool = await getPool();
+  const request = sqlPool.request().input('Now', sql.DateTime2, new Date());
+  let filter = '';
+  if (ids) {
+    if (!ids.length) return 0;
+    ids.forEach((id, i) => request.input(`Id${i}`, sql.UniqueIdentifier, id));
+    filter = `AND Id IN (${ids.map((_, i) => `@Id${i}`).join(', ')})`;
+  }
+  const result = await request.query(`
+    UPDATE dbo.OutboxMessages
+    SET Status = 'pending', Attempts = 0, NextAttemptAt = @Now, LockedUntil = NULL, UpdatedAt = @Now
+    WHERE Status = 'dead' ${filter}
+  `);
+  return result.rowsAffected[0];
+};
+
+// EFSMOD guest invitation per applicant (see config/efsmod-invitations.js)
+const INVITATION_COLUMNS = [
+  { column: 'Email', field: 'email', type: () => sql.NVarChar(2000) },
+  { column: 'EmailHash', field: 'emailHash', type: () => sql.Char(64) },
+  { column: 'Status', field: 'status', type: () => sql.NVarChar(20) },
+  { column: 'InvitedUserId', field: 'invitedUserId', type: () => sql.NVarChar(255) },
+  { column: 'InvitedUserPrincipalName', field: 'invitedUserPrincipalName', type: () => sql.NVarChar(2000) },
+  { column: 'InviteRedeemUrl', field: 'inviteRedeemUrl', type: () => sql.NVarChar(sql.MAX) },
+  { column: 'DeepLink', field: 'deepLink', type: () => sql.NVarChar(sql.MAX) },
+  { column: 'LoginLink', field: 'loginLink', type: () => sql.NVarChar(2000) },
+  { column: 'LastError', field: 'lastError', type: () => sql.NVarChar(2000) },
+  { column: 'InvitedAt', field: 'invitedAt', type: () => sql.DateTime2 },
+  { column: 'RedeemedAt', field: 'redeemedAt', type: () => sql.DateTime2 }
+];
+
+const toInvitation = (row) => {
+  const invitation = {
+    userId: row.UserId,
+    createdAt: row.CreatedAt,
+    updatedAt: row.UpdatedAt
+  };
+  for (const { column, field } of INVITATION_COLUMNS) invitation[field] = row[column];
+  return invitation;
+};
+
+const selectInvitation = async (where, inputs) => {
+  const sqlPool = await getPool();
+  const request = sqlPool.request();
+  for (const [name, type, value] of inputs) request.input(name, type, value);
+  const result = await request.query(`
+    SELECT TOP (1) UserId, CreatedAt, UpdatedAt, ${INVITATION_COLUMNS.map((c) => c.column).join(', ')}
+    FROM dbo.EfsmodInvitations
+    WHERE ${where}
+    ORDER BY UpdatedAt DESC
+  `);
+  const row = result.recordset[0];
+  return row ? toInvitation(row) : null;
+};
+
+const getEfsmodInvitation = (userId) =>
+  selectInvitation('UserId = @UserId', [['UserId', sql.NVarChar(255), userId]]);
+
+// Most recently updated invited/redeemed invitation for an email (any applicant)
+const findActiveEfsmodInvitationByEmailHash = (emailHash) =>
+  selectInvitation("EmailHash = @EmailHash AND Status IN ('invited', 'redeemed')", [
+    ['EmailHash', sql.Char(64), emailHash]
+  ]);
+
+/**
+ * Creates or updates the one row per applicant in `table`. Only the
+ * fields present in `changes` are written. Runs inside `transaction` when
+ * one is given.
+ */
+const mergeUserRow = async (table, allColumns, userId, changes, { transaction = null } = {}) => {
+  const columns = allColumns.filter((c) => changes[c.field] !== undefined);
+  const request = (transaction ? new sql.Request(transaction) : (await getPool()).request())
+    .input('UserId', sql.NVarChar(255), userId)
+    .input('Now', sql.DateTime2, new Date());
+  for (const { column, field, type } of columns) {
+    request.input(column, type(), changes[field]);
+  }
+  const names = columns.map((c) => c.column);
+  await request.query(`
+    MERGE ${table} WITH (HOLDLOCK) AS target
+    USING (SELECT @UserId AS UserId) AS source
+    ON target.UserId = source.UserId
+    WHEN MATCHED THEN
+      UPDATE SET ${names.map((c) => `${c} = @${c}, `).join('')}UpdatedAt = @Now
+    WHEN NOT MATCHED THEN
+      INSERT (UserId, ${names.map((c) => `${c}, `).join('')}CreatedAt, UpdatedAt)
+      VALUES (@UserId, ${names.map((c) => `@${c}, `).join('')}@Now, @Now);
+  `);
+};
+
+const saveEfsmodInvitation = (userId, changes) =>
+  mergeUserRow('dbo.EfsmodInvitations', INVITATION_COLUMNS, userId, changes);
+
+// Member accounts created in the FLWINS tenant (see config/provisioning.js)
+const ACCOUNT_COLUMNS = [
+  { column: 'Status', field: 'status', type: () => sql.NVarChar(20) },
+  { column: 'GraphUserId', field: 'graphUserId', type: () => sql.NVarChar(255) },
+  { column: 'UserPrincipalName', field: 'userPrincipalName', type: () => sql.NVarChar(2000) },
+  { column: 'LastError', field: 'lastError', type: () => sql.NVarChar(2000) },
+  { column: 'ProvisionedAt', field: 'provisionedAt', type: () => sql.DateTime2 }
+];
+
+const getProvisionedAccount = async (userId) => {
+  const sqlPool = await getPool();
+  const result = await sqlPool.request()
+    .input('UserId', sql.NVarChar(255), userId)
+    .query(`
+      SELECT UserId, CreatedAt, UpdatedAt, ${ACCOUNT_COLUMNS.map((c) => c.column).join(', ')}
+      FROM dbo.ProvisionedAccounts
+      WHERE UserId = @UserId
+    `);
+  const row = result.recordset[0];
+  if (!row) return null;
+  const account = { userId: row.UserId, createdAt: row.CreatedAt, updatedAt: row.UpdatedAt };
+  for (const { column, field } of ACCOUNT_COLUMNS) account[field] = row[column];
+  return account;
+};
+
+const saveProvisionedAccount = (userId, changes) =>
+  mergeUserRow('dbo.ProvisionedAccounts', ACCOUNT_COLUMNS, userId, changes);
+
+// One-time initial password delivery (see config/credential-delivery.js)
+const CREDENTIAL_COLUMNS = [
+  { column: 'Secret', field: 'secret', type: () => sql.NVarChar(2000) },
+  { column: 'ExpiresAt', field: 'expiresAt', type: () => sql.DateTime2 },
+  { column: 'ViewedAt', field: 'viewedAt', type: () => sql.DateTime2 }
+];
+
+// Delivery metadata; never the secret itself
+const getCredentialDelivery = async (userId) => {
+  const sqlPool = await getPool();
+  const result = await sqlPool.request()
+    .input('UserId', sql.NVarChar(255), userId)
+    .query(`
+      SELECT UserId, ExpiresAt, ViewedAt, CreatedAt, UpdatedAt,
+        CAST(CASE WHEN Secret IS NULL THEN 0 ELSE 1 END AS BIT) AS HasSecret
+      FROM dbo.CredentialDeliveries
+      WHERE UserId = @UserId
+    `);
+  const row = result.recordset[0];
+  if (!row) return null;
+  return {
+    userId: row.UserId,
+    expiresAt: row.ExpiresAt,
+    viewedAt: row.ViewedAt,
+    hasSecret: row.HasSecret,
+    createdAt: row.CreatedAt,
+    updatedAt: row.UpdatedAt
+  };
+};
+
+const saveCredentialDelivery = (userId, changes) =>
+  mergeUserRow('dbo.CredentialDeliveries', CREDENTIAL_COLUMNS, userId, changes);
+
+/**
+ * Returns the applicant's secret and erases it in the same statement, so it
+ * can be read at most once. Expired secrets (anyone's) are erased first.
+ * @returns {Promise<string|null>} null when already viewed, expired or missing
+ */
+const takeCredentialSecret = async (userId) => {
+  const sqlPool = await getPool();
+  const result = await sqlPool.request()
+    .input('UserId', sql.NVarChar(255), userId)
+    .input('Now', sql.DateTime2, new Date())
+    .query(`
+      UPDATE dbo.CredentialDeliveries
+      SET Secret = NULL, UpdatedAt = @Now
+      WHERE Secret IS NOT NULL AND ExpiresAt <= @Now;
+
+      UPDATE dbo.CredentialDeliveries
+      SET Secret = NULL, ViewedAt = @Now, UpdatedAt = @Now
+      OUTPUT deleted.Secret
+      WHERE UserId = @UserId AND Secret IS NOT NULL AND ViewedAt IS NULL AND ExpiresAt > @Now;
+    `);
+  const row = result.recordset && result.recordset[0];
+  return row ? row.Secret : null;
+};
+
+// Unfinished intake wizard answers (see validateIntakeDraft in config/intake.js).
+// Data is the draft serialized by the store layer.
+const DRAFT_COLUMNS = [
+  { column: 'Step', field: 'step', type: () => sql.NVarChar(20) },
+  { column: 'Data', field: 'data', type: () => sql.NVarChar(sql.MAX) }
+];
+
+const getIntakeDraft = async (userId) => {
+  const sqlPool = await getPool();
+  const result = await sqlPool.request()
+    .input('UserId', sql.NVarChar(255), userId)
+    .query(`
+      SELECT UserId, Step, Data, CreatedAt, UpdatedAt
+      FROM dbo.IntakeDrafts
+      WHERE UserId = @UserId
+    `);
+  const row = result.recordset[0];
+  if (!row) return null;
+  return {
+    userId: row.UserId,
+    step: row.Step,
+    data: row.Data,
+    createdAt: row.CreatedAt,
+    updatedAt: row.UpdatedAt
+  };
+};
+
+const saveIntakeDraft = (userId, draft) =>
+  mergeUserRow('dbo.IntakeDrafts', DRAFT_COLUMNS, userId, draft);
+
+const deleteIntakeDraft = async (userId) => {
+  const sqlPool = await getPool();
+  await sqlPool.request()
+    .input('UserId', sql.NVarChar(255), userId)
+    .query('DELETE FROM dbo.IntakeDrafts WHERE UserId = @UserId');
+};
+
+// Household members listed on the intake (see config/household.js). Rows
+// are owned by the applicant and linked to their intake once it exists.
+const HOUSEHOLD_COLUMNS = [
+  { column: 'FirstName', field: 'firstName', type: () => sql.NVarChar(2000) },
+  { column: 'LastName', field: 'lastName', type: () => sql.NVarChar(2000) },
+  { column: 'Relationship', field: 'relationship', type: () => sql.NVarChar(20) },
+  { column: 'DateOfBirth', field: 'dateOfBirth', type: () => sql.NVarChar(2000) },
+  { column: 'CareNeeded', field: 'careNeeded', type: () => sql.NVarChar(20) },
+  { column: 'CareNotes', field: 'careNotes', type: () => sql.NVarChar(sql.MAX) }
+];
+
+const HOUSEHOLD_SELECT = `Id, UserId, IntakeFormId, CreatedAt, UpdatedAt, ${HOUSEHOLD_COLUMNS.map((c) => c.column).join(', ')}`;
+
+const toHouseholdMember = (row) => {
+  const member = {
+    id: row.Id,
+    userId: row.UserId,
+    intakeFormId: row.IntakeFormId,
+    createdAt: row.CreatedAt,
+    updatedAt: row.UpdatedAt
+  };
+  for (const { column, field } of HOUSEHOLD_COLUMNS) member[field] = row[column];
+  return member;
+};
+
+const householdRequest = (sqlPool, userId, member = {}) => {
+  const request = sqlPool.request()
+    .input('UserId', sql.NVarChar(255), userId)
+    .input('Now', sql.DateTime2, new Date());
+  for (const { column, field, type } of HOUSEHOLD_COLUMNS) {
+    request.input(column, type(), member[field] ?? null);
+  }
+  return request;
+};
+
+const listHouseholdMembers = async (userId) => {
+  const sqlPool = await getPool();
+  const result = await sqlPool.request()
+    .input('UserId', sql.NVarChar(255), userId)
+    .query(`
+      SELECT ${HOUSEHOLD_SELECT}
+      FROM dbo.HouseholdMembers
+      WHERE UserId = @UserId
+      ORDER BY CreatedAt, Id
+    `);
+  return result.recordset.map(toHouseholdMember);
+};
+
+const addHouseholdMember = async (userId, member) => {
+  const sqlPool = await getPool();
+  const names = HOUSEHOLD_COLUMNS.map((c) => c.column);
+  const result = await householdRequest(sqlPool, userId, member).query(`
+    INSERT INTO dbo.HouseholdMembers (UserId, IntakeFormId, ${names.join(', ')}, CreatedAt, UpdatedAt)
+    OUTPUT ${HOUSEHOLD_SELECT.split(', ').map((c) => `inserted.${c}`).join(', ')}
+    VALUES (
+      @UserId,
+      (SELECT Id FROM dbo.IntakeForms WHERE UserId = @UserId),
+      ${names.map((c) => `@${c}`).join(', ')},
+      @Now,
+      @Now
+    );
+  `);
+  return toHouseholdMember(result.recordset[0]);
+};
+
+/** Replaces a member's fields. @returns {Promise<object|null>} null when not the applicant's */
+const updateHouseholdMember = async (userId, id, member) => {
+  const sqlPool = await getPool();
+  const result = await householdRequest(sqlPool, userId, member)
+    .input('Id', sql.UniqueIdentifier, id)
+    .query(`
+      UPDATE dbo.HouseholdMembers
+      SET ${HOUSEHOLD_COLUMNS.map((c) => `${c.column} = @${c.column}, `).join('')}UpdatedAt = @Now
+      OUTPUT ${HOUSEHOLD_SELECT.split(', ').map((c) => `inserted.${c}`).join(', ')}
+      WHERE Id = @Id AND UserId = @UserId;
+    `);
+  const row = result.recordset[0];
+  return row ? toHouseholdMember(row) : null;
+};
+
+/** @returns {Promise<boolean>} false when not the applicant's */
+const deleteHouseholdMember = async (userId, id) => {
+  const sqlPool = await getPool();
+  const result = await sqlPool.request()
+    .input('UserId', sql.NVarChar(255), userId)
+    .input('Id', sql.UniqueIdentifier, id)
+    .query('DELETE FROM dbo.HouseholdMembers WHERE Id = @Id AND UserId = @UserId');
+  return result.rowsAffected[0] > 0;
+};
+
+// Supporting documents (see config/documents.js). Only metadata lives here;
+// StorageKey points at the file in blob storage.
+const DOCUMENT_COLUMNS = [
+  { column: 'Category', field: 'category', type: () => sql.NVarChar(40) },
+  { column: 'FileName', field: 'fileName', type: () => sql.NVarChar(2000) },
+  { column: 'ContentType', field: 'contentType', type: () => sql.NVarChar(100) },
+  { column: 'SizeBytes', field: 'sizeBytes', type: () => sql.Int },
+  { column: 'Sha256', field: 'sha256', type: () => sql.Char(64) },
+  { column: 'StorageKey', field: 'storageKey', type: () => sql.NVarChar(300) }
+];
+
+const DOCUMENT_SELECT = `Id, UserId, CreatedAt, ${DOCUMENT_COLUMNS.map((c) => c.column).join(', ')}`;
+const DOCUMENT_OUTPUT = (prefix) => DOCUMENT_SELECT.split(', ').map((c) => `${prefix}.${c}`).join(', ');
+
+const toDocumentRow = (row) => {
+  const document = { id: row.Id, userId: row.UserId, createdAt: row.CreatedAt };
+  for (const { column, field } of DOCUMENT_COLUMNS) document[field] = row[column];
+  return document;
+};
+
+/** Newest first */
+const listDocuments = async (userId) => {
+  const sqlPool = await getPool();
+  const result = await sqlPool.request()
+    .input('UserId', sql.NVarChar(255), userId)
+    .query(`
+      SELECT ${DOCUMENT_SELECT}
+      FROM dbo.Documents
+      WHERE UserId = @UserId
+      ORDER BY CreatedAt DESC, Id DESC
+    `);
+  return result.recordset.map(toDocumentRow);
+};
+
+const addDocument = async (userId, document) => {
+  const sqlPool = await getPool();
+  const request = sqlPool.request()
+    .input('UserId', sql.NVarChar(255), userId)
+    .input('Now', sql.DateTime2, new Date());
+  for (const { column, field, type } of DOCUMENT_COLUMNS) {
+    request.input(column, type(), document[field]);
+  }
+  const names = DOCUMENT_COLUMNS.map((c) => c.column);
+  const result = await request.query(`
+    INSERT INTO dbo.Documents (UserId, ${names.join(', ')}, CreatedAt)
+    OUTPUT ${DOCUMENT_OUTPUT('inserted')}
+    VALUES (@UserId, ${names.map((c) => `@${c}`).join(', ')}, @Now);
+  `);
+  return toDocumentRow(result.recordset[0]);
+};
+
+/** @returns {Promise<object|null>} null when not the applicant's */
+const getDocument = async (userId, id) => {
+  const sqlPool = await getPool();
+  const result = await sqlPool.request()
+    .input('UserId', sql.NVarChar(255), userId)
+    .input('Id', sql.UniqueIdentifier, id)
+    .query(`SELECT ${DOCUMENT_SELECT} FROM dbo.Documents WHERE Id = @Id AND UserId = @UserId`);
+  const row = result.recordset[0];
+  return row ? toDocumentRow(row) : null;
+};
+
+/** @returns {Promise<object|null>} The deleted row (to remove its blob), or null */
+const deleteDocument = async (userId, id) => {
+  const sqlPool = await getPool();
+  const result = await sqlPool.request()
+    .input('UserId', sql.NVarChar(255), userId)
+    .input('Id', sql.UniqueIdentifier, id)
+    .query(`
+      DELETE FROM dbo.Documents
+      OUTPUT ${DOCUMENT_OUTPUT('deleted')}
+      WHERE Id = @Id AND UserId = @UserId
+    `);
+  const row = result.recordset[0];
+  return row ? toDocumentRow(row) : null;
+};
+
+// Caseworker decisions on applications (see config/applications.js).
+// Append-only; rows are never updated except to re-encrypt Reason.
+const STATUS_EVENT_COLUMNS = [
+  { column: 'Status', field: 'status', type: () => sql.NVarChar(20) },
+  { column: 'Reason', field: 'reason', type: () => sql.NVarChar(sql.MAX) },
+  { column: 'ChangedBy', field: 'changedBy', type: () => sql.NVarChar(255) },
+  { column: 'ChangedByName', field: 'changedByName', type: () => sql.NVarChar(256) }
+];
+
+const STATUS_EVENT_SELECT = `Id, UserId, CreatedAt, ${STATUS_EVENT_COLUMNS.map((c) => c.column).join(', ')}`;
+
+const toStatusEvent = (row) => {
+  const event = { id: row.Id, userId: row.UserId, createdAt: row.CreatedAt };
+  for (const { column, field } of STATUS_EVENT_COLUMNS) event[field] = row[column];
+  return event;
+};
+
+/** Oldest first */
+const listApplicationStatusEvents = async (userId) => {
+  const sqlPool = await getPool();
+  const result = await sqlPool.request()
+    .input('UserId', sql.NVarChar(255), userId)
+    .query(`
+      SELECT ${STATUS_EVENT_SELECT}
+      FROM dbo.ApplicationStatusEvents
+      WHERE UserId = @UserId
+      ORDER BY CreatedAt, Id
+    `);
+  return result.recordset.map(toStatusEvent);
+};
+
+const addApplicationStatusEvent = async (userId, event) => {
+  const sqlPool = await getPool();
+  const request = sqlPool.request()
+    .input('UserId', sql.NVarChar(255), userId)
+    .input('Now', sql.DateTime2, new Date());
+  for (const { column, field, type } of STATUS_EVENT_COLUMNS) {
+    request.input(column, type(), event[field] ?? null);
+  }
+  const names = STATUS_EVENT_COLUMNS.map((c) => c.column);
+  const result = await request.query(`
+    INSERT INTO dbo.ApplicationStatusEvents (UserId, ${names.join(', ')}, CreatedAt)
+    OUTPUT ${STATUS_EVENT_SELECT.split(', ').map((c) => `inserted.${c}`).join(', ')}
+    VALUES (@UserId, ${names.map((c) => `@${c}`).join(', ')}, @Now);
+  `);
+  return toStatusEvent(result.recordset[0]);
+};
+
+// Caseworker portal (see config/cases.js)
+const INTAKE_SELECT = `Id, UserId, CreatedAt, UpdatedAt, ${INTAKE_COLUMNS.map((c) => c.column).join(', ')}`;
+
+const toIntake = (row) => {
+  const intake = {
+    id: row.Id,
+    userId: row.UserId,
+    createdAt: row.CreatedAt,
+    updatedAt: row.UpdatedAt
+  };
+  for (const { column, field } of INTAKE_COLUMNS) intake[field] = row[column];
+  return intake;
+};
+
+const getIntake = async (userId) => {
+  const sqlPool = await getPool();
+  const result = await sqlPool.request()
+    .input('UserId', sql.NVarChar(255), userId)
+    .query(`SELECT ${INTAKE_SELECT} FROM dbo.IntakeForms WHERE UserId = @UserId`);
+  const row = result.recordset[0];
+  return row ? toIntake(row) : null;
+};
+
+const escapeLike = (value) => value.replace(/[\\%_[]/g, (c) => `\\${c}`);
+
+/**
+ * Pages through current intakes, most recently submitted first. Names and ZIP
+ * match by prefix; email through its blind index.
+ * @returns {Promise<{ total: number, intakes: object[] }>}
+ */
+const searchIntakes = async ({
+  name = null,
+  emailHash = null,
+  zipCode = null,
+  submittedFrom = null,
+  submittedBefore = null,
+  assignedTo,
+  offset = 0,
+  limit = 25
+} = {}) => {
+  const sqlPool = await getPool();
+  const request = sqlPool.request()
+    .input('Offset', sql.Int, offset)
+    .input('Limit', sql.Int, limit);
+  const where = ['1 = 1'];
+  nameTerms(name).forEach((term, i) => {
+    request.input(`Name${i}`, sql.NVarChar(320), `${escapeLike(term)}%`);
+    where.push(`(f.FirstName LIKE @Name${i} ESCAPE '\\' OR f.LastName LIKE @Name${i} ESCAPE '\\')`);
+  });
+  if (emailHash) {
+    request.input('EmailHash', sql.Char(64), emailHash);
+    where.push('f.EmailHash = @EmailHash');
+  }
+  if (zipCode) {
+    // Digits only (validateCaseSearch)
+    request.input('ZipCode', sql.NVarChar(20), `${zipCode}%`);
+    where.push('f.ZipCode LIKE @ZipCode');
+  }
+  if (submittedFrom) {
+    request.input('SubmittedFrom', sql.DateTime2, submittedFrom);
+    where.push('f.UpdatedAt >= @SubmittedFrom');
+  }
+  if (submittedBefore) {
+    request.input('SubmittedBefore', sql.DateTime2, submittedBefore);
+    where.push('f.UpdatedAt < @SubmittedBefore');
+  }
+  if (assignedTo === null) {
+    where.push('a.AssignedTo IS NULL');
+  } else if (assignedTo !== undefined) {
+    request.input('AssignedTo', sql.NVarChar(255), assignedTo);
+    where.push('a.AssignedTo = @AssignedTo');
+  }
+
+  const from = `
+    FROM dbo.IntakeForms f
+    LEFT JOIN dbo.CaseAssignments a ON a.UserId = f.UserId
+    WHERE ${where.join('\n      AND ')}
   `;
+  const result = await request.query(`
+    SELECT COUNT(*) AS Total ${from};
 
-  await request.query(upsertQuery);
+    SELECT f.Id, f.UserId, f.CreatedAt, f.UpdatedAt, f.FirstName, f.LastName,
+      f.Email, f.City, f.ZipCode, a.AssignedTo, a.AssignedToName
+    ${from}
+    ORDER BY f.UpdatedAt DESC, f.Id
+    OFFSET @Offset ROWS FETCH NEXT @Limit ROWS ONLY;
+  `);
+  const [[{ Total }], rows] = result.recordsets;
+  return {
+    total: Total,
+    intakes: rows.map((row) => ({
+      ...toIntake(row),
+      assignedTo: row.AssignedTo,
+      assignedToName: row.AssignedToName
+    }))
+  };
+};
+
+const CASE_ASSIGNMENT_COLUMNS = [
+  { column: 'AssignedTo', field: 'assignedTo', type: () => sql.NVarChar(255) },
+  { column: 'AssignedToName', field: 'assignedToName', type: () => sql.NVarChar(256) },
+  { column: 'AssignedBy', field: 'assignedBy', type: () => sql.NVarChar(255) }
+];
+
+const getCaseAssignment = async (userId) => {
+  const sqlPool = await getPool();
+  const result = await sqlPool.request()
+    .input('UserId', sql.NVarChar(255), userId)
+    .query(`
+      SELECT UserId, CreatedAt, UpdatedAt, ${CASE_ASSIGNMENT_COLUMNS.map((c) => c.column).join(', ')}
+      FROM dbo.CaseAssignments
+      WHERE UserId = @UserId
+    `);
+  const row = result.recordset[0];
+  if (!row) return null;
+  const assignment = { userId: row.UserId, createdAt: row.CreatedAt, updatedAt: row.UpdatedAt };
+  for (const { column, field } of CASE_ASSIGNMENT_COLUMNS) assignment[field] = row[column];
+  return assignment;
+};
+
+const saveCaseAssignment = (userId, changes) =>
+  mergeUserRow('dbo.CaseAssignments', CASE_ASSIGNMENT_COLUMNS, userId, changes);
+
+const NOTE_COLUMNS = [
+  { column: 'Body', field: 'body', type: () => sql.NVarChar(sql.MAX) },
+  { column: 'AuthorId', field: 'authorId', type: () => sql.NVarChar(255) },
+  { column: 'AuthorName', field: 'authorName', type: () => sql.NVarChar(256) }
+];
+
+const NOTE_SELECT = `Id, UserId, CreatedAt, ${NOTE_COLUMNS.map((c) => c.column).join(', ')}`;
+
+const toCaseNote = (row) => {
+  const note = { id: row.Id, userId: row.UserId, createdAt: row.CreatedAt };
+  for (const { column, field } of NOTE_COLUMNS) note[field] = row[column];
+  return note;
+};
+
+/** Newest first */
+const listCaseNotes = async (userId) => {
+  const sqlPool = await getPool();
+  const result = await sqlPool.request()
+    .input('UserId', sql.NVarChar(255), userId)
+    .query(`
+      SELECT ${NOTE_SELECT}
+      FROM dbo.CaseNotes
+      WHERE UserId = @UserId
+      ORDER BY CreatedAt DESC, Id DESC
+    `);
+  return result.recordset.map(toCaseNote);
+};
+
+const addCaseNote = async (userId, note) => {
+  const sqlPool = await getPool();
+  const request = sqlPool.request()
+    .input('UserId', sql.NVarChar(255), userId)
+    .input('Now', sql.DateTime2, new Date());
+  for (const { column, field, type } of NOTE_COLUMNS) {
+    request.input(column, type(), note[field] ?? null);
+  }
+  const names = NOTE_COLUMNS.map((c) => c.column);
+  const result = await request.query(`
+    INSERT INTO dbo.CaseNotes (UserId, ${names.join(', ')}, CreatedAt)
+    OUTPUT ${NOTE_SELECT.split(', ').map((c) => `inserted.${c}`).join(', ')}
+    VALUES (@UserId, ${names.map((c) => `@${c}`).join(', ')}, @Now);
+  `);
+  return toCaseNote(result.recordset[0]);
+};
+
+const AUDIT_SELECT = `Id, OccurredAt, ActorType, ActorId, Action, TargetType, TargetId, RecordId,
+  Fields, IpAddress, CorrelationId`;
+
+const toAuditEvent = (row) => ({
+  id: row.Id,
+  occurredAt: row.OccurredAt,
+  actorType: row.ActorType,
+  actorId: row.ActorId,
+  action: row.Action,
+  targetType: row.TargetType,
+  targetId: row.TargetId,
+  recordId: row.RecordId,
+  fields: row.Fields ? JSON.parse(row.Fields) : [],
+  ip: row.IpAddress,
+  correlationId: row.CorrelationId
+});
+
+/** Appends to the audit log; dbo.AuditEvents refuses updates and deletes. */
+const appendAuditEvent = async (event) => {
+  const sqlPool = await getPool();
+  await sqlPool.request()
+    .input('OccurredAt', sql.DateTime2, event.occurredAt)
+    .input('ActorType', sql.NVarChar(10), event.actorType)
+    .input('ActorId', sql.NVarChar(255), event.actorId)
+    .input('Action', sql.NVarChar(64), event.action)
+    .input('TargetType', sql.NVarChar(32), event.targetType)
+    .input('TargetId', sql.NVarChar(255), event.targetId)
+    .input('RecordId', sql.NVarChar(255), event.recordId)
+    .input('Fields', sql.NVarChar(sql.MAX), JSON.stringify(event.fields || []))
+    .input('IpAddress', sql.NVarChar(64), event.ip)
+    .input('CorrelationId', sql.NVarChar(128), event.correlationId)
+    .query(`
+      INSERT INTO dbo.AuditEvents
+        (OccurredAt, ActorType, ActorId, Action, TargetType, TargetId, RecordId, Fields, IpAddress, CorrelationId)
+      VALUES
+        (@OccurredAt, @ActorType, @ActorId, @Action, @TargetType, @TargetId, @RecordId, @Fields, @IpAddress, @CorrelationId);
+    `);
+};
+
+/**
+ * Pages through audit events, newest first (see config/audit.js).
+ * @returns {Promise<{ total: number, events: object[] }>}
+ */
+const listAuditEvents = async ({
+  actorId = null,
+  targetId = null,
+  action = null,
+  correlationId = null,
+  from = null,
+  before = null,
+  offset = 0,
+  limit = 50
+} = {}) => {
+  const sqlPool = await getPool();
+  const request = sqlPool.request()
+    .input('Offset', sql.Int, offset)
+    .input('Limit', sql.Int, limit);
+  const where = ['1 = 1'];
+  const equals = [
+    ['ActorId', actorId, sql.NVarChar(255)],
+    ['TargetId', targetId, sql.NVarChar(255)],
+    ['Action', action, sql.NVarChar(64)],
+    ['CorrelationId', correlationId, sql.NVarChar(128)]
+  ];
+  for (const [column, value, type] of equals) {
+    if (!value) continue;
+    request.input(column, type, value);
+    where.push(`${column} = @${column}`);
+  }
+  if (from) {
+    request.input('From', sql.DateTime2, from);
+    where.push('OccurredAt >= @From');
+  }
+  if (before) {
+    request.input('Before', sql.DateTime2, before);
+    where.push('OccurredAt < @Before');
+  }
+
+  const condition = where.join('\n      AND ');
+  const result = await request.query(`
+    SELECT COUNT(*) AS Total FROM dbo.AuditEvents WHERE ${condition};
+
+    SELECT ${AUDIT_SELECT}
+    FROM dbo.AuditEvents
+    WHERE ${condition}
+    ORDER BY OccurredAt DESC, Id DESC
+    OFFSET @Offset ROWS FETCH NEXT @Limit ROWS ONLY;
+  `);
+  const [[{ Total }], rows] = result.recordsets;
+  return { total: Total, events: rows.map(toAuditEvent) };
+};
+
+// Tables with encrypted columns, for key rotation. Keyed by collection name.
+const ENCRYPTED_TABLES = {
+  intakeForms: { table: 'dbo.IntakeForms', columns: INTAKE_COLUMNS },
+  intakeVersions: { table: 'dbo.IntakeFormVersions', columns: INTAKE_COLUMNS },
+  outbox: {
+    table: 'dbo.OutboxMessages',
+    columns: [{ column: 'Payload', field: 'payload', type: () => sql.NVarChar(sql.MAX) }]
+  },
+  efsmodInvitations: { table: 'dbo.EfsmodInvitations', columns: INVITATION_COLUMNS },
+  provisionedAccounts: { table: 'dbo.ProvisionedAccounts', columns: ACCOUNT_COLUMNS },
+  credentialDeliveries: { table: 'dbo.CredentialDeliveries', columns: CREDENTIAL_COLUMNS },
+  intakeDrafts: { table: 'dbo.IntakeDrafts', columns: DRAFT_COLUMNS },
+  householdMembers: { table: 'dbo.HouseholdMembers', columns: HOUSEHOLD_COLUMNS },
+  documents: { table: 'dbo.Documents', columns: DOCUMENT_COLUMNS },
+  applicationStatusEvents: { table: 'dbo.ApplicationStatusEvents', columns: STATUS_EVENT_COLUMNS },
+  caseNotes: { table: 'dbo.CaseNotes', columns: NOTE_COLUMNS }
+};
+
+const getEncryptedTable = (collection, fields) => {
+  const spec = ENCRYPTED_TABLES[collection];
+  if (!spec) throw new Error(`Unknown encrypted collection: ${collection}`);
+  const columns = spec.columns.filter((c) => fields.includes(c.field));
+  return { table: spec.table, columns };
+};
+
+/**
+ * Pages through raw (still encrypted) values of `fields`, ordered by Id.
+ * @returns {Promise<{ id: string, values: object }[]>}
+ */
+const listEncryptedRows = async (collection, fields, { after = null, limit = 200 } = {}) => {
+  const { table, columns } = getEncryptedTable(collection, fields);
+  const sqlPool = await getPool();
+  const result = await sqlPool.request()
+    .input('After', sql.UniqueIdentifier, after)
+    .input('Limit', sql.Int, limit)
+    .query(`
+      SELECT TOP (@Limit) Id, ${columns.map((c) => c.column).join(', ')}
+      FROM ${table}
+      WHERE @After IS NULL OR Id > @After
+      ORDER BY Id
+    `);
+  return result.recordset.map((row) => {
+    const values = {};
+    for (const { column, field } of columns) values[field] = row[column];
+    return { id: row.Id, values };
+  });
+};
+
+const updateEncryptedRow = async (collection, id, values) => {
+  const fields = Object.keys(values);
+  const { table, columns } = getEncryptedTable(collection, fields);
+  const sqlPool = await getPool();
+  const request = sqlPool.request().input('Id', sql.UniqueIdentifier, id);
+  for (const { column, field, type } of columns) {
+    request.input(column, type(), values[field]);
+  }
+  await request.query(`
+    UPDATE ${table}
+    SET ${columns.map((c) => `${c.column} = @${c.column}`).join(', ')}
+    WHERE Id = @Id
+  `);
 };
 
 module.exports = {
   getPool,
-  ensureIntakeTable,
-  upsertIntakeForm
+  pingDatabase,
+  upsertIntakeForm,
+  listIntakeVersions,
+  getIntakeVersion,
+  claimOutboxMessages,
+  completeOutboxMessage,
+  failOutboxMessage,
+  listOutboxMessages,
+  replayOutboxMessages,
+  getEfsmodInvitation,
+  findActiveEfsmodInvitationByEmailHash,
+  saveEfsmodInvitation,
+  getProvisionedAccount,
+  saveProvisionedAccount,
+  getCredentialDelivery,
+  saveCredentialDelivery,
+  takeCredentialSecret,
+  getIntakeDraft,
+  saveIntakeDraft,
+  deleteIntakeDraft,
+  listHouseholdMembers,
+  addHouseholdMember,
+  updateHouseholdMember,
+  deleteHouseholdMember,
+  listDocuments,
+  addDocument,
+  getDocument,
+  deleteDocument,
+  listApplicationStatusEvents,
+  addApplicationStatusEvent,
+  getIntake,
+  searchIntakes,
+  getCaseAssignment,
+  saveCaseAssignment,
+  listCaseNotes,
+  addCaseNote,
+  appendAuditEvent,
+  listAuditEvents,
+  listEncryptedRows,
+  updateEncryptedRow
 };
@@ -0,0 +1,201 @@
+// Blob storage for uploaded documents (see config/documents.js)
+// Every backend stores opaque bytes under a key and exposes the same
+// interface:
+//
+//   put(key, data, { contentType })  - store or replace a blob
+//   get(key)                         - the blob's bytes, or null
+//   delete(key)                      - remove it (no error when missing)
+//
+//   azure  - Azure Blob Storage container via managed identity (prod)
+//   local  - files under DOCUMENT_STORAGE_DIR, default data/documents (dev)
+//   memory - in-process only; used with INTAKE_STORE=memory (tests)
+
+const fs = require("fs");
+const path = require("path");
+const { DefaultAzureCredential } = require("@azure/identity");
+
+const fetch =
+  globalThis.fetch ||
+  ((...args) =>
+    import("node-fetch").then(({ default: fetchFn }) => fetchFn(...args)));
+
+const DEFAULT_STORAGE_DIR = path.join(__dirname, "..", "data", "documents");
+const STORAGE_SCOPE = "https://storage.azure.com/.default";
+const STORAGE_API_VERSION = "2023-11-03";
+
+// Keys are generated by newStorageKey; anything else is a bug, not a path
+const KEY_PATTERN = /^[a-z0-9-]+(\/[a-z0-9-]+)*$/i;
+
+const checkKey = (key) => {
+  if (!KEY_PATTERN.test(key)) {
+    throw new Error(`Invalid document storage key: ${key}`);
+  }
+  return key;
+};
+
+class MemoryBlobStorage {
+  constructor() {
+    this.name = "memory";
+    this.blobs = new Map();
+  }
+
+  async put(key, data) {
+    this.blobs.set(checkKey(key), Buffer.from(data));
+  }
+
+  async get(key) {
+    const data = this.blobs.get(checkKey(key));
+    return data ? Buffer.from(data) : null;
+  }
+
+  async delete(key) {
+    this.blobs.delete(checkKey(key));
+  }
+}
+
+class LocalBlobStorage {
+  /** @param {{ dir?: string }} [options] */
+  constructor({ dir = DEFAULT_STORAGE_DIR } = {}) {
+    this.name = "local";
+    this.dir = dir;
+  }
+
+  filePath(key) {
+    return path.join(this.dir, ...checkKey(key).split("/"));
+  }
+
+  // Temp file and rename, like the file store, so readers never see half a file
+  async put(key, data) {
+    const file = this.filePath(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, data, { mode: 0o600 });
+    await fs.promises.rename(tmp, file);
+  }
+
+  async get(key) {
+    try {
+      return await fs.promises.readFile(this.filePath(key));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.filePath(key), { force: true });
+  }
+}
+
+class AzureBlobStorage {
+  /**
+   * @param {{ accountUrl: string, container?: string, credential?: object }} options
+   *   `accountUrl` is https://<account>.blob.core.windows.net. The app's
+   *   identity needs the Storage Blob Data Contributor role on the container.
+   */
+  constructor({ accountUrl, container = "documents", credential } = {}) {
+    if (!accountUrl) {
+      throw new Error("DOCUMENT_STORAGE_ACCOUNT_URL is required.");
+    }
+    this.name = "azure";
+    this.containerUrl = `${accountUrl.replace(/\/$/, "")}/${container}`;
+    this.credential = credential || new DefaultAzureCredential();
+  }
+
+  async request(method, key, { body, headers = {} } = {}) {
+    const { token } = await this.credential.getToken(STORAGE_SCOPE);
+    return fetch(`${this.containerUrl}/${checkKey(key)}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "x-ms-version": STORAGE_API_VERSION,
+        "x-ms-date": new Date().toUTCString(),
+        ...headers,
+      },
+      body,
+    });
+  }
+
+  static async fail(resp, action) {
+    const text = await resp.text().catch(() => "");
+    throw new Error(`Blob ${action} failed (${resp.status}): ${text}`);
+  }
+
+  async put(key, data, { contentType = "application/octet-stream" } = {}) {
+    const resp = await this.request("PUT", key, {
+      body: data,
+      headers: {
+        "x-ms-blob-type": "BlockBlob",
+        "x-ms-blob-content-type": contentType,
+      },
+    });
+    if (!resp.ok) await AzureBlobStorage.fail(resp, "upload");
+  }
+
+  async get(key) {
+    const resp = await this.request("GET", key);
+    if (resp.status === 404) return null;
+    if (!resp.ok) await AzureBlobStorage.fail(resp, "download");
+    return Buffer.from(await resp.arrayBuffer());
+  }
+
+  async delete(key) {
+    const resp = await this.request("DELETE", key);
+    if (!resp.ok && resp.status !== 404) {
+      await AzureBlobStorage.fail(resp, "delete");
+    }
+  }
+}
+
+const defaultStorageKind = (env) => {
+  if (env.DOCUMENT_STORAGE_ACCOUNT_URL) return "azure";
+  // Blobs should not outlive the metadata that points at them
+  if ((env.INTAKE_STORE || "").trim().toLowerCase() === "memory") {
+    return "memory";
+  }
+  return "local";
+};
+
+/** Builds the backend from DOCUMENT_STORAGE_* settings. */
+const createDocumentStorage = (env = process.env) => {
+  const configured = (env.DOCUMENT_STORAGE || "").trim().toLowerCase();
+  const kind = configured || defaultStorageKind(env);
+
+  if (kind === "azure") {
+    return new AzureBlobStorage({
+      accountUrl: env.DOCUMENT_STORAGE_ACCOUNT_URL,
+      container: env.DOCUMENT_STORAGE_CONTAINER || "documents",
+    });
+  }
+  if (kind === "memory") return new MemoryBlobStorage();
+  if (kind !== "local") {
+    throw new Error(
+      `Unknown DOCUMENT_STORAGE "${env.DOCUMENT_STORAGE}". Use azure, local or memory.`
+    );
+  }
+  if (env.NODE_ENV === "production" && !configured) {
+    throw new Error(
+      "Document storage needs DOCUMENT_STORAGE_ACCOUNT_URL (or DOCUMENT_STORAGE=local) in production."
+    );
+  }
+  return new LocalBlobStorage({
+    dir: env.DOCUMENT_STORAGE_DIR || DEFAULT_STORAGE_DIR,
+  });
+};
+
+let storage = null;
+
+const getDocumentStorage = () => {
+  if (!storage) {
+    storage = createDocumentStorage();
+  }
+  return storage;
+};
+
+module.exports = {
+  MemoryBlobStorage,
+  LocalBlobStorage,
+  AzureBlobStorage,
+  createDocumentStorage,
+  getDocumentStorage,
+};
@@ -0,0 +1,167 @@
+// Supporting documents uploaded with the School Readiness intake
+// Proof of income, residency, employment and the like. The file itself goes
+// to blob storage (config/document-storage.js); the store keeps its metadata
+// (dbo.Documents) with the file name encrypted at rest. Uploads are checked
+// against both the declared type and the file's own signature, so a renamed
+// executable is rejected.
+
+const crypto = require("crypto");
+const path = require("path");
+
+const DOCUMENT_MAX_BYTES = 10 * 1024 * 1024;
+const DOCUMENT_MAX_PER_APPLICANT = 50;
+const FILE_NAME_MAX_LENGTH = 255;
+
+const DOCUMENT_CATEGORIES = [
+  ["proof-of-income", "Proof of income"],
+  ["proof-of-residency", "Proof of residency"],
+  ["proof-of-employment", "Proof of employment"],
+  ["proof-of-school", "School or training enrollment"],
+  ["identification", "Photo identification"],
+  ["child-birth-record", "Child's birth certificate"],
+  ["other", "Other"],
+].map(([value, label]) => ({ value, label }));
+
+// Accepted file types and the leading bytes every such file starts with
+const DOCUMENT_TYPES = [
+  {
+    contentType: "application/pdf",
+    label: "PDF",
+    extensions: [".pdf"],
+    signature: [0x25, 0x50, 0x44, 0x46, 0x2d], // %PDF-
+  },
+  {
+    contentType: "image/jpeg",
+    label: "JPEG",
+    extensions: [".jpg", ".jpeg"],
+    signature: [0xff, 0xd8, 0xff],
+  },
+  {
+    contentType: "image/png",
+    label: "PNG",
+    extensions: [".png"],
+    signature: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  },
+];
+
+const ACCEPTED_TYPES = `${DOCUMENT_TYPES.map((t) => t.label)
+  .slice(0, -1)
+  .join(", ")} or ${DOCUMENT_TYPES[DOCUMENT_TYPES.length - 1].label}`;
+
+/** What the browser needs to build the upload form. */
+const getDocumentRules = () => ({
+  maxBytes: DOCUMENT_MAX_BYTES,
+  maxDocuments: DOCUMENT_MAX_PER_APPLICANT,
+  categories: DOCUMENT_CATEGORIES,
+  contentTypes: DOCUMENT_TYPES.map((t) => t.contentType),
+  accept: DOCUMENT_TYPES.flatMap((t) => [t.contentType, ...t.extensions]).join(
+    ","
+  ),
+});
+
+/** The accepted content type `data` really is, or null. */
+const detectContentType = (data) => {
+  const type = DOCUMENT_TYPES.find(
+    ({ signature }) =>
+      data.length >= signature.length &&
+      signature.every((byte, index) => data[index] === byte)
+  );
+  return type ? type.contentType : null;
+};
+
+// Base name only, without control or path characters; browsers send
+// C:\fakepath\... and some clients send full paths
+const cleanFileName = (value) => {
+  if (typeof value !== "string") return null;
+  const name = path.win32
+    .basename(value)
+    .replace(/[\u0000-\u001f\u007f"<>|:*?\\/]/g, "")
+    .trim();
+  if (!name) return null;
+  if (name.length <= FILE_NAME_MAX_LENGTH) return name;
+  const extension = path.extname(name).slice(0, 16);
+  return name.slice(0, FILE_NAME_MAX_LENGTH - extension.length) + extension;
+};
+
+/**
+ * Checks an upload and builds its metadata. `contentType` is the declared
+ * type (request Content-Type); parameters such as charset are ignored.
+ * @param {{ category?: string, fileName?: string, contentType?: string, data?: Buffer }} upload
+ * @returns {{ document: { category: string, fileName: string, contentType: string, sizeBytes: number, sha256: string }|null, errors: Object<string, string> }}
+ */
+const validateDocumentUpload = ({ category, fileName, contentType, data }) => {
+  const errors = {};
+
+  if (!DOCUMENT_CATEGORIES.some((c) => c.value === category)) {
+    errors.category = "Choose what kind of document this is.";
+  }
+
+  const name = cleanFileName(fileName);
+  if (!name) {
+    errors.fileName = "The file needs a name.";
+  }
+
+  const declared = String(contentType || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  if (!Buffer.isBuffer(data) || !data.length) {
+    errors.file = "Choose a file to upload.";
+  } else if (data.length > DOCUMENT_MAX_BYTES) {
+    errors.file = `Files must be ${
+      DOCUMENT_MAX_BYTES / (1024 * 1024)
+    } MB or smaller.`;
+  } else if (!DOCUMENT_TYPES.some((t) => t.contentType === declared)) {
+    errors.file = `Upload a ${ACCEPTED_TYPES} file.`;
+  } else if (detectContentType(data) !== declared) {
+    errors.file = "The file's contents do not match its type.";
+  }
+
+  if (Object.keys(errors).length) return { document: null, errors };
+  return {
+    document: {
+      category,
+      fileName: name,
+      contentType: declared,
+      sizeBytes: data.length,
+      sha256: crypto.createHash("sha256").update(data).digest("hex"),
+    },
+    errors,
+  };
+};
+
+// Blob names carry no applicant data
+const newStorageKey = () => `documents/${crypto.randomUUID()}`;
+
+/** Content-Disposition for downloading `fileName`, with an ASCII fallback. */
+const contentDisposition = (fileName) => {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\%]/g, "_");
+  const encoded = encodeURIComponent(fileName).replace(
+    /['()*]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+// API shape of a stored document (never the storage key)
+const toDocument = (row) => ({
+  id: row.id,
+  category: row.category,
+  fileName: row.fileName,
+  contentType: row.contentType,
+  sizeBytes: row.sizeBytes,
+  createdAt: row.createdAt,
+});
+
+module.exports = {
+  DOCUMENT_MAX_BYTES,
+  DOCUMENT_MAX_PER_APPLICANT,
+  DOCUMENT_CATEGORIES,
+  DOCUMENT_TYPES,
+  getDocumentRules,
+  detectContentType,
+  validateDocumentUpload,
+  newStorageKey,
+  contentDisposition,
+  toDocument,
+};
@@ -0,0 +1,252 @@
+// Local stand-in for App Service Authentication ("Easy Auth")
+// Serves /.auth/me, /.auth/login/* and /.auth/logout and injects the
+// x-ms-client-principal headers so the app runs end-to-end off Azure.
+// DEV ONLY: never enabled when NODE_ENV=production or on App Service.
+
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+const { logger } = require("./logger");
+
+const DEFAULT_PERSONAS_PATH = path.join(__dirname, "dev-personas.json");
+const SESSION_COOKIE = "AppServiceAuthSession";
+// Lets automated tests pick a persona per request without a login round-trip
+const PERSONA_HEADER = "x-dev-persona";
+
+const EMAIL_CLAIM =
+  "http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress";
+const ROLE_CLAIM =
+  "http://schemas.microsoft.com/ws/2008/06/identity/claims/role";
+const OBJECT_ID_CLAIM =
+  "http://schemas.microsoft.com/identity/claims/objectidentifier";
+
+function isEasyAuthEmulatorEnabled(env = process.env) {
+  if (String(env.EASY_AUTH_EMULATOR || "").toLowerCase() !== "true") {
+    return false;
+  }
+  // App Service sets WEBSITE_AUTH_ENABLED when the real module is configured
+  if (env.NODE_ENV === "production" || env.WEBSITE_AUTH_ENABLED === "True") {
+    logger.warn(
+      "EASY_AUTH_EMULATOR ignored: not allowed in production or on App Service."
+    );
+    return false;
+  }
+  return true;
+}
+
+function toClaimList(claims = {}) {
+  const list = [];
+  for (const [typ, value] of Object.entries(claims)) {
+    const values = Array.isArray(value) ? value : [value];
+    for (const val of values) {
+      if (val !== undefined && val !== null)
+        list.push({ typ, val: String(val) });
+    }
+  }
+  return list;
+}
+
+function loadPersonas(filePath) {
+  const resolved =
+    filePath || process.env.EASY_AUTH_PERSONAS_FILE || DEFAULT_PERSONAS_PATH;
+  const raw = JSON.parse(fs.readFileSync(resolved, "utf8"));
+  const personas = Array.isArray(raw) ? raw : raw.personas || [];
+
+  const byId = new Map();
+  for (const persona of personas) {
+    if (!persona || !persona.id || !persona.userId) {
+      throw new Error(
+        `Invalid persona in ${resolved}: "id" and "userId" are required.`
+      );
+    }
+    const claims = toClaimList(persona.claims);
+    if (persona.objectId && !claims.some((c) => c.typ === OBJECT_ID_CLAIM)) {
+      claims.push({ typ: OBJECT_ID_CLAIM, val: persona.objectId });
+    }
+    byId.set(persona.id, {
+      id: persona.id,
+      label: persona.label || persona.id,
+      userId: persona.userId,
+      objectId: persona.objectId || persona.userId,
+      identityProvider: persona.identityProvider || "aad",
+      claims,
+    });
+  }
+
+  return byId;
+}
+
+function parseCookies(header = "") {
+  const cookies = {};
+  for (const part of header.split(";")) {
+    const idx = part.indexOf("=");
+    if (idx === -1) continue;
+    const key = part.slice(0, idx).trim();
+    if (!key) continue;
+    try {
+      cookies[key] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch (_) {
+      // Malformed percent-encoding: skip the cookie rather than fail the request
+    }
+  }
+  return cookies;
+}
+
+// Only allow same-site relative redirects, like App Service does by default
+function safeRedirectPath(value, fallback = "/") {
+  if (typeof value !== "string" || !value.startsWith("/")) return fallback;
+  if (value.startsWith("//") || value.startsWith("/\\")) return fallback;
+  return value;
+}
+
+// Shape of the x-ms-client-principal header App Service injects
+function buildClientPrincipal(persona) {
+  return {
+    auth_typ: persona.identityProvider,
+    claims: persona.claims,
+    name_typ: EMAIL_CLAIM,
+    role_typ: ROLE_CLAIM,
+  };
+}
+
+// Shape of a /.auth/me entry. `identity_provider` mirrors `provider_name`
+// because existing callers read that field.
+function buildAuthMeEntry(persona) {
+  return {
+    user_id: persona.userId,
+    provider_name: persona.identityProvider,
+    identity_provider: persona.identityProvider,
+    user_claims: persona.claims,
+  };
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function renderPersonaPicker(personas, provider, redirectPath) {
+  const items = [...personas.values()]
+    .map((persona) => {
+      const href = `/.auth/login/${encodeURIComponent(
+        provider
+      )}?persona=${encodeURIComponent(
+        persona.id
+      )}&post_login_redirect_uri=${encodeURIComponent(redirectPath)}`;
+      return `<li><a href="${escapeHtml(href)}">${escapeHtml(
+        persona.label
+      )}</a> <small>${escapeHtml(persona.userId)}</small></li>`;
+    })
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Sign in (Easy Auth emulator)</title>
+  <link rel="stylesheet" href="/css/flwins-styles.css">
+</head>
+<body>
+  <main class="flwins-container" id="main">
+    <h1>Sign in as a test persona</h1>
+    <p>Local Easy Auth emulator. No real identity provider is contacted.</p>
+    <ul>
+${items}
+    </ul>
+  </main>
+</body>
+</html>`;
+}
+
+function easyAuthEmulator(options = {}) {
+  const personas = loadPersonas(options.personasFile);
+  const router = express.Router();
+
+  const resolvePersona = (req) => {
+    const requested =
+      req.get(PERSONA_HEADER) ||
+      parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    return requested ? personas.get(requested) || null : null;
+  };
+
+  // Like App Service, never trust client-supplied principal headers
+  router.use((req, res, next) => {
+    for (const header of Object.keys(req.headers)) {
+      if (header.startsWith("x-ms-client-principal")) {
+        delete req.headers[header];
+      }
+    }
+
+    const persona = resolvePersona(req);
+    if (persona) {
+      req.headers["x-ms-client-principal"] = Buffer.from(
+        JSON.stringify(buildClientPrincipal(persona))
+      ).toString("base64");
+      req.headers["x-ms-client-principal-id"] = persona.objectId;
+      req.headers["x-ms-client-principal-name"] = persona.userId;
+      req.headers["x-ms-client-principal-idp"] = persona.identityProvider;
+    }
+    next();
+  });
+
+  router.get("/.auth/me", (req, res) => {
+    const persona = resolvePersona(req);
+    if (!persona) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+    res.json([buildAuthMeEntry(persona)]);
+  });
+
+  router.get("/.auth/login/:provider", (req, res) => {
+    const redirectPath = safeRedirectPath(req.query.post_login_redirect_uri);
+    const requested = req.query.persona;
+
+    if (!requested) {
+      // Skip the picker when only one persona is configured
+      if (personas.size === 1) {
+        return res.redirect(
+          `${req.path}?persona=${encodeURIComponent(
+            [...personas.keys()][0]
+          )}&post_login_redirect_uri=${encodeURIComponent(redirectPath)}`
+        );
+      }
+      return res
+        .type("html")
+        .send(renderPersonaPicker(personas, req.params.provider, redirectPath));
+    }
+
+    const persona = personas.get(requested);
+    if (!persona) {
+      return res.status(400).json({ error: `Unknown persona: ${requested}` });
+    }
+
+    res.cookie(SESSION_COOKIE, persona.id, {
+      httpOnly: true,
+      sameSite: "lax",
+      path: "/",
+    });
+    res.redirect(redirectPath);
+  });
+
+  router.get("/.auth/logout", (req, res) => {
+    res.clearCookie(SESSION_COOKIE, { path: "/" });
+    res.redirect(safeRedirectPath(req.query.post_logout_redirect_uri));
+  });
+
+  router.get("/.auth/refresh", (req, res) => {
+    res.status(resolvePersona(req) ? 200 : 401).end();
+  });
+
+  return router;
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  PERSONA_HEADER,
+  isEasyAuthEmulatorEnabled,
+  loadPersonas,
+  easyAuthEmulator,
+};
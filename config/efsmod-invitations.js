@@ -0,0 +1,220 @@
+// EFSMOD (Tenant B) invitation tracking
+// One record per applicant with the invitation Graph returned and where it
+// is in its lifecycle:
+//
+//   pending  - queued in the outbox, not yet sent
+//   invited  - guest invitation created in Tenant B
+//   redeemed - the guest accepted the invitation
+//   failed   - delivery was dead-lettered (see config/outbox-worker.js)
+//
+// Email, guest UPN and links are encrypted at rest by the store.
+
+const {
+  buildEfsmodLoginLink,
+  inviteExternalUserToEfmod,
+  getGuestUserState,
+} = require("./efsmod-provision");
+const {
+  AUDIT_ACTIONS,
+  systemAuditContext,
+  recordAuditEvent,
+} = require("./audit");
+const { logger } = require("./logger");
+
+const INVITATION_STATUS = Object.freeze({
+  PENDING: "pending",
+  INVITED: "invited",
+  REDEEMED: "redeemed",
+  FAILED: "failed",
+});
+
+const INVITATION_PII_FIELDS = [
+  "email",
+  "invitedUserPrincipalName",
+  "inviteRedeemUrl",
+  "deepLink",
+];
+
+const normalizeEmail = (email) =>
+  String(email || "")
+    .trim()
+    .toLowerCase();
+
+const isInvited = (invitation) =>
+  Boolean(invitation) &&
+  [INVITATION_STATUS.INVITED, INVITATION_STATUS.REDEEMED].includes(
+    invitation.status
+  );
+
+/** True when `invitation` already covers `email`, so no new invite is needed. */
+const hasActiveInvitation = (invitation, email) =>
+  isInvited(invitation) &&
+  normalizeEmail(invitation.email) === normalizeEmail(email);
+
+// Guest details sent to Tenant B, for the audit log
+const INVITE_AUDIT_FIELDS = [
+  "email",
+  "firstName",
+  "lastName",
+  "department",
+  "jobTitle",
+];
+
+/**
+ * Outbox handler for "efsmod.invite". Skips Graph when the email was
+ * already invited, for this applicant or another one. Another applicant's
+ * invitation is never copied: the email is only recorded as already
+ * invited, without that guest's identity or redeem and deep links, since
+ * anyone can type someone else's email into the intake. Invitations sent or
+ * recorded are audited under the correlation id of the intake save.
+ * @param {import("./stores").Store} store
+ */
+const createEfsmodInviteHandler = (
+  store,
+  { invite = inviteExternalUserToEfmod } = {}
+) => ({
+  async deliver(payload) {
+    const { userId, email, correlationId = null } = payload;
+    const audit = (recordId) =>
+      recordAuditEvent(store, {
+        ...systemAuditContext(correlationId),
+        action: AUDIT_ACTIONS.EFSMOD_INVITE,
+        targetId: userId,
+        recordId,
+        fields: INVITE_AUDIT_FIELDS.filter((name) => payload[name]),
+      });
+
+    const own = await store.getEfsmodInvitation(userId);
+    if (hasActiveInvitation(own, email)) return;
+
+    const existing = await store.findActiveEfsmodInvitationByEmail(email);
+    if (isInvited(existing) && existing.userId !== userId) {
+      await store.saveEfsmodInvitation(userId, {
+        email,
+        status: INVITATION_STATUS.INVITED,
+        invitedUserId: null,
+        invitedUserPrincipalName: null,
+        inviteRedeemUrl: null,
+        deepLink: null,
+        loginLink: null,
+        invitedAt: new Date(),
+        redeemedAt: null,
+        lastError: null,
+      });
+      await audit(null);
+      return;
+    }
+
+    const result = await invite(payload);
+    await store.saveEfsmodInvitation(userId, {
+      email: result.email,
+      status: INVITATION_STATUS.INVITED,
+      invitedUserId: result.invitedUserId || null,
+      invitedUserPrincipalName: result.invitedUserPrincipalName || null,
+      inviteRedeemUrl: result.inviteRedeemUrl || null,
+      deepLink: result.deepLink || null,
+      loginLink: result.loginLink || null,
+      invitedAt: new Date(),
+      lastError: null,
+    });
+    await audit(result.invitedUserId || null);
+  },
+
+  async onDeadLetter(payload, error) {
+    await store.saveEfsmodInvitation(payload.userId, {
+      status: INVITATION_STATUS.FAILED,
+      lastError: String(error || "").slice(0, 2000),
+    });
+  },
+});
+
+/**
+ * Marks an `invited` record `redeemed` once Tenant B reports the guest as
+ * Accepted. Best effort: on lookup errors the record is returned unchanged.
+ */
+const refreshRedemptionStatus = async (
+  store,
+  invitation,
+  { getState = getGuestUserState } = {}
+) => {
+  if (
+    !invitation ||
+    invitation.status !== INVITATION_STATUS.INVITED ||
+    !invitation.invitedUserId
+  ) {
+    return invitation;
+  }
+  try {
+    const { state, changedAt } = await getState(invitation.invitedUserId);
+    if (state !== "Accepted") return invitation;
+    const redeemedAt = changedAt ? new Date(changedAt) : new Date();
+    await store.saveEfsmodInvitation(invitation.userId, {
+      status: INVITATION_STATUS.REDEEMED,
+      redeemedAt,
+    });
+    return { ...invitation, status: INVITATION_STATUS.REDEEMED, redeemedAt };
+  } catch (err) {
+    logger.warn("EFSMOD redemption check failed", err);
+    return invitation;
+  }
+};
+
+/**
+ * API shape of an invitation. Staff also see the guest identity and the
+ * last delivery error.
+ */
+const toInvitationStatus = (invitation, { includeDetails = false } = {}) => {
+  const status = {
+    status: invitation.status,
+    invitedAt: invitation.invitedAt || null,
+    redeemedAt: invitation.redeemedAt || null,
+    updatedAt: invitation.updatedAt || null,
+    deepLink: invitation.deepLink || null,
+  };
+  if (includeDetails) {
+    Object.assign(status, {
+      email: invitation.email || null,
+      invitedUserId: invitation.invitedUserId || null,
+      invitedUserPrincipalName: invitation.invitedUserPrincipalName || null,
+      lastError: invitation.lastError || null,
+      createdAt: invitation.createdAt || null,
+    });
+  }
+  return status;
+};
+
+/**
+ * The EFSMOD link to show the applicant: the invitation's redeem URL until
+ * the guest has accepted it, then this environment's sign-in link. No link
+ * while the invitation is still queued or has failed.
+ * @returns {{ status: string, kind: "redeem"|"login"|null, url: string|null }}
+ */
+const resolveEfsmodLink = (
+  invitation,
+  { loginLink = buildEfsmodLoginLink() } = {}
+) => {
+  const signIn = loginLink || invitation.loginLink || null;
+  if (invitation.status === INVITATION_STATUS.REDEEMED) {
+    return { status: invitation.status, kind: "login", url: signIn };
+  }
+  if (invitation.status === INVITATION_STATUS.INVITED) {
+    return invitation.inviteRedeemUrl
+      ? {
+          status: invitation.status,
+          kind: "redeem",
+          url: invitation.inviteRedeemUrl,
+        }
+      : { status: invitation.status, kind: "login", url: signIn };
+  }
+  return { status: invitation.status, kind: null, url: null };
+};
+
+module.exports = {
+  INVITATION_STATUS,
+  INVITATION_PII_FIELDS,
+  hasActiveInvitation,
+  createEfsmodInviteHandler,
+  refreshRedemptionStatus,
+  toInvitationStatus,
+  resolveEfsmodLink,
+};
@@ -1,12 +1,7 @@
 // EFSMOD (Tenant B) provisioning helper
 // Creates a cross-tenant invitation for the user and returns a deep link
 
-const querystring = require("querystring");
-
-const fetch =
-  globalThis.fetch ||
-  ((...args) =>
-    import("node-fetch").then(({ default: fetchFn }) => fetchFn(...args)));
+const { getAppToken, createGraphClient } = require("./graph-client");
 
 function normalizeBaseUrl(url) {
   if (typeof url !== "string" || !url.trim()) return null;
@@ -45,6 +40,23 @@ function resolveRedirectUrl(baseUrl, redirectPath) {
   return `${normalizedBase}${path}`;
 }
 
+// Front-channel EFSMOD sign-in link that lands on the SR app page. Defaults
+// to this environment's EFSMOD settings; null when no base URL is configured.
+function buildEfsmodLoginLink(
+  baseUrl = process.env.EFSMOD_BASE_URL || process.env.B_BASE_URL,
+  redirectPath = process.env.EFSMOD_REDIRECT_PATH || "/srapp.html"
+) {
+  if (!baseUrl) return null;
+  const postLogin = encodeURIComponent(
+    `${redirectPath && redirectPath.startsWith("/") ? "" : "/"}${
+      redirectPath || "/"
+    }`
+  );
+  const normalizedBase = normalizeBaseUrl(baseUrl) || baseUrl;
+  // Force FLWINS IdP and avoid login_hint (which may push users to Microsoft Account)
+  return `${normalizedBase}/.auth/login/FLWINS?post_login_redirect_uri=${postLogin}`;
+}
+
 function getEfmodConfig() {
   const tenantId = process.env.EFSMOD_TENANT_ID || process.env.B_TENANT_ID;
   const clientId =
@@ -70,30 +82,14 @@ function getEfmodConfig() {
   return { tenantId, clientId, clientSecret, baseUrl, redirectPath };
 }
 
+// Tenant B app token, cached until shortly before expiry
 async function getAppTokenEfmod() {
   const { tenantId, clientId, clientSecret } = getEfmodConfig();
-  const tokenUrl = `https://login.microsoftonline.com/${encodeURIComponent(
-    tenantId
-  )}/oauth2/v2.0/token`;
-  const body = querystring.stringify({
-    client_id: clientId,
-    client_secret: clientSecret,
-    scope: "https://graph.microsoft.com/.default",
-    grant_type: "client_credentials",
-  });
-
-  const resp = await fetch(tokenUrl, {
-    method: "POST",
-    headers: { "Content-Type": "application/x-www-form-urlencoded" },
-    body,
-  });
-  if (!resp.ok) {
-    const text = await resp.text().catch(() => "");
-    throw new Error(`EFSMOD token error (${resp.status}): ${text}`);
-  }
-  const json = await resp.json();
-  if (!json.access_token) throw new Error("EFSMOD token missing access_token");
-  return json.access_token;
+  return getAppToken({ tenantId, clientId, clientSecret });
+}
+
+function efmodGraphClient() {
+  return createGraphClient({ getToken: getAppTokenEfmod, label: "EFSMOD" });
 }
 
 function makeDisplayName(intake) {
@@ -107,12 +103,13 @@ function makeDisplayName(intake) {
 }
 
 async function inviteExternalUserToEfmod(intake) {
-  const token = await getAppTokenEfmod();
   const { baseUrl, redirectPath } = getEfmodConfig();
 
   const email = String(intake.email || "").trim();
   if (!email || !email.includes("@")) {
-    throw new Error("EFSMOD invite requires a valid email address.");
+    const err = new Error("EFSMOD invite requires a valid email address.");
+    err.retryable = false;
+    throw err;
   }
 
   const redirectUrl = resolveRedirectUrl(baseUrl, redirectPath);
@@ -124,33 +121,12 @@ async function inviteExternalUserToEfmod(intake) {
     inviteRedirectUrl: redirectUrl,
   };
 
-  const resp = await fetch("https://graph.microsoft.com/v1.0/invitations", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify(payload),
-  });
-
-  if (!resp.ok) {
-    const text = await resp.text().catch(() => "");
-    const err = new Error(`EFSMOD invite failed (${resp.status}): ${text}`);
-    err.status = resp.status;
-    throw err;
-  }
-
-  const json = await resp.json();
+  // Throttling and other failures surface as GraphError, whose status and
+  // retryAfter drive the outbox worker's retry schedule
+  const json = await efmodGraphClient().post("/invitations", payload);
   // Prefer Graph-provided redeem link (ensures invite acceptance),
   // fallback to front-channel login link with redirect to the desired path
-  const postLogin = encodeURIComponent(
-    `${redirectPath && redirectPath.startsWith("/") ? "" : "/"}${
-      redirectPath || "/"
-    }`
-  );
-  const normalizedBase = normalizeBaseUrl(baseUrl) || baseUrl;
-  // Force FLWINS IdP and avoid login_hint (which may push users to Microsoft Account)
-  const loginLink = `${normalizedBase}/.auth/login/FLWINS?post_login_redirect_uri=${postLogin}`;
+  const loginLink = buildEfsmodLoginLink(baseUrl, redirectPath);
   const deepLink = json.inviteRedeemUrl || loginLink;
 
   return {
@@ -163,8 +139,26 @@ async function inviteExternalUserToEfmod(intake) {
   };
 }
 
+// Reads a guest's invitation state in Tenant B ("PendingAcceptance" until
+// the invite is redeemed, then "Accepted"). Needs User.Read.All.
+async function getGuestUserState(invitedUserId) {
+  const json = await efmodGraphClient().get(
+    `/users/${encodeURIComponent(
+      invitedUserId
+    )}?$select=id,externalUserState,externalUserStateChangeDateTime`
+  );
+  return {
+    state: json.externalUserState || null,
+    changedAt: json.externalUserStateChangeDateTime || null,
+  };
+}
+
 module.exports = {
+  normalizeBaseUrl,
+  resolveRedirectUrl,
   getEfmodConfig,
   getAppTokenEfmod,
+  buildEfsmodLoginLink,
   inviteExternalUserToEfmod,
+  getGuestUserState,
 };
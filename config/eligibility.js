@@ -0,0 +1,436 @@
+// School Readiness eligibility pre-screener
+// Rules live in JSON rule sets, one per fiscal year, in
+// config/eligibility-rules/ (or ELIGIBILITY_RULES_DIR). The set with the
+// latest `effectiveFrom` on or before today applies, so next year's rules
+// are added as a new file without code changes. Screening is advisory: it
+// tells applicants whether they are likely eligible and why, and stores
+// nothing.
+
+const fs = require("fs");
+const path = require("path");
+const { DATE_PATTERN } = require("./input-parsing");
+
+const DEFAULT_RULES_DIR = path.join(__dirname, "eligibility-rules");
+
+const RESULTS = Object.freeze({
+  LIKELY_ELIGIBLE: "likely-eligible",
+  NEEDS_REVIEW: "needs-review",
+  LIKELY_INELIGIBLE: "likely-ineligible",
+});
+
+// Requirements a priority group can waive
+const WAIVABLE = ["income", "activity"];
+
+const INCOME_FREQUENCIES = [
+  { value: "weekly", label: "Weekly", perYear: 52 },
+  { value: "biweekly", label: "Every two weeks", perYear: 26 },
+  { value: "semimonthly", label: "Twice a month", perYear: 24 },
+  { value: "monthly", label: "Monthly", perYear: 12 },
+  { value: "annually", label: "Yearly", perYear: 1 },
+];
+
+const MAX_INCOME = 10000000;
+const MAX_HOURS_PER_WEEK = 168;
+
+const isNonNegativeNumber = (value) =>
+  typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+/**
+ * Checks a parsed rule set and returns it. Throws on the first problem so a
+ * bad file is caught when it is loaded, not when an applicant hits it.
+ */
+const checkRuleSet = (ruleSet, source = "rule set") => {
+  const fail = (message) => {
+    throw new Error(`Eligibility rules ${source}: ${message}`);
+  };
+  if (!ruleSet || typeof ruleSet !== "object") fail("must be a JSON object.");
+  if (!ruleSet.id) fail('"id" is required.');
+  if (!DATE_PATTERN.test(ruleSet.effectiveFrom || "")) {
+    fail('"effectiveFrom" must be a YYYY-MM-DD date.');
+  }
+
+  const { income, activity, priorityGroups = [] } = ruleSet;
+  if (!income || !Array.isArray(income.limits) || !income.limits.length) {
+    fail('"income.limits" must list the limit for each household size.');
+  }
+  income.limits.forEach((limit, index) => {
+    if (
+      limit.householdSize !== index + 1 ||
+      !isNonNegativeNumber(limit.annual)
+    ) {
+      fail(
+        '"income.limits" must run from householdSize 1 upwards with an annual amount each.'
+      );
+    }
+  });
+  if (!isNonNegativeNumber(income.eachAdditionalMember)) {
+    fail('"income.eachAdditionalMember" must be a number.');
+  }
+  if (!isNonNegativeNumber(income.reviewMarginPercent ?? 0)) {
+    fail('"income.reviewMarginPercent" must be a number.');
+  }
+
+  if (
+    !activity ||
+    !isNonNegativeNumber(activity.minimumHoursPerWeek) ||
+    !Array.isArray(activity.options) ||
+    !activity.options.length ||
+    activity.options.some((o) => !o.value || !o.label)
+  ) {
+    fail(
+      '"activity" needs minimumHoursPerWeek and options with value and label.'
+    );
+  }
+
+  if (!Array.isArray(priorityGroups)) fail('"priorityGroups" must be a list.');
+  for (const group of priorityGroups) {
+    if (!group.id || !group.label) {
+      fail("every priority group needs an id and a label.");
+    }
+    const unknown = (group.waives || []).filter((w) => !WAIVABLE.includes(w));
+    if (unknown.length) {
+      fail(
+        `priority group "${
+          group.id
+        }" waives unknown requirements: ${unknown.join(", ")}.`
+      );
+    }
+  }
+
+  if (
+    ruleSet.maxHouseholdSize !== undefined &&
+    !(
+      Number.isInteger(ruleSet.maxHouseholdSize) && ruleSet.maxHouseholdSize > 0
+    )
+  ) {
+    fail('"maxHouseholdSize" must be a positive whole number.');
+  }
+  return ruleSet;
+};
+
+let cache = null;
+
+/**
+ * Reads and checks every *.json rule set in `dir`, oldest first. Cached per
+ * directory; restart (or deploy) to pick up a new file.
+ */
+const loadRuleSets = (
+  dir = process.env.ELIGIBILITY_RULES_DIR || DEFAULT_RULES_DIR
+) => {
+  if (cache && cache.dir === dir) return cache.ruleSets;
+
+  const ruleSets = fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => {
+      let raw;
+      try {
+        raw = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+      } catch (err) {
+        throw new Error(`Eligibility rules ${file}: ${err.message}`);
+      }
+      return checkRuleSet(raw, file);
+    })
+    .sort((a, b) => (a.effectiveFrom < b.effectiveFrom ? -1 : 1));
+
+  const ids = new Set();
+  for (const { id } of ruleSets) {
+    if (ids.has(id)) {
+      throw new Error(`Eligibility rules: duplicate id "${id}".`);
+    }
+    ids.add(id);
+  }
+
+  cache = { dir, ruleSets };
+  return ruleSets;
+};
+
+const clearRuleSetCache = () => {
+  cache = null;
+};
+
+/** The rule set in effect on `date` (the latest one that has started). */
+const getActiveRuleSet = ({ date = new Date(), dir } = {}) => {
+  const day = date.toISOString().slice(0, 10);
+  const active = loadRuleSets(dir)
+    .filter((ruleSet) => ruleSet.effectiveFrom <= day)
+    .pop();
+  if (!active) {
+    throw new Error(`No eligibility rules are in effect on ${day}.`);
+  }
+  return active;
+};
+
+const describeRuleSet = ({ id, program, fiscalYear, effectiveFrom }) => ({
+  id,
+  program: program || null,
+  fiscalYear: fiscalYear || null,
+  effectiveFrom,
+});
+
+/** Annual income limit for a household of `size` under `ruleSet`. */
+const incomeLimitFor = (ruleSet, size) => {
+  const { limits, eachAdditionalMember } = ruleSet.income;
+  if (size <= limits.length) return limits[size - 1].annual;
+  return (
+    limits[limits.length - 1].annual +
+    (size - limits.length) * eachAdditionalMember
+  );
+};
+
+/** What the browser needs to ask the screening questions. */
+const getScreenerQuestions = (ruleSet) => ({
+  ruleSet: describeRuleSet(ruleSet),
+  eligibleChildDescription: ruleSet.eligibleChildDescription || null,
+  maxHouseholdSize: ruleSet.maxHouseholdSize || 20,
+  incomeFrequencies: INCOME_FREQUENCIES.map(({ value, label }) => ({
+    value,
+    label,
+  })),
+  activities: ruleSet.activity.options.map(({ value, label, qualifies }) => ({
+    value,
+    label,
+    askHours: Boolean(qualifies),
+  })),
+  minimumHoursPerWeek: ruleSet.activity.minimumHoursPerWeek,
+  priorityGroups: (ruleSet.priorityGroups || []).map(({ id, label }) => ({
+    id,
+    label,
+  })),
+});
+
+// JSON numbers, or numeric strings from form posts
+const toNumber = (value) => {
+  if (typeof value === "number") return value;
+  if (typeof value === "string" && value.trim() !== "") {
+    return Number(value.replace(/[$,\s]/g, ""));
+  }
+  return NaN;
+};
+
+const toBoolean = (value) => {
+  if (typeof value === "boolean") return value;
+  if (["true", "yes"].includes(String(value).toLowerCase())) return true;
+  if (["false", "no"].includes(String(value).toLowerCase())) return false;
+  return null;
+};
+
+/**
+ * Normalizes screening answers and checks them against `ruleSet`.
+ * @returns {{ answers: object, errors: Object<string, string> }}
+ */
+const validateScreening = (body = {}, ruleSet) => {
+  const input = body || {};
+  const errors = {};
+  const maxHouseholdSize = ruleSet.maxHouseholdSize || 20;
+
+  const householdSize = toNumber(input.householdSize);
+  if (
+    !Number.isInteger(householdSize) ||
+    householdSize < 1 ||
+    householdSize > maxHouseholdSize
+  ) {
+    errors.householdSize = `Household size must be a whole number from 1 to ${maxHouseholdSize}.`;
+  }
+
+  const income = toNumber(input.income);
+  if (!Number.isFinite(income) || income < 0 || income > MAX_INCOME) {
+    errors.income = "Enter your household income before taxes, e.g. 2500.";
+  }
+
+  const frequency = INCOME_FREQUENCIES.find(
+    (f) => f.value === input.incomeFrequency
+  );
+  if (!frequency) {
+    errors.incomeFrequency = "Choose how often you receive this income.";
+  }
+
+  const activity = ruleSet.activity.options.find(
+    (o) => o.value === input.activity
+  );
+  if (!activity) {
+    errors.activity = "Choose what you do during the week.";
+  }
+
+  let hoursPerWeek = null;
+  if (activity && activity.qualifies) {
+    hoursPerWeek = toNumber(input.hoursPerWeek);
+    if (
+      !Number.isFinite(hoursPerWeek) ||
+      hoursPerWeek < 0 ||
+      hoursPerWeek > MAX_HOURS_PER_WEEK
+    ) {
+      errors.hoursPerWeek = `Enter your hours per week, from 0 to ${MAX_HOURS_PER_WEEK}.`;
+    }
+  }
+
+  const hasEligibleChild = toBoolean(input.hasEligibleChild);
+  if (hasEligibleChild === null) {
+    errors.hasEligibleChild = "Answer whether you have a child who needs care.";
+  }
+
+  const priorityGroups =
+    input.priorityGroups === undefined || input.priorityGroups === null
+      ? []
+      : input.priorityGroups;
+  const knownGroups = (ruleSet.priorityGroups || []).map((g) => g.id);
+  if (
+    !Array.isArray(priorityGroups) ||
+    priorityGroups.some((id) => !knownGroups.includes(id))
+  ) {
+    errors.priorityGroups = "Choose only from the listed situations.";
+  }
+
+  return {
+    answers: {
+      householdSize,
+      income,
+      incomeFrequency: frequency ? frequency.value : null,
+      activity: activity ? activity.value : null,
+      hoursPerWeek,
+      hasEligibleChild,
+      priorityGroups: Array.isArray(priorityGroups)
+        ? [...new Set(priorityGroups)]
+        : [],
+    },
+    errors,
+  };
+};
+
+const formatMoney = (amount) =>
+  `$${Math.round(amount).toLocaleString("en-US")}`;
+
+/**
+ * Evaluates validated answers against `ruleSet`.
+ * @returns {{ result: string, reasons: { outcome: 'eligible'|'review'|'ineligible', code: string, message: string }[], annualIncome: number, incomeLimit: number, ruleSet: object }}
+ *   `result` is likely-ineligible when any reason is ineligible, otherwise
+ *   needs-review when any needs review, otherwise likely-eligible
+ */
+const screenEligibility = (answers, ruleSet) => {
+  const reasons = [];
+  const add = (outcome, code, message) =>
+    reasons.push({ outcome, code, message });
+
+  const groups = (ruleSet.priorityGroups || []).filter((g) =>
+    answers.priorityGroups.includes(g.id)
+  );
+  const waived = new Set(groups.flatMap((g) => g.waives || []));
+
+  if (!answers.hasEligibleChild) {
+    add(
+      "ineligible",
+      "no-eligible-child",
+      `School Readiness serves families with ${
+        ruleSet.eligibleChildDescription || "a child who needs care"
+      }.`
+    );
+  }
+
+  for (const group of groups) {
+    add(
+      group.review ? "review" : "eligible",
+      "priority-group",
+      group.review
+        ? `${group.label}: a caseworker will confirm how this affects your eligibility.`
+        : `${group.label}: your family is in a priority group.`
+    );
+  }
+
+  const { perYear } = INCOME_FREQUENCIES.find(
+    (f) => f.value === answers.incomeFrequency
+  );
+  const annualIncome = Math.round(answers.income * perYear);
+  const incomeLimit = incomeLimitFor(ruleSet, answers.householdSize);
+  const margin = (ruleSet.income.reviewMarginPercent || 0) / 100;
+  const household = `a household of ${answers.householdSize}`;
+
+  if (waived.has("income")) {
+    add(
+      "eligible",
+      "income-waived",
+      "The income limit does not apply to your priority group."
+    );
+  } else if (annualIncome <= incomeLimit) {
+    add(
+      "eligible",
+      "income-within-limit",
+      `Your yearly income of ${formatMoney(
+        annualIncome
+      )} is within the ${formatMoney(incomeLimit)} limit for ${household}.`
+    );
+  } else if (annualIncome <= incomeLimit * (1 + margin)) {
+    add(
+      "review",
+      "income-near-limit",
+      `Your yearly income of ${formatMoney(
+        annualIncome
+      )} is just above the ${formatMoney(
+        incomeLimit
+      )} limit for ${household}; a caseworker will check what counts as income.`
+    );
+  } else {
+    add(
+      "ineligible",
+      "income-over-limit",
+      `Your yearly income of ${formatMoney(
+        annualIncome
+      )} is above the ${formatMoney(incomeLimit)} limit for ${household}.`
+    );
+  }
+
+  const activity = ruleSet.activity.options.find(
+    (o) => o.value === answers.activity
+  );
+  const minimumHours = ruleSet.activity.minimumHoursPerWeek;
+  if (waived.has("activity")) {
+    add(
+      "eligible",
+      "activity-waived",
+      "The work or school requirement does not apply to your priority group."
+    );
+  } else if (activity.qualifies && answers.hoursPerWeek >= minimumHours) {
+    add(
+      "eligible",
+      "activity-met",
+      `You meet the ${minimumHours} hours per week work or school requirement.`
+    );
+  } else if (activity.qualifies) {
+    add(
+      "review",
+      "activity-below-minimum",
+      `The program usually requires at least ${minimumHours} hours per week of work or school; a caseworker will review your schedule.`
+    );
+  } else {
+    add(
+      activity.review ? "review" : "ineligible",
+      "activity-not-met",
+      `The program requires at least ${minimumHours} hours per week of work, school or job training.`
+    );
+  }
+
+  const outcomes = reasons.map((r) => r.outcome);
+  let result = RESULTS.LIKELY_ELIGIBLE;
+  if (outcomes.includes("ineligible")) result = RESULTS.LIKELY_INELIGIBLE;
+  else if (outcomes.includes("review")) result = RESULTS.NEEDS_REVIEW;
+
+  return {
+    result,
+    reasons,
+    annualIncome,
+    incomeLimit,
+    ruleSet: describeRuleSet(ruleSet),
+  };
+};
+
+module.exports = {
+  RESULTS,
+  INCOME_FREQUENCIES,
+  checkRuleSet,
+  loadRuleSets,
+  clearRuleSetCache,
+  getActiveRuleSet,
+  incomeLimitFor,
+  getScreenerQuestions,
+  validateScreening,
+  screenEligibility,
+};
@@ -0,0 +1,505 @@
+// Local stand-in for Microsoft Graph and login.microsoftonline.com
+// Implements the client-credentials token endpoint plus the Graph calls the
+// app makes (/invitations, /users, /organization, /me) against an in-memory
+// directory per tenant, with scriptable failures for tests.
+// Point the app at it with AUTHORITY_HOST=<url> and GRAPH_BASE_URL=<url>/v1.0.
+// DEV/TEST ONLY: tokens are opaque random strings and secrets are not checked
+// unless `clients` is given.
+
+const crypto = require("crypto");
+const express = require("express");
+
+const DEFAULT_DOMAIN = "flwins.onmicrosoft.com";
+const DEFAULT_TOKEN_LIFETIME_SECONDS = 3600;
+const DEFAULT_PAGE_SIZE = 100;
+
+// Canned failures for failNext(); anything else is { status, code, message, retryAfter? }
+const FAILURES = {
+  unauthorized: {
+    status: 401,
+    code: "InvalidAuthenticationToken",
+    message: "Access token has expired or is not yet valid.",
+  },
+  forbidden: {
+    status: 403,
+    code: "Authorization_RequestDenied",
+    message: "Insufficient privileges to complete the operation.",
+  },
+  conflict: {
+    status: 409,
+    code: "ObjectConflict",
+    message:
+      "Another object with the same value for property userPrincipalName already exists.",
+  },
+  throttled: {
+    status: 429,
+    code: "TooManyRequests",
+    message: "Too many requests.",
+    retryAfter: 1,
+  },
+  unavailable: {
+    status: 503,
+    code: "ServiceUnavailable",
+    message: "Service is temporarily unavailable.",
+    retryAfter: 1,
+  },
+};
+
+const newId = () => crypto.randomUUID();
+
+function graphError(res, { status, code, message, retryAfter }) {
+  if (retryAfter !== undefined) res.set("Retry-After", String(retryAfter));
+  res.set("request-id", newId());
+  return res.status(status).json({
+    error: { code, message, innerError: { date: new Date().toISOString() } },
+  });
+}
+
+// Applies $select the way Graph does: id is always returned
+function selectFields(entity, select) {
+  if (!select) return entity;
+  const fields = String(select)
+    .split(",")
+    .map((f) => f.trim())
+    .filter(Boolean);
+  const picked = { id: entity.id };
+  for (const field of fields) {
+    if (field in entity) picked[field] = entity[field];
+  }
+  return picked;
+}
+
+function createFakeGraph({
+  domain = DEFAULT_DOMAIN,
+  clients = null,
+  tokenLifetimeSeconds = DEFAULT_TOKEN_LIFETIME_SECONDS,
+  pageSize = DEFAULT_PAGE_SIZE,
+} = {}) {
+  const state = {
+    tenants: new Map(),
+    tokens: new Map(),
+    failures: [],
+    requests: [],
+  };
+
+  const tenant = (tenantId) => {
+    if (!state.tenants.has(tenantId)) {
+      state.tenants.set(tenantId, {
+        id: tenantId,
+        displayName: `Tenant ${tenantId}`,
+        domain,
+        users: [],
+      });
+    }
+    return state.tenants.get(tenantId);
+  };
+
+  const findUser = (tenantId, idOrUpn) => {
+    const key = String(idOrUpn || "").toLowerCase();
+    return tenant(tenantId).users.find(
+      (u) =>
+        u.id === idOrUpn || String(u.userPrincipalName).toLowerCase() === key
+    );
+  };
+
+  const issueToken = (claims) => {
+    const token = crypto.randomBytes(24).toString("base64url");
+    state.tokens.set(token, {
+      ...claims,
+      expiresAt: Date.now() + tokenLifetimeSeconds * 1000,
+    });
+    return token;
+  };
+
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  // Record every call and apply scripted failures before any handler
+  app.use((req, res, next) => {
+    const route = `${req.method} ${req.path}`;
+    state.requests.push({
+      route,
+      correlationId: req.get("x-correlation-id") || null,
+      clientRequestId: req.get("client-request-id") || null,
+      at: new Date(),
+    });
+    const index = state.failures.findIndex(
+      (f) => f.method === req.method && f.pattern.test(req.path)
+    );
+    if (index === -1) return next();
+    const failure = state.failures[index];
+    if (--failure.times <= 0) state.failures.splice(index, 1);
+    if (req.path.includes("/oauth2/")) {
+      // The token endpoint reports errors OAuth-style
+      const { status, code, message, retryAfter } = failure.error;
+      if (retryAfter !== undefined) res.set("Retry-After", String(retryAfter));
+      return res
+        .status(status)
+        .json({ error: code, error_description: message });
+    }
+    graphError(res, failure.error);
+  });
+
+  app.post("/:tenantId/oauth2/v2.0/token", (req, res) => {
+    const { tenantId } = req.params;
+    const {
+      grant_type: grantType,
+      client_id: clientId,
+      client_secret: clientSecret,
+      scope,
+    } = req.body || {};
+
+    if (grantType !== "client_credentials") {
+      return res.status(400).json({
+        error: "unsupported_grant_type",
+        error_description: "Only client_credentials is supported here.",
+      });
+    }
+    if (!clientId || !scope) {
+      return res.status(400).json({
+        error: "invalid_request",
+        error_description: "client_id and scope are required.",
+      });
+    }
+    const known =
+      !clients ||
+      clients.some(
+        (c) =>
+          (!c.tenantId || c.tenantId === tenantId) &&
+          c.clientId === clientId &&
+          c.clientSecret === clientSecret
+      );
+    if (!known) {
+      return res.status(401).json({
+        error: "invalid_client",
+        error_description:
+          "AADSTS7000215: Invalid client secret provided. (fake-graph)",
+      });
+    }
+
+    tenant(tenantId);
+    res.json({
+      token_type: "Bearer",
+      expires_in: tokenLifetimeSeconds,
+      access_token: issueToken({ tenantId, clientId, kind: "app" }),
+    });
+  });
+
+  // Everything under /v1.0 needs a token this server issued
+  const graph = express.Router();
+  graph.use((req, res, next) => {
+    const match = /^Bearer (.+)$/.exec(req.get("authorization") || "");
+    const claims = match && state.tokens.get(match[1]);
+    if (!claims || claims.expiresAt <= Date.now()) {
+      return graphError(res, FAILURES.unauthorized);
+    }
+    req.claims = claims;
+    next();
+  });
+
+  const requireApp = (req, res, next) =>
+    req.claims.kind === "app"
+      ? next()
+      : graphError(res, {
+          status: 403,
+          code: "Authorization_RequestDenied",
+          message: "This call needs an application token.",
+        });
+
+  graph.get("/me", (req, res) => {
+    if (req.claims.kind !== "user") {
+      return graphError(res, {
+        status: 400,
+        code: "BadRequest",
+        message:
+          "/me request is only valid with delegated authentication flow.",
+      });
+    }
+    const user = findUser(req.claims.tenantId, req.claims.userId);
+    if (!user) {
+      return graphError(res, {
+        status: 404,
+        code: "Request_ResourceNotFound",
+        message: "The signed-in user no longer exists.",
+      });
+    }
+    res.json(selectFields(user, req.query.$select));
+  });
+
+  graph.get("/organization", requireApp, (req, res) => {
+    const t = tenant(req.claims.tenantId);
+    res.json({
+      value: [
+        selectFields(
+          {
+            id: t.id,
+            displayName: t.displayName,
+            verifiedDomains: [
+              {
+                name: t.domain,
+                isDefault: true,
+                isInitial: true,
+                isVerified: true,
+              },
+            ],
+          },
+          req.query.$select
+        ),
+      ],
+    });
+  });
+
+  graph.get("/users", requireApp, (req, res) => {
+    const users = tenant(req.claims.tenantId).users;
+    const top = Math.min(Number(req.query.$top) || pageSize, pageSize);
+    const skip = Number(req.query.$skiptoken) || 0;
+    const page = users.slice(skip, skip + top);
+    const body = {
+      value: page.map((u) => selectFields(u, req.query.$select)),
+    };
+    if (skip + top < users.length) {
+      const next = new URL(
+        `${req.protocol}://${req.get("host")}${req.baseUrl}/users`
+      );
+      for (const [key, value] of Object.entries(req.query)) {
+        if (key !== "$skiptoken") next.searchParams.set(key, value);
+      }
+      next.searchParams.set("$skiptoken", String(skip + top));
+      body["@odata.nextLink"] = next.toString();
+    }
+    res.json(body);
+  });
+
+  graph.get("/users/:id", requireApp, (req, res) => {
+    const user = findUser(req.claims.tenantId, req.params.id);
+    if (!user) {
+      return graphError(res, {
+        status: 404,
+        code: "Request_ResourceNotFound",
+        message: `Resource '${req.params.id}' does not exist or one of its queried reference-property objects are not present.`,
+      });
+    }
+    res.json(selectFields(user, req.query.$select));
+  });
+
+  graph.post("/users", requireApp, (req, res) => {
+    const body = req.body || {};
+    const missing = ["displayName", "mailNickname", "userPrincipalName"].filter(
+      (field) => !body[field]
+    );
+    if (body.accountEnabled === undefined) missing.push("accountEnabled");
+    if (!body.passwordProfile || !body.passwordProfile.password) {
+      missing.push("passwordProfile");
+    }
+    if (missing.length) {
+      return graphError(res, {
+        status: 400,
+        code: "Request_BadRequest",
+        message: `Property ${missing[0]} is required.`,
+      });
+    }
+    // Like Graph, a taken UPN is a 400 rather than a 409
+    if (findUser(req.claims.tenantId, body.userPrincipalName)) {
+      return graphError(res, {
+        status: 400,
+        code: "Request_BadRequest",
+        message:
+          "Another object with the same value for property userPrincipalName already exists.",
+      });
+    }
+
+    const { passwordProfile, ...profile } = body;
+    const user = {
+      id: newId(),
+      userType: "Member",
+      mail: null,
+      createdDateTime: new Date().toISOString(),
+      ...profile,
+    };
+    tenant(req.claims.tenantId).users.push(user);
+    res.status(201).json(user);
+  });
+
+  graph.patch("/users/:id", requireApp, (req, res) => {
+    const user = findUser(req.claims.tenantId, req.params.id);
+    if (!user) {
+      return graphError(res, {
+        status: 404,
+        code: "Request_ResourceNotFound",
+        message: `Resource '${req.params.id}' does not exist or one of its queried reference-property objects are not present.`,
+      });
+    }
+    const { passwordProfile, id, ...changes } = req.body || {};
+    Object.assign(user, changes);
+    if (passwordProfile) user.passwordResetAt = new Date().toISOString();
+    res.status(204).end();
+  });
+
+  graph.post("/invitations", requireApp, (req, res) => {
+    const {
+      invitedUserEmailAddress: email,
+      invitedUserDisplayName: displayName,
+      inviteRedirectUrl,
+    } = req.body || {};
+    if (!email || !inviteRedirectUrl) {
+      return graphError(res, {
+        status: 400,
+        code: "BadRequest",
+        message: "invitedUserEmailAddress and inviteRedirectUrl are required.",
+      });
+    }
+    if (!/^[^@\s]+@[^@\s]+$/.test(email)) {
+      return graphError(res, {
+        status: 400,
+        code: "BadRequest",
+        message: "The invited user email address is invalid.",
+      });
+    }
+
+    // Re-inviting an email returns the same guest, like Graph
+    const t = tenant(req.claims.tenantId);
+    let guest = t.users.find(
+      (u) =>
+        u.userType === "Guest" &&
+        String(u.mail || "").toLowerCase() === email.toLowerCase()
+    );
+    if (!guest) {
+      guest = {
+        id: newId(),
+        userType: "Guest",
+        displayName: displayName || email,
+        mail: email,
+        userPrincipalName: `${email.replace("@", "_")}#EXT#@${t.domain}`,
+        externalUserState: "PendingAcceptance",
+        externalUserStateChangeDateTime: new Date().toISOString(),
+        createdDateTime: new Date().toISOString(),
+      };
+      t.users.push(guest);
+    }
+
+    const inviteId = newId();
+    const redeemUrl = new URL(
+      `${req.protocol}://${req.get("host")}/redeem/${encodeURIComponent(
+        t.id
+      )}/${guest.id}`
+    );
+    redeemUrl.searchParams.set("redirect", inviteRedirectUrl);
+
+    res.status(201).json({
+      id: inviteId,
+      inviteRedeemUrl: redeemUrl.toString(),
+      invitedUserDisplayName: guest.displayName,
+      invitedUserEmailAddress: email,
+      inviteRedirectUrl,
+      sendInvitationMessage: Boolean(req.body.sendInvitationMessage),
+      status: guest.externalUserState,
+      invitedUser: { id: guest.id },
+    });
+  });
+
+  app.use("/v1.0", graph);
+
+  const redeem = (tenantId, guestId) => {
+    const guest = findUser(tenantId, guestId);
+    if (!guest || guest.userType !== "Guest") return null;
+    guest.externalUserState = "Accepted";
+    guest.externalUserStateChangeDateTime = new Date().toISOString();
+    return guest;
+  };
+
+  // What the guest's browser hits from inviteRedeemUrl
+  app.get("/redeem/:tenantId/:guestId", (req, res) => {
+    if (!redeem(req.params.tenantId, req.params.guestId)) {
+      return res.status(404).send("Unknown invitation.");
+    }
+    if (req.query.redirect && /^https?:\/\//i.test(req.query.redirect)) {
+      return res.redirect(req.query.redirect);
+    }
+    res.send("Invitation redeemed.");
+  });
+
+  return {
+    app,
+    state,
+
+    /**
+     * Fails the next `times` requests to `route`, a method and path prefix
+     * where `:name` segments match anything.
+     * @param {string} route e.g. "POST /v1.0/users" or "POST /:tenantId/oauth2/v2.0/token"
+     * @param {string|object} failure A FAILURES key or { status, code, message, retryAfter }
+     */
+    failNext(route, failure, { times = 1 } = {}) {
+      const [method, path] = route.split(" ");
+      const error = typeof failure === "string" ? FAILURES[failure] : failure;
+      if (!error) throw new Error(`Unknown fake Graph failure: ${failure}`);
+      const pattern = new RegExp(
+        `^${path
+          .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+          .replace(/:\w+/g, "[^/]+")}`
+      );
+      state.failures.push({ method, pattern, error, times });
+    },
+
+    /** Adds a user to a tenant's directory and returns it. */
+    addUser(tenantId, user) {
+      const created = {
+        id: newId(),
+        userType: "Member",
+        createdDateTime: new Date().toISOString(),
+        ...user,
+      };
+      tenant(tenantId).users.push(created);
+      return created;
+    },
+
+    /** Delegated token for a directory user, as Easy Auth would hand the app. */
+    issueUserToken(tenantId, userId) {
+      const user = findUser(tenantId, userId);
+      if (!user) throw new Error(`No fake Graph user ${userId} in ${tenantId}`);
+      return issueToken({ tenantId, userId: user.id, kind: "user" });
+    },
+
+    /** Marks a guest's invitation accepted. */
+    redeem,
+
+    users(tenantId) {
+      return tenant(tenantId).users;
+    },
+
+    reset() {
+      state.tenants.clear();
+      state.tokens.clear();
+      state.failures.length = 0;
+      state.requests.length = 0;
+    },
+  };
+}
+
+/**
+ * Starts the fake on `port` (0 picks a free one).
+ * @returns {Promise<ReturnType<typeof createFakeGraph> & { url: string, env: object, close: () => Promise<void> }>}
+ */
+function startFakeGraph({ port = 0, host = "127.0.0.1", ...options } = {}) {
+  const fake = createFakeGraph(options);
+  return new Promise((resolve, reject) => {
+    const server = fake.app.listen(port, host, () => {
+      const url = `http://${host}:${server.address().port}`;
+      resolve({
+        ...fake,
+        server,
+        url,
+        // Settings that point the app's Graph client here
+        env: { AUTHORITY_HOST: url, GRAPH_BASE_URL: `${url}/v1.0` },
+        close: () => new Promise((done) => server.close(() => done())),
+      });
+    });
+    server.on("error", reject);
+  });
+}
+
+module.exports = {
+  FAILURES,
+  createFakeGraph,
+  startFakeGraph,
+};
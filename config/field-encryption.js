@@ -0,0 +1,150 @@
+// Application-level envelope encryption for PII columns
+// Each record gets a fresh AES-256-GCM data key (DEK); the DEK is wrapped by
+// the key provider's current key encryption key (KEK) and stored alongside
+// every encrypted value:
+//
+//   enc.v1.<kid>.<wrapped DEK>.<iv>.<auth tag>.<ciphertext>   (base64url parts)
+//
+// Values without the prefix are treated as legacy plaintext, so rows written
+// before encryption was enabled stay readable until they are rotated.
+
+const crypto = require("crypto");
+
+const PREFIX = "enc.v1.";
+// Unwrapping can be a Key Vault round-trip; remember recent DEKs
+const DEK_CACHE_LIMIT = 500;
+
+const b64 = (buf) => Buffer.from(buf).toString("base64url");
+const unb64 = (value) => Buffer.from(value, "base64url");
+
+const isEncrypted = (value) =>
+  typeof value === "string" && value.startsWith(PREFIX);
+
+const parseEnvelope = (value) => {
+  const parts = value.slice(PREFIX.length).split(".");
+  if (parts.length !== 5) {
+    throw new Error("Malformed encrypted field value.");
+  }
+  const [kid, wrapped, iv, tag, ciphertext] = parts;
+  return {
+    kid: unb64(kid).toString("utf8"),
+    wrapped,
+    iv: unb64(iv),
+    tag: unb64(tag),
+    ciphertext: unb64(ciphertext),
+  };
+};
+
+class FieldEncryptor {
+  /**
+   * @param {object} keyProvider See config/key-providers.js
+   */
+  constructor(keyProvider) {
+    this.keyProvider = keyProvider;
+    this.dekCache = new Map();
+  }
+
+  async unwrap(kid, wrapped) {
+    const cacheKey = `${kid}|${wrapped}`;
+    if (this.dekCache.has(cacheKey)) return this.dekCache.get(cacheKey);
+
+    const dek = await this.keyProvider.unwrapKey(kid, unb64(wrapped));
+    if (this.dekCache.size >= DEK_CACHE_LIMIT) {
+      this.dekCache.delete(this.dekCache.keys().next().value);
+    }
+    this.dekCache.set(cacheKey, dek);
+    return dek;
+  }
+
+  /**
+   * Returns a copy of `record` with `fields` encrypted under one new DEK.
+   * Null, undefined and empty values are left as they are.
+   */
+  async encryptFields(record, fields) {
+    const result = { ...record };
+    const targets = fields.filter(
+      (field) =>
+        result[field] !== null &&
+        result[field] !== undefined &&
+        result[field] !== ""
+    );
+    if (!targets.length) return result;
+
+    const dek = crypto.randomBytes(32);
+    const { kid, wrapped } = await this.keyProvider.wrapKey(dek);
+    const header = `${PREFIX}${b64(kid)}.${b64(wrapped)}`;
+
+    for (const field of targets) {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv("aes-256-gcm", dek, iv);
+      const ciphertext = Buffer.concat([
+        cipher.update(String(result[field]), "utf8"),
+        cipher.final(),
+      ]);
+      result[field] = `${header}.${b64(iv)}.${b64(cipher.getAuthTag())}.${b64(
+        ciphertext
+      )}`;
+    }
+    return result;
+  }
+
+  async decryptValue(value) {
+    if (!isEncrypted(value)) return value;
+    const { kid, wrapped, iv, tag, ciphertext } = parseEnvelope(value);
+    const dek = await this.unwrap(kid, wrapped);
+    const decipher = crypto.createDecipheriv("aes-256-gcm", dek, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([
+      decipher.update(ciphertext),
+      decipher.final(),
+    ]).toString("utf8");
+  }
+
+  /** Returns a copy of `record` with `fields` decrypted. */
+  async decryptFields(record, fields) {
+    if (!record) return record;
+    const result = { ...record };
+    for (const field of fields) {
+      result[field] = await this.decryptValue(result[field]);
+    }
+    return result;
+  }
+
+  /**
+   * Deterministic HMAC of a normalized value so encrypted columns can still be
+   * matched by equality (e.g. look up an intake by email).
+   */
+  blindIndex(value) {
+    if (value === null || value === undefined || value === "") return null;
+    return crypto
+      .createHmac("sha256", this.keyProvider.getIndexKey())
+      .update(String(value).trim().toLowerCase())
+      .digest("hex");
+  }
+
+  /** Key id a value was encrypted with, or null for plaintext. */
+  keyIdOf(value) {
+    return isEncrypted(value) ? parseEnvelope(value).kid : null;
+  }
+
+  currentKeyId() {
+    return this.keyProvider.currentKeyId();
+  }
+
+  /**
+   * True when any of `fields` is plaintext or wrapped with a key other than
+   * `currentKid`.
+   */
+  needsRotation(record, fields, currentKid) {
+    return fields.some((field) => {
+      const value = record[field];
+      if (value === null || value === undefined || value === "") return false;
+      return this.keyIdOf(value) !== currentKid;
+    });
+  }
+}
+
+module.exports = {
+  FieldEncryptor,
+  isEncrypted,
+};
@@ -0,0 +1,271 @@
+// Shared Microsoft Graph client
+// One place for Graph calls from provisioning and profile code:
+//   - client-credentials tokens cached per tenant/app until shortly before
+//     they expire (concurrent callers share one token request)
+//   - 429/503 retried after the Retry-After the service asks for
+//   - @odata.nextLink pagination
+//   - failures thrown as GraphError with status, Graph error code and
+//     Retry-After, which the outbox worker uses to schedule retries
+//   - the current correlation id sent along (see config/correlation.js)
+
+const querystring = require("querystring");
+const { correlationHeaders } = require("./correlation");
+
+const fetch =
+  globalThis.fetch ||
+  ((...args) =>
+    import("node-fetch").then(({ default: fetchFn }) => fetchFn(...args)));
+
+const GRAPH_BASE_URL = "https://graph.microsoft.com/v1.0";
+const GRAPH_SCOPE = "https://graph.microsoft.com/.default";
+const AUTHORITY_HOST = "https://login.microsoftonline.com";
+
+// GRAPH_BASE_URL / AUTHORITY_HOST point the client at another cloud or at the
+// local fake (config/fake-graph.js). Read per call so tests can switch them.
+const getGraphEndpoints = (env = process.env) => ({
+  graphBaseUrl: (env.GRAPH_BASE_URL || GRAPH_BASE_URL).replace(/\/+$/, ""),
+  authorityHost: (env.AUTHORITY_HOST || AUTHORITY_HOST).replace(/\/+$/, ""),
+});
+
+// Renew tokens this long before Entra says they expire
+const TOKEN_EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+const RETRYABLE_STATUSES = [429, 503];
+const DEFAULT_MAX_RETRIES = 3;
+// Waits longer than this are left to the caller (e.g. the outbox backoff)
+const DEFAULT_MAX_RETRY_AFTER_SECONDS = 30;
+
+class GraphError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ status?: number, code?: string, retryAfter?: number, requestId?: string, body?: string }} [details]
+   */
+  constructor(message, { status, code, retryAfter, requestId, body } = {}) {
+    super(message);
+    this.name = "GraphError";
+    this.status = status;
+    this.code = code || null;
+    this.retryAfter = retryAfter;
+    this.requestId = requestId || null;
+    this.body = body;
+  }
+
+  get isThrottled() {
+    return RETRYABLE_STATUSES.includes(this.status);
+  }
+
+  // A create that collided with an existing object (Graph reports a taken
+  // UPN as 400 ObjectConflict)
+  get isConflict() {
+    return (
+      this.status === 409 ||
+      (this.status === 400 &&
+        (this.code === "ObjectConflict" ||
+          /ObjectConflict|already exists/i.test(this.body || "")))
+    );
+  }
+}
+
+const parseRetryAfter = (value) => {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+  const date = Date.parse(value);
+  return Number.isNaN(date)
+    ? undefined
+    : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+};
+
+const toGraphError = async (resp, label) => {
+  const body = await resp.text().catch(() => "");
+  let code;
+  let detail = body;
+  try {
+    const json = JSON.parse(body);
+    code = json?.error?.code;
+    detail = json?.error?.message || body;
+  } catch (_) {
+    // Not JSON; keep the raw text
+  }
+  return new GraphError(`${label} failed (${resp.status}): ${detail}`, {
+    status: resp.status,
+    code,
+    retryAfter: parseRetryAfter(resp.headers.get("retry-after")),
+    requestId: resp.headers.get("request-id"),
+    body,
+  });
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const tokenCache = new Map();
+
+/**
+ * Client-credentials token for `scope` in `tenantId`, cached until shortly
+ * before it expires.
+ * @param {{ tenantId: string, clientId: string, clientSecret: string, scope?: string }} credentials
+ */
+const getAppToken = async ({
+  tenantId,
+  clientId,
+  clientSecret,
+  scope = GRAPH_SCOPE,
+}) => {
+  const { authorityHost } = getGraphEndpoints();
+  const key = `${authorityHost}|${tenantId}|${clientId}|${scope}`;
+  const cached = tokenCache.get(key);
+  if (cached && (cached.pending || cached.expiresAt > Date.now())) {
+    return cached.pending || cached.token;
+  }
+
+  const pending = (async () => {
+    const resp = await fetch(
+      `${authorityHost}/${encodeURIComponent(tenantId)}/oauth2/v2.0/token`,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/x-www-form-urlencoded",
+          ...correlationHeaders(),
+        },
+        body: querystring.stringify({
+          client_id: clientId,
+          client_secret: clientSecret,
+          scope,
+          grant_type: "client_credentials",
+        }),
+      }
+    );
+    const text = await resp.text().catch(() => "");
+    let json = {};
+    try {
+      json = JSON.parse(text);
+    } catch (_) {
+      // Reported below
+    }
+    if (!resp.ok || !json.access_token) {
+      throw new GraphError(
+        `Token request for tenant ${tenantId} failed (${resp.status}): ${
+          json.error_description || text || "missing access_token"
+        }`,
+        {
+          status: resp.ok ? 500 : resp.status,
+          code: json.error,
+          retryAfter: parseRetryAfter(resp.headers.get("retry-after")),
+        }
+      );
+    }
+    return {
+      token: json.access_token,
+      expiresAt:
+        Date.now() +
+        Number(json.expires_in || 0) * 1000 -
+        TOKEN_EXPIRY_MARGIN_MS,
+    };
+  })();
+
+  // Shared with concurrent callers; this caller reports any failure below
+  const shared = pending.then((entry) => entry.token);
+  shared.catch(() => undefined);
+  tokenCache.set(key, { pending: shared });
+  try {
+    const entry = await pending;
+    tokenCache.set(key, entry);
+    return entry.token;
+  } catch (err) {
+    tokenCache.delete(key);
+    throw err;
+  }
+};
+
+const clearTokenCache = () => tokenCache.clear();
+
+/**
+ * @param {{ getToken?: () => Promise<string>, accessToken?: string, maxRetries?: number, maxRetryAfterSeconds?: number, label?: string }} options
+ *   Either `getToken` (app tokens, e.g. `() => getAppToken(credentials)`)
+ *   or a delegated `accessToken`. `label` prefixes error messages.
+ */
+const createGraphClient = ({
+  getToken,
+  accessToken,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  maxRetryAfterSeconds = DEFAULT_MAX_RETRY_AFTER_SECONDS,
+  label = "Graph",
+} = {}) => {
+  const tokenFor = getToken || (async () => accessToken);
+
+  /**
+   * @param {string} method
+   * @param {string} path Relative to the Graph root (GRAPH_BASE_URL), or an absolute URL
+   * @param {{ body?: object, headers?: object, notFoundAsNull?: boolean }} [options]
+   */
+  const request = async (
+    method,
+    path,
+    { body, headers = {}, notFoundAsNull = false } = {}
+  ) => {
+    const url = /^https?:\/\//i.test(path)
+      ? path
+      : `${getGraphEndpoints().graphBaseUrl}${path}`;
+    for (let attempt = 0; ; attempt += 1) {
+      const token = await tokenFor();
+      const resp = await fetch(url, {
+        method,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          ...correlationHeaders(),
+          ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+          ...headers,
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+      });
+
+      if (resp.ok) {
+        return resp.status === 204 ? null : resp.json();
+      }
+      if (resp.status === 404 && notFoundAsNull) {
+        return null;
+      }
+
+      const err = await toGraphError(resp, `${label} ${method} ${path}`);
+      const wait = err.retryAfter ?? 2 ** attempt;
+      if (
+        !err.isThrottled ||
+        attempt >= maxRetries ||
+        wait > maxRetryAfterSeconds
+      ) {
+        throw err;
+      }
+      await sleep(wait * 1000);
+    }
+  };
+
+  /** Every item of a collection, following @odata.nextLink. */
+  const getAll = async (path, { maxPages = 100 } = {}) => {
+    const items = [];
+    let next = path;
+    for (let page = 0; next && page < maxPages; page += 1) {
+      const json = await request("GET", next);
+      items.push(...(json.value || []));
+      next = json["@odata.nextLink"];
+    }
+    return items;
+  };
+
+  return {
+    request,
+    get: (path, options) => request("GET", path, options),
+    post: (path, body, options) => request("POST", path, { ...options, body }),
+    patch: (path, body, options) =>
+      request("PATCH", path, { ...options, body }),
+    getAll,
+  };
+};
+
+module.exports = {
+  GRAPH_BASE_URL,
+  AUTHORITY_HOST,
+  GraphError,
+  getGraphEndpoints,
+  getAppToken,
+  clearTokenCache,
+  createGraphClient,
+};
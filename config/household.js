@@ -0,0 +1,173 @@
+// Household members on the School Readiness intake
+// Children and other people living with the applicant, kept one row per
+// member and linked to the applicant's intake. HOUSEHOLD_MEMBER_FIELDS
+// follows the IntakeField shape (see config/intake.js) so the browser can
+// validate with the same rules. Names, dates of birth and care notes are
+// encrypted at rest by the store.
+
+const { validateField } = require("./intake");
+
+// Applicants are never expected to list more; keeps a runaway client from
+// filling the table
+const HOUSEHOLD_MAX_MEMBERS = 20;
+const MAX_AGE_YEARS = 120;
+
+const RELATIONSHIPS = [
+  ["child", "Child"],
+  ["stepchild", "Stepchild"],
+  ["foster-child", "Foster child"],
+  ["grandchild", "Grandchild"],
+  ["spouse", "Spouse or partner"],
+  ["parent", "Parent"],
+  ["sibling", "Sibling"],
+  ["grandparent", "Grandparent"],
+  ["other-relative", "Other relative"],
+  ["non-relative", "Not related"],
+].map(([value, label]) => ({ value, label }));
+
+const CARE_NEEDS = [
+  ["full-time", "Full-time care"],
+  ["part-time", "Part-time care"],
+  ["before-after-school", "Before/after school care"],
+  ["none", "No care needed"],
+].map(([value, label]) => ({ value, label }));
+
+/** @type {import("./intake").IntakeField[]} */
+const HOUSEHOLD_MEMBER_FIELDS = [
+  {
+    name: "firstName",
+    label: "First Name",
+    type: "text",
+    required: true,
+    maxLength: 150,
+    pii: true,
+  },
+  {
+    name: "lastName",
+    label: "Last Name",
+    type: "text",
+    required: true,
+    maxLength: 150,
+    pii: true,
+  },
+  {
+    name: "relationship",
+    label: "Relationship to You",
+    type: "select",
+    required: true,
+    maxLength: 20,
+    options: RELATIONSHIPS,
+  },
+  {
+    name: "dateOfBirth",
+    label: "Date of Birth",
+    type: "date",
+    required: true,
+    maxLength: 10,
+    pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+    patternMessage: "Enter the date of birth as YYYY-MM-DD.",
+    pii: true,
+  },
+  {
+    name: "careNeeded",
+    label: "Child Care Needed",
+    type: "select",
+    maxLength: 20,
+    options: CARE_NEEDS,
+  },
+  {
+    name: "careNotes",
+    label: "Special Needs or Care Notes",
+    type: "textarea",
+    maxLength: 1000,
+    pii: true,
+  },
+];
+
+const HOUSEHOLD_PII_FIELDS = HOUSEHOLD_MEMBER_FIELDS.filter((f) => f.pii).map(
+  (f) => f.name
+);
+
+const getHouseholdMemberSchema = () => ({
+  maxMembers: HOUSEHOLD_MAX_MEMBERS,
+  fields: HOUSEHOLD_MEMBER_FIELDS.map(({ pii, ...rules }) => rules),
+});
+
+// A real calendar date that is not in the future or implausibly old
+const checkDateOfBirth = (value, now = new Date()) => {
+  const date = new Date(`${value}T00:00:00Z`);
+  if (
+    Number.isNaN(date.getTime()) ||
+    date.toISOString().slice(0, 10) !== value
+  ) {
+    return "Enter a real date of birth.";
+  }
+  if (date > now) return "Date of birth cannot be in the future.";
+  const oldest = new Date(now);
+  oldest.setUTCFullYear(oldest.getUTCFullYear() - MAX_AGE_YEARS);
+  if (date < oldest) return "Check the year of the date of birth.";
+  return null;
+};
+
+/**
+ * Builds a household member from a request body and validates it against
+ * HOUSEHOLD_MEMBER_FIELDS. Unknown body properties are ignored.
+ * @returns {{ member: object, errors: Object<string, string> }}
+ */
+const validateHouseholdMember = (body = {}, { now = new Date() } = {}) => {
+  const member = {};
+  const errors = {};
+
+  for (const field of HOUSEHOLD_MEMBER_FIELDS) {
+    const raw = (body || {})[field.name];
+    if (raw !== undefined && raw !== null && typeof raw !== "string") {
+      errors[field.name] = `${field.label} must be text.`;
+      member[field.name] = null;
+      continue;
+    }
+
+    const value = typeof raw === "string" && raw.trim() ? raw.trim() : null;
+    let error = validateField(field, value);
+    if (!error && value !== null && field.name === "dateOfBirth") {
+      error = checkDateOfBirth(value, now);
+    }
+    if (error) errors[field.name] = error;
+    member[field.name] = value;
+  }
+
+  return { member, errors };
+};
+
+/** Whole years between `dateOfBirth` (YYYY-MM-DD) and `now`. */
+const ageOn = (dateOfBirth, now = new Date()) => {
+  const [year, month, day] = String(dateOfBirth).split("-").map(Number);
+  if (!year || !month || !day) return null;
+  let age = now.getUTCFullYear() - year;
+  const beforeBirthday =
+    now.getUTCMonth() + 1 < month ||
+    (now.getUTCMonth() + 1 === month && now.getUTCDate() < day);
+  if (beforeBirthday) age -= 1;
+  return age;
+};
+
+// API shape of a stored member
+const toHouseholdMember = (row) => {
+  const member = { id: row.id };
+  for (const { name } of HOUSEHOLD_MEMBER_FIELDS) {
+    member[name] = row[name] ?? null;
+  }
+  member.age = member.dateOfBirth ? ageOn(member.dateOfBirth) : null;
+  member.createdAt = row.createdAt;
+  member.updatedAt = row.updatedAt;
+  return member;
+};
+
+module.exports = {
+  HOUSEHOLD_MAX_MEMBERS,
+  HOUSEHOLD_MEMBER_FIELDS,
+  HOUSEHOLD_PII_FIELDS,
+  getHouseholdMemberSchema,
+  validateHouseholdMember,
+  ageOn,
+  toHouseholdMember,
+};
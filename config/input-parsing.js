@@ -0,0 +1,37 @@
+// Parsing helpers shared by the query and form validators (case search,
+// audit log search, eligibility rule files)
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Trimmed string, or null for blanks and non-strings */
+const text = (value) =>
+  typeof value === "string" && value.trim() ? value.trim() : null;
+
+/** Midnight UTC of a real YYYY-MM-DD date, or null */
+const parseDay = (value) => {
+  if (!DATE_PATTERN.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  if (
+    Number.isNaN(date.getTime()) ||
+    date.toISOString().slice(0, 10) !== value
+  ) {
+    return null;
+  }
+  return date;
+};
+
+/** `fallback` when missing, NaN when not a whole number of 1 or more */
+const parsePositiveInt = (value, fallback) => {
+  if (value === undefined || value === null || value === "") return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 1 ? number : NaN;
+};
+
+module.exports = {
+  DATE_PATTERN,
+  DAY_MS,
+  text,
+  parseDay,
+  parsePositiveInt,
+};
@@ -0,0 +1,330 @@
+// Common Intake Form schema and helpers
+// INTAKE_FIELDS is the single definition of the form's rules: the server
+// validates submissions against it and serves it (GET /api/intake/schema) so
+// the browser checks the same rules inline. maxLength never exceeds the
+// column size in dbo.IntakeForms.
+// Fields flagged `pii` are encrypted at rest (see config/field-encryption.js).
+// INTAKE_STEPS orders the fields into the wizard's pages; unfinished answers
+// are kept as a draft (validateIntakeDraft) until the review step submits.
+
+const PHONE_PATTERN =
+  "^(\\+?1[\\s.-]?)?\\(?\\d{3}\\)?[\\s.-]?\\d{3}[\\s.-]?\\d{4}$";
+const PHONE_MESSAGE = "Enter a 10-digit US phone number, e.g. 850-555-0101.";
+
+// Florida first: nearly every applicant lives there
+const US_STATES = [
+  ["FL", "Florida"],
+  ["AL", "Alabama"],
+  ["AK", "Alaska"],
+  ["AZ", "Arizona"],
+  ["AR", "Arkansas"],
+  ["CA", "California"],
+  ["CO", "Colorado"],
+  ["CT", "Connecticut"],
+  ["DE", "Delaware"],
+  ["DC", "District of Columbia"],
+  ["GA", "Georgia"],
+  ["HI", "Hawaii"],
+  ["ID", "Idaho"],
+  ["IL", "Illinois"],
+  ["IN", "Indiana"],
+  ["IA", "Iowa"],
+  ["KS", "Kansas"],
+  ["KY", "Kentucky"],
+  ["LA", "Louisiana"],
+  ["ME", "Maine"],
+  ["MD", "Maryland"],
+  ["MA", "Massachusetts"],
+  ["MI", "Michigan"],
+  ["MN", "Minnesota"],
+  ["MS", "Mississippi"],
+  ["MO", "Missouri"],
+  ["MT", "Montana"],
+  ["NE", "Nebraska"],
+  ["NV", "Nevada"],
+  ["NH", "New Hampshire"],
+  ["NJ", "New Jersey"],
+  ["NM", "New Mexico"],
+  ["NY", "New York"],
+  ["NC", "North Carolina"],
+  ["ND", "North Dakota"],
+  ["OH", "Ohio"],
+  ["OK", "Oklahoma"],
+  ["OR", "Oregon"],
+  ["PA", "Pennsylvania"],
+  ["PR", "Puerto Rico"],
+  ["RI", "Rhode Island"],
+  ["SC", "South Carolina"],
+  ["SD", "South Dakota"],
+  ["TN", "Tennessee"],
+  ["TX", "Texas"],
+  ["UT", "Utah"],
+  ["VT", "Vermont"],
+  ["VA", "Virginia"],
+  ["WA", "Washington"],
+  ["WV", "West Virginia"],
+  ["WI", "Wisconsin"],
+  ["WY", "Wyoming"],
+].map(([value, label]) => ({ value, label }));
+
+/**
+ * Wizard pages in order. Fields name their page with `step`; the review page
+ * has no fields of its own.
+ * @type {{ id: string, title: string }[]}
+ */
+const INTAKE_STEPS = [
+  { id: "applicant", title: "Applicant" },
+  { id: "contact", title: "Contact" },
+  { id: "household", title: "Household & Employment" },
+  { id: "documents", title: "Documents" },
+  { id: "review", title: "Review" },
+];
+
+/**
+ * @typedef {object} IntakeField
+ * @property {string} name
+ * @property {string} step Wizard page (an INTAKE_STEPS id)
+ * @property {string} label
+ * @property {'text'|'email'|'tel'|'date'|'select'|'textarea'} type
+ * @property {boolean} [required]
+ * @property {number} maxLength
+ * @property {string} [pattern] JavaScript regular expression source
+ * @property {string} [patternMessage] Shown when `pattern` does not match
+ * @property {{ value: string, label: string }[]} [options] Allowed values
+ * @property {boolean} [uppercase] Stored upper-cased
+ * @property {string} [userFallback] Signed-in user field used when blank
+ * @property {boolean} [pii] Encrypted at rest; never sent to the browser
+ */
+
+/** @type {IntakeField[]} */
+const INTAKE_FIELDS = [
+  {
+    name: "firstName",
+    step: "applicant",
+    label: "First Name",
+    type: "text",
+    required: true,
+    maxLength: 150,
+    userFallback: "firstName",
+  },
+  {
+    name: "lastName",
+    step: "applicant",
+    label: "Last Name",
+    type: "text",
+    required: true,
+    maxLength: 150,
+    userFallback: "lastName",
+  },
+  {
+    name: "email",
+    step: "applicant",
+    label: "Email Address",
+    type: "email",
+    required: true,
+    maxLength: 256,
+    pattern: "^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$",
+    patternMessage: "Enter a valid email address.",
+    userFallback: "email",
+    pii: true,
+  },
+  {
+    name: "department",
+    step: "household",
+    label: "Department",
+    type: "text",
+    maxLength: 150,
+  },
+  {
+    name: "jobTitle",
+    step: "household",
+    label: "Job Title",
+    type: "text",
+    maxLength: 150,
+  },
+  {
+    name: "officeLocation",
+    step: "household",
+    label: "Office Location",
+    type: "text",
+    maxLength: 150,
+  },
+  {
+    name: "workPhone",
+    step: "household",
+    label: "Work Phone",
+    type: "tel",
+    maxLength: 50,
+    pattern: PHONE_PATTERN,
+    patternMessage: PHONE_MESSAGE,
+    pii: true,
+  },
+  {
+    name: "address",
+    step: "contact",
+    label: "Mailing Address",
+    type: "textarea",
+    maxLength: 500,
+    pii: true,
+  },
+  {
+    name: "city",
+    step: "contact",
+    label: "City",
+    type: "text",
+    maxLength: 150,
+  },
+  {
+    name: "state",
+    step: "contact",
+    label: "State",
+    type: "select",
+    maxLength: 2,
+    options: US_STATES,
+    uppercase: true,
+  },
+  {
+    name: "zipCode",
+    step: "contact",
+    label: "ZIP Code",
+    type: "text",
+    maxLength: 10,
+    pattern: "^\\d{5}(-\\d{4})?$",
+    patternMessage:
+      "Enter a 5-digit ZIP code or ZIP+4, e.g. 32301 or 32301-1234.",
+  },
+  {
+    name: "phone",
+    step: "contact",
+    label: "Primary Phone Number",
+    type: "tel",
+    maxLength: 50,
+    pattern: PHONE_PATTERN,
+    patternMessage: PHONE_MESSAGE,
+    pii: true,
+  },
+];
+
+const INTAKE_PII_FIELDS = INTAKE_FIELDS.filter((f) => f.pii).map((f) => f.name);
+
+// Rules the browser needs; storage details (pii, fallbacks) stay server-side
+const getIntakeSchema = () => ({
+  steps: INTAKE_STEPS,
+  fields: INTAKE_FIELDS.map(
+    ({ pii, userFallback, uppercase, ...rules }) => rules
+  ),
+});
+
+/**
+ * Checks one field's (trimmed, non-empty or null) value against its rules.
+ * @returns {string|null} The error message, or null when valid
+ */
+const validateField = (field, value) => {
+  if (value === null) {
+    return field.required ? `${field.label} is required.` : null;
+  }
+  if (value.length > field.maxLength) {
+    return `${field.label} must be ${field.maxLength} characters or fewer.`;
+  }
+  if (field.options && !field.options.some((o) => o.value === value)) {
+    return `Choose a valid ${field.label.toLowerCase()}.`;
+  }
+  if (field.pattern && !new RegExp(field.pattern).test(value)) {
+    return field.patternMessage || `${field.label} is not valid.`;
+  }
+  return null;
+};
+
+/**
+ * Builds the intake record from a request body and validates it against
+ * INTAKE_FIELDS. Blank fields with a `userFallback` take the signed-in
+ * user's claim. Unknown body properties are ignored.
+ * @returns {{ intake: object, errors: Object<string, string> }} `errors` maps
+ *   field names to messages and is empty when the intake is valid
+ */
+const validateIntake = (body = {}, user = {}) => {
+  const intake = {};
+  const errors = {};
+
+  for (const field of INTAKE_FIELDS) {
+    const raw = (body || {})[field.name];
+    if (raw !== undefined && raw !== null && typeof raw !== "string") {
+      errors[field.name] = `${field.label} must be text.`;
+      intake[field.name] = null;
+      continue;
+    }
+
+    let value = typeof raw === "string" && raw.trim() ? raw.trim() : null;
+    if (value === null && field.userFallback) {
+      value = user[field.userFallback] || null;
+    }
+    if (value !== null && field.uppercase) value = value.toUpperCase();
+
+    const error = validateField(field, value);
+    if (error) errors[field.name] = error;
+    intake[field.name] = value;
+  }
+
+  return { intake, errors };
+};
+
+/**
+ * Cleans a partially completed intake for saving as a draft. Only type and
+ * length are enforced so applicants can stop half way through a step;
+ * required fields, formats and options are checked on submission.
+ * @returns {{ step: string, data: object, errors: Object<string, string> }}
+ *   `data` holds the known, non-blank fields; unknown steps fall back to the
+ *   first one
+ */
+const validateIntakeDraft = ({ step, data } = {}) => {
+  const draft = {};
+  const errors = {};
+
+  for (const field of INTAKE_FIELDS) {
+    const raw = (data || {})[field.name];
+    if (raw === undefined || raw === null) continue;
+    if (typeof raw !== "string") {
+      errors[field.name] = `${field.label} must be text.`;
+      continue;
+    }
+    const value = raw.trim();
+    if (!value) continue;
+    if (value.length > field.maxLength) {
+      errors[
+        field.name
+      ] = `${field.label} must be ${field.maxLength} characters or fewer.`;
+      continue;
+    }
+    draft[field.name] = value;
+  }
+
+  const known = INTAKE_STEPS.some((s) => s.id === step);
+  return { step: known ? step : INTAKE_STEPS[0].id, data: draft, errors };
+};
+
+/**
+ * Lists the fields that differ between two intake versions.
+ * @returns {{ field: string, label: string, from: string|null, to: string|null }[]}
+ */
+const diffIntakeVersions = (fromVersion = {}, toVersion = {}) => {
+  const changes = [];
+  for (const { name, label } of INTAKE_FIELDS) {
+    const before = fromVersion[name] ?? null;
+    const after = toVersion[name] ?? null;
+    if (before !== after) {
+      changes.push({ field: name, label, from: before, to: after });
+    }
+  }
+  return changes;
+};
+
+module.exports = {
+  INTAKE_STEPS,
+  INTAKE_FIELDS,
+  INTAKE_PII_FIELDS,
+  getIntakeSchema,
+  validateField,
+  validateIntake,
+  validateIntakeDraft,
+  diffIntakeVersions,
+};
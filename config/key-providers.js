@@ -0,0 +1,262 @@
+// Key providers for field-level envelope encryption (see field-encryption.js)
+// A provider wraps/unwraps per-record data keys with a versioned key
+// encryption key (KEK) and supplies the HMAC key used for blind indexes.
+//
+//   local    - KEKs in a JSON key file (dev), or an ephemeral keyring
+//   keyvault - RSA key in Azure Key Vault (prod); versions managed in Key Vault
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { DefaultAzureCredential } = require("@azure/identity");
+const { logger } = require("./logger");
+
+const fetch =
+  globalThis.fetch ||
+  ((...args) =>
+    import("node-fetch").then(({ default: fetchFn }) => fetchFn(...args)));
+
+const DEFAULT_KEY_FILE = path.join(
+  __dirname,
+  "..",
+  "data",
+  "field-encryption-keys.json"
+);
+const KEY_VAULT_SCOPE = "https://vault.azure.net/.default";
+const KEY_VAULT_API_VERSION = "7.4";
+
+const randomKey = () => crypto.randomBytes(32).toString("base64");
+
+const decodeKey = (value, label) => {
+  const key = Buffer.from(String(value || ""), "base64");
+  if (key.length !== 32) {
+    throw new Error(`${label} must be a base64-encoded 256-bit key.`);
+  }
+  return key;
+};
+
+class LocalKeyProvider {
+  /**
+   * @param {{ filePath?: string, keyring?: object }} options
+   *   `keyring` is { currentVersion, keys: { [version]: base64 }, indexKey }.
+   *   Without `filePath` the keyring lives only in memory.
+   */
+  constructor({ filePath, keyring } = {}) {
+    this.name = "local";
+    this.filePath = filePath || null;
+    this.keyring = keyring || this.load();
+  }
+
+  static generateKeyring() {
+    return {
+      currentVersion: "1",
+      keys: { 1: randomKey() },
+      indexKey: randomKey(),
+    };
+  }
+
+  load() {
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      return JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    }
+    const keyring = LocalKeyProvider.generateKeyring();
+    if (this.filePath) {
+      logger.warn("Field encryption: generated a new local key file", {
+        filePath: this.filePath,
+      });
+      this.keyring = keyring;
+      this.save();
+    }
+    return keyring;
+  }
+
+  save() {
+    if (!this.filePath) return;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(this.keyring, null, 2), {
+      mode: 0o600,
+    });
+  }
+
+  kek(version) {
+    const encoded = this.keyring.keys[version];
+    if (!encoded) {
+      throw new Error(`Local encryption key version ${version} not found.`);
+    }
+    return decodeKey(encoded, `Local key version ${version}`);
+  }
+
+  async currentKeyId() {
+    return `local:${this.keyring.currentVersion}`;
+  }
+
+  // Adds a new KEK version and makes it current. Old versions stay readable.
+  async createKeyVersion() {
+    const versions = Object.keys(this.keyring.keys).map(Number);
+    const next = String(Math.max(0, ...versions) + 1);
+    this.keyring.keys[next] = randomKey();
+    this.keyring.currentVersion = next;
+    this.save();
+    return `local:${next}`;
+  }
+
+  async wrapKey(dataKey) {
+    const kid = await this.currentKeyId();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(
+      "aes-256-gcm",
+      this.kek(this.keyring.currentVersion),
+      iv
+    );
+    const wrapped = Buffer.concat([
+      iv,
+      cipher.update(dataKey),
+      cipher.final(),
+      cipher.getAuthTag(),
+    ]);
+    return { kid, wrapped };
+  }
+
+  async unwrapKey(kid, wrapped) {
+    const version = String(kid).replace(/^local:/, "");
+    const iv = wrapped.subarray(0, 12);
+    const tag = wrapped.subarray(wrapped.length - 16);
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      this.kek(version),
+      iv
+    );
+    decipher.setAuthTag(tag);
+    return Buffer.concat([
+      decipher.update(wrapped.subarray(12, wrapped.length - 16)),
+      decipher.final(),
+    ]);
+  }
+
+  getIndexKey() {
+    return decodeKey(this.keyring.indexKey, "Local blind index key");
+  }
+}
+
+class KeyVaultKeyProvider {
+  /**
+   * @param {{ keyId: string, indexKey: string, credential?: object }} options
+   *   `keyId` is https://<vault>.vault.azure.net/keys/<name>[/<version>].
+   *   Without a version the latest Key Vault version is used for new data.
+   */
+  constructor({ keyId, indexKey, credential } = {}) {
+    if (!keyId) {
+      throw new Error("FIELD_ENCRYPTION_KEYVAULT_KEY_ID is required.");
+    }
+    this.name = "keyvault";
+    this.keyId = keyId.replace(/\/$/, "");
+    this.indexKey = decodeKey(indexKey, "FIELD_ENCRYPTION_INDEX_KEY");
+    this.credential = credential || new DefaultAzureCredential();
+    this.cachedKid = null;
+    this.cachedKidExpiresAt = 0;
+  }
+
+  async request(url, body) {
+    const { token } = await this.credential.getToken(KEY_VAULT_SCOPE);
+    const resp = await fetch(
+      `${url}?api-version=${KEY_VAULT_API_VERSION}`,
+      body
+        ? {
+            method: "POST",
+            headers: {
+              Authorization: `Bearer ${token}`,
+              "Content-Type": "application/json",
+            },
+            body: JSON.stringify(body),
+          }
+        : { headers: { Authorization: `Bearer ${token}` } }
+    );
+    if (!resp.ok) {
+      const text = await resp.text().catch(() => "");
+      throw new Error(`Key Vault request failed (${resp.status}): ${text}`);
+    }
+    return resp.json();
+  }
+
+  // Resolves the versioned kid new data is wrapped with (cached 5 minutes)
+  async currentKeyId() {
+    if (this.cachedKid && Date.now() < this.cachedKidExpiresAt) {
+      return this.cachedKid;
+    }
+    const json = await this.request(this.keyId);
+    this.cachedKid = json.key.kid;
+    this.cachedKidExpiresAt = Date.now() + 5 * 60 * 1000;
+    return this.cachedKid;
+  }
+
+  async createKeyVersion() {
+    throw new Error(
+      "Create a new key version in Azure Key Vault, then run the rotate command."
+    );
+  }
+
+  async wrapKey(dataKey) {
+    const kid = await this.currentKeyId();
+    const json = await this.request(`${kid}/wrapkey`, {
+      alg: "RSA-OAEP-256",
+      value: dataKey.toString("base64url"),
+    });
+    return {
+      kid: json.kid || kid,
+      wrapped: Buffer.from(json.value, "base64url"),
+    };
+  }
+
+  async unwrapKey(kid, wrapped) {
+    const json = await this.request(`${kid}/unwrapkey`, {
+      alg: "RSA-OAEP-256",
+      value: wrapped.toString("base64url"),
+    });
+    return Buffer.from(json.value, "base64url");
+  }
+
+  getIndexKey() {
+    return this.indexKey;
+  }
+}
+
+/**
+ * Builds the provider from FIELD_ENCRYPTION_* settings.
+ * @param {{ ephemeral?: boolean }} [options] Keep local keys in memory only
+ */
+const createKeyProvider = (env = process.env, { ephemeral = false } = {}) => {
+  const configured = (env.FIELD_ENCRYPTION_PROVIDER || "").trim().toLowerCase();
+  const kind =
+    configured || (env.FIELD_ENCRYPTION_KEYVAULT_KEY_ID ? "keyvault" : "local");
+
+  if (kind === "keyvault") {
+    return new KeyVaultKeyProvider({
+      keyId: env.FIELD_ENCRYPTION_KEYVAULT_KEY_ID,
+      indexKey: env.FIELD_ENCRYPTION_INDEX_KEY,
+    });
+  }
+
+  if (kind !== "local") {
+    throw new Error(
+      `Unknown FIELD_ENCRYPTION_PROVIDER "${env.FIELD_ENCRYPTION_PROVIDER}". Use local or keyvault.`
+    );
+  }
+
+  if (env.FIELD_ENCRYPTION_KEY_FILE) {
+    return new LocalKeyProvider({ filePath: env.FIELD_ENCRYPTION_KEY_FILE });
+  }
+  if (env.NODE_ENV === "production") {
+    throw new Error(
+      "Field encryption needs FIELD_ENCRYPTION_KEYVAULT_KEY_ID (or FIELD_ENCRYPTION_KEY_FILE) in production."
+    );
+  }
+  return ephemeral
+    ? new LocalKeyProvider()
+    : new LocalKeyProvider({ filePath: DEFAULT_KEY_FILE });
+};
+
+module.exports = {
+  LocalKeyProvider,
+  KeyVaultKeyProvider,
+  createKeyProvider,
+};
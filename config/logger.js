@@ -0,0 +1,194 @@
+// Structured server logging
+// One JSON object per line on stdout (debug, info) or stderr (warn, error),
+// which App Service log streaming and Log Analytics parse as-is:
+//
+//   {"time":"...","level":"error","msg":"Intake form submission error",
+//    "correlationId":"...","error":{"name":"GraphError","message":"...",...}}
+//
+// Lines carry the correlation id of the request (or outbox message) they
+// were written for (see config/correlation.js). Everything is redacted
+// before it is written: values under sensitive keys (tokens, secrets,
+// passwords, cookies, claims, personal fields) are dropped, and emails,
+// phone numbers and tokens inside any text are masked. Errors keep their
+// name, message, status, code and stack, never raw response bodies.
+//
+// LOG_LEVEL sets the lowest level written (debug, info, warn, error;
+// default info).
+
+const { getCorrelationId } = require("./correlation");
+
+const LEVELS = Object.freeze({ debug: 10, info: 20, warn: 30, error: 40 });
+const DEFAULT_LEVEL = "info";
+const REDACTED = "[redacted]";
+const MAX_DEPTH = 5;
+
+// Keys whose values are never logged. Compared lower-case without - and _.
+const SENSITIVE_KEY_PATTERN =
+  /pass(word)?|secret|token|authorization|cookie|claims?$|principal|apikey|credential/;
+const PERSONAL_KEYS = new Set([
+  "email",
+  "mail",
+  "userprincipalname",
+  "upn",
+  "name",
+  "displayname",
+  "firstname",
+  "givenname",
+  "lastname",
+  "surname",
+  "phone",
+  "mobilephone",
+  "workphone",
+  "businessphones",
+  "address",
+  "streetaddress",
+  "dateofbirth",
+  "invitedemail",
+  "inviteduseremailaddress",
+  "inviteduserdisplayname",
+  "inviteredeemurl",
+  "deeplink",
+]);
+
+const TEXT_RULES = [
+  // JWTs and bearer tokens
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]*/g, "[token]"],
+  [/\b(Bearer|Basic)\s+[\w.~+/=-]+/gi, "$1 [token]"],
+  // key=value secrets in query strings and form bodies
+  [
+    /\b((?:client_secret|password|access_token|id_token|refresh_token|code|sig)=)[^&\s"']+/gi,
+    "$1[redacted]",
+  ],
+  [/[\w.%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi, "[email]"],
+  // US-style phone numbers; never inside longer digit runs or ids
+  [
+    /(?<![\w-])(?:\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}(?![\w-])/g,
+    "[phone]",
+  ],
+];
+
+const normalizeKey = (key) => key.toLowerCase().replace(/[-_]/g, "");
+
+const isSensitiveKey = (key) => {
+  const normalized = normalizeKey(key);
+  return (
+    SENSITIVE_KEY_PATTERN.test(normalized) ||
+    PERSONAL_KEYS.has(normalized) ||
+    // Raw claim types, e.g. http://schemas.xmlsoap.org/.../emailaddress
+    /^https?:\/\//.test(key)
+  );
+};
+
+/** Masks emails, phone numbers and tokens in free text. */
+const redactText = (text) =>
+  TEXT_RULES.reduce(
+    (result, [pattern, replacement]) => result.replace(pattern, replacement),
+    String(text)
+  );
+
+const serializeError = (error, depth) => {
+  const serialized = {
+    name: error.name || "Error",
+    message: redactText(error.message || ""),
+  };
+  for (const key of ["status", "code", "requestId", "retryable"]) {
+    if (error[key] !== undefined && error[key] !== null) {
+      serialized[key] = redact(error[key], depth + 1);
+    }
+  }
+  if (error.stack) serialized.stack = redactText(error.stack);
+  return serialized;
+};
+
+/**
+ * Copy of `value` that is safe to log: sensitive keys removed, text masked,
+ * errors reduced to their safe properties.
+ */
+const redact = (value, depth = 0) => {
+  if (value === null || value === undefined) return value;
+  if (typeof value === "string") return redactText(value);
+  if (typeof value !== "object") return value;
+  if (value instanceof Date) return value.toISOString();
+  if (depth >= MAX_DEPTH) return "[truncated]";
+  if (value instanceof Error) return serializeError(value, depth);
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = isSensitiveKey(key) ? REDACTED : redact(item, depth + 1);
+  }
+  return copy;
+};
+
+const resolveLevel = (level) => {
+  const normalized = String(level || "")
+    .trim()
+    .toLowerCase();
+  return LEVELS[normalized] ? normalized : DEFAULT_LEVEL;
+};
+
+const defaultWrite = (level, line) =>
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(
+    `${line}\n`
+  );
+
+/**
+ * @typedef {Object} Logger
+ * @property {(message: string, details?: object|Error|string) => void} debug
+ * @property {(message: string, details?: object|Error|string) => void} info
+ * @property {(message: string, details?: object|Error|string) => void} warn
+ * @property {(message: string, details?: object|Error|string) => void} error
+ * @property {(bindings: object) => Logger} child Logger that adds `bindings` to every line
+ */
+
+/**
+ * `details` is an Error (logged as `error`), a string (logged as `detail`)
+ * or an object of fields; everything is redacted.
+ * @param {{ level?: string, bindings?: object, write?: (level: string, line: string) => void }} [options]
+ *   `level` defaults to LOG_LEVEL
+ * @returns {Logger}
+ */
+const createLogger = ({
+  level = process.env.LOG_LEVEL,
+  bindings = {},
+  write = defaultWrite,
+} = {}) => {
+  const threshold = LEVELS[resolveLevel(level)];
+
+  const log = (lineLevel, message, details) => {
+    if (LEVELS[lineLevel] < threshold) return;
+    let fields = {};
+    if (details instanceof Error) fields = { error: details };
+    else if (details !== undefined && typeof details !== "object") {
+      fields = { detail: details };
+    } else if (details) fields = details;
+
+    const correlationId = getCorrelationId();
+    const entry = {
+      time: new Date().toISOString(),
+      level: lineLevel,
+      msg: redactText(message),
+      ...(correlationId ? { correlationId } : {}),
+      ...redact({ ...bindings, ...fields }),
+    };
+    write(lineLevel, JSON.stringify(entry));
+  };
+
+  const logger = {
+    child: (more) =>
+      createLogger({ level, write, bindings: { ...bindings, ...more } }),
+  };
+  for (const name of Object.keys(LEVELS)) {
+    logger[name] = (message, details) => log(name, message, details);
+  }
+  return logger;
+};
+
+const logger = createLogger();
+
+module.exports = {
+  LEVELS,
+  redact,
+  redactText,
+  createLogger,
+  logger,
+};
@@ -0,0 +1,193 @@
+// Versioned schema migrations for the SQL layer
+// Scripts live in /migrations as NNNN-description.js and export
+// { description, up } where `up` is a T-SQL batch or an array of batches.
+// Applied migrations are recorded in dbo.SchemaMigrations.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sql = require('mssql');
+const { getPool } = require('./database');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{4})-[\w-]+\.js$/;
+// Serializes runners across App Service instances starting at the same time
+const MIGRATION_LOCK = 'FLWINS_SchemaMigrations';
+
+const toBatches = (up) => (Array.isArray(up) ? up : [up]).filter((batch) => typeof batch === 'string' && batch.trim());
+
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  if (!fs.existsSync(dir)) return [];
+
+  const files = fs.readdirSync(dir).filter((file) => MIGRATION_FILE_PATTERN.test(file)).sort();
+  const seen = new Set();
+
+  return files.map((file) => {
+    const number = file.match(MIGRATION_FILE_PATTERN)[1];
+    if (seen.has(number)) {
+      throw new Error(`Duplicate migration number ${number} (${file}).`);
+    }
+    seen.add(number);
+
+    const migration = require(path.join(dir, file));
+    const batches = toBatches(migration.up);
+    if (!batches.length) {
+      throw new Error(`Migration ${file} has no "up" SQL.`);
+    }
+
+    return {
+      id: path.basename(file, '.js'),
+      description: migration.description || '',
+      batches,
+      checksum: crypto.createHash('sha256').update(batches.join('\nGO\n')).digest('hex')
+    };
+  });
+};
+
+const ensureMigrationsTable = async (sqlPool) => {
+  await sqlPool.request().query(`
+    IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'SchemaMigrations' AND schema_id = SCHEMA_ID('dbo'))
+    BEGIN
+      CREATE TABLE dbo.SchemaMigrations (
+        Id NVARCHAR(255) NOT NULL PRIMARY KEY,
+        Description NVARCHAR(500) NULL,
+        Checksum CHAR(64) NOT NULL,
+        AppliedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        DurationMs INT NOT NULL
+      );
+    END
+  `);
+};
+
+const readAppliedMigrations = async (sqlPool) => {
+  const exists = await sqlPool.request().query(
+    "SELECT 1 AS found FROM sys.tables WHERE name = 'SchemaMigrations' AND schema_id = SCHEMA_ID('dbo')"
+  );
+  if (!exists.recordset.length) return new Map();
+
+  const result = await sqlPool.request().query(
+    'SELECT Id, Description, Checksum, AppliedAt, DurationMs FROM dbo.SchemaMigrations ORDER BY Id'
+  );
+  return new Map(result.recordset.map((row) => [row.Id, row]));
+};
+
+/**
+ * Compares the scripts on disk with dbo.SchemaMigrations.
+ * `modified` lists applied migrations whose script changed afterwards.
+ */
+const getMigrationStatus = async ({ dir } = {}) => {
+  const sqlPool = await getPool();
+  const migrations = loadMigrations(dir);
+  const applied = await readAppliedMigrations(sqlPool);
+
+  const known = new Set(migrations.map((m) => m.id));
+
+  return {
+    applied: migrations
+      .filter((m) => applied.has(m.id))
+      .map((m) => ({
+        id: m.id,
+        description: m.description,
+        appliedAt: applied.get(m.id).AppliedAt,
+        durationMs: applied.get(m.id).DurationMs
+      })),
+    pending: migrations
+      .filter((m) => !applied.has(m.id))
+      .map((m) => ({ id: m.id, description: m.description })),
+    modified: migrations
+      .filter((m) => applied.has(m.id) && applied.get(m.id).Checksum.trim() !== m.checksum)
+      .map((m) => m.id),
+    unknown: [...applied.keys()].filter((id) => !known.has(id))
+  };
+};
+
+const applyMigration = async (sqlPool, migration) => {
+  const started = Date.now();
+  const transaction = new sql.Transaction(sqlPool);
+  await transaction.begin();
+
+  try {
+    const lock = await new sql.Request(transaction)
+      .input('Resource', sql.NVarChar(255), MIGRATION_LOCK)
+      .query(`
+        DECLARE @result INT;
+        EXEC @result = sp_getapplock @Resource = @Resource, @LockMode = 'Exclusive', @LockOwner = 'Transaction', @LockTimeout = 60000;
+        SELECT @result AS result;
+      `);
+    if (lock.recordset[0].result < 0) {
+      throw new Error(`Timed out waiting for migration lock before ${migration.id}.`);
+    }
+
+    // Another instance may have applied it while we waited for the lock
+    const already = await new sql.Request(transaction)
+      .input('Id', sql.NVarChar(255), migration.id)
+      .query('SELECT 1 AS found FROM dbo.SchemaMigrations WHERE Id = @Id');
+    if (already.recordset.length) {
+      await transaction.commit();
+      return false;
+    }
+
+    for (const batch of migration.batches) {
+      await new sql.Request(transaction).batch(batch);
+    }
+
+    await new sql.Request(transaction)
+      .input('Id', sql.NVarChar(255), migration.id)
+      .input('Description', sql.NVarChar(500), migration.description)
+      .input('Checksum', sql.Char(64), migration.checksum)
+      .input('DurationMs', sql.Int, Date.now() - started)
+      .query(`
+        INSERT INTO dbo.SchemaMigrations (Id, Description, Checksum, DurationMs)
+        VALUES (@Id, @Description, @Checksum, @DurationMs);
+      `);
+
+    await transaction.commit();
+    return true;
+  } catch (err) {
+    await transaction.rollback().catch(() => undefined);
+    err.message = `Migration ${migration.id} failed: ${err.message}`;
+    throw err;
+  }
+};
+
+/**
+ * Applies pending migrations in order, each in its own transaction.
+ * With `dryRun`, reports what would run and prints the SQL without executing it.
+ * @returns {Promise<{ applied: string[], pending: string[], dryRun: boolean }>}
+ */
+const runMigrations = async ({ dryRun = false, dir, logger = console } = {}) => {
+  const sqlPool = await getPool();
+  const migrations = loadMigrations(dir);
+  const appliedBefore = await readAppliedMigrations(sqlPool);
+  const pending = migrations.filter((m) => !appliedBefore.has(m.id));
+
+  if (dryRun) {
+    for (const migration of pending) {
+      logger.log(`-- [dry run] ${migration.id}: ${migration.description}`);
+      for (const batch of migration.batches) {
+        logger.log(batch.trim());
+        logger.log('GO');
+      }
+    }
+    return { applied: [], pending: pending.map((m) => m.id), dryRun: true };
+  }
+
+  await ensureMigrationsTable(sqlPool);
+
+  const applied = [];
+  for (const migration of pending) {
+    if (await applyMigration(sqlPool, migration)) {
+      logger.log(`Applied migration ${migration.id}: ${migration.description}`);
+      applied.push(migration.id);
+    }
+  }
+
+  return { applied, pending: [], dryRun: false };
+};
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getMigrationStatus,
+  runMigrations
+};
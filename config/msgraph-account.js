@@ -3,9 +3,8 @@
 
 const fs = require('fs');
 const path = require('path');
-const querystring = require('querystring');
-
-const fetch = globalThis.fetch || ((...args) => import('node-fetch').then(({ default: fetchFn }) => fetchFn(...args)));
+const { generatePassword } = require('./password-policy');
+const { getAppToken: getCachedAppToken, createGraphClient, getGraphEndpoints } = require('./graph-client');
 
 // Avoid reading secrets from publicly served directories.
 // DEV ONLY fallback: if you really must keep a file, place it outside /public.
@@ -43,35 +42,13 @@ function loadClientCredentials() {
   return { tenantId, clientId, clientSecret };
 }
 
+// Cached per tenant/app until shortly before expiry (see config/graph-client.js)
 async function getAppToken() {
-  const { tenantId, clientId, clientSecret } = loadClientCredentials();
-
-  const tokenUrl = `https://login.microsoftonline.com/${encodeURIComponent(tenantId)}/oauth2/v2.0/token`;
-  const body = querystring.stringify({
-    client_id: clientId,
-    client_secret: clientSecret,
-    scope: 'https://graph.microsoft.com/.default',
-    grant_type: 'client_credentials'
-  });
-
-  const resp = await fetch(tokenUrl, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded'
-    },
-    body
-  });
-
-  if (!resp.ok) {
-    const text = await resp.text().catch(() => '');
-    throw new Error(`Failed to acquire Graph token (${resp.status}): ${text}`);
-  }
+  return getCachedAppToken(loadClientCredentials());
+}
 
-  const json = await resp.json();
-  if (!json.access_token) {
-    throw new Error('Graph token response missing access_token');
-  }
-  return json.access_token;
+function graphClient() {
+  return createGraphClient({ getToken: getAppToken });
 }
 
 function sanitize(str, { max = 64, fallback = 'user' } = {}) {
@@ -98,52 +75,37 @@ function pickUpn({ email }, upnDomain) {
   return null; // caller must supply domain
 }
 
-function generateInitialPassword() {
-  // 16+ chars with complexity
-  const upper = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
-  const lower = 'abcdefghijkmnopqrstuvwxyz';
-  const nums = '23456789';
-  const special = '!@#$%^&*()-_=+[]{}';
-  const all = upper + lower + nums + special;
-  const rand = (n, set) => Array.from({ length: n }, () => set[Math.floor(Math.random() * set.length)]).join('');
-  const base = rand(4, upper) + rand(4, lower) + rand(4, nums) + rand(4, special) + rand(4, all);
-  return base.split('').sort(() => 0.5 - Math.random()).join('').slice(0, 20);
-}
-
-let __defaultVerifiedDomain = null;
+// Keyed by Graph endpoint and tenant, since either can change between calls
+const __defaultVerifiedDomains = new Map();
 
-async function fetchDefaultVerifiedDomain(token) {
-  if (__defaultVerifiedDomain) return __defaultVerifiedDomain;
-  const resp = await fetch('https://graph.microsoft.com/v1.0/organization?$select=verifiedDomains', {
-    headers: { Authorization: `Bearer ${token}` }
-  });
-  if (!resp.ok) {
-    const text = await resp.text().catch(() => '');
-    throw new Error(`Failed to read tenant domains (${resp.status}): ${text}`);
-  }
-  const json = await resp.json();
-  const org = Array.isArray(json.value) ? json.value[0] : null;
+async function fetchDefaultVerifiedDomain(graph) {
+  const cacheKey = `${getGraphEndpoints().graphBaseUrl}|${loadClientCredentials().tenantId}`;
+  if (__defaultVerifiedDomains.has(cacheKey)) return __defaultVerifiedDomains.get(cacheKey);
+  const [org] = await graph.getAll('/organization?$select=verifiedDomains');
   const domains = org?.verifiedDomains || [];
   // Prefer default, then initial, then any verified
   const preferred = domains.find(d => d.isDefault) || domains.find(d => d.isInitial) || domains.find(d => d.isVerified);
   if (!preferred || !preferred.name) {
     throw new Error('No verified domains found in tenant.');
   }
-  __defaultVerifiedDomain = preferred.name;
-  return __defaultVerifiedDomain;
+  __defaultVerifiedDomains.set(cacheKey, preferred.name);
+  return preferred.name;
 }
 
+// options.upnSuffix is appended to the mail nickname (and so the UPN), to
+// retry with a free UPN when the plain one belongs to someone else
 async function createUserFromIntake(intake, options = {}) {
-  const token = await getAppToken();
+  const graph = graphClient();
   let upnDomain = options.upnDomain || process.env.UPN_DOMAIN || null;
 
   const firstName = (intake.firstName || '').trim();
   const lastName = (intake.lastName || '').trim();
   const displayName = [firstName, lastName].filter(Boolean).join(' ') || intake.displayName || 'New User';
-  const mailNickname = makeMailNickname({ firstName, lastName, email: intake.email });
+  const suffix = options.upnSuffix ? String(options.upnSuffix) : '';
+  const mailNickname = makeMailNickname({ firstName, lastName, email: intake.email }).slice(0, 64 - suffix.length) + suffix;
   const email = (intake.email || '').trim();
   if (!upnDomain) {
-    upnDomain = await fetchDefaultVerifiedDomain(token);
+    upnDomain = await fetchDefaultVerifiedDomain(graph);
   }
 
   let userPrincipalName = pickUpn(intake, upnDomain);
@@ -154,7 +116,9 @@ async function createUserFromIntake(intake, options = {}) {
     userPrincipalName = `${mailNickname}@${upnDomain}`;
   }
 
-  const password = generateInitialPassword();
+  // Callers must hand the password to the user through a one-time delivery
+  // (see config/credential-delivery.js), never a log or API response
+  const password = generatePassword();
 
   const payload = {
     accountEnabled: true,
@@ -183,28 +147,45 @@ async function createUserFromIntake(intake, options = {}) {
   // Remove undefined keys to avoid Graph validation errors
   Object.keys(payload).forEach((k) => payload[k] === undefined && delete payload[k]);
 
-  const resp = await fetch('https://graph.microsoft.com/v1.0/users', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(payload)
-  });
-
-  if (!resp.ok) {
-    const text = await resp.text().catch(() => '');
-    const err = new Error(`Graph create user failed (${resp.status}): ${text}`);
-    err.status = resp.status;
+  let created;
+  try {
+    created = await graph.post('/users', payload);
+  } catch (err) {
+    // Lets callers link the existing account when err.isConflict
+    err.userPrincipalName = userPrincipalName;
     throw err;
   }
 
-  const created = await resp.json();
   return { created, initialPassword: password };
 }
 
+// Looks up a user by UPN (or object id); null when there is none
+async function findUserByPrincipalName(userPrincipalName) {
+  return graphClient().get(`/users/${encodeURIComponent(userPrincipalName)}?$select=id,userPrincipalName`, {
+    notFoundAsNull: true
+  });
+}
+
+// Sets a new initial password (changed at next sign-in) and returns it, for
+// an account whose first password was lost before it could be delivered
+async function resetUserPassword(userId) {
+  const password = generatePassword();
+  await graphClient().patch(`/users/${encodeURIComponent(userId)}`, {
+    passwordProfile: {
+      forceChangePasswordNextSignIn: true,
+      password
+    }
+  });
+  return password;
+}
+
 module.exports = {
+  parseClientVariablesFile,
+  sanitize,
+  makeMailNickname,
   loadClientCredentials,
   getAppToken,
-  createUserFromIntake
+  createUserFromIntake,
+  findUserByPrincipalName,
+  resetUserPassword
 };
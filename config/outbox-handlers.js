@@ -0,0 +1,25 @@
+// Outbox message types and the handlers that deliver them
+// Each handler has `deliver(payload, message)` and, optionally,
+// `onDeadLetter(payload, error, message)`. Delivery must be safe to repeat:
+// a crash after the side effect but before completion means a retry.
+
+const { createEfsmodInviteHandler } = require("./efsmod-invitations");
+const {
+  PROVISIONING_MESSAGES,
+  createMemberAccountHandler,
+} = require("./provisioning");
+
+const OUTBOX_TYPES = Object.freeze({
+  ...PROVISIONING_MESSAGES,
+});
+
+/** @param {import("./stores").Store} store */
+const createOutboxHandlers = (store) => ({
+  [OUTBOX_TYPES.EFSMOD_INVITE]: createEfsmodInviteHandler(store),
+  [OUTBOX_TYPES.MEMBER_CREATE]: createMemberAccountHandler(store),
+});
+
+module.exports = {
+  OUTBOX_TYPES,
+  createOutboxHandlers,
+};
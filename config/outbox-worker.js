@@ -0,0 +1,240 @@
+// Background delivery of outbox messages (see migrations/0004)
+// Polls the store for due messages, runs the handler for each type and
+// reschedules failures with exponential backoff and jitter. Messages that
+// keep failing, or fail in a way retrying cannot fix, are dead-lettered and
+// can be requeued with `npm run outbox:replay`. Each message is delivered
+// under the correlation id of the request that queued it
+// (`payload.correlationId`), so its log lines and Graph calls trace back to
+// that request.
+
+const { runWithCorrelationId } = require("./correlation");
+const { logger: defaultLogger } = require("./logger");
+
+const DEFAULTS = {
+  pollIntervalMs: 5000,
+  batchSize: 10,
+  maxAttempts: 8,
+  baseDelayMs: 30 * 1000,
+  maxDelayMs: 60 * 60 * 1000,
+  lockMs: 2 * 60 * 1000,
+};
+
+const readInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/** Worker options from OUTBOX_* settings. */
+const getOutboxConfig = (env = process.env) => ({
+  pollIntervalMs: readInt(env.OUTBOX_POLL_INTERVAL_MS, DEFAULTS.pollIntervalMs),
+  batchSize: readInt(env.OUTBOX_BATCH_SIZE, DEFAULTS.batchSize),
+  maxAttempts: readInt(env.OUTBOX_MAX_ATTEMPTS, DEFAULTS.maxAttempts),
+  baseDelayMs: readInt(env.OUTBOX_BASE_DELAY_MS, DEFAULTS.baseDelayMs),
+  maxDelayMs: readInt(env.OUTBOX_MAX_DELAY_MS, DEFAULTS.maxDelayMs),
+  lockMs: DEFAULTS.lockMs,
+});
+
+// 4xx means the request itself is wrong; only timeouts and throttling are
+// worth repeating. Network errors and 5xx have no 4xx status.
+const isRetryable = (err) => {
+  if (err && err.retryable === false) return false;
+  const status = Number(err && err.status);
+  if (status >= 400 && status < 500) return status === 408 || status === 429;
+  return true;
+};
+
+/**
+ * Delay before attempt `attempts + 1`: base * 2^(attempts - 1), capped, with
+ * equal jitter so a burst of failures does not retry in lockstep. A
+ * Retry-After hint (seconds) from the failing service is a lower bound.
+ */
+const computeBackoff = (
+  attempts,
+  { baseDelayMs, maxDelayMs },
+  retryAfterSeconds,
+  random = Math.random
+) => {
+  const exponential = Math.min(
+    maxDelayMs,
+    baseDelayMs * 2 ** Math.max(0, attempts - 1)
+  );
+  const delay = exponential / 2 + random() * (exponential / 2);
+  const hinted = Number(retryAfterSeconds) > 0 ? retryAfterSeconds * 1000 : 0;
+  return Math.round(Math.max(delay, hinted));
+};
+
+class OutboxWorker {
+  /**
+   * @param {{ store: import("./stores").Store, handlers: object, logger?: import("./logger").Logger }} options
+   *   `handlers` maps message types to { deliver, onDeadLetter? } (see
+   *   config/outbox-handlers.js). Plus any of the getOutboxConfig() settings.
+   */
+  constructor({ store, handlers, logger = defaultLogger, ...options }) {
+    this.store = store;
+    this.handlers = handlers;
+    this.logger = logger;
+    this.options = { ...getOutboxConfig(), ...options };
+    this.timer = null;
+    this.running = null;
+    this.queued = null;
+  }
+
+  start() {
+    if (this.timer) return this;
+    this.timer = setInterval(() => this.kick(), this.options.pollIntervalMs);
+    // Never keep the process alive just for polling
+    this.timer.unref();
+    this.kick();
+    return this;
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.running;
+  }
+
+  /**
+   * Processes due messages now instead of waiting for the next poll, e.g.
+   * right after a request enqueued one. Resolves once a pass that started
+   * after this call has finished. Never throws.
+   */
+  kick() {
+    if (this.running) {
+      // The pass in progress may have claimed before the new message was
+      // committed; run once more after it
+      this.queued =
+        this.queued ||
+        this.running.then(() => {
+          this.queued = null;
+          return this.kick();
+        });
+      return this.queued;
+    }
+    this.running = this.processDue()
+      .catch((err) => {
+        this.logger.error("Outbox worker error", err);
+      })
+      .finally(() => {
+        this.running = null;
+      });
+    return this.running;
+  }
+
+  /**
+   * Claims and delivers batches until nothing is due.
+   * @returns {Promise<{ delivered: number, retried: number, dead: number }>}
+   */
+  async processDue() {
+    const totals = { delivered: 0, retried: 0, dead: 0 };
+    for (;;) {
+      const messages = await this.store.claimOutboxMessages({
+        limit: this.options.batchSize,
+        lockMs: this.options.lockMs,
+      });
+      if (!messages.length) return totals;
+      for (const message of messages) {
+        totals[await this.deliverInContext(message)] += 1;
+      }
+    }
+  }
+
+  /**
+   * Delivers just the given messages now, e.g. the ones a request has
+   * queued, without working through anyone else's. Messages another pass
+   * already holds, or that are not due, are left to the poller. Never
+   * throws.
+   * @param {string[]} ids
+   */
+  async deliverNow(ids) {
+    try {
+      const messages = await this.store.claimOutboxMessages({
+        ids,
+        limit: ids.length,
+        lockMs: this.options.lockMs,
+      });
+      for (const message of messages) {
+        await this.deliverInContext(message);
+      }
+    } catch (err) {
+      this.logger.error("Outbox worker error", err);
+    }
+  }
+
+  deliverInContext(message) {
+    const correlationId = (message.payload || {}).correlationId || null;
+    return runWithCorrelationId(correlationId, () => this.deliver(message));
+  }
+
+  async deliver(message) {
+    try {
+      if (message.error) throw message.error;
+      const handler = this.handlers[message.type];
+      if (!handler) {
+        const err = new Error(`No outbox handler for type "${message.type}".`);
+        err.retryable = false;
+        throw err;
+      }
+      await handler.deliver(message.payload, message);
+      await this.store.completeOutboxMessage(message.id);
+      return "delivered";
+    } catch (err) {
+      return this.fail(message, err);
+    }
+  }
+
+  async notifyDeadLetter(message, error) {
+    const handler = this.handlers[message.type];
+    if (!handler || !handler.onDeadLetter || message.error) return;
+    try {
+      await handler.onDeadLetter(message.payload, error, message);
+    } catch (err) {
+      this.logger.error("Outbox dead-letter hook failed", {
+        messageId: message.id,
+        error: err,
+      });
+    }
+  }
+
+  async fail(message, err) {
+    const error = err?.message || String(err);
+    const exhausted = message.attempts >= this.options.maxAttempts;
+
+    if (exhausted || !isRetryable(err)) {
+      await this.store.failOutboxMessage(message.id, { error, dead: true });
+      await this.notifyDeadLetter(message, error);
+      this.logger.error("Outbox message dead-lettered", {
+        messageId: message.id,
+        type: message.type,
+        attempts: message.attempts,
+        error,
+      });
+      return "dead";
+    }
+
+    const delayMs = computeBackoff(
+      message.attempts,
+      this.options,
+      err.retryAfter
+    );
+    await this.store.failOutboxMessage(message.id, {
+      error,
+      nextAttemptAt: new Date(Date.now() + delayMs),
+    });
+    this.logger.warn("Outbox message failed, retrying", {
+      messageId: message.id,
+      type: message.type,
+      attempts: message.attempts,
+      retryInSeconds: Math.round(delayMs / 1000),
+      error,
+    });
+    return "retried";
+  }
+}
+
+module.exports = {
+  OutboxWorker,
+  getOutboxConfig,
+  computeBackoff,
+  isRetryable,
+};
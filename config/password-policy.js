@@ -0,0 +1,93 @@
+// Initial password generation for member accounts
+// Passwords come from crypto.randomInt (no Math.random) and follow a policy
+// configurable per environment:
+//
+//   INITIAL_PASSWORD_LENGTH            total length (default 20, 12-256)
+//   INITIAL_PASSWORD_CHARACTER_CLASSES classes that must each appear at least
+//                                      once: upper,lower,digit,symbol (default all)
+//   INITIAL_PASSWORD_SYMBOLS           symbol alphabet (default below)
+//
+// Entra ID requires at least three of the four classes.
+
+const crypto = require("crypto");
+
+// Look-alike characters (I, l, O, 0, 1) are left out so a password read off
+// the screen can be typed back correctly.
+const CHARACTER_CLASSES = Object.freeze({
+  upper: "ABCDEFGHJKLMNPQRSTUVWXYZ",
+  lower: "abcdefghijkmnopqrstuvwxyz",
+  digit: "23456789",
+  symbol: "!@#$%^&*()-_=+[]{}",
+});
+
+const MIN_LENGTH = 12;
+const MAX_LENGTH = 256;
+const MIN_CLASSES = 3;
+
+/**
+ * Reads and validates the policy. Throws on settings Entra would reject.
+ * @returns {{ length: number, classes: { [name: string]: string } }}
+ */
+const getPasswordPolicy = (env = process.env) => {
+  const length = env.INITIAL_PASSWORD_LENGTH
+    ? Number(env.INITIAL_PASSWORD_LENGTH)
+    : 20;
+  if (!Number.isInteger(length) || length < MIN_LENGTH || length > MAX_LENGTH) {
+    throw new Error(
+      `INITIAL_PASSWORD_LENGTH must be a whole number from ${MIN_LENGTH} to ${MAX_LENGTH}.`
+    );
+  }
+
+  const names = env.INITIAL_PASSWORD_CHARACTER_CLASSES
+    ? env.INITIAL_PASSWORD_CHARACTER_CLASSES.split(",")
+        .map((name) => name.trim().toLowerCase())
+        .filter(Boolean)
+    : Object.keys(CHARACTER_CLASSES);
+  const unknown = names.filter((name) => !CHARACTER_CLASSES[name]);
+  if (unknown.length) {
+    throw new Error(
+      `Unknown INITIAL_PASSWORD_CHARACTER_CLASSES: ${unknown.join(
+        ", "
+      )}. Use upper, lower, digit, symbol.`
+    );
+  }
+  if (new Set(names).size < MIN_CLASSES) {
+    throw new Error(
+      `INITIAL_PASSWORD_CHARACTER_CLASSES needs at least ${MIN_CLASSES} of upper, lower, digit, symbol.`
+    );
+  }
+
+  const classes = {};
+  for (const name of names) {
+    classes[name] =
+      name === "symbol" && env.INITIAL_PASSWORD_SYMBOLS
+        ? env.INITIAL_PASSWORD_SYMBOLS
+        : CHARACTER_CLASSES[name];
+  }
+  return { length, classes };
+};
+
+const pick = (alphabet) => alphabet[crypto.randomInt(alphabet.length)];
+
+/**
+ * One character from every required class, the rest from all of them, in
+ * a Fisher-Yates shuffled order.
+ */
+const generatePassword = (policy = getPasswordPolicy()) => {
+  const alphabets = Object.values(policy.classes);
+  const all = alphabets.join("");
+  const chars = alphabets.map(pick);
+  while (chars.length < policy.length) chars.push(pick(all));
+
+  for (let i = chars.length - 1; i > 0; i -= 1) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join("");
+};
+
+module.exports = {
+  CHARACTER_CLASSES,
+  getPasswordPolicy,
+  generatePassword,
+};
@@ -0,0 +1,276 @@
+// Applicant account provisioning
+// PROVISIONING_MODE decides what an intake submission sets up:
+//
+//   guest  - invite the applicant into EFSMOD (Tenant B) as a guest (default)
+//   member - create a member account in the FLWINS tenant
+//   both   - do both
+//
+// Each step is queued in the outbox with the intake save and delivered by
+// the outbox worker; created accounts are tracked per applicant so a
+// resubmission never creates a second one.
+
+const {
+  createUserFromIntake,
+  resetUserPassword,
+} = require("./msgraph-account");
+const {
+  INVITATION_STATUS,
+  hasActiveInvitation,
+} = require("./efsmod-invitations");
+const { INTAKE_FIELDS } = require("./intake");
+const {
+  issueCredential,
+  describeCredentialDelivery,
+} = require("./credential-delivery");
+const {
+  AUDIT_ACTIONS,
+  systemAuditContext,
+  recordAuditEvent,
+} = require("./audit");
+
+const PROVISIONING_MODES = Object.freeze({
+  GUEST: "guest",
+  MEMBER: "member",
+  BOTH: "both",
+});
+
+const ACCOUNT_STATUS = Object.freeze({
+  PENDING: "pending",
+  CREATED: "created",
+  FAILED: "failed",
+});
+
+const ACCOUNT_PII_FIELDS = ["userPrincipalName"];
+
+// UPNs tried per applicant (jane@, jane2@, ...) before giving up
+const MAX_UPN_ATTEMPTS = 5;
+
+// Outbox message types (see config/outbox-handlers.js)
+const PROVISIONING_MESSAGES = Object.freeze({
+  EFSMOD_INVITE: "efsmod.invite",
+  MEMBER_CREATE: "member.create",
+});
+
+const getProvisioningMode = (env = process.env) => {
+  const configured = (env.PROVISIONING_MODE || "").trim().toLowerCase();
+  if (!configured) return PROVISIONING_MODES.GUEST;
+  if (!Object.values(PROVISIONING_MODES).includes(configured)) {
+    throw new Error(
+      `Unknown PROVISIONING_MODE "${env.PROVISIONING_MODE}". Use guest, member or both.`
+    );
+  }
+  return configured;
+};
+
+const includesGuest = (mode) => mode !== PROVISIONING_MODES.MEMBER;
+const includesMember = (mode) => mode !== PROVISIONING_MODES.GUEST;
+
+/**
+ * Works out which provisioning steps an intake submission still needs and
+ * returns their outbox messages with the changes that mark them pending.
+ * Nothing is written here: both go to saveIntake, so the pending status is
+ * only recorded if the save (and with it the message that moves it on)
+ * commits. Steps already done (email already invited, member account
+ * already created) are skipped.
+ * @param {import("./stores").Store} store
+ * @param {{ correlationId?: string|null }} [options] Id of the request that
+ *   submitted the intake; carried in the messages so their delivery is
+ *   audited under it
+ * @returns {Promise<{ outbox: { type: string, payload: object }[], provisioning: { efsmodInvitation: object|null, provisionedAccount: object|null } }>}
+ */
+const planProvisioning = async (
+  store,
+  mode,
+  userId,
+  intake,
+  { correlationId = null } = {}
+) => {
+  const outbox = [];
+  const provisioning = { efsmodInvitation: null, provisionedAccount: null };
+
+  if (includesGuest(mode)) {
+    const invitation = await store.getEfsmodInvitation(userId);
+    if (!hasActiveInvitation(invitation, intake.email)) {
+      provisioning.efsmodInvitation = {
+        email: intake.email,
+        status: INVITATION_STATUS.PENDING,
+        lastError: null,
+      };
+      outbox.push({
+        type: PROVISIONING_MESSAGES.EFSMOD_INVITE,
+        payload: {
+          userId,
+          firstName: intake.firstName,
+          lastName: intake.lastName,
+          email: intake.email,
+          department: intake.department,
+          jobTitle: intake.jobTitle,
+          correlationId,
+        },
+      });
+    }
+  }
+
+  if (includesMember(mode)) {
+    const account = await store.getProvisionedAccount(userId);
+    if (!account || account.status !== ACCOUNT_STATUS.CREATED) {
+      provisioning.provisionedAccount = {
+        status: ACCOUNT_STATUS.PENDING,
+        lastError: null,
+      };
+      const payload = { userId, correlationId };
+      for (const { name } of INTAKE_FIELDS) payload[name] = intake[name];
+      outbox.push({ type: PROVISIONING_MESSAGES.MEMBER_CREATE, payload });
+    }
+  }
+
+  return { outbox, provisioning };
+};
+
+// Shown to the applicant when a step fails for good; the Graph error stays
+// in the log and the outbox record
+const PROVISIONING_FAILED_MESSAGE =
+  "We could not finish setting up your account. Please contact support.";
+
+/**
+ * Outbox handler for "member.create". The only existing account reused is
+ * one this applicant's earlier attempt created (the graphUserId on their
+ * provisioned-account row). A taken UPN is never linked, even when the
+ * account carries the email the applicant typed, and is retried with a
+ * numbered UPN. A created account is recorded before its password is
+ * stored, so if storing the password fails the retry resets the password
+ * instead of leaving the account without one. The account is audited under
+ * the intake save's correlation id.
+ * @param {import("./stores").Store} store
+ */
+const createMemberAccountHandler = (
+  store,
+  { createUser = createUserFromIntake, resetPassword = resetUserPassword } = {}
+) => {
+  const createUserWithFreeUpn = async (userId, intake) => {
+    for (let attempt = 1; ; attempt += 1) {
+      let result;
+      try {
+        result = await createUser(
+          intake,
+          attempt > 1 ? { upnSuffix: attempt } : {}
+        );
+      } catch (err) {
+        if (!err.isConflict || attempt >= MAX_UPN_ATTEMPTS) throw err;
+        continue;
+      }
+      const { created, initialPassword } = result;
+      await store.saveProvisionedAccount(userId, {
+        graphUserId: created.id || null,
+        userPrincipalName: created.userPrincipalName || null,
+      });
+      await issueCredential(store, userId, initialPassword);
+      return created;
+    }
+  };
+
+  return {
+    async deliver(payload) {
+      const { userId, correlationId = null, ...intake } = payload;
+      const account = await store.getProvisionedAccount(userId);
+      if (account && account.status === ACCOUNT_STATUS.CREATED) return;
+
+      let user;
+      if (account && account.graphUserId) {
+        // Created by an earlier attempt that failed before the password was
+        // stored; that password is gone, so set a new one
+        user = {
+          id: account.graphUserId,
+          userPrincipalName: account.userPrincipalName,
+        };
+        await issueCredential(
+          store,
+          userId,
+          await resetPassword(account.graphUserId)
+        );
+      } else {
+        user = await createUserWithFreeUpn(userId, intake);
+      }
+
+      await store.saveProvisionedAccount(userId, {
+        status: ACCOUNT_STATUS.CREATED,
+        graphUserId: user.id || null,
+        userPrincipalName: user.userPrincipalName || null,
+        provisionedAt: new Date(),
+        lastError: null,
+      });
+      await recordAuditEvent(store, {
+        ...systemAuditContext(correlationId),
+        action: AUDIT_ACTIONS.ACCOUNT_CREATE,
+        targetId: userId,
+        recordId: user.id || null,
+        fields: INTAKE_FIELDS.map(({ name }) => name).filter(
+          (name) => intake[name]
+        ),
+      });
+    },
+
+    async onDeadLetter(payload, error) {
+      await store.saveProvisionedAccount(payload.userId, {
+        status: ACCOUNT_STATUS.FAILED,
+        lastError: String(error || "").slice(0, 2000),
+      });
+    },
+  };
+};
+
+/**
+ * The `accountCreation` result returned by POST /api/intake. Same keys in
+ * every mode; `guest`/`member` are null for steps the mode does not include
+ * and otherwise hold the step's status (pending while still queued).
+ * `credentials` points at the one-time initial password view, never the
+ * password itself.
+ */
+const describeAccountCreation = async (store, mode, userId) => {
+  const invitation = includesGuest(mode)
+    ? await store.getEfsmodInvitation(userId)
+    : null;
+  const account = includesMember(mode)
+    ? await store.getProvisionedAccount(userId)
+    : null;
+
+  const invited =
+    Boolean(invitation) &&
+    [INVITATION_STATUS.INVITED, INVITATION_STATUS.REDEEMED].includes(
+      invitation.status
+    );
+  const created = Boolean(account) && account.status === ACCOUNT_STATUS.CREATED;
+  const delivery = created ? await store.getCredentialDelivery(userId) : null;
+  const failed =
+    invitation?.status === INVITATION_STATUS.FAILED ||
+    account?.status === ACCOUNT_STATUS.FAILED;
+
+  return {
+    mode,
+    guest: invitation ? invitation.status : null,
+    member: account ? account.status : null,
+    created,
+    userPrincipalName: created ? account.userPrincipalName : null,
+    credentials: delivery ? describeCredentialDelivery(delivery) : null,
+    invited,
+    invitedEmail: invited ? invitation.email : null,
+    inviteRedeemUrl:
+      invitation?.status === INVITATION_STATUS.INVITED
+        ? invitation.inviteRedeemUrl || null
+        : null,
+    error: failed ? PROVISIONING_FAILED_MESSAGE : null,
+  };
+};
+
+module.exports = {
+  PROVISIONING_MODES,
+  ACCOUNT_STATUS,
+  ACCOUNT_PII_FIELDS,
+  PROVISIONING_MESSAGES,
+  getProvisioningMode,
+  includesGuest,
+  includesMember,
+  planProvisioning,
+  createMemberAccountHandler,
+  describeAccountCreation,
+};
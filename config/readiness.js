@@ -0,0 +1,221 @@
+// Deep readiness checks (GET /health/ready)
+// /health only says the process is alive. Readiness checks what saving an
+// intake actually depends on, with each check's status and latency:
+//   store        - the SQL pool answers a query (file/memory stores pass)
+//   provisioning - PROVISIONING_MODE is valid
+//   efsmodConfig - EFSMOD settings are present and the base/redirect URLs
+//                  resolve (guest mode)
+//   efsmodToken  - a Tenant B app token can be acquired (guest mode)
+//   graphToken   - a home-tenant app token can be acquired (member mode)
+// Tokens come from the shared cache, so a probe only reaches Entra when the
+// cached token is near expiry.
+//
+// Critical checks guard the save itself: if one fails the verdict is "down"
+// and App Service stops routing to the instance. The rest feed provisioning,
+// which the outbox retries, so their failures only make it "degraded".
+//
+// The endpoint is anonymous, so it only reports each check's status and
+// latency; why a check failed (which can name tenants, app ids or servers)
+// goes to the log. Verdicts are reused for READINESS_CACHE_MS (default 5000)
+// so a burst of probes does not open a SQL round trip and token checks for
+// every hit.
+
+const { pingDatabase } = require("./database");
+const {
+  getProvisioningMode,
+  includesGuest,
+  includesMember,
+} = require("./provisioning");
+const {
+  normalizeBaseUrl,
+  resolveRedirectUrl,
+  getEfmodConfig,
+  getAppTokenEfmod,
+} = require("./efsmod-provision");
+const { getAppToken } = require("./msgraph-account");
+const { redactText } = require("./logger");
+
+const READINESS_STATUS = Object.freeze({
+  UP: "up",
+  DEGRADED: "degraded",
+  DOWN: "down",
+});
+
+const CHECK_TIMEOUT_MS = 5000;
+const VERDICT_CACHE_MS = 5000;
+
+/**
+ * @typedef {Object} ReadinessCheck
+ * @property {string} name
+ * @property {boolean} critical Whether intakes cannot be saved without it
+ * @property {() => Promise<void>|void} run Throws (or rejects) on failure
+ */
+
+const withTimeout = (promise, timeoutMs) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Timed out after ${timeoutMs} ms.`)),
+      timeoutMs
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const runCheck = async ({ name, critical, run }, timeoutMs) => {
+  const started = Date.now();
+  try {
+    await withTimeout(Promise.resolve().then(run), timeoutMs);
+    return {
+      name,
+      status: READINESS_STATUS.UP,
+      critical,
+      latencyMs: Date.now() - started,
+    };
+  } catch (error) {
+    return {
+      name,
+      status: READINESS_STATUS.DOWN,
+      critical,
+      latencyMs: Date.now() - started,
+      error: redactText((error && error.message) || "Check failed."),
+    };
+  }
+};
+
+/**
+ * Runs the checks in parallel, each within `timeoutMs`.
+ * @param {ReadinessCheck[]} checks
+ * @returns {Promise<{ status: "up"|"degraded"|"down", checks: Object<string, { status: "up"|"down", critical: boolean, latencyMs: number, error?: string }> }>}
+ */
+const checkReadiness = async (
+  checks,
+  { timeoutMs = CHECK_TIMEOUT_MS } = {}
+) => {
+  const results = await Promise.all(
+    checks.map((check) => runCheck(check, timeoutMs))
+  );
+  const failed = results.filter((r) => r.status === READINESS_STATUS.DOWN);
+  let status = READINESS_STATUS.UP;
+  if (failed.some((r) => r.critical)) status = READINESS_STATUS.DOWN;
+  else if (failed.length) status = READINESS_STATUS.DEGRADED;
+  return {
+    status,
+    checks: Object.fromEntries(
+      results.map(({ name, ...result }) => [name, result])
+    ),
+  };
+};
+
+// Base and redirect URLs as the invite builds them
+const checkEfsmodConfig = () => {
+  const { baseUrl, redirectPath } = getEfmodConfig();
+  if (!normalizeBaseUrl(baseUrl)) {
+    throw new Error("EFSMOD_BASE_URL is not a valid http(s) URL.");
+  }
+  const redirectUrl = new URL(resolveRedirectUrl(baseUrl, redirectPath));
+  if (!["https:", "http:"].includes(redirectUrl.protocol)) {
+    throw new Error("EFSMOD_REDIRECT_PATH does not resolve to an http(s) URL.");
+  }
+};
+
+/**
+ * The checks for this instance's store and provisioning mode. An invalid
+ * PROVISIONING_MODE fails its own check and keeps both token checks.
+ * @param {() => import("./stores").Store} getStore Called by the store
+ *   check, so a store that cannot be created fails it
+ * @returns {ReadinessCheck[]}
+ */
+const createReadinessChecks = (getStore, env = process.env) => {
+  let mode = null;
+  try {
+    mode = getProvisioningMode(env);
+  } catch (_) {
+    // reported by the provisioning check
+  }
+
+  const checks = [
+    {
+      name: "store",
+      critical: true,
+      run: () => (getStore().kind === "sql" ? pingDatabase() : undefined),
+    },
+    {
+      name: "provisioning",
+      critical: true,
+      run: () => getProvisioningMode(env),
+    },
+  ];
+  if (!mode || includesGuest(mode)) {
+    checks.push(
+      { name: "efsmodConfig", critical: false, run: checkEfsmodConfig },
+      { name: "efsmodToken", critical: false, run: () => getAppTokenEfmod() }
+    );
+  }
+  if (!mode || includesMember(mode)) {
+    checks.push({
+      name: "graphToken",
+      critical: false,
+      run: () => getAppToken(),
+    });
+  }
+  return checks;
+};
+
+const getVerdictCacheMs = (env = process.env) => {
+  const ms = Number.parseInt(env.READINESS_CACHE_MS, 10);
+  return Number.isFinite(ms) && ms >= 0 ? ms : VERDICT_CACHE_MS;
+};
+
+/** Readiness without failure details, for the anonymous endpoint */
+const toPublicReadiness = ({ status, checks }) => ({
+  status,
+  checks: Object.fromEntries(
+    Object.entries(checks).map(([name, check]) => [
+      name,
+      { status: check.status, latencyMs: check.latencyMs },
+    ])
+  ),
+});
+
+/**
+ * Runs `getChecks()` through checkReadiness at most once per `cacheMs`;
+ * callers in between (or while a run is in progress) share its result.
+ * `onResult` sees each fresh result, with failure details.
+ * @param {() => ReadinessCheck[]} getChecks
+ * @returns {() => Promise<Awaited<ReturnType<typeof checkReadiness>>>}
+ */
+const createReadinessProbe = (
+  getChecks,
+  { cacheMs = getVerdictCacheMs(), timeoutMs, onResult = () => {} } = {}
+) => {
+  let pending = null;
+  let cached = null;
+  let checkedAt = 0;
+
+  return () => {
+    if (pending) return pending;
+    if (cached && Date.now() - checkedAt < cacheMs) {
+      return Promise.resolve(cached);
+    }
+    pending = checkReadiness(getChecks(), { timeoutMs })
+      .then((readiness) => {
+        cached = readiness;
+        checkedAt = Date.now();
+        onResult(readiness);
+        return readiness;
+      })
+      .finally(() => {
+        pending = null;
+      });
+    return pending;
+  };
+};
+
+module.exports = {
+  READINESS_STATUS,
+  checkReadiness,
+  createReadinessChecks,
+  createReadinessProbe,
+  toPublicReadiness,
+};
@@ -0,0 +1,375 @@
+// Field-level encryption layer for any store backend
+// Encrypts PII on the way in, decrypts on the way out and re-encrypts
+// existing data when the key encryption key is rotated.
+
+const { INTAKE_PII_FIELDS } = require("../intake");
+const { INVITATION_PII_FIELDS } = require("../efsmod-invitations");
+const { ACCOUNT_PII_FIELDS } = require("../provisioning");
+const { HOUSEHOLD_PII_FIELDS } = require("../household");
+
+// Encrypted fields (and blind indexes derived from them) per collection.
+// Both backends expose the same collection names through
+// listEncryptedRows/updateEncryptedRow.
+const ENCRYPTED_COLLECTIONS = {
+  intakeForms: {
+    fields: INTAKE_PII_FIELDS,
+    blindIndexes: { emailHash: "email" },
+  },
+  intakeVersions: {
+    fields: INTAKE_PII_FIELDS,
+    blindIndexes: { emailHash: "email" },
+  },
+  outbox: {
+    fields: ["payload"],
+    blindIndexes: {},
+  },
+  efsmodInvitations: {
+    fields: INVITATION_PII_FIELDS,
+    blindIndexes: { emailHash: "email" },
+  },
+  provisionedAccounts: {
+    fields: ACCOUNT_PII_FIELDS,
+    blindIndexes: {},
+  },
+  credentialDeliveries: {
+    fields: ["secret"],
+    blindIndexes: {},
+  },
+  intakeDrafts: {
+    fields: ["data"],
+    blindIndexes: {},
+  },
+  householdMembers: {
+    fields: HOUSEHOLD_PII_FIELDS,
+    blindIndexes: {},
+  },
+  documents: {
+    fields: ["fileName"],
+    blindIndexes: {},
+  },
+  applicationStatusEvents: {
+    fields: ["reason"],
+    blindIndexes: {},
+  },
+  caseNotes: {
+    fields: ["body"],
+    blindIndexes: {},
+  },
+};
+
+/**
+ * @param {import("./index").Store} store
+ * @param {import("../field-encryption").FieldEncryptor} encryptor
+ */
+const withFieldEncryption = (store, encryptor) => {
+  const openInvitation = async (invitation) => {
+    if (!invitation) return invitation;
+    const { emailHash, ...decrypted } = await encryptor.decryptFields(
+      invitation,
+      INVITATION_PII_FIELDS
+    );
+    return decrypted;
+  };
+
+  const sealInvitation = (changes) => {
+    const record = { ...changes };
+    if (changes.email !== undefined) {
+      record.emailHash = encryptor.blindIndex(changes.email);
+    }
+    return encryptor.encryptFields(record, INVITATION_PII_FIELDS);
+  };
+
+  const openMember = (member) =>
+    encryptor.decryptFields(member, HOUSEHOLD_PII_FIELDS);
+
+  // File names often include the applicant's or a child's name
+  const openDocument = (document) =>
+    document && encryptor.decryptFields(document, ["fileName"]);
+
+  return {
+    ...store,
+    encryptor,
+
+    async saveIntake(
+      form,
+      submittedBy,
+      { outbox = [], provisioning = {} } = {}
+    ) {
+      const encrypted = await encryptor.encryptFields(
+        { ...form, emailHash: encryptor.blindIndex(form.email) },
+        INTAKE_PII_FIELDS
+      );
+      // Outbox payloads usually carry PII too; store them as one sealed JSON blob
+      const sealed = [];
+      for (const { type, payload } of outbox) {
+        const message = await encryptor.encryptFields(
+          { type, payload: JSON.stringify(payload ?? null) },
+          ["payload"]
+        );
+        sealed.push(message);
+      }
+      const { efsmodInvitation, provisionedAccount } = provisioning;
+      return store.saveIntake(encrypted, submittedBy, {
+        outbox: sealed,
+        provisioning: {
+          efsmodInvitation: efsmodInvitation
+            ? await sealInvitation(efsmodInvitation)
+            : null,
+          provisionedAccount: provisionedAccount
+            ? await encryptor.encryptFields(
+                provisionedAccount,
+                ACCOUNT_PII_FIELDS
+              )
+            : null,
+        },
+      });
+    },
+
+    async claimOutboxMessages(options) {
+      const messages = await store.claimOutboxMessages(options);
+      const opened = [];
+      for (const message of messages) {
+        try {
+          const { payload } = await encryptor.decryptFields(message, [
+            "payload",
+          ]);
+          opened.push({ ...message, payload: JSON.parse(payload) });
+        } catch (err) {
+          // Hand it to the worker as a failed attempt rather than failing the
+          // whole batch (a Key Vault outage is retried like any other error)
+          opened.push({ ...message, payload: null, error: err });
+        }
+      }
+      return opened;
+    },
+
+    async getIntakeVersion(userId, sequence) {
+      const version = await store.getIntakeVersion(userId, sequence);
+      if (!version) return version;
+      const { emailHash, ...decrypted } = await encryptor.decryptFields(
+        version,
+        INTAKE_PII_FIELDS
+      );
+      return decrypted;
+    },
+
+    async getEfsmodInvitation(userId) {
+      return openInvitation(await store.getEfsmodInvitation(userId));
+    },
+
+    async findActiveEfsmodInvitationByEmail(email) {
+      const emailHash = encryptor.blindIndex(email);
+      if (!emailHash) return null;
+      return openInvitation(
+        await store.findActiveEfsmodInvitationByEmailHash(emailHash)
+      );
+    },
+
+    async saveEfsmodInvitation(userId, changes) {
+      return store.saveEfsmodInvitation(userId, await sealInvitation(changes));
+    },
+
+    async getProvisionedAccount(userId) {
+      const account = await store.getProvisionedAccount(userId);
+      return account && encryptor.decryptFields(account, ACCOUNT_PII_FIELDS);
+    },
+
+    async saveProvisionedAccount(userId, changes) {
+      return store.saveProvisionedAccount(
+        userId,
+        await encryptor.encryptFields(changes, ACCOUNT_PII_FIELDS)
+      );
+    },
+
+    async saveCredentialDelivery(userId, changes) {
+      return store.saveCredentialDelivery(
+        userId,
+        await encryptor.encryptFields(changes, ["secret"])
+      );
+    },
+
+    async takeCredentialSecret(userId) {
+      return encryptor.decryptValue(await store.takeCredentialSecret(userId));
+    },
+
+    // Draft answers are sealed as one JSON blob, like outbox payloads
+    async getIntakeDraft(userId) {
+      const draft = await store.getIntakeDraft(userId);
+      if (!draft) return draft;
+      const { data } = await encryptor.decryptFields(draft, ["data"]);
+      return { ...draft, data: data ? JSON.parse(data) : {} };
+    },
+
+    async listHouseholdMembers(userId) {
+      const members = await store.listHouseholdMembers(userId);
+      return Promise.all(members.map(openMember));
+    },
+
+    async addHouseholdMember(userId, member) {
+      return openMember(
+        await store.addHouseholdMember(
+          userId,
+          await encryptor.encryptFields(member, HOUSEHOLD_PII_FIELDS)
+        )
+      );
+    },
+
+    async updateHouseholdMember(userId, id, member) {
+      return openMember(
+        await store.updateHouseholdMember(
+          userId,
+          id,
+          await encryptor.encryptFields(member, HOUSEHOLD_PII_FIELDS)
+        )
+      );
+    },
+
+    async listDocuments(userId) {
+      const documents = await store.listDocuments(userId);
+      return Promise.all(documents.map(openDocument));
+    },
+
+    async addDocument(userId, document) {
+      return openDocument(
+        await store.addDocument(
+          userId,
+          await encryptor.encryptFields(document, ["fileName"])
+        )
+      );
+    },
+
+    async getDocument(userId, id) {
+      return openDocument(await store.getDocument(userId, id));
+    },
+
+    async deleteDocument(userId, id) {
+      return openDocument(await store.deleteDocument(userId, id));
+    },
+
+    async listApplicationStatusEvents(userId) {
+      const events = await store.listApplicationStatusEvents(userId);
+      return Promise.all(
+        events.map((event) => encryptor.decryptFields(event, ["reason"]))
+      );
+    },
+
+    async addApplicationStatusEvent(userId, event) {
+      return encryptor.decryptFields(
+        await store.addApplicationStatusEvent(
+          userId,
+          await encryptor.encryptFields(event, ["reason"])
+        ),
+        ["reason"]
+      );
+    },
+
+    async getIntake(userId) {
+      const intake = await store.getIntake(userId);
+      if (!intake) return intake;
+      const { emailHash, ...decrypted } = await encryptor.decryptFields(
+        intake,
+        INTAKE_PII_FIELDS
+      );
+      return decrypted;
+    },
+
+    // Email can only be matched exactly, through its blind index
+    async searchIntakes({ email, ...filter } = {}) {
+      const { total, intakes } = await store.searchIntakes({
+        ...filter,
+        emailHash: email ? encryptor.blindIndex(email) : null,
+      });
+      const opened = [];
+      for (const intake of intakes) {
+        const { emailHash, ...decrypted } = await encryptor.decryptFields(
+          intake,
+          INTAKE_PII_FIELDS
+        );
+        opened.push(decrypted);
+      }
+      return { total, intakes: opened };
+    },
+
+    async listCaseNotes(userId) {
+      const notes = await store.listCaseNotes(userId);
+      return Promise.all(
+        notes.map((note) => encryptor.decryptFields(note, ["body"]))
+      );
+    },
+
+    async addCaseNote(userId, note) {
+      return encryptor.decryptFields(
+        await store.addCaseNote(
+          userId,
+          await encryptor.encryptFields(note, ["body"])
+        ),
+        ["body"]
+      );
+    },
+
+    async saveIntakeDraft(userId, { step, data }) {
+      return store.saveIntakeDraft(
+        userId,
+        await encryptor.encryptFields(
+          { step, data: JSON.stringify(data || {}) },
+          ["data"]
+        )
+      );
+    },
+  };
+};
+
+/**
+ * Re-encrypts every value that is plaintext or wrapped with an older key.
+ * @returns {Promise<{ currentKeyId: string, scanned: number, rotated: number }>}
+ */
+const rotateEncryptedData = async (
+  store,
+  { dryRun = false, batchSize = 200, onProgress = () => {} } = {}
+) => {
+  const { encryptor } = store;
+  const currentKeyId = await encryptor.currentKeyId();
+  let scanned = 0;
+  let rotated = 0;
+
+  for (const [collection, { fields, blindIndexes }] of Object.entries(
+    ENCRYPTED_COLLECTIONS
+  )) {
+    let after = null;
+    for (;;) {
+      const rows = await store.listEncryptedRows(collection, fields, {
+        after,
+        limit: batchSize,
+      });
+      if (!rows.length) break;
+
+      for (const row of rows) {
+        scanned += 1;
+        if (!encryptor.needsRotation(row.values, fields, currentKeyId))
+          continue;
+        rotated += 1;
+        if (dryRun) continue;
+        const plaintext = await encryptor.decryptFields(row.values, fields);
+        const reencrypted = await encryptor.encryptFields(plaintext, fields);
+        // Rows saved before encryption have no blind index yet
+        for (const [indexField, sourceField] of Object.entries(blindIndexes)) {
+          reencrypted[indexField] = encryptor.blindIndex(
+            plaintext[sourceField]
+          );
+        }
+        await store.updateEncryptedRow(collection, row.id, reencrypted);
+      }
+
+      after = rows[rows.length - 1].id;
+      onProgress({ collection, scanned, rotated });
+    }
+  }
+
+  return { currentKeyId, scanned, rotated };
+};
+
+module.exports = {
+  ENCRYPTED_COLLECTIONS,
+  withFieldEncryption,
+  rotateEncryptedData,
+};
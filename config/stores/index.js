@@ -0,0 +1,169 @@
+// FLWINS data store
+// One interface over intake persistence with interchangeable backends:
+//   sql    - Azure SQL via config/database.js (default when SQL is configured)
+//   file   - in-memory, persisted to INTAKE_STORE_FILE (default otherwise)
+//   memory - in-memory only; data is lost on restart (tests)
+// Select explicitly with INTAKE_STORE=sql|file|memory.
+
+const path = require("path");
+const { createSqlStore } = require("./sql-store");
+const { createMemoryStore } = require("./memory-store");
+const { withFieldEncryption } = require("./encrypted-store");
+const { FieldEncryptor } = require("../field-encryption");
+const { createKeyProvider } = require("../key-providers");
+
+/**
+ * @typedef {Object} IntakeVersionSummary
+ * @property {number} sequence
+ * @property {Date|string} submittedAt
+ * @property {string} submittedBy
+ * @property {string|null} submittedByName
+ */
+
+/**
+ * @typedef {Object} OutboxMessage
+ * @property {string} id
+ * @property {string} type e.g. "efsmod.invite" (see config/outbox-handlers.js)
+ * @property {object} payload
+ * @property {number} attempts Including the one in progress
+ * @property {Error} [error] Set when the payload could not be decrypted
+ */
+
+/**
+ * @typedef {Object} Store
+ * @property {'sql'|'file'|'memory'} kind
+ * @property {(form: object, submittedBy: { id: string, name?: string }, options?: { outbox?: { type: string, payload: object }[], provisioning?: { efsmodInvitation?: object|null, provisionedAccount?: object|null } }) => Promise<{ intakeFormId: string, sequence: number, submittedAt: Date|string, outboxMessageIds: string[] }>} saveIntake
+ *   Saves the current intake and appends an immutable version. `outbox`
+ *   messages and the `provisioning` status changes that go with them
+ *   (merged like saveEfsmodInvitation/saveProvisionedAccount) are committed
+ *   atomically with it.
+ * @property {(userId: string) => Promise<IntakeVersionSummary[]>} listIntakeVersions Newest first
+ * @property {(userId: string, sequence: number) => Promise<object|null>} getIntakeVersion
+ * @property {(options?: { limit?: number, lockMs?: number, ids?: string[] }) => Promise<OutboxMessage[]>} claimOutboxMessages
+ *   Locks due messages (only those in `ids`, when given) for delivery and
+ *   counts the attempt
+ * @property {(id: string) => Promise<void>} completeOutboxMessage
+ * @property {(id: string, failure: { error: string, nextAttemptAt?: Date, dead?: boolean }) => Promise<void>} failOutboxMessage
+ * @property {(filter?: { status?: string, limit?: number }) => Promise<object[]>} listOutboxMessages
+ *   Message metadata without payloads, newest first
+ * @property {(filter?: { ids?: string[] }) => Promise<number>} replayOutboxMessages
+ *   Requeues dead-lettered messages
+ * @property {(userId: string) => Promise<object|null>} getEfsmodInvitation
+ *   The applicant's EFSMOD invitation (see config/efsmod-invitations.js)
+ * @property {(email: string) => Promise<object|null>} findActiveEfsmodInvitationByEmail
+ *   Latest invited or redeemed invitation for an email, via the blind index
+ * @property {(userId: string, changes: object) => Promise<void>} saveEfsmodInvitation
+ *   Creates or partially updates the applicant's invitation
+ * @property {(userId: string) => Promise<object|null>} getProvisionedAccount
+ *   Member account created for the applicant (see config/provisioning.js)
+ * @property {(userId: string, changes: object) => Promise<void>} saveProvisionedAccount
+ * @property {(userId: string) => Promise<object|null>} getCredentialDelivery
+ *   One-time password delivery metadata (never the secret)
+ * @property {(userId: string, changes: object) => Promise<void>} saveCredentialDelivery
+ * @property {(userId: string) => Promise<string|null>} takeCredentialSecret
+ *   Returns the secret at most once, erasing it (see config/credential-delivery.js)
+ * @property {(userId: string) => Promise<{ step: string, data: object, updatedAt: Date|string }|null>} getIntakeDraft
+ *   The applicant's unfinished intake wizard answers
+ * @property {(userId: string, draft: { step: string, data: object }) => Promise<void>} saveIntakeDraft
+ *   Replaces the draft; saveIntake removes it
+ * @property {(userId: string) => Promise<void>} deleteIntakeDraft
+ * @property {(userId: string) => Promise<object[]>} listHouseholdMembers
+ *   The applicant's household members, oldest first (see config/household.js)
+ * @property {(userId: string, member: object) => Promise<object>} addHouseholdMember
+ *   Linked to the applicant's intake when there is one; saveIntake links the rest
+ * @property {(userId: string, id: string, member: object) => Promise<object|null>} updateHouseholdMember
+ *   Replaces the member's fields; null when it is not the applicant's
+ * @property {(userId: string, id: string) => Promise<boolean>} deleteHouseholdMember
+ * @property {(userId: string) => Promise<object[]>} listDocuments
+ *   Metadata of the applicant's uploaded documents, newest first (see config/documents.js)
+ * @property {(userId: string, document: object) => Promise<object>} addDocument
+ *   Records an upload whose file is already in document storage under `storageKey`
+ * @property {(userId: string, id: string) => Promise<object|null>} getDocument
+ *   null when it is not the applicant's
+ * @property {(userId: string, id: string) => Promise<object|null>} deleteDocument
+ *   Returns the deleted metadata so the caller can remove the file
+ * @property {(userId: string) => Promise<object[]>} listApplicationStatusEvents
+ *   Caseworker decisions on the application, oldest first (see config/applications.js)
+ * @property {(userId: string, event: { status: string, reason?: string|null, changedBy: string, changedByName?: string|null }) => Promise<object>} addApplicationStatusEvent
+ *   Appends a decision; events are never changed
+ * @property {(userId: string) => Promise<object|null>} getIntake
+ *   The applicant's current (latest submitted) intake
+ * @property {(filter: { name?: string|null, email?: string|null, zipCode?: string|null, submittedFrom?: Date|null, submittedBefore?: Date|null, assignedTo?: string|null, offset?: number, limit?: number }) => Promise<{ total: number, intakes: object[] }>} searchIntakes
+ *   Current intakes with their assignee, most recently submitted first (see
+ *   config/cases.js). `assignedTo: null` finds unassigned cases
+ * @property {(userId: string) => Promise<object|null>} getCaseAssignment
+ * @property {(userId: string, changes: { assignedTo: string|null, assignedToName?: string|null, assignedBy: string }) => Promise<void>} saveCaseAssignment
+ * @property {(userId: string) => Promise<object[]>} listCaseNotes
+ *   Internal staff notes on the case, newest first
+ * @property {(userId: string, note: { body: string, authorId: string, authorName?: string|null }) => Promise<object>} addCaseNote
+ * @property {(event: object) => Promise<void>} appendAuditEvent
+ *   Appends to the access audit log (see config/audit.js); events are never
+ *   changed or removed
+ * @property {(filter: { actorId?: string|null, targetId?: string|null, action?: string|null, correlationId?: string|null, from?: Date|null, before?: Date|null, offset?: number, limit?: number }) => Promise<{ total: number, events: object[] }>} listAuditEvents
+ *   Newest first
+ * @property {(collection: string, fields: string[], page?: { after?: string, limit?: number }) => Promise<{ id: string, values: object }[]>} listEncryptedRows
+ *   Raw encrypted values, for key rotation
+ * @property {(collection: string, id: string, values: object) => Promise<void>} updateEncryptedRow
+ * @property {import("../field-encryption").FieldEncryptor} encryptor
+ */
+
+const DEFAULT_STORE_FILE = path.join(
+  __dirname,
+  "..",
+  "..",
+  "data",
+  "intake-store.json"
+);
+
+const hasSqlConfig = (env = process.env) =>
+  Boolean(env.SQL_SERVER || env.SQL_CONNECTION_STRING);
+
+const resolveStoreKind = (env = process.env) => {
+  const configured = (env.INTAKE_STORE || "").trim().toLowerCase();
+  if (configured) {
+    if (!["sql", "file", "memory"].includes(configured)) {
+      throw new Error(
+        `Unknown INTAKE_STORE "${env.INTAKE_STORE}". Use sql, file or memory.`
+      );
+    }
+    return configured;
+  }
+  return hasSqlConfig(env) ? "sql" : "file";
+};
+
+const createBackend = (kind, env) => {
+  if (kind === "sql") return createSqlStore();
+  if (kind === "file") {
+    return createMemoryStore({
+      filePath: env.INTAKE_STORE_FILE || DEFAULT_STORE_FILE,
+    });
+  }
+  return createMemoryStore();
+};
+
+// Every backend stores PII encrypted. The throwaway memory store gets
+// throwaway keys unless a key file or Key Vault key is configured.
+const createStore = (env = process.env) => {
+  const kind = resolveStoreKind(env);
+  const keyProvider = createKeyProvider(env, { ephemeral: kind === "memory" });
+  return withFieldEncryption(
+    createBackend(kind, env),
+    new FieldEncryptor(keyProvider)
+  );
+};
+
+let store = null;
+
+/** @returns {Store} */
+const getStore = () => {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+};
+
+module.exports = {
+  resolveStoreKind,
+  createStore,
+  getStore,
+};
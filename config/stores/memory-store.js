@@ -0,0 +1,596 @@
+// In-memory implementation of the FLWINS store (see ./index.js)
+// Optionally persisted to a JSON file so dev data survives restarts.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { INTAKE_FIELDS } = require("../intake");
+const { HOUSEHOLD_MEMBER_FIELDS } = require("../household");
+const { matchesCaseFilter } = require("../cases");
+const { matchesAuditFilter } = require("../audit");
+
+const emptyState = () => ({
+  intakeForms: {},
+  intakeVersions: [],
+  outboxMessages: [],
+  efsmodInvitations: {},
+  provisionedAccounts: {},
+  credentialDeliveries: {},
+  intakeDrafts: {},
+  householdMembers: [],
+  documents: [],
+  applicationStatusEvents: [],
+  caseAssignments: {},
+  caseNotes: [],
+  auditEvents: [],
+});
+
+const loadState = (filePath) => {
+  if (!filePath || !fs.existsSync(filePath)) return emptyState();
+  const raw = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  return { ...emptyState(), ...raw };
+};
+
+// Write to a temp file and rename so a crash never leaves half a file behind
+const saveState = (filePath, state) => {
+  if (!filePath) return;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+  fs.renameSync(tmp, filePath);
+};
+
+const pickFields = (source) => {
+  const fields = { emailHash: source.emailHash ?? null };
+  for (const { name } of INTAKE_FIELDS) {
+    fields[name] = source[name] ?? null;
+  }
+  return fields;
+};
+
+const pickMemberFields = (source) => {
+  const fields = {};
+  for (const { name } of HOUSEHOLD_MEMBER_FIELDS) {
+    fields[name] = source[name] ?? null;
+  }
+  return fields;
+};
+
+const clone = (value) =>
+  value === undefined ? value : JSON.parse(JSON.stringify(value));
+
+/**
+ * @param {{ filePath?: string }} [options] Persist to this JSON file when set
+ */
+const createMemoryStore = ({ filePath } = {}) => {
+  const state = loadState(filePath);
+  const persist = () => saveState(filePath, state);
+
+  const collectionRows = (collection) => {
+    if (collection === "intakeForms") return Object.values(state.intakeForms);
+    if (collection === "intakeVersions") return state.intakeVersions;
+    if (collection === "outbox") return state.outboxMessages;
+    if (collection === "efsmodInvitations") {
+      return Object.values(state.efsmodInvitations);
+    }
+    if (collection === "provisionedAccounts") {
+      return Object.values(state.provisionedAccounts);
+    }
+    if (collection === "credentialDeliveries") {
+      return Object.values(state.credentialDeliveries);
+    }
+    if (collection === "intakeDrafts") return Object.values(state.intakeDrafts);
+    if (collection === "householdMembers") return state.householdMembers;
+    if (collection === "documents") return state.documents;
+    if (collection === "applicationStatusEvents") {
+      return state.applicationStatusEvents;
+    }
+    if (collection === "caseNotes") return state.caseNotes;
+    throw new Error(`Unknown encrypted collection: ${collection}`);
+  };
+
+  // Collections keyed by applicant (one row each), mirroring the SQL MERGE:
+  // only fields present in `changes` are written
+  const mergeUserRow = (collection, userId, changes) => {
+    const now = new Date().toISOString();
+    const defined = Object.fromEntries(
+      Object.entries(changes).filter(([, value]) => value !== undefined)
+    );
+    const current = state[collection][userId];
+    if (current) {
+      Object.assign(current, clone(defined), { updatedAt: now });
+    } else {
+      state[collection][userId] = {
+        id: crypto.randomUUID(),
+        userId,
+        ...clone(defined),
+        createdAt: now,
+        updatedAt: now,
+      };
+    }
+    persist();
+  };
+
+  const readUserRow = (collection, userId) => {
+    const row = state[collection][userId];
+    if (!row) return null;
+    const { id, ...rest } = clone(row);
+    return rest;
+  };
+
+  return {
+    kind: filePath ? "file" : "memory",
+
+    async saveIntake(
+      form,
+      submittedBy,
+      { outbox = [], provisioning = {} } = {}
+    ) {
+      const now = new Date().toISOString();
+      const fields = pickFields(form);
+
+      let current = state.intakeForms[form.userId];
+      if (current) {
+        Object.assign(current, fields, { updatedAt: now });
+      } else {
+        current = {
+          id: crypto.randomUUID(),
+          userId: form.userId,
+          ...fields,
+          createdAt: now,
+          updatedAt: now,
+        };
+        state.intakeForms[form.userId] = current;
+      }
+      delete state.intakeDrafts[form.userId];
+      for (const member of state.householdMembers) {
+        if (member.userId === form.userId && !member.intakeFormId) {
+          member.intakeFormId = current.id;
+        }
+      }
+
+      const sequence =
+        state.intakeVersions.filter((v) => v.userId === form.userId).length + 1;
+      state.intakeVersions.push({
+        id: crypto.randomUUID(),
+        intakeFormId: current.id,
+        userId: form.userId,
+        sequence,
+        ...fields,
+        submittedAt: now,
+        submittedBy: submittedBy.id,
+        submittedByName: submittedBy.name || null,
+      });
+
+      const outboxMessageIds = outbox.map(({ type, payload }) => {
+        const id = crypto.randomUUID();
+        state.outboxMessages.push({
+          id,
+          type,
+          payload,
+          status: "pending",
+          attempts: 0,
+          nextAttemptAt: now,
+          lockedUntil: null,
+          lastError: null,
+          createdAt: now,
+          updatedAt: now,
+          processedAt: null,
+        });
+        return id;
+      });
+      if (provisioning.efsmodInvitation) {
+        mergeUserRow(
+          "efsmodInvitations",
+          form.userId,
+          provisioning.efsmodInvitation
+        );
+      }
+      if (provisioning.provisionedAccount) {
+        mergeUserRow(
+          "provisionedAccounts",
+          form.userId,
+          provisioning.provisionedAccount
+        );
+      }
+
+      persist();
+      return {
+        intakeFormId: current.id,
+        sequence,
+        submittedAt: now,
+        outboxMessageIds,
+      };
+    },
+
+    async listIntakeVersions(userId) {
+      return state.intakeVersions
+        .filter((v) => v.userId === userId)
+        .sort((a, b) => b.sequence - a.sequence)
+        .map(({ sequence, submittedAt, submittedBy, submittedByName }) => ({
+          sequence,
+          submittedAt,
+          submittedBy,
+          submittedByName,
+        }));
+    },
+
+    async getIntakeVersion(userId, sequence) {
+      const version = state.intakeVersions.find(
+        (v) => v.userId === userId && v.sequence === sequence
+      );
+      if (!version) return null;
+      const { id, intakeFormId, userId: _userId, ...rest } = clone(version);
+      return rest;
+    },
+
+    async claimOutboxMessages({
+      limit = 10,
+      lockMs = 120000,
+      ids = null,
+    } = {}) {
+      const now = new Date();
+      const due = state.outboxMessages
+        .filter(
+          (m) =>
+            (!ids || ids.includes(m.id)) &&
+            ((m.status === "pending" && new Date(m.nextAttemptAt) <= now) ||
+              (m.status === "processing" && new Date(m.lockedUntil) < now))
+        )
+        .sort((a, b) => (a.nextAttemptAt < b.nextAttemptAt ? -1 : 1))
+        .slice(0, limit);
+      for (const message of due) {
+        Object.assign(message, {
+          status: "processing",
+          attempts: message.attempts + 1,
+          lockedUntil: new Date(now.getTime() + lockMs).toISOString(),
+          updatedAt: now.toISOString(),
+        });
+      }
+      if (due.length) persist();
+      return due.map(({ id, type, payload, attempts }) => ({
+        id,
+        type,
+        payload,
+        attempts,
+      }));
+    },
+
+    async completeOutboxMessage(id) {
+      const message = state.outboxMessages.find((m) => m.id === id);
+      if (!message) return;
+      const now = new Date().toISOString();
+      Object.assign(message, {
+        status: "done",
+        lockedUntil: null,
+        lastError: null,
+        updatedAt: now,
+        processedAt: now,
+      });
+      persist();
+    },
+
+    async failOutboxMessage(id, { error, nextAttemptAt = null, dead = false }) {
+      const message = state.outboxMessages.find((m) => m.id === id);
+      if (!message) return;
+      const now = new Date();
+      Object.assign(message, {
+        status: dead ? "dead" : "pending",
+        nextAttemptAt: (nextAttemptAt || now).toISOString(),
+        lockedUntil: null,
+        lastError: String(error || "").slice(0, 2000),
+        updatedAt: now.toISOString(),
+      });
+      persist();
+    },
+
+    async listOutboxMessages({ status = null, limit = 50 } = {}) {
+      return state.outboxMessages
+        .filter((m) => !status || m.status === status)
+        .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+        .slice(0, limit)
+        .map(({ payload, lockedUntil, ...message }) => clone(message));
+    },
+
+    async replayOutboxMessages({ ids = null } = {}) {
+      const now = new Date().toISOString();
+      const replayed = state.outboxMessages.filter(
+        (m) => m.status === "dead" && (!ids || ids.includes(m.id))
+      );
+      for (const message of replayed) {
+        Object.assign(message, {
+          status: "pending",
+          attempts: 0,
+          nextAttemptAt: now,
+          lockedUntil: null,
+          updatedAt: now,
+        });
+      }
+      if (replayed.length) persist();
+      return replayed.length;
+    },
+
+    async getEfsmodInvitation(userId) {
+      return readUserRow("efsmodInvitations", userId);
+    },
+
+    async findActiveEfsmodInvitationByEmailHash(emailHash) {
+      const [latest] = Object.values(state.efsmodInvitations)
+        .filter(
+          (i) =>
+            emailHash &&
+            i.emailHash === emailHash &&
+            ["invited", "redeemed"].includes(i.status)
+        )
+        .sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1));
+      if (!latest) return null;
+      const { id, ...rest } = clone(latest);
+      return rest;
+    },
+
+    async saveEfsmodInvitation(userId, changes) {
+      mergeUserRow("efsmodInvitations", userId, changes);
+    },
+
+    async getProvisionedAccount(userId) {
+      return readUserRow("provisionedAccounts", userId);
+    },
+
+    async saveProvisionedAccount(userId, changes) {
+      mergeUserRow("provisionedAccounts", userId, changes);
+    },
+
+    async getCredentialDelivery(userId) {
+      const delivery = readUserRow("credentialDeliveries", userId);
+      if (!delivery) return null;
+      const { secret, ...metadata } = delivery;
+      return { ...metadata, hasSecret: Boolean(secret) };
+    },
+
+    async saveCredentialDelivery(userId, changes) {
+      mergeUserRow("credentialDeliveries", userId, changes);
+    },
+
+    async takeCredentialSecret(userId) {
+      const now = new Date().toISOString();
+      for (const delivery of Object.values(state.credentialDeliveries)) {
+        if (delivery.secret && delivery.expiresAt <= now) {
+          Object.assign(delivery, { secret: null, updatedAt: now });
+        }
+      }
+      const delivery = state.credentialDeliveries[userId];
+      const secret =
+        delivery && !delivery.viewedAt && delivery.expiresAt > now
+          ? delivery.secret
+          : null;
+      if (secret) {
+        Object.assign(delivery, {
+          secret: null,
+          viewedAt: now,
+          updatedAt: now,
+        });
+      }
+      persist();
+      return secret || null;
+    },
+
+    async getIntakeDraft(userId) {
+      return readUserRow("intakeDrafts", userId);
+    },
+
+    async saveIntakeDraft(userId, draft) {
+      mergeUserRow("intakeDrafts", userId, draft);
+    },
+
+    async deleteIntakeDraft(userId) {
+      if (!state.intakeDrafts[userId]) return;
+      delete state.intakeDrafts[userId];
+      persist();
+    },
+
+    async listHouseholdMembers(userId) {
+      return state.householdMembers
+        .filter((m) => m.userId === userId)
+        .map((m) => clone(m));
+    },
+
+    async addHouseholdMember(userId, member) {
+      const now = new Date().toISOString();
+      const row = {
+        id: crypto.randomUUID(),
+        userId,
+        intakeFormId: state.intakeForms[userId]?.id || null,
+        ...pickMemberFields(member),
+        createdAt: now,
+        updatedAt: now,
+      };
+      state.householdMembers.push(row);
+      persist();
+      return clone(row);
+    },
+
+    async updateHouseholdMember(userId, id, member) {
+      const row = state.householdMembers.find(
+        (m) => m.id === id && m.userId === userId
+      );
+      if (!row) return null;
+      Object.assign(row, pickMemberFields(member), {
+        updatedAt: new Date().toISOString(),
+      });
+      persist();
+      return clone(row);
+    },
+
+    async deleteHouseholdMember(userId, id) {
+      const index = state.householdMembers.findIndex(
+        (m) => m.id === id && m.userId === userId
+      );
+      if (index === -1) return false;
+      state.householdMembers.splice(index, 1);
+      persist();
+      return true;
+    },
+
+    async listDocuments(userId) {
+      return state.documents
+        .filter((d) => d.userId === userId)
+        .reverse()
+        .map((d) => clone(d));
+    },
+
+    async addDocument(userId, document) {
+      const row = {
+        id: crypto.randomUUID(),
+        userId,
+        category: document.category,
+        fileName: document.fileName,
+        contentType: document.contentType,
+        sizeBytes: document.sizeBytes,
+        sha256: document.sha256,
+        storageKey: document.storageKey,
+        createdAt: new Date().toISOString(),
+      };
+      state.documents.push(row);
+      persist();
+      return clone(row);
+    },
+
+    async getDocument(userId, id) {
+      const row = state.documents.find(
+        (d) => d.id === id && d.userId === userId
+      );
+      return row ? clone(row) : null;
+    },
+
+    async deleteDocument(userId, id) {
+      const index = state.documents.findIndex(
+        (d) => d.id === id && d.userId === userId
+      );
+      if (index === -1) return null;
+      const [row] = state.documents.splice(index, 1);
+      persist();
+      return row;
+    },
+
+    async listApplicationStatusEvents(userId) {
+      return state.applicationStatusEvents
+        .filter((e) => e.userId === userId)
+        .map((e) => clone(e));
+    },
+
+    async addApplicationStatusEvent(userId, event) {
+      const row = {
+        id: crypto.randomUUID(),
+        userId,
+        status: event.status,
+        reason: event.reason ?? null,
+        changedBy: event.changedBy,
+        changedByName: event.changedByName ?? null,
+        createdAt: new Date().toISOString(),
+      };
+      state.applicationStatusEvents.push(row);
+      persist();
+      return clone(row);
+    },
+
+    async getIntake(userId) {
+      return clone(state.intakeForms[userId]) || null;
+    },
+
+    async searchIntakes({ offset = 0, limit = 25, ...filter } = {}) {
+      const matches = Object.values(state.intakeForms)
+        .map((intake) => ({
+          intake,
+          assignment: state.caseAssignments[intake.userId] || null,
+        }))
+        .filter(({ intake, assignment }) =>
+          matchesCaseFilter(intake, assignment, filter)
+        )
+        .sort((a, b) => b.intake.updatedAt.localeCompare(a.intake.updatedAt));
+      return {
+        total: matches.length,
+        intakes: matches
+          .slice(offset, offset + limit)
+          .map(({ intake, assignment }) => ({
+            ...clone(intake),
+            assignedTo: assignment ? assignment.assignedTo : null,
+            assignedToName: assignment ? assignment.assignedToName : null,
+          })),
+      };
+    },
+
+    async getCaseAssignment(userId) {
+      return readUserRow("caseAssignments", userId);
+    },
+
+    async saveCaseAssignment(userId, changes) {
+      mergeUserRow("caseAssignments", userId, changes);
+    },
+
+    async listCaseNotes(userId) {
+      return state.caseNotes
+        .filter((n) => n.userId === userId)
+        .reverse()
+        .map((n) => clone(n));
+    },
+
+    async addCaseNote(userId, note) {
+      const row = {
+        id: crypto.randomUUID(),
+        userId,
+        body: note.body,
+        authorId: note.authorId,
+        authorName: note.authorName ?? null,
+        createdAt: new Date().toISOString(),
+      };
+      state.caseNotes.push(row);
+      persist();
+      return clone(row);
+    },
+
+    // Append-only, like dbo.AuditEvents
+    async appendAuditEvent(event) {
+      state.auditEvents.push({
+        id: crypto.randomUUID(),
+        ...clone(event),
+      });
+      persist();
+    },
+
+    async listAuditEvents({ offset = 0, limit = 50, ...filter } = {}) {
+      const matches = state.auditEvents
+        .filter((event) => matchesAuditFilter(event, filter))
+        .reverse();
+      return {
+        total: matches.length,
+        events: matches.slice(offset, offset + limit).map((e) => clone(e)),
+      };
+    },
+
+    // Raw access to encrypted values, for key rotation
+    async listEncryptedRows(
+      collection,
+      fields,
+      { after = null, limit = 200 } = {}
+    ) {
+      const rows = collectionRows(collection)
+        .filter((row) => after === null || row.id > after)
+        .sort((a, b) => (a.id < b.id ? -1 : 1))
+        .slice(0, limit);
+      return rows.map((row) => {
+        const values = {};
+        for (const field of fields) values[field] = row[field] ?? null;
+        return { id: row.id, values };
+      });
+    },
+
+    async updateEncryptedRow(collection, id, values) {
+      const row = collectionRows(collection).find((r) => r.id === id);
+      if (!row) throw new Error(`No ${collection} row with id ${id}`);
+      Object.assign(row, values);
+      persist();
+    },
+  };
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,89 @@
+// Azure SQL implementation of the FLWINS store (see ./index.js)
+
+const {
+  upsertIntakeForm,
+  listIntakeVersions,
+  getIntakeVersion,
+  claimOutboxMessages,
+  completeOutboxMessage,
+  failOutboxMessage,
+  listOutboxMessages,
+  replayOutboxMessages,
+  getEfsmodInvitation,
+  findActiveEfsmodInvitationByEmailHash,
+  saveEfsmodInvitation,
+  getProvisionedAccount,
+  saveProvisionedAccount,
+  getCredentialDelivery,
+  saveCredentialDelivery,
+  takeCredentialSecret,
+  getIntakeDraft,
+  saveIntakeDraft,
+  deleteIntakeDraft,
+  listHouseholdMembers,
+  addHouseholdMember,
+  updateHouseholdMember,
+  deleteHouseholdMember,
+  listDocuments,
+  addDocument,
+  getDocument,
+  deleteDocument,
+  listApplicationStatusEvents,
+  addApplicationStatusEvent,
+  getIntake,
+  searchIntakes,
+  getCaseAssignment,
+  saveCaseAssignment,
+  listCaseNotes,
+  addCaseNote,
+  appendAuditEvent,
+  listAuditEvents,
+  listEncryptedRows,
+  updateEncryptedRow,
+} = require("../database");
+
+const createSqlStore = () => ({
+  kind: "sql",
+  saveIntake: (form, submittedBy, options) =>
+    upsertIntakeForm(form, submittedBy, options),
+  listIntakeVersions: (userId) => listIntakeVersions(userId),
+  getIntakeVersion: (userId, sequence) => getIntakeVersion(userId, sequence),
+  claimOutboxMessages,
+  completeOutboxMessage,
+  failOutboxMessage,
+  listOutboxMessages,
+  replayOutboxMessages,
+  getEfsmodInvitation,
+  findActiveEfsmodInvitationByEmailHash,
+  saveEfsmodInvitation,
+  getProvisionedAccount,
+  saveProvisionedAccount,
+  getCredentialDelivery,
+  saveCredentialDelivery,
+  takeCredentialSecret,
+  getIntakeDraft,
+  saveIntakeDraft,
+  deleteIntakeDraft,
+  listHouseholdMembers,
+  addHouseholdMember,
+  updateHouseholdMember,
+  deleteHouseholdMember,
+  listDocuments,
+  addDocument,
+  getDocument,
+  deleteDocument,
+  listApplicationStatusEvents,
+  addApplicationStatusEvent,
+  getIntake,
+  searchIntakes,
+  getCaseAssignment,
+  saveCaseAssignment,
+  listCaseNotes,
+  addCaseNote,
+  appendAuditEvent,
+  listAuditEvents,
+  listEncryptedRows,
+  updateEncryptedRow,
+});
+
+module.exports = { createSqlStore };
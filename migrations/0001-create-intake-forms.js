@@ -0,0 +1,31 @@
+// Baseline: the table ensureIntakeTable used to create. Guarded so that
+// environments created before migrations existed adopt it unchanged.
+module.exports = {
+  description: 'Create dbo.IntakeForms',
+  up: `
+    IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'IntakeForms' AND schema_id = SCHEMA_ID('dbo'))
+    BEGIN
+      CREATE TABLE dbo.IntakeForms (
+        Id UNIQUEIDENTIFIER NOT NULL DEFAULT NEWSEQUENTIALID() PRIMARY KEY,
+        UserId NVARCHAR(255) NOT NULL,
+        Email NVARCHAR(256) NOT NULL,
+        FirstName NVARCHAR(150) NULL,
+        LastName NVARCHAR(150) NULL,
+        Department NVARCHAR(150) NULL,
+        JobTitle NVARCHAR(150) NULL,
+        OfficeLocation NVARCHAR(150) NULL,
+        WorkPhone NVARCHAR(50) NULL,
+        Address NVARCHAR(500) NULL,
+        City NVARCHAR(150) NULL,
+        State NVARCHAR(50) NULL,
+        ZipCode NVARCHAR(20) NULL,
+        Phone NVARCHAR(50) NULL,
+        CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        UpdatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+      );
+
+      CREATE INDEX IX_IntakeForms_UserId ON dbo.IntakeForms(UserId);
+      CREATE INDEX IX_IntakeForms_Email ON dbo.IntakeForms(Email);
+    END
+  `
+};
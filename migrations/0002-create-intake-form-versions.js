@@ -0,0 +1,31 @@
+// One row per intake submission. Rows are only ever inserted, never updated.
+module.exports = {
+  description: 'Create dbo.IntakeFormVersions',
+  up: `
+    IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'IntakeFormVersions' AND schema_id = SCHEMA_ID('dbo'))
+    BEGIN
+      CREATE TABLE dbo.IntakeFormVersions (
+        Id UNIQUEIDENTIFIER NOT NULL DEFAULT NEWSEQUENTIALID() PRIMARY KEY,
+        IntakeFormId UNIQUEIDENTIFIER NOT NULL REFERENCES dbo.IntakeForms(Id),
+        UserId NVARCHAR(255) NOT NULL,
+        Sequence INT NOT NULL,
+        Email NVARCHAR(256) NOT NULL,
+        FirstName NVARCHAR(150) NULL,
+        LastName NVARCHAR(150) NULL,
+        Department NVARCHAR(150) NULL,
+        JobTitle NVARCHAR(150) NULL,
+        OfficeLocation NVARCHAR(150) NULL,
+        WorkPhone NVARCHAR(50) NULL,
+        Address NVARCHAR(500) NULL,
+        City NVARCHAR(150) NULL,
+        State NVARCHAR(50) NULL,
+        ZipCode NVARCHAR(20) NULL,
+        Phone NVARCHAR(50) NULL,
+        SubmittedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        SubmittedBy NVARCHAR(255) NOT NULL,
+        SubmittedByName NVARCHAR(256) NULL,
+        CONSTRAINT UQ_IntakeFormVersions_UserId_Sequence UNIQUE (UserId, Sequence)
+      );
+    END
+  `
+};
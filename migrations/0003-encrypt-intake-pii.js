@@ -0,0 +1,25 @@
+// Field-level encryption for intake PII (see config/field-encryption.js).
+// Encrypted values are much longer than the plaintext, so the PII columns
+// are widened. Email can no longer be indexed or matched directly; lookups
+// go through the EmailHash blind index instead.
+const widen = (table) => `
+  ALTER TABLE ${table} ALTER COLUMN Email NVARCHAR(2000) NOT NULL;
+  ALTER TABLE ${table} ALTER COLUMN WorkPhone NVARCHAR(2000) NULL;
+  ALTER TABLE ${table} ALTER COLUMN Address NVARCHAR(2000) NULL;
+  ALTER TABLE ${table} ALTER COLUMN Phone NVARCHAR(2000) NULL;
+  IF COL_LENGTH('${table}', 'EmailHash') IS NULL
+    ALTER TABLE ${table} ADD EmailHash CHAR(64) NULL;
+`;
+
+module.exports = {
+  description: 'Widen intake PII columns for encryption and add EmailHash',
+  up: [
+    `
+    IF EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_IntakeForms_Email' AND object_id = OBJECT_ID('dbo.IntakeForms'))
+      DROP INDEX IX_IntakeForms_Email ON dbo.IntakeForms;
+    `,
+    widen('dbo.IntakeForms'),
+    widen('dbo.IntakeFormVersions'),
+    'CREATE INDEX IX_IntakeForms_EmailHash ON dbo.IntakeForms(EmailHash);'
+  ]
+};
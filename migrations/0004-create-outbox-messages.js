@@ -0,0 +1,28 @@
+// Transactional outbox. Side effects of a save (e.g. the EFSMOD invitation)
+// are written here in the same transaction and delivered by
+// config/outbox-worker.js with retries. Payload holds an encrypted envelope.
+module.exports = {
+  description: 'Create dbo.OutboxMessages',
+  up: [
+    `
+    IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'OutboxMessages' AND schema_id = SCHEMA_ID('dbo'))
+    BEGIN
+      CREATE TABLE dbo.OutboxMessages (
+        Id UNIQUEIDENTIFIER NOT NULL DEFAULT NEWSEQUENTIALID() PRIMARY KEY,
+        Type NVARCHAR(100) NOT NULL,
+        Payload NVARCHAR(MAX) NOT NULL,
+        Status NVARCHAR(20) NOT NULL DEFAULT 'pending'
+          CONSTRAINT CK_OutboxMessages_Status CHECK (Status IN ('pending', 'processing', 'done', 'dead')),
+        Attempts INT NOT NULL DEFAULT 0,
+        NextAttemptAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        LockedUntil DATETIME2 NULL,
+        LastError NVARCHAR(2000) NULL,
+        CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        UpdatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        ProcessedAt DATETIME2 NULL
+      );
+    END
+    `,
+    'CREATE INDEX IX_OutboxMessages_Status_NextAttemptAt ON dbo.OutboxMessages(Status, NextAttemptAt);'
+  ]
+};
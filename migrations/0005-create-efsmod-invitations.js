@@ -0,0 +1,32 @@
+// EFSMOD (Tenant B) guest invitation per applicant, so resubmitting the
+// intake does not invite the same email again. Email, guest UPN and links
+// hold encrypted envelopes; EmailHash is the blind index used for lookups.
+module.exports = {
+  description: 'Create dbo.EfsmodInvitations',
+  up: [
+    `
+    IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'EfsmodInvitations' AND schema_id = SCHEMA_ID('dbo'))
+    BEGIN
+      CREATE TABLE dbo.EfsmodInvitations (
+        Id UNIQUEIDENTIFIER NOT NULL DEFAULT NEWSEQUENTIALID() PRIMARY KEY,
+        UserId NVARCHAR(255) NOT NULL CONSTRAINT UQ_EfsmodInvitations_UserId UNIQUE,
+        Email NVARCHAR(2000) NULL,
+        EmailHash CHAR(64) NULL,
+        Status NVARCHAR(20) NOT NULL DEFAULT 'pending'
+          CONSTRAINT CK_EfsmodInvitations_Status CHECK (Status IN ('pending', 'invited', 'redeemed', 'failed')),
+        InvitedUserId NVARCHAR(255) NULL,
+        InvitedUserPrincipalName NVARCHAR(2000) NULL,
+        InviteRedeemUrl NVARCHAR(MAX) NULL,
+        DeepLink NVARCHAR(MAX) NULL,
+        LoginLink NVARCHAR(2000) NULL,
+        LastError NVARCHAR(2000) NULL,
+        InvitedAt DATETIME2 NULL,
+        RedeemedAt DATETIME2 NULL,
+        CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        UpdatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+      );
+    END
+    `,
+    'CREATE INDEX IX_EfsmodInvitations_EmailHash ON dbo.EfsmodInvitations(EmailHash);'
+  ]
+};
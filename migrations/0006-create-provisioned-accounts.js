@@ -0,0 +1,23 @@
+// Member accounts created in the FLWINS tenant for applicants, so a
+// resubmitted intake never creates a second account. UserPrincipalName holds
+// an encrypted envelope.
+module.exports = {
+  description: 'Create dbo.ProvisionedAccounts',
+  up: `
+    IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ProvisionedAccounts' AND schema_id = SCHEMA_ID('dbo'))
+    BEGIN
+      CREATE TABLE dbo.ProvisionedAccounts (
+        Id UNIQUEIDENTIFIER NOT NULL DEFAULT NEWSEQUENTIALID() PRIMARY KEY,
+        UserId NVARCHAR(255) NOT NULL CONSTRAINT UQ_ProvisionedAccounts_UserId UNIQUE,
+        Status NVARCHAR(20) NOT NULL DEFAULT 'pending'
+          CONSTRAINT CK_ProvisionedAccounts_Status CHECK (Status IN ('pending', 'created', 'failed')),
+        GraphUserId NVARCHAR(255) NULL,
+        UserPrincipalName NVARCHAR(2000) NULL,
+        LastError NVARCHAR(2000) NULL,
+        ProvisionedAt DATETIME2 NULL,
+        CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        UpdatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+      );
+    END
+  `
+};
@@ -0,0 +1,19 @@
+// One-time delivery of a member account's initial password. Secret holds an
+// encrypted envelope and is erased when viewed or after ExpiresAt.
+module.exports = {
+  description: 'Create dbo.CredentialDeliveries',
+  up: `
+    IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'CredentialDeliveries' AND schema_id = SCHEMA_ID('dbo'))
+    BEGIN
+      CREATE TABLE dbo.CredentialDeliveries (
+        Id UNIQUEIDENTIFIER NOT NULL DEFAULT NEWSEQUENTIALID() PRIMARY KEY,
+        UserId NVARCHAR(255) NOT NULL CONSTRAINT UQ_CredentialDeliveries_UserId UNIQUE,
+        Secret NVARCHAR(2000) NULL,
+        ExpiresAt DATETIME2 NOT NULL,
+        ViewedAt DATETIME2 NULL,
+        CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        UpdatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+      );
+    END
+  `
+};
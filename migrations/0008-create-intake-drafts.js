@@ -0,0 +1,18 @@
+// Unfinished intake wizard answers, one draft per applicant. Data holds the
+// answers as an encrypted JSON envelope; the row is removed on submission.
+module.exports = {
+  description: 'Create dbo.IntakeDrafts',
+  up: `
+    IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'IntakeDrafts' AND schema_id = SCHEMA_ID('dbo'))
+    BEGIN
+      CREATE TABLE dbo.IntakeDrafts (
+        Id UNIQUEIDENTIFIER NOT NULL DEFAULT NEWSEQUENTIALID() PRIMARY KEY,
+        UserId NVARCHAR(255) NOT NULL CONSTRAINT UQ_IntakeDrafts_UserId UNIQUE,
+        Step NVARCHAR(20) NOT NULL,
+        Data NVARCHAR(MAX) NULL,
+        CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        UpdatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+      );
+    END
+  `
+};
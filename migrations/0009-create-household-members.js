@@ -0,0 +1,30 @@
+// Children and other household members listed on the intake (see
+// config/household.js). Rows belong to the applicant (UserId) and are linked
+// to their intake once it exists; names, date of birth and care notes hold
+// encrypted envelopes.
+module.exports = {
+  description: 'Create dbo.HouseholdMembers',
+  up: [
+    `
+    IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'HouseholdMembers' AND schema_id = SCHEMA_ID('dbo'))
+    BEGIN
+      CREATE TABLE dbo.HouseholdMembers (
+        Id UNIQUEIDENTIFIER NOT NULL DEFAULT NEWSEQUENTIALID() PRIMARY KEY,
+        UserId NVARCHAR(255) NOT NULL,
+        IntakeFormId UNIQUEIDENTIFIER NULL
+          CONSTRAINT FK_HouseholdMembers_IntakeForms REFERENCES dbo.IntakeForms(Id),
+        FirstName NVARCHAR(2000) NOT NULL,
+        LastName NVARCHAR(2000) NOT NULL,
+        Relationship NVARCHAR(20) NOT NULL,
+        DateOfBirth NVARCHAR(2000) NOT NULL,
+        CareNeeded NVARCHAR(20) NULL,
+        CareNotes NVARCHAR(MAX) NULL,
+        CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        UpdatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+      );
+    END
+    `,
+    'CREATE INDEX IX_HouseholdMembers_UserId ON dbo.HouseholdMembers(UserId);',
+    'CREATE INDEX IX_HouseholdMembers_IntakeFormId ON dbo.HouseholdMembers(IntakeFormId);'
+  ]
+};
@@ -0,0 +1,25 @@
+// Supporting documents uploaded by applicants (see config/documents.js).
+// The file lives in blob storage under StorageKey; this table holds its
+// metadata. FileName holds an encrypted envelope.
+module.exports = {
+  description: 'Create dbo.Documents',
+  up: [
+    `
+    IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'Documents' AND schema_id = SCHEMA_ID('dbo'))
+    BEGIN
+      CREATE TABLE dbo.Documents (
+        Id UNIQUEIDENTIFIER NOT NULL DEFAULT NEWSEQUENTIALID() PRIMARY KEY,
+        UserId NVARCHAR(255) NOT NULL,
+        Category NVARCHAR(40) NOT NULL,
+        FileName NVARCHAR(2000) NOT NULL,
+        ContentType NVARCHAR(100) NOT NULL,
+        SizeBytes INT NOT NULL,
+        Sha256 CHAR(64) NOT NULL,
+        StorageKey NVARCHAR(300) NOT NULL CONSTRAINT UQ_Documents_StorageKey UNIQUE,
+        CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+      );
+    END
+    `,
+    'CREATE INDEX IX_Documents_UserId ON dbo.Documents(UserId);'
+  ]
+};
@@ -0,0 +1,24 @@
+// Caseworker decisions on applications (in-review, approved, denied; see
+// config/applications.js). Append-only: the latest row is the current
+// decision and earlier rows are its history. Reason holds an encrypted
+// envelope.
+module.exports = {
+  description: 'Create dbo.ApplicationStatusEvents',
+  up: [
+    `
+    IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ApplicationStatusEvents' AND schema_id = SCHEMA_ID('dbo'))
+    BEGIN
+      CREATE TABLE dbo.ApplicationStatusEvents (
+        Id UNIQUEIDENTIFIER NOT NULL DEFAULT NEWSEQUENTIALID() PRIMARY KEY,
+        UserId NVARCHAR(255) NOT NULL,
+        Status NVARCHAR(20) NOT NULL,
+        Reason NVARCHAR(MAX) NULL,
+        ChangedBy NVARCHAR(255) NOT NULL,
+        ChangedByName NVARCHAR(256) NULL,
+        CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+      );
+    END
+    `,
+    'CREATE INDEX IX_ApplicationStatusEvents_UserId ON dbo.ApplicationStatusEvents(UserId, CreatedAt);'
+  ]
+};
@@ -0,0 +1,21 @@
+// Internal caseworker notes on an applicant's case (see config/cases.js).
+// Notes are only ever added, never edited. Body holds an encrypted envelope.
+module.exports = {
+  description: 'Create dbo.CaseNotes',
+  up: [
+    `
+    IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'CaseNotes' AND schema_id = SCHEMA_ID('dbo'))
+    BEGIN
+      CREATE TABLE dbo.CaseNotes (
+        Id UNIQUEIDENTIFIER NOT NULL DEFAULT NEWSEQUENTIALID() PRIMARY KEY,
+        UserId NVARCHAR(255) NOT NULL,
+        Body NVARCHAR(MAX) NOT NULL,
+        AuthorId NVARCHAR(255) NOT NULL,
+        AuthorName NVARCHAR(256) NULL,
+        CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+      );
+    END
+    `,
+    'CREATE INDEX IX_CaseNotes_UserId ON dbo.CaseNotes(UserId, CreatedAt);'
+  ]
+};
@@ -0,0 +1,22 @@
+// The caseworker each applicant's case is assigned to, one row per
+// applicant. Unassigning clears AssignedTo rather than deleting the row.
+module.exports = {
+  description: 'Create dbo.CaseAssignments',
+  up: [
+    `
+    IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'CaseAssignments' AND schema_id = SCHEMA_ID('dbo'))
+    BEGIN
+      CREATE TABLE dbo.CaseAssignments (
+        Id UNIQUEIDENTIFIER NOT NULL DEFAULT NEWSEQUENTIALID() PRIMARY KEY,
+        UserId NVARCHAR(255) NOT NULL CONSTRAINT UQ_CaseAssignments_UserId UNIQUE,
+        AssignedTo NVARCHAR(255) NULL,
+        AssignedToName NVARCHAR(256) NULL,
+        AssignedBy NVARCHAR(255) NULL,
+        CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        UpdatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+      );
+    END
+    `,
+    'CREATE INDEX IX_CaseAssignments_AssignedTo ON dbo.CaseAssignments(AssignedTo);'
+  ]
+};
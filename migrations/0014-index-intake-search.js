@@ -0,0 +1,11 @@
+// Indexes for the caseworker search (see config/cases.js): name and ZIP
+// prefix matches, and submission date ranges, newest first.
+module.exports = {
+  description: 'Index dbo.IntakeForms for caseworker search',
+  up: [
+    'CREATE INDEX IX_IntakeForms_UpdatedAt ON dbo.IntakeForms(UpdatedAt DESC);',
+    'CREATE INDEX IX_IntakeForms_LastName ON dbo.IntakeForms(LastName, FirstName);',
+    'CREATE INDEX IX_IntakeForms_FirstName ON dbo.IntakeForms(FirstName);',
+    'CREATE INDEX IX_IntakeForms_ZipCode ON dbo.IntakeForms(ZipCode);'
+  ]
+};
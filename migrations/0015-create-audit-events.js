@@ -0,0 +1,39 @@
+// Access audit log of applicant data (see config/audit.js). Append-only: the
+// trigger rejects every UPDATE and DELETE, so events can only be added.
+// Fields holds a JSON array of field names, never values.
+module.exports = {
+  description: 'Create dbo.AuditEvents',
+  up: [
+    `
+    IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'AuditEvents' AND schema_id = SCHEMA_ID('dbo'))
+    BEGIN
+      CREATE TABLE dbo.AuditEvents (
+        Id UNIQUEIDENTIFIER NOT NULL DEFAULT NEWSEQUENTIALID() PRIMARY KEY,
+        OccurredAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        ActorType NVARCHAR(10) NOT NULL,
+        ActorId NVARCHAR(255) NULL,
+        Action NVARCHAR(64) NOT NULL,
+        TargetType NVARCHAR(32) NULL,
+        TargetId NVARCHAR(255) NULL,
+        RecordId NVARCHAR(255) NULL,
+        Fields NVARCHAR(MAX) NULL,
+        IpAddress NVARCHAR(64) NULL,
+        CorrelationId NVARCHAR(128) NULL
+      );
+    END
+    `,
+    'CREATE INDEX IX_AuditEvents_OccurredAt ON dbo.AuditEvents(OccurredAt);',
+    'CREATE INDEX IX_AuditEvents_TargetId ON dbo.AuditEvents(TargetId, OccurredAt);',
+    'CREATE INDEX IX_AuditEvents_ActorId ON dbo.AuditEvents(ActorId, OccurredAt);',
+    'CREATE INDEX IX_AuditEvents_CorrelationId ON dbo.AuditEvents(CorrelationId);',
+    `
+    CREATE OR ALTER TRIGGER dbo.TR_AuditEvents_AppendOnly
+    ON dbo.AuditEvents
+    INSTEAD OF UPDATE, DELETE
+    AS
+    BEGIN
+      THROW 51000, 'dbo.AuditEvents is append-only.', 1;
+    END
+    `
+  ]
+};
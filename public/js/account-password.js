@@ -0,0 +1,118 @@
+/**
+ * Temporary Password Page JavaScript
+ * Shows a new member account's initial password once (see
+ * config/credential-delivery.js). The password is never cached or stored.
+ */
+
+class CredentialViewer {
+  constructor() {
+    this.status = document.getElementById("credential-status");
+    this.revealButton = document.getElementById("credential-reveal");
+    this.result = document.getElementById("credential-result");
+    this.passwordInput = document.getElementById("credential-password");
+    this.copyButton = document.getElementById("credential-copy");
+    this.init();
+  }
+
+  async init() {
+    if (this.revealButton) {
+      this.revealButton.addEventListener("click", () => this.reveal());
+    }
+    if (this.copyButton) {
+      this.copyButton.addEventListener("click", () => this.copy());
+    }
+    await this.loadStatus();
+  }
+
+  setStatus(message) {
+    if (this.status) {
+      this.status.textContent = message;
+    }
+  }
+
+  async loadStatus() {
+    try {
+      const response = await fetch("/api/account/credentials", {
+        credentials: "include",
+        headers: { Accept: "application/json" },
+      });
+
+      if (response.status === 401) {
+        this.setStatus("Please sign in to view your temporary password.");
+        return;
+      }
+      if (response.status === 404) {
+        this.setStatus("No temporary password has been issued for you.");
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(`Status request failed (${response.status})`);
+      }
+
+      const delivery = await response.json();
+      if (delivery.status === "available") {
+        const expiresAt = new Date(delivery.expiresAt).toLocaleString();
+        this.setStatus(`Your temporary password is ready until ${expiresAt}.`);
+        this.revealButton?.removeAttribute("hidden");
+      } else if (delivery.status === "viewed") {
+        this.setStatus(
+          "Your temporary password has already been shown. Contact support if you need it reset."
+        );
+      } else {
+        this.setStatus(
+          "Your temporary password has expired. Contact support to have it reset."
+        );
+      }
+    } catch (error) {
+      console.error("Credential status error:", error);
+      this.setStatus("Unable to check your temporary password right now.");
+    }
+  }
+
+  async reveal() {
+    if (this.revealButton) {
+      this.revealButton.disabled = true;
+    }
+    try {
+      const response = await fetch("/api/account/credentials/view", {
+        method: "POST",
+        credentials: "include",
+        cache: "no-store",
+        headers: { Accept: "application/json" },
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        this.setStatus(data.error || "Unable to show your temporary password.");
+        this.revealButton?.setAttribute("hidden", "hidden");
+        return;
+      }
+
+      this.passwordInput.value = data.password;
+      this.result?.removeAttribute("hidden");
+      this.revealButton?.setAttribute("hidden", "hidden");
+      this.setStatus(
+        "This is the only time this password will be shown. You will choose a new one when you first sign in."
+      );
+    } catch (error) {
+      console.error("Credential view error:", error);
+      this.setStatus("Unable to show your temporary password right now.");
+      if (this.revealButton) {
+        this.revealButton.disabled = false;
+      }
+    }
+  }
+
+  async copy() {
+    try {
+      await navigator.clipboard.writeText(this.passwordInput.value);
+      this.copyButton.textContent = "Copied";
+    } catch (error) {
+      this.passwordInput.select();
+    }
+  }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  new CredentialViewer();
+});
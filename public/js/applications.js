@@ -0,0 +1,154 @@
+/**
+ * Application Status Dashboard
+ * Shows the applicant's School Readiness application on the profile page
+ * (/api/applications): its current status, key dates, history and what to
+ * do next. The "Apply for School Readiness" button is only shown until an
+ * application has been started.
+ */
+
+class ApplicationDashboard {
+  constructor(container) {
+    this.container = container;
+    this.applyButton = document.getElementById("apply-school-readiness");
+
+    this.init();
+  }
+
+  async init() {
+    try {
+      const response = await fetch("/api/applications", {
+        credentials: "include",
+        headers: { Accept: "application/json" },
+      });
+      if (!response.ok) {
+        throw new Error(`Applications request failed (${response.status})`);
+      }
+      const data = await response.json();
+      this.render(data.applications || []);
+    } catch (error) {
+      console.warn("Failed to load application status:", error);
+      this.renderMessage("Your application status could not be loaded.");
+    }
+  }
+
+  renderMessage(text) {
+    const message = document.createElement("p");
+    message.className = "flwins-form-section-note";
+    message.textContent = text;
+    this.container.replaceChildren(message);
+  }
+
+  formatDate(value) {
+    return new Date(value).toLocaleString(undefined, {
+      dateStyle: "medium",
+      timeStyle: "short",
+    });
+  }
+
+  render(applications) {
+    this.container.replaceChildren(
+      ...applications.map((application) => this.renderApplication(application))
+    );
+    if (this.applyButton) {
+      this.applyButton.hidden = applications.length > 0;
+    }
+  }
+
+  renderApplication(application) {
+    const card = document.createElement("article");
+    card.className = `flwins-application is-${application.status}`;
+
+    const header = document.createElement("div");
+    header.className = "flwins-application-header";
+    const title = document.createElement("h4");
+    title.className = "flwins-application-title";
+    title.textContent = application.program;
+    const badge = document.createElement("span");
+    badge.className = "flwins-application-status";
+    badge.textContent = application.statusLabel;
+    header.append(title, badge);
+
+    const message = document.createElement("p");
+    message.textContent = application.message;
+
+    card.append(header, message, this.renderDates(application));
+
+    if (application.timeline.length) {
+      const history = document.createElement("details");
+      const summary = document.createElement("summary");
+      summary.textContent = "History";
+      const timeline = document.createElement("ol");
+      timeline.className = "flwins-application-timeline";
+      application.timeline.forEach((entry) => {
+        const item = document.createElement("li");
+        item.textContent = `${this.formatDate(entry.at)}: ${entry.label}`;
+        timeline.appendChild(item);
+      });
+      history.append(summary, timeline);
+      card.appendChild(history);
+    }
+
+    if (application.nextActions.length) {
+      card.appendChild(this.renderActions(application.nextActions));
+    }
+    return card;
+  }
+
+  renderDates(application) {
+    const dates = document.createElement("ul");
+    dates.className = "flwins-application-dates";
+    const add = (label, value) => {
+      if (!value) {
+        return;
+      }
+      const item = document.createElement("li");
+      item.textContent = `${label}: ${this.formatDate(value)}`;
+      dates.appendChild(item);
+    };
+    if (application.version > 1) {
+      add("First submitted", application.firstSubmittedAt);
+      add(`Version ${application.version} submitted`, application.submittedAt);
+    } else {
+      add("Submitted", application.submittedAt);
+    }
+    if (application.decision) {
+      add("Decision", application.decision.decidedAt);
+    }
+    add("Draft last saved", application.draftSavedAt);
+    return dates;
+  }
+
+  renderActions(actions) {
+    const list = document.createElement("div");
+    list.className = "flwins-application-actions";
+    const heading = document.createElement("p");
+    heading.textContent = "Next steps:";
+    list.appendChild(heading);
+    actions.forEach((action) => {
+      if (!action.href) {
+        const note = document.createElement("p");
+        note.className = "flwins-form-section-note";
+        note.textContent = action.label;
+        list.appendChild(note);
+        return;
+      }
+      const link = document.createElement("a");
+      link.className = "flwins-btn flwins-btn-secondary flwins-btn-sm";
+      link.href = action.href;
+      link.textContent = action.label;
+      if (action.id === "accept-efsmod") {
+        link.target = "_blank";
+        link.rel = "noopener noreferrer";
+      }
+      list.appendChild(link);
+    });
+    return list;
+  }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const container = document.getElementById("application-dashboard");
+  if (container) {
+    new ApplicationDashboard(container);
+  }
+});
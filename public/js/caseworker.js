@@ -0,0 +1,367 @@
+/**
+ * Caseworker Portal
+ * Search page (caseworker.html): finds submitted intakes through
+ * /api/applicants and pages through the results. The search is kept in the
+ * page URL so returning from a case shows the same results.
+ * Case page (caseworker-case.html?userId=...): one applicant's current intake,
+ * submission history, application status, assignment and internal notes.
+ * Staff only; the API answers 403 for everyone else.
+ */
+
+const CASE_SEARCH_FIELDS = [
+  "name",
+  "email",
+  "zipCode",
+  "submittedFrom",
+  "submittedTo",
+  "assignedTo",
+];
+
+const caseDate = (value) =>
+  value
+    ? new Date(value).toLocaleString(undefined, {
+        dateStyle: "medium",
+        timeStyle: "short",
+      })
+    : "";
+
+const caseRequest = async (url, options = {}) => {
+  const response = await fetch(url, {
+    credentials: "include",
+    ...options,
+    headers: {
+      Accept: "application/json",
+      ...(options.body ? { "Content-Type": "application/json" } : {}),
+    },
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(
+      data.error || `Request failed (${response.status})`
+    );
+    error.status = response.status;
+    error.fields = data.fields || null;
+    throw error;
+  }
+  return data;
+};
+
+const caseErrorMessage = (error) => {
+  if (error.status === 401)
+    return "Please sign in to use the caseworker portal.";
+  if (error.status === 403) return "The caseworker portal is for staff only.";
+  return error.message;
+};
+
+class CaseSearch {
+  constructor(form) {
+    this.form = form;
+    this.status = document.getElementById("case-status");
+    this.table = document.getElementById("case-results");
+    this.pagination = document.getElementById("case-pagination");
+    this.pageLabel = document.getElementById("case-page");
+    this.prevButton = document.getElementById("case-prev");
+    this.nextButton = document.getElementById("case-next");
+    this.page = 1;
+
+    this.init();
+  }
+
+  init() {
+    const params = new URLSearchParams(window.location.search);
+    CASE_SEARCH_FIELDS.forEach((name) => {
+      if (params.has(name)) {
+        this.form.elements[name].value = params.get(name);
+      }
+    });
+    this.page = Number(params.get("page")) || 1;
+
+    this.form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      this.search(1);
+    });
+    this.form.addEventListener("reset", () => {
+      setTimeout(() => this.search(1));
+    });
+    this.prevButton.addEventListener("click", () => this.search(this.page - 1));
+    this.nextButton.addEventListener("click", () => this.search(this.page + 1));
+
+    this.search(this.page);
+  }
+
+  query(page) {
+    const params = new URLSearchParams();
+    CASE_SEARCH_FIELDS.forEach((name) => {
+      const value = this.form.elements[name].value.trim();
+      if (value) {
+        params.set(name, value);
+      }
+    });
+    if (page > 1) {
+      params.set("page", String(page));
+    }
+    return params;
+  }
+
+  setFieldErrors(fields = {}) {
+    CASE_SEARCH_FIELDS.forEach((name) => {
+      const input = this.form.elements[name];
+      const errorId = `${input.id}-error`;
+      document.getElementById(errorId)?.remove();
+      input.classList.toggle("error", Boolean(fields[name]));
+      if (!fields[name]) {
+        input.removeAttribute("aria-invalid");
+        input.removeAttribute("aria-describedby");
+        return;
+      }
+      input.setAttribute("aria-invalid", "true");
+      input.setAttribute("aria-describedby", errorId);
+      const message = document.createElement("div");
+      message.id = errorId;
+      message.className = "flwins-field-error";
+      message.textContent = fields[name];
+      input.parentNode.appendChild(message);
+    });
+  }
+
+  async search(page) {
+    const params = this.query(page);
+    window.history.replaceState(
+      null,
+      "",
+      `${window.location.pathname}${params.toString() ? `?${params}` : ""}`
+    );
+    this.status.textContent = "Searching...";
+    try {
+      const data = await caseRequest(`/api/applicants?${params}`);
+      this.setFieldErrors();
+      this.page = data.page;
+      this.render(data);
+    } catch (error) {
+      this.setFieldErrors(error.fields || {});
+      this.table.hidden = true;
+      this.pagination.hidden = true;
+      this.status.textContent = caseErrorMessage(error);
+    }
+  }
+
+  render({ cases, page, total, totalPages }) {
+    const body = this.table.tBodies[0];
+    body.replaceChildren();
+    cases.forEach((item) => {
+      const row = body.insertRow();
+      const link = document.createElement("a");
+      link.href = `/caseworker-case.html?userId=${encodeURIComponent(
+        item.userId
+      )}`;
+      link.textContent =
+        [item.firstName, item.lastName].filter(Boolean).join(" ") ||
+        item.userId;
+      row.insertCell().appendChild(link);
+      row.insertCell().textContent = item.email || "";
+      row.insertCell().textContent = [item.city, item.zipCode]
+        .filter(Boolean)
+        .join(" ");
+      row.insertCell().textContent = caseDate(item.lastSubmittedAt);
+      row.insertCell().textContent =
+        item.assignedToName || item.assignedTo || "Unassigned";
+    });
+
+    this.table.hidden = cases.length === 0;
+    this.status.textContent = total
+      ? `${total} application${total === 1 ? "" : "s"} found.`
+      : "No applications match this search.";
+    this.pagination.hidden = totalPages <= 1;
+    this.pageLabel.textContent = `Page ${page} of ${Math.max(totalPages, 1)}`;
+    this.prevButton.disabled = page <= 1;
+    this.nextButton.disabled = page >= totalPages;
+  }
+}
+
+class CaseDetail {
+  constructor(container) {
+    this.container = container;
+    this.userId = new URLSearchParams(window.location.search).get("userId");
+    this.basePath = `/api/applicants/${encodeURIComponent(this.userId || "")}`;
+    this.status = document.getElementById("case-detail-status");
+    this.sections = document.getElementById("case-sections");
+    this.noteForm = document.getElementById("case-note-form");
+    this.me = null;
+    this.fields = [];
+
+    this.init();
+  }
+
+  async init() {
+    if (!this.userId) {
+      this.status.textContent = "No applicant was selected.";
+      return;
+    }
+    this.noteForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      this.addNote();
+    });
+    document
+      .getElementById("case-assign-me")
+      .addEventListener("click", () => this.assign(this.me));
+    document
+      .getElementById("case-unassign")
+      .addEventListener("click", () => this.assign(null));
+
+    try {
+      const [me, schema, data] = await Promise.all([
+        caseRequest("/api/auth/me"),
+        caseRequest("/api/intake/schema"),
+        caseRequest(this.basePath),
+      ]);
+      this.me = me.user ? me.user.id : null;
+      this.fields = schema.fields;
+      this.render(data.case);
+    } catch (error) {
+      this.status.textContent = caseErrorMessage(error);
+    }
+  }
+
+  render(item) {
+    const { intake } = item;
+    document.getElementById("case-title").textContent =
+      [intake.firstName, intake.lastName].filter(Boolean).join(" ") ||
+      item.userId;
+    this.renderAssignment(item.assignment);
+    this.renderApplication(item.applications[0]);
+    this.renderIntake(intake);
+    this.renderVersions(item.versions);
+    this.renderNotes(item.notes);
+    this.status.textContent = "";
+    this.sections.hidden = false;
+  }
+
+  renderAssignment(assignment) {
+    document.getElementById("case-assignment").textContent = assignment
+      ? `Assigned to ${
+          assignment.assignedToName || assignment.assignedTo
+        } on ${caseDate(assignment.assignedAt)}.`
+      : "Not assigned.";
+    document.getElementById("case-assign-me").hidden = Boolean(
+      assignment && assignment.assignedTo === this.me
+    );
+    document.getElementById("case-unassign").hidden = !assignment;
+  }
+
+  renderApplication(application) {
+    const container = document.getElementById("case-application");
+    container.replaceChildren();
+    if (!application) {
+      container.textContent = "No application.";
+      return;
+    }
+    const summary = document.createElement("p");
+    summary.textContent = `${application.statusLabel}: ${application.message}`;
+    const timeline = document.createElement("ol");
+    timeline.className = "flwins-case-list";
+    application.timeline.forEach((entry) => {
+      const item = document.createElement("li");
+      const by = entry.changedByName || entry.changedBy;
+      item.textContent = `${caseDate(entry.at)}: ${entry.label}${
+        by ? ` (${by})` : ""
+      }${entry.reason ? ` - ${entry.reason}` : ""}`;
+      timeline.appendChild(item);
+    });
+    container.append(summary, timeline);
+  }
+
+  renderIntake(intake) {
+    const list = document.getElementById("case-intake");
+    list.replaceChildren();
+    this.fields.forEach(({ name, label }) => {
+      const value = intake[name];
+      if (value === null || value === undefined || value === "") {
+        return;
+      }
+      const term = document.createElement("dt");
+      term.textContent = label;
+      const detail = document.createElement("dd");
+      detail.textContent = value;
+      list.append(term, detail);
+    });
+  }
+
+  renderVersions(versions) {
+    const list = document.getElementById("case-versions");
+    list.replaceChildren();
+    versions.forEach((version) => {
+      const item = document.createElement("li");
+      item.textContent = `Version ${version.sequence}, submitted ${caseDate(
+        version.submittedAt
+      )} by ${version.submittedByName || version.submittedBy}`;
+      list.appendChild(item);
+    });
+  }
+
+  renderNotes(notes) {
+    const list = document.getElementById("case-notes");
+    list.replaceChildren();
+    if (!notes.length) {
+      const empty = document.createElement("li");
+      empty.className = "flwins-form-section-note";
+      empty.textContent = "No notes yet.";
+      list.appendChild(empty);
+    }
+    notes.forEach((note) => {
+      const item = document.createElement("li");
+      const meta = document.createElement("div");
+      meta.className = "flwins-form-section-note";
+      meta.textContent = `${note.authorName || note.authorId}, ${caseDate(
+        note.createdAt
+      )}`;
+      const body = document.createElement("p");
+      body.textContent = note.body;
+      item.append(meta, body);
+      list.appendChild(item);
+    });
+  }
+
+  async addNote() {
+    const input = this.noteForm.elements.body;
+    try {
+      await caseRequest(`${this.basePath}/notes`, {
+        method: "POST",
+        body: JSON.stringify({ body: input.value }),
+      });
+      input.value = "";
+      await this.reload();
+    } catch (error) {
+      this.status.textContent = error.fields
+        ? error.fields.body
+        : caseErrorMessage(error);
+    }
+  }
+
+  async assign(caseworkerId) {
+    try {
+      await caseRequest(`${this.basePath}/assignment`, {
+        method: "PUT",
+        body: JSON.stringify({ caseworkerId }),
+      });
+      await this.reload();
+    } catch (error) {
+      this.status.textContent = caseErrorMessage(error);
+    }
+  }
+
+  async reload() {
+    const data = await caseRequest(this.basePath);
+    this.render(data.case);
+  }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const searchForm = document.getElementById("case-search-form");
+  if (searchForm) {
+    new CaseSearch(searchForm);
+  }
+  const detail = document.getElementById("case-detail");
+  if (detail) {
+    new CaseDetail(detail);
+  }
+});
@@ -0,0 +1,301 @@
+/**
+ * Supporting Documents
+ * Uploads, lists, downloads and removes the applicant's supporting documents
+ * (/api/documents): proof of income, residency, employment and the like.
+ * Accepted types, the size limit and categories come from the rules served
+ * with the intake schema. Used on the School Readiness wizard's documents
+ * step and on the profile page; ProfileManager creates it.
+ */
+
+class DocumentManager {
+  /**
+   * @param {HTMLElement} container Element the list and upload form render into
+   * @param {{ notify?: (message: string, type: string) => void }} [options]
+   */
+  constructor(container, { notify } = {}) {
+    this.container = container;
+    this.notify = notify || (() => {});
+    this.rules = null;
+    this.documents = [];
+    this.list = null;
+    this.categoryInput = null;
+    this.fileInput = null;
+    this.uploadButton = null;
+    this.uploadGroup = null;
+  }
+
+  /** @param {{ categories: object[], contentTypes: string[], accept: string, maxBytes: number, maxDocuments: number }|null} rules */
+  async init(rules) {
+    if (!rules || !Array.isArray(rules.categories)) {
+      this.renderMessage("Documents cannot be uploaded right now.");
+      return;
+    }
+    this.rules = rules;
+    this.build();
+    await this.load();
+  }
+
+  build() {
+    this.container.replaceChildren();
+
+    this.list = document.createElement("ul");
+    this.list.className = "flwins-document-list";
+    this.list.setAttribute("aria-live", "polite");
+
+    const upload = document.createElement("div");
+    upload.className = "flwins-document-upload";
+    upload.setAttribute("role", "group");
+    upload.setAttribute("aria-label", "Upload a document");
+
+    // Inputs have no name so they are not part of the surrounding intake form
+    const categoryGroup = document.createElement("div");
+    categoryGroup.className = "flwins-form-group";
+    const categoryLabel = document.createElement("label");
+    categoryLabel.className = "flwins-form-label";
+    categoryLabel.htmlFor = "document-category";
+    categoryLabel.textContent = "Document type";
+    this.categoryInput = document.createElement("select");
+    this.categoryInput.id = "document-category";
+    this.categoryInput.className = "flwins-form-select";
+    this.categoryInput.append(
+      new Option("Select document type", ""),
+      ...this.rules.categories.map(
+        (category) => new Option(category.label, category.value)
+      )
+    );
+    this.categoryInput.addEventListener("change", () =>
+      this.setFieldError("category")
+    );
+    categoryGroup.append(categoryLabel, this.categoryInput);
+
+    const fileGroup = document.createElement("div");
+    fileGroup.className = "flwins-form-group";
+    const fileLabel = document.createElement("label");
+    fileLabel.className = "flwins-form-label";
+    fileLabel.htmlFor = "document-file";
+    fileLabel.textContent = `File (PDF, JPEG or PNG, up to ${this.formatSize(
+      this.rules.maxBytes
+    )})`;
+    this.fileInput = document.createElement("input");
+    this.fileInput.type = "file";
+    this.fileInput.id = "document-file";
+    this.fileInput.className = "flwins-form-input";
+    this.fileInput.accept = this.rules.accept;
+    this.fileInput.addEventListener("change", () => this.setFieldError("file"));
+    fileGroup.append(fileLabel, this.fileInput);
+
+    this.uploadButton = document.createElement("button");
+    this.uploadButton.type = "button";
+    this.uploadButton.className = "flwins-btn flwins-btn-secondary";
+    this.uploadButton.textContent = "Upload document";
+    this.uploadButton.addEventListener("click", () => this.upload());
+
+    upload.append(categoryGroup, fileGroup, this.uploadButton);
+    this.uploadGroup = upload;
+    this.container.append(this.list, upload);
+  }
+
+  async load() {
+    try {
+      const response = await fetch("/api/documents", {
+        credentials: "include",
+        headers: { Accept: "application/json" },
+      });
+      if (!response.ok) {
+        throw new Error(`Documents request failed (${response.status})`);
+      }
+      const data = await response.json();
+      this.documents = data.documents || [];
+      this.render();
+    } catch (error) {
+      console.warn("Failed to load documents:", error);
+      this.renderMessage("Documents could not be loaded.");
+    }
+  }
+
+  renderMessage(text) {
+    const message = document.createElement("p");
+    message.className = "flwins-form-section-note";
+    message.textContent = text;
+    this.container.replaceChildren(message);
+  }
+
+  formatSize(bytes) {
+    if (bytes >= 1024 * 1024) {
+      return `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`;
+    }
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+
+  categoryLabel(value) {
+    const category = this.rules.categories.find((c) => c.value === value);
+    return category ? category.label : value;
+  }
+
+  /** One line per document, e.g. "Proof of income: paystub.pdf" */
+  describeDocuments() {
+    return this.documents.map(
+      (doc) => `${this.categoryLabel(doc.category)}: ${doc.fileName}`
+    );
+  }
+
+  render() {
+    this.list.replaceChildren();
+
+    if (!this.documents.length) {
+      const empty = document.createElement("li");
+      empty.className = "flwins-form-section-note";
+      empty.textContent = "No documents uploaded yet.";
+      this.list.appendChild(empty);
+    }
+
+    this.documents.forEach((doc) => {
+      const item = document.createElement("li");
+      item.className = "flwins-document";
+
+      const details = document.createElement("span");
+      const link = document.createElement("a");
+      link.href = `/api/documents/${encodeURIComponent(doc.id)}/file`;
+      link.textContent = doc.fileName;
+      details.append(
+        link,
+        ` - ${this.categoryLabel(doc.category)}, ${this.formatSize(
+          doc.sizeBytes
+        )}, uploaded ${new Date(doc.createdAt).toLocaleDateString()}`
+      );
+
+      const removeButton = document.createElement("button");
+      removeButton.type = "button";
+      removeButton.className = "flwins-btn flwins-btn-secondary flwins-btn-sm";
+      removeButton.textContent = "Remove";
+      removeButton.setAttribute("aria-label", `Remove ${doc.fileName}`);
+      removeButton.addEventListener("click", () => this.remove(doc));
+
+      item.append(details, removeButton);
+      this.list.appendChild(item);
+    });
+
+    this.uploadGroup.hidden = this.documents.length >= this.rules.maxDocuments;
+  }
+
+  input(name) {
+    return name === "category" ? this.categoryInput : this.fileInput;
+  }
+
+  setFieldError(name, message) {
+    const input = this.input(name);
+    const errorId = `${input.id}-error`;
+    const existing = document.getElementById(errorId);
+    if (existing) {
+      existing.remove();
+    }
+    if (!message) {
+      input.classList.remove("error");
+      input.removeAttribute("aria-invalid");
+      input.removeAttribute("aria-describedby");
+      return;
+    }
+    input.classList.add("error");
+    input.setAttribute("aria-invalid", "true");
+    input.setAttribute("aria-describedby", errorId);
+    const errorElement = document.createElement("div");
+    errorElement.id = errorId;
+    errorElement.className = "flwins-field-error";
+    errorElement.textContent = message;
+    input.parentNode.appendChild(errorElement);
+  }
+
+  // The server reports file name problems with the file
+  showFieldErrors(errors) {
+    const fileError = errors.file || errors.fileName;
+    this.setFieldError("category", errors.category);
+    this.setFieldError("file", fileError);
+    if (errors.category) {
+      this.categoryInput.focus();
+    } else if (fileError) {
+      this.fileInput.focus();
+    }
+  }
+
+  // Same checks as validateDocumentUpload in config/documents.js, except
+  // the file signature, which only the server reads
+  validateUpload(category, file) {
+    const errors = {};
+    if (!category) {
+      errors.category = "Choose what kind of document this is.";
+    }
+    if (!file) {
+      errors.file = "Choose a file to upload.";
+    } else if (file.size > this.rules.maxBytes) {
+      errors.file = `Files must be ${this.formatSize(
+        this.rules.maxBytes
+      )} or smaller.`;
+    } else if (!this.rules.contentTypes.includes(file.type)) {
+      errors.file = "Upload a PDF, JPEG or PNG file.";
+    }
+    return errors;
+  }
+
+  async upload() {
+    const category = this.categoryInput.value;
+    const file = this.fileInput.files[0];
+    const errors = this.validateUpload(category, file);
+    this.showFieldErrors(errors);
+    if (Object.keys(errors).length) {
+      return;
+    }
+
+    const query = new URLSearchParams({ category, fileName: file.name });
+    this.uploadButton.disabled = true;
+    this.uploadButton.textContent = "Uploading...";
+    try {
+      const response = await fetch(`/api/documents?${query}`, {
+        method: "POST",
+        headers: { "Content-Type": file.type, Accept: "application/json" },
+        credentials: "include",
+        body: file,
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        if (data.fields) {
+          this.showFieldErrors(data.fields);
+        }
+        this.notify(data.error || "Failed to upload document.", "error");
+        return;
+      }
+
+      this.documents.unshift(data.document);
+      this.categoryInput.value = "";
+      this.fileInput.value = "";
+      this.notify(`${data.document.fileName} uploaded.`, "success");
+      this.render();
+    } catch (error) {
+      console.error("Document upload error:", error);
+      this.notify("Failed to upload document.", "error");
+    } finally {
+      this.uploadButton.disabled = false;
+      this.uploadButton.textContent = "Upload document";
+    }
+  }
+
+  async remove(doc) {
+    if (!window.confirm(`Remove ${doc.fileName}?`)) {
+      return;
+    }
+    try {
+      const response = await fetch(
+        `/api/documents/${encodeURIComponent(doc.id)}`,
+        { method: "DELETE", credentials: "include" }
+      );
+      if (!response.ok && response.status !== 404) {
+        throw new Error(`Remove failed (${response.status})`);
+      }
+      this.documents = this.documents.filter((d) => d.id !== doc.id);
+      this.notify(`${doc.fileName} removed.`, "success");
+      this.render();
+    } catch (error) {
+      console.error("Document remove error:", error);
+      this.notify("Failed to remove document.", "error");
+    }
+  }
+}
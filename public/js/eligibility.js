@@ -0,0 +1,271 @@
+/**
+ * Eligibility Pre-screener
+ * Asks the School Readiness screening questions served by
+ * /api/eligibility/questions and shows the server's likely-eligible /
+ * needs-review / likely-ineligible result with its reasons. Advisory only:
+ * answers are not saved and the intake form stays open either way.
+ */
+
+const SCREENER_RESULTS = {
+  "likely-eligible": {
+    title: "Your family is likely eligible",
+    next: "Continue with the application below.",
+  },
+  "needs-review": {
+    title: "A caseworker will need to review your situation",
+    next: "You can still apply; a caseworker will contact you about the items below.",
+  },
+  "likely-ineligible": {
+    title: "Your family may not be eligible",
+    next: "You can still apply if you think your situation is different.",
+  },
+};
+
+class EligibilityScreener {
+  constructor(form) {
+    this.form = form;
+    this.result = document.getElementById("eligibility-result");
+    this.hoursGroup = document.getElementById("screen-hoursPerWeek-group");
+    this.groupsFieldset = document.getElementById("screen-priorityGroups");
+    this.questions = null;
+
+    this.init();
+  }
+
+  async init() {
+    try {
+      const response = await fetch("/api/eligibility/questions", {
+        headers: { Accept: "application/json" },
+      });
+      if (!response.ok) {
+        throw new Error(`Questions request failed (${response.status})`);
+      }
+      this.questions = await response.json();
+    } catch (error) {
+      console.warn("Eligibility screener unavailable:", error);
+      this.form.closest(".flwins-screener").hidden = true;
+      return;
+    }
+
+    this.applyQuestions(this.questions);
+    this.form.addEventListener("submit", (event) => this.handleSubmit(event));
+    this.form
+      .querySelector('[name="activity"]')
+      .addEventListener("change", () => this.toggleHours());
+    this.form.addEventListener("input", (event) => {
+      if (event.target.name) {
+        this.setFieldError(event.target.name);
+      }
+    });
+  }
+
+  applyQuestions(questions) {
+    const fill = (name, options) => {
+      const select = this.form.querySelector(`[name="${name}"]`);
+      select.append(
+        ...options.map((option) => new Option(option.label, option.value))
+      );
+    };
+    fill("incomeFrequency", questions.incomeFrequencies);
+    fill("activity", questions.activities);
+
+    this.form.querySelector('[name="householdSize"]').max =
+      questions.maxHouseholdSize;
+    if (questions.eligibleChildDescription) {
+      document.getElementById(
+        "screen-hasEligibleChild-label"
+      ).textContent = `Do you have ${questions.eligibleChildDescription}?`;
+    }
+
+    if (!questions.priorityGroups.length) {
+      this.groupsFieldset.hidden = true;
+    }
+    questions.priorityGroups.forEach((group) => {
+      const label = document.createElement("label");
+      label.className = "flwins-screener-group";
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.name = "priorityGroups";
+      checkbox.value = group.id;
+      label.append(checkbox, ` ${group.label}`);
+      this.groupsFieldset.appendChild(label);
+    });
+  }
+
+  selectedActivity() {
+    const value = this.form.querySelector('[name="activity"]').value;
+    return this.questions.activities.find((a) => a.value === value) || null;
+  }
+
+  toggleHours() {
+    const activity = this.selectedActivity();
+    this.hoursGroup.hidden = !(activity && activity.askHours);
+    this.setFieldError("hoursPerWeek");
+  }
+
+  collectAnswers() {
+    const data = new FormData(this.form);
+    const answers = {
+      householdSize: data.get("householdSize"),
+      income: data.get("income"),
+      incomeFrequency: data.get("incomeFrequency"),
+      activity: data.get("activity"),
+      hasEligibleChild: data.get("hasEligibleChild"),
+      priorityGroups: data.getAll("priorityGroups"),
+    };
+    if (!this.hoursGroup.hidden) {
+      answers.hoursPerWeek = data.get("hoursPerWeek");
+    }
+    return answers;
+  }
+
+  setFieldError(name, message) {
+    const input = this.form.querySelector(`[name="${name}"]`);
+    if (!input) {
+      return;
+    }
+    // Checkbox groups report their error on the fieldset
+    const target =
+      input.type === "checkbox" ? this.groupsFieldset : input.parentNode;
+    const errorId = `screen-${name}-error`;
+    const existing = document.getElementById(errorId);
+    if (existing) {
+      existing.remove();
+    }
+    if (!message) {
+      input.classList.remove("error");
+      input.removeAttribute("aria-invalid");
+      input.removeAttribute("aria-describedby");
+      return;
+    }
+    input.classList.add("error");
+    input.setAttribute("aria-invalid", "true");
+    input.setAttribute("aria-describedby", errorId);
+    const errorElement = document.createElement("div");
+    errorElement.id = errorId;
+    errorElement.className = "flwins-field-error";
+    errorElement.textContent = message;
+    target.appendChild(errorElement);
+  }
+
+  showFieldErrors(errors = {}) {
+    const names = [
+      "householdSize",
+      "hasEligibleChild",
+      "income",
+      "incomeFrequency",
+      "activity",
+      "hoursPerWeek",
+      "priorityGroups",
+    ];
+    names.forEach((name) => this.setFieldError(name, errors[name]));
+    const first = names.find((name) => errors[name]);
+    if (first) {
+      this.form.querySelector(`[name="${first}"]`).focus();
+    }
+  }
+
+  async handleSubmit(event) {
+    event.preventDefault();
+    const submitButton = this.form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    try {
+      const response = await fetch("/api/eligibility/screen", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        body: JSON.stringify(this.collectAnswers()),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (response.status === 422 && data.fields) {
+        this.result.hidden = true;
+        this.showFieldErrors(data.fields);
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(data.error || `Screening failed (${response.status})`);
+      }
+      this.showFieldErrors({});
+      this.renderResult(data);
+    } catch (error) {
+      console.error("Eligibility screening error:", error);
+      this.renderMessage(
+        "We could not check eligibility right now. You can still apply below."
+      );
+    } finally {
+      submitButton.disabled = false;
+    }
+  }
+
+  renderMessage(text) {
+    const message = document.createElement("p");
+    message.textContent = text;
+    this.result.className = "flwins-screener-result";
+    this.result.replaceChildren(message);
+    this.result.hidden = false;
+  }
+
+  renderResult(screening) {
+    const copy = SCREENER_RESULTS[screening.result];
+    this.result.className = `flwins-screener-result is-${screening.result}`;
+
+    const title = document.createElement("h4");
+    title.className = "flwins-screener-result-title";
+    title.textContent = copy.title;
+    title.tabIndex = -1;
+
+    const reasons = document.createElement("ul");
+    reasons.className = "flwins-screener-reasons";
+    screening.reasons.forEach((reason) => {
+      const item = document.createElement("li");
+      item.className = `is-${reason.outcome}`;
+      item.textContent = reason.message;
+      reasons.appendChild(item);
+    });
+
+    const next = document.createElement("p");
+    next.textContent = copy.next;
+
+    const note = document.createElement("p");
+    note.className = "flwins-form-section-note";
+    note.textContent = `Based on the ${
+      screening.ruleSet.fiscalYear
+        ? `FY ${screening.ruleSet.fiscalYear}`
+        : "current"
+    } program rules. Only a caseworker can make an eligibility decision.`;
+
+    const continueButton = document.createElement("button");
+    continueButton.type = "button";
+    continueButton.className = "flwins-btn flwins-btn-primary";
+    continueButton.textContent = "Continue to application";
+    continueButton.addEventListener("click", () => this.continueToIntake());
+
+    this.result.replaceChildren(title, reasons, next, continueButton, note);
+    this.result.hidden = false;
+    title.focus();
+  }
+
+  continueToIntake() {
+    const intakeForm = document.getElementById("intake-form");
+    if (!intakeForm) {
+      return;
+    }
+    intakeForm.scrollIntoView({ behavior: "smooth", block: "start" });
+    const firstInput = intakeForm.querySelector(
+      ".flwins-wizard-step:not([hidden]) input, .flwins-wizard-step:not([hidden]) select"
+    );
+    if (firstInput) {
+      firstInput.focus({ preventScroll: true });
+    }
+  }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const form = document.getElementById("eligibility-form");
+  if (form) {
+    new EligibilityScreener(form);
+  }
+});
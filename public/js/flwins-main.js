@@ -490,8 +490,8 @@ class FLWINSApp {
         console.log('🔐 Starting simple authentication check...');
         
         try {
-            // Try the direct Azure endpoint first - this is most reliable
-            const response = await fetch('/.auth/me', {
+            // The server normalizes the Easy Auth principal for us
+            const response = await fetch('/api/auth/me', {
                 credentials: 'include',
                 headers: {
                     'Accept': 'application/json',
@@ -499,41 +499,12 @@ class FLWINSApp {
                     'Pragma': 'no-cache'
                 }
             });
-            
             if (response.ok) {
                 const authData = await response.json();
-                console.log('✅ Azure auth response:', authData);
-                
-                if (authData && authData.length > 0 && authData[0].user_id) {
-                    // User is authenticated
-                    const userInfo = authData[0];
-                    const user = {
-                        id: userInfo.user_id,
-                        name: this.extractUserName(userInfo),
-                        email: this.extractUserEmail(userInfo)
-                    };
-                    console.log('👤 Extracted user info:', user);
-                    this.handleAuthenticatedUser(user);
-                    return;
-                }
-            }
-            
-            // If that didn't work, try our custom endpoint
-            console.log('🔍 Trying custom auth endpoint...');
-            const customResponse = await fetch('/api/auth/status', {
-                credentials: 'include',
-                headers: {
-                    'Accept': 'application/json',
-                    'Cache-Control': 'no-cache',
-                    'Pragma': 'no-cache'
-                }
-            });
-            if (customResponse.ok) {
-                const customData = await customResponse.json();
-                console.log('✅ Custom auth response:', customData);
+                console.log('✅ Auth response:', authData);
                 
-                if (customData.authenticated && customData.user) {
-                    this.handleAuthenticatedUser(customData.user);
+                if (authData.authenticated && authData.user) {
+                    this.handleAuthenticatedUser(authData.user);
                     return;
                 }
             }
@@ -546,46 +517,6 @@ class FLWINSApp {
         this.handleAnonymousUser();
     }
 
-    extractUserName(userInfo) {
-        if (!userInfo.user_claims) return userInfo.user_id;
-        
-        // Try different claim types for name
-        const nameClaims = [
-            'name',
-            'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/name',
-            'http://schemas.microsoft.com/identity/claims/displayname',
-            'preferred_username'
-        ];
-        
-        for (const claimType of nameClaims) {
-            const claim = userInfo.user_claims.find(c => c.typ === claimType);
-            if (claim && claim.val) {
-                return claim.val;
-            }
-        }
-        
-        return userInfo.user_id;
-    }
-
-    extractUserEmail(userInfo) {
-        if (!userInfo.user_claims) return null;
-        
-        const emailClaims = [
-            'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress',
-            'email',
-            'upn'
-        ];
-        
-        for (const claimType of emailClaims) {
-            const claim = userInfo.user_claims.find(c => c.typ === claimType);
-            if (claim && claim.val) {
-                return claim.val;
-            }
-        }
-        
-        return null;
-    }
-
     handleAuthenticatedUser(userInfo) {
         console.log('✅ AUTHENTICATED USER DETECTED:', userInfo);
         
@@ -0,0 +1,348 @@
+/**
+ * Household Members
+ * Lists, adds, edits and removes the applicant's household members
+ * (/api/household/members). The editor is built from the member field rules
+ * served with the intake schema. Used on the School Readiness wizard's
+ * household step and on the profile page; ProfileManager creates it.
+ */
+
+class HouseholdManager {
+  /**
+   * @param {HTMLElement} container Element the list and editor render into
+   * @param {{ notify?: (message: string, type: string) => void, validateField?: (field: object, value: string) => string|null }} [options]
+   *   `validateField` checks one value against its rules (ProfileManager's
+   *   validateIntakeField)
+   */
+  constructor(container, { notify, validateField } = {}) {
+    this.container = container;
+    this.notify = notify || (() => {});
+    this.validateField = validateField || (() => null);
+    this.schema = null;
+    this.members = [];
+    this.editing = null;
+    this.list = null;
+    this.editor = null;
+    this.addButton = null;
+  }
+
+  /** @param {{ fields: object[], maxMembers: number }|null} schema */
+  async init(schema) {
+    if (!schema || !Array.isArray(schema.fields)) {
+      this.renderMessage("Household members cannot be edited right now.");
+      return;
+    }
+    this.schema = schema;
+    this.build();
+    await this.load();
+  }
+
+  build() {
+    this.container.replaceChildren();
+
+    this.list = document.createElement("ul");
+    this.list.className = "flwins-household-list";
+    this.list.setAttribute("aria-live", "polite");
+
+    this.addButton = document.createElement("button");
+    this.addButton.type = "button";
+    this.addButton.className = "flwins-btn flwins-btn-secondary";
+    this.addButton.textContent = "Add household member";
+    this.addButton.addEventListener("click", () => this.openEditor());
+
+    this.editor = document.createElement("div");
+    this.editor.className = "flwins-household-editor";
+    this.editor.hidden = true;
+    this.editor.setAttribute("role", "group");
+    this.editor.setAttribute("aria-label", "Household member details");
+
+    // Inputs have no name so they are not part of the surrounding intake form
+    this.schema.fields.forEach((field) => {
+      const group = document.createElement("div");
+      group.className = "flwins-form-group";
+      const id = `member-${field.name}`;
+      const label = document.createElement("label");
+      label.className = "flwins-form-label";
+      label.htmlFor = id;
+      label.textContent = field.label;
+
+      let input;
+      if (field.type === "select") {
+        input = document.createElement("select");
+        input.className = "flwins-form-select";
+        input.append(
+          new Option(`Select ${field.label.toLowerCase()}`, ""),
+          ...field.options.map(
+            (option) => new Option(option.label, option.value)
+          )
+        );
+      } else if (field.type === "textarea") {
+        input = document.createElement("textarea");
+        input.className = "flwins-form-textarea";
+        input.rows = 2;
+      } else {
+        input = document.createElement("input");
+        input.className = "flwins-form-input";
+        input.type = field.type;
+      }
+      input.id = id;
+      input.dataset.memberField = field.name;
+      input.required = Boolean(field.required);
+      if (field.maxLength && field.type !== "select") {
+        input.maxLength = field.maxLength;
+      }
+      input.addEventListener("input", () => this.setFieldError(field.name));
+      // Enter saves the member instead of submitting the intake form
+      input.addEventListener("keydown", (event) => {
+        if (event.key === "Enter" && input.tagName !== "TEXTAREA") {
+          event.preventDefault();
+          this.save();
+        }
+      });
+
+      group.append(label, input);
+      this.editor.appendChild(group);
+    });
+
+    const actions = document.createElement("div");
+    actions.className = "flwins-household-editor-actions";
+    const saveButton = document.createElement("button");
+    saveButton.type = "button";
+    saveButton.className = "flwins-btn flwins-btn-primary flwins-btn-sm";
+    saveButton.textContent = "Save member";
+    saveButton.addEventListener("click", () => this.save());
+    const cancelButton = document.createElement("button");
+    cancelButton.type = "button";
+    cancelButton.className = "flwins-btn flwins-btn-secondary flwins-btn-sm";
+    cancelButton.textContent = "Cancel";
+    cancelButton.addEventListener("click", () => this.closeEditor());
+    actions.append(saveButton, cancelButton);
+    this.editor.appendChild(actions);
+
+    this.container.append(this.list, this.editor, this.addButton);
+  }
+
+  async load() {
+    try {
+      const response = await fetch("/api/household/members", {
+        credentials: "include",
+        headers: { Accept: "application/json" },
+      });
+      if (!response.ok) {
+        throw new Error(`Household request failed (${response.status})`);
+      }
+      const data = await response.json();
+      this.members = data.members || [];
+      this.render();
+    } catch (error) {
+      console.warn("Failed to load household members:", error);
+      this.renderMessage("Household members could not be loaded.");
+    }
+  }
+
+  renderMessage(text) {
+    const message = document.createElement("p");
+    message.className = "flwins-form-section-note";
+    message.textContent = text;
+    this.container.replaceChildren(message);
+  }
+
+  optionLabel(name, value) {
+    const field = this.schema.fields.find((f) => f.name === name);
+    const option =
+      field && (field.options || []).find((o) => o.value === value);
+    return option ? option.label : value;
+  }
+
+  /** One line per member, e.g. "Ava Rivera - Child, age 3 - Full-time care" */
+  describeMembers() {
+    return this.members.map((member) => {
+      const parts = [
+        `${member.firstName} ${member.lastName}`,
+        [
+          this.optionLabel("relationship", member.relationship),
+          member.age !== null && member.age !== undefined
+            ? `age ${member.age}`
+            : null,
+        ]
+          .filter(Boolean)
+          .join(", "),
+      ];
+      if (member.careNeeded) {
+        parts.push(this.optionLabel("careNeeded", member.careNeeded));
+      }
+      return parts.join(" - ");
+    });
+  }
+
+  render() {
+    const descriptions = this.describeMembers();
+    this.list.replaceChildren();
+
+    if (!this.members.length) {
+      const empty = document.createElement("li");
+      empty.className = "flwins-form-section-note";
+      empty.textContent = "No household members added yet.";
+      this.list.appendChild(empty);
+    }
+
+    this.members.forEach((member, index) => {
+      const item = document.createElement("li");
+      item.className = "flwins-household-member";
+      const text = document.createElement("span");
+      text.textContent = descriptions[index];
+      const name = `${member.firstName} ${member.lastName}`;
+
+      const editButton = document.createElement("button");
+      editButton.type = "button";
+      editButton.className = "flwins-btn flwins-btn-secondary flwins-btn-sm";
+      editButton.textContent = "Edit";
+      editButton.setAttribute("aria-label", `Edit ${name}`);
+      editButton.addEventListener("click", () => this.openEditor(member));
+
+      const removeButton = document.createElement("button");
+      removeButton.type = "button";
+      removeButton.className = "flwins-btn flwins-btn-secondary flwins-btn-sm";
+      removeButton.textContent = "Remove";
+      removeButton.setAttribute("aria-label", `Remove ${name}`);
+      removeButton.addEventListener("click", () => this.remove(member));
+
+      item.append(text, editButton, removeButton);
+      this.list.appendChild(item);
+    });
+
+    this.addButton.hidden =
+      !this.editor.hidden || this.members.length >= this.schema.maxMembers;
+  }
+
+  input(name) {
+    return this.editor.querySelector(`[data-member-field="${name}"]`);
+  }
+
+  openEditor(member = null) {
+    this.editing = member;
+    this.schema.fields.forEach((field) => {
+      this.input(field.name).value = member ? member[field.name] ?? "" : "";
+      this.setFieldError(field.name);
+    });
+    this.editor.hidden = false;
+    this.addButton.hidden = true;
+    this.input(this.schema.fields[0].name).focus();
+  }
+
+  closeEditor() {
+    this.editing = null;
+    this.editor.hidden = true;
+    this.render();
+    this.addButton.focus();
+  }
+
+  setFieldError(name, message) {
+    const input = this.input(name);
+    const errorId = `${input.id}-error`;
+    const existing = document.getElementById(errorId);
+    if (existing) {
+      existing.remove();
+    }
+    if (!message) {
+      input.classList.remove("error");
+      input.removeAttribute("aria-invalid");
+      input.removeAttribute("aria-describedby");
+      return;
+    }
+    input.classList.add("error");
+    input.setAttribute("aria-invalid", "true");
+    input.setAttribute("aria-describedby", errorId);
+    const errorElement = document.createElement("div");
+    errorElement.id = errorId;
+    errorElement.className = "flwins-field-error";
+    errorElement.textContent = message;
+    input.parentNode.appendChild(errorElement);
+  }
+
+  showFieldErrors(errors) {
+    this.schema.fields.forEach((field) =>
+      this.setFieldError(field.name, errors[field.name])
+    );
+    const first = this.schema.fields.find((field) => errors[field.name]);
+    if (first) {
+      this.input(first.name).focus();
+    }
+  }
+
+  async save() {
+    const payload = {};
+    const errors = {};
+    this.schema.fields.forEach((field) => {
+      payload[field.name] = this.input(field.name).value.trim();
+      const message = this.validateField(field, payload[field.name]);
+      if (message) {
+        errors[field.name] = message;
+      }
+    });
+    this.showFieldErrors(errors);
+    if (Object.keys(errors).length) {
+      return;
+    }
+
+    const url = this.editing
+      ? `/api/household/members/${encodeURIComponent(this.editing.id)}`
+      : "/api/household/members";
+    try {
+      const response = await fetch(url, {
+        method: this.editing ? "PUT" : "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        credentials: "include",
+        body: JSON.stringify(payload),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        if (response.status === 422 && data.fields) {
+          this.showFieldErrors(data.fields);
+        }
+        this.notify(data.error || "Failed to save household member.", "error");
+        return;
+      }
+
+      if (this.editing) {
+        this.members = this.members.map((m) =>
+          m.id === data.member.id ? data.member : m
+        );
+      } else {
+        this.members.push(data.member);
+      }
+      this.notify(
+        `${data.member.firstName} ${data.member.lastName} saved.`,
+        "success"
+      );
+      this.closeEditor();
+    } catch (error) {
+      console.error("Household member save error:", error);
+      this.notify("Failed to save household member.", "error");
+    }
+  }
+
+  async remove(member) {
+    const name = `${member.firstName} ${member.lastName}`;
+    if (!window.confirm(`Remove ${name} from your household?`)) {
+      return;
+    }
+    try {
+      const response = await fetch(
+        `/api/household/members/${encodeURIComponent(member.id)}`,
+        { method: "DELETE", credentials: "include" }
+      );
+      if (!response.ok && response.status !== 404) {
+        throw new Error(`Remove failed (${response.status})`);
+      }
+      this.members = this.members.filter((m) => m.id !== member.id);
+      this.notify(`${name} removed.`, "success");
+      this.render();
+    } catch (error) {
+      console.error("Household member remove error:", error);
+      this.notify("Failed to remove household member.", "error");
+    }
+  }
+}
@@ -1,8 +1,14 @@
 /**
  * Profile Page JavaScript
- * Handles profile data loading and intake submission
+ * Handles profile data loading and intake submission. On the School
+ * Readiness page the intake form is a multi-step wizard whose answers are
+ * kept as a server-side draft until the review step submits them.
  */
 
+// Polling for the EFSMOD link while the invitation is queued (about 1 minute)
+const EFSMOD_LINK_POLL_MS = 3000;
+const EFSMOD_LINK_MAX_POLLS = 20;
+
 class ProfileManager {
   constructor() {
     this.form = document.getElementById("intake-form");
@@ -12,21 +18,504 @@ class ProfileManager {
     this.readonlyEmail = document.getElementById("readonly-email");
     this.displayNameElement = document.getElementById("profile-display-name");
     this.profile = null;
+    this.intakeSchema = null;
+    this.efsmodPollTimer = null;
+    // Wizard steps are the form's fieldsets; forms without them submit
+    // all at once
+    this.wizardSteps = this.form
+      ? Array.from(this.form.querySelectorAll(".flwins-wizard-step"))
+      : [];
+    this.currentStep = 0;
+    this.backButton = document.getElementById("intake-back");
+    this.nextButton = document.getElementById("intake-next");
+    this.saveDraftButton = document.getElementById("intake-save-draft");
+    this.submitButton = document.getElementById("intake-submit");
+    this.draftStatus = document.getElementById("intake-draft-status");
+    const householdContainer = document.getElementById("household-members");
+    this.household =
+      householdContainer && typeof HouseholdManager !== "undefined"
+        ? new HouseholdManager(householdContainer, {
+            notify: (message, type) => this.showNotification(message, type),
+            validateField: (field, value) =>
+              this.validateIntakeField(field, value),
+          })
+        : null;
+    const documentsContainer = document.getElementById("supporting-documents");
+    this.documents =
+      documentsContainer && typeof DocumentManager !== "undefined"
+        ? new DocumentManager(documentsContainer, {
+            notify: (message, type) => this.showNotification(message, type),
+          })
+        : null;
+    if (this.isWizard()) {
+      // Hidden steps cannot show the browser's validation bubbles
+      this.form.noValidate = true;
+    }
     if (this.toggleButton) {
       this.toggleButton.setAttribute("aria-expanded", "false");
     }
     this.init();
   }
 
-  // Returns the single, canonical EFSMOD deep link for SR app
-  getEfsmodeDeepLink() {
-    // Canonical EFSMOD deep link (URL-encoded redirect path variant)
-    return "https://efsmod2-dev-f4dsd9ffbegededq.canadacentral-01.azurewebsites.net/.auth/login/FLWINS?post_login_redirect_uri=%2Fsrapp.html";
-  }
-
   async init() {
-    await this.loadUserProfile();
+    const [schema] = await Promise.all([
+      this.loadIntakeSchema(),
+      this.loadUserProfile(),
+    ]);
+    this.applyIntakeSchema(schema);
+    if (this.household) {
+      this.household.init(schema && schema.householdMember);
+    }
+    if (this.documents) {
+      this.documents.init(schema && schema.documents);
+    }
     this.setupEventHandlers();
+    await this.resumeDraft();
+    this.loadEfsmodLink();
+  }
+
+  // Field rules shared with the server (config/intake.js). Without them the
+  // form still submits and the server reports any errors.
+  async loadIntakeSchema() {
+    try {
+      const response = await fetch("/api/intake/schema", {
+        headers: { Accept: "application/json" },
+      });
+      if (!response.ok) {
+        throw new Error(`Schema request failed (${response.status})`);
+      }
+      return await response.json();
+    } catch (error) {
+      console.warn("Failed to load intake schema:", error);
+      return null;
+    }
+  }
+
+  applyIntakeSchema(schema) {
+    if (!this.form || !schema || !Array.isArray(schema.fields)) {
+      return;
+    }
+    this.intakeSchema = schema;
+    // Errors are shown inline with the server's messages instead of the
+    // browser's validation bubbles
+    this.form.noValidate = true;
+
+    schema.fields.forEach((field) => {
+      const element = this.form.elements[field.name];
+      if (!element) {
+        return;
+      }
+      element.required = Boolean(field.required);
+      if (field.maxLength && element.tagName !== "SELECT") {
+        element.maxLength = field.maxLength;
+      }
+      if (Array.isArray(field.options) && element.tagName === "SELECT") {
+        const current = element.value;
+        const placeholder = element.querySelector('option[value=""]');
+        element.replaceChildren(
+          ...(placeholder ? [placeholder] : []),
+          ...field.options.map(
+            (option) => new Option(option.label, option.value)
+          )
+        );
+        element.value = current;
+      }
+      element.addEventListener("input", () => this.setFieldError(field.name));
+      element.addEventListener("blur", () =>
+        this.setFieldError(
+          field.name,
+          this.validateIntakeField(field, element.value)
+        )
+      );
+    });
+  }
+
+  // Same checks as validateField in config/intake.js
+  validateIntakeField(field, rawValue) {
+    const value = typeof rawValue === "string" ? rawValue.trim() : "";
+    if (!value) {
+      return field.required ? `${field.label} is required.` : null;
+    }
+    if (field.maxLength && value.length > field.maxLength) {
+      return `${field.label} must be ${field.maxLength} characters or fewer.`;
+    }
+    if (
+      Array.isArray(field.options) &&
+      !field.options.some((option) => option.value === value.toUpperCase())
+    ) {
+      return `Choose a valid ${field.label.toLowerCase()}.`;
+    }
+    if (field.pattern && !new RegExp(field.pattern).test(value)) {
+      return field.patternMessage || `${field.label} is not valid.`;
+    }
+    return null;
+  }
+
+  /**
+   * @param {string} [stepId] Only check this wizard step's fields
+   * @returns {Object<string, string>} Field name to message
+   */
+  validateIntakeForm(stepId) {
+    const errors = {};
+    if (!this.intakeSchema) {
+      return errors;
+    }
+    this.intakeSchema.fields.forEach((field) => {
+      if (stepId && field.step !== stepId) {
+        return;
+      }
+      const element = this.form.elements[field.name];
+      const message = element
+        ? this.validateIntakeField(field, element.value)
+        : null;
+      if (message) {
+        errors[field.name] = message;
+      }
+    });
+    return errors;
+  }
+
+  // Shows `message` under the field (or clears it when empty), using the
+  // flwins-field-error markup from flwins-main.js
+  setFieldError(name, message) {
+    const element = this.form && this.form.elements[name];
+    if (!element) {
+      return;
+    }
+    const errorId = `${element.id || name}-error`;
+    const existing = document.getElementById(errorId);
+    if (existing) {
+      existing.remove();
+    }
+
+    if (!message) {
+      element.classList.remove("error");
+      element.removeAttribute("aria-invalid");
+      element.removeAttribute("aria-describedby");
+      return;
+    }
+
+    element.classList.add("error");
+    element.setAttribute("aria-invalid", "true");
+    element.setAttribute("aria-describedby", errorId);
+    const errorElement = document.createElement("div");
+    errorElement.id = errorId;
+    errorElement.className = "flwins-field-error";
+    errorElement.textContent = message;
+    element.parentNode.appendChild(errorElement);
+  }
+
+  showFieldErrors(errors = {}) {
+    if (!this.form) {
+      return;
+    }
+    Array.from(this.form.elements).forEach((element) => {
+      if (element.name) {
+        this.setFieldError(element.name, errors[element.name]);
+      }
+    });
+    const first = Object.keys(errors)
+      .map((name) => this.form.elements[name])
+      .find(Boolean);
+    if (first) {
+      const fieldset = first.closest(".flwins-wizard-step");
+      if (fieldset && fieldset.hidden) {
+        this.showStep(this.wizardSteps.indexOf(fieldset), { focus: false });
+      }
+      first.focus();
+    }
+  }
+
+  isWizard() {
+    return this.wizardSteps.length > 0;
+  }
+
+  stepId(index = this.currentStep) {
+    const fieldset = this.wizardSteps[index];
+    return fieldset ? fieldset.dataset.step : null;
+  }
+
+  // Shows one wizard step, updating the progress indicator and buttons
+  showStep(index, { focus = true } = {}) {
+    if (!this.isWizard()) {
+      return;
+    }
+    const last = this.wizardSteps.length - 1;
+    this.currentStep = Math.max(0, Math.min(index, last));
+
+    this.wizardSteps.forEach((fieldset, position) => {
+      fieldset.hidden = position !== this.currentStep;
+    });
+    document
+      .querySelectorAll("#intake-progress [data-step]")
+      .forEach((item) => {
+        const position = this.wizardSteps.findIndex(
+          (fieldset) => fieldset.dataset.step === item.dataset.step
+        );
+        item.classList.toggle("is-complete", position < this.currentStep);
+        if (position === this.currentStep) {
+          item.setAttribute("aria-current", "step");
+        } else {
+          item.removeAttribute("aria-current");
+        }
+      });
+
+    const onReview = this.currentStep === last;
+    if (this.backButton) {
+      this.backButton.hidden = this.currentStep === 0;
+    }
+    if (this.nextButton) {
+      this.nextButton.hidden = onReview;
+    }
+    if (this.submitButton) {
+      this.submitButton.hidden = !onReview;
+    }
+    if (onReview) {
+      this.renderReview();
+    }
+
+    // Move focus to the step heading so screen readers announce the change
+    const legend = this.wizardSteps[this.currentStep].querySelector("legend");
+    if (focus && legend) {
+      legend.tabIndex = -1;
+      legend.focus();
+    }
+  }
+
+  async goToNextStep() {
+    const errors = this.validateIntakeForm(this.stepId());
+    this.showFieldErrors(errors);
+    if (Object.keys(errors).length) {
+      return;
+    }
+    this.showStep(this.currentStep + 1);
+    // Saved in the background, resuming on the step just opened
+    this.saveDraft();
+  }
+
+  goToPreviousStep() {
+    this.showStep(this.currentStep - 1);
+  }
+
+  collectIntakeValues() {
+    const values = {};
+    for (const [key, value] of new FormData(this.form).entries()) {
+      if (typeof value === "string") {
+        values[key] = value.trim();
+      }
+    }
+    return values;
+  }
+
+  setDraftStatus(text) {
+    if (this.draftStatus) {
+      this.draftStatus.textContent = text;
+    }
+  }
+
+  // Saves the answers so far so the applicant can resume on any device.
+  // Incomplete answers are fine; they are validated on submission.
+  async saveDraft({ announce = false } = {}) {
+    if (!this.isWizard()) {
+      return false;
+    }
+    try {
+      const response = await fetch("/api/intake/draft", {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        credentials: "include",
+        body: JSON.stringify({
+          step: this.stepId(),
+          data: this.collectIntakeValues(),
+        }),
+      });
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        if (response.status === 422 && errorData.fields) {
+          this.showFieldErrors(errorData.fields);
+        }
+        throw new Error(
+          errorData.error || `Draft save failed (${response.status})`
+        );
+      }
+      const time = new Date().toLocaleTimeString([], {
+        hour: "numeric",
+        minute: "2-digit",
+      });
+      this.setDraftStatus(`Draft saved at ${time}.`);
+      if (announce) {
+        this.showSuccess("Draft saved. You can finish later on any device.");
+      }
+      return true;
+    } catch (error) {
+      console.warn("Failed to save intake draft:", error);
+      this.setDraftStatus(
+        "Your draft could not be saved. Your answers are still on this page."
+      );
+      if (announce) {
+        this.showError("Failed to save your draft.");
+      }
+      return false;
+    }
+  }
+
+  // Restores a saved draft over the profile prefill and reopens its step
+  async resumeDraft() {
+    if (!this.isWizard()) {
+      return;
+    }
+    let draft = null;
+    try {
+      const response = await fetch("/api/intake/draft", {
+        credentials: "include",
+        headers: { Accept: "application/json" },
+      });
+      if (response.ok) {
+        ({ draft } = await response.json());
+      } else if (response.status !== 404) {
+        throw new Error(`Draft request failed (${response.status})`);
+      }
+    } catch (error) {
+      console.warn("Failed to load intake draft:", error);
+    }
+
+    if (!draft) {
+      this.showStep(0, { focus: false });
+      return;
+    }
+    Object.entries(draft.data || {}).forEach(([name, value]) => {
+      const element = this.form.elements[name];
+      if (element && !element.readOnly) {
+        element.value = value;
+      }
+    });
+    const index = this.wizardSteps.findIndex(
+      (fieldset) => fieldset.dataset.step === draft.step
+    );
+    this.showStep(index === -1 ? 0 : index, { focus: false });
+    this.setDraftStatus(
+      `Resumed your draft from ${new Date(draft.updatedAt).toLocaleString()}.`
+    );
+  }
+
+  // Summarizes the answers of every step before the review, each with an
+  // Edit button back to its step
+  renderReview() {
+    const container = document.getElementById("intake-review");
+    if (!container) {
+      return;
+    }
+    container.replaceChildren();
+
+    this.wizardSteps.slice(0, -1).forEach((fieldset, index) => {
+      const step = fieldset.dataset.step;
+      const progressItem = document.querySelector(
+        `#intake-progress [data-step="${step}"]`
+      );
+      const title = progressItem ? progressItem.textContent.trim() : step;
+
+      const section = document.createElement("section");
+      section.className = "flwins-review-section";
+      const header = document.createElement("div");
+      header.className = "flwins-review-section-header";
+      const heading = document.createElement("h4");
+      heading.textContent = title;
+      const editButton = document.createElement("button");
+      editButton.type = "button";
+      editButton.className = "flwins-btn flwins-btn-secondary flwins-btn-sm";
+      editButton.textContent = "Edit";
+      editButton.setAttribute("aria-label", `Edit ${title}`);
+      editButton.addEventListener("click", () => this.showStep(index));
+      header.append(heading, editButton);
+
+      const list = document.createElement("dl");
+      list.className = "flwins-review-list";
+      fieldset
+        .querySelectorAll("input, select, textarea")
+        .forEach((element) => {
+          if (!element.name) {
+            return;
+          }
+          const label = this.form.querySelector(`label[for="${element.id}"]`);
+          const term = document.createElement("dt");
+          term.textContent = label ? label.textContent : element.name;
+          const detail = document.createElement("dd");
+          const value =
+            element.tagName === "SELECT"
+              ? element.value && element.selectedOptions[0].textContent
+              : element.value.trim();
+          detail.textContent = value || "Not provided";
+          list.append(term, detail);
+        });
+      if (this.household && fieldset.contains(this.household.container)) {
+        const term = document.createElement("dt");
+        term.textContent = "Household Members";
+        const detail = document.createElement("dd");
+        detail.textContent =
+          this.household.describeMembers().join("\n") || "None listed";
+        list.append(term, detail);
+      }
+      if (this.documents && fieldset.contains(this.documents.container)) {
+        const term = document.createElement("dt");
+        term.textContent = "Supporting Documents";
+        const detail = document.createElement("dd");
+        detail.textContent =
+          this.documents.describeDocuments().join("\n") || "None uploaded";
+        list.append(term, detail);
+      }
+
+      section.append(header, list);
+      container.appendChild(section);
+    });
+  }
+
+  // Loads this user's EFSMOD link from the server (redeem link until the
+  // invitation is accepted, then the sign-in link). While the invitation is
+  // still queued, polls until it is sent.
+  async loadEfsmodLink(attempt = 0) {
+    clearTimeout(this.efsmodPollTimer);
+    try {
+      const response = await fetch("/api/efsmod/link", {
+        credentials: "include",
+        headers: { Accept: "application/json" },
+      });
+
+      if (response.status === 404) {
+        // No intake submitted yet, so no invitation
+        this.clearEfmodSlot();
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(`EFSMOD link request failed (${response.status})`);
+      }
+
+      const link = await response.json();
+      if (link.url) {
+        this.renderEfmodLink(link);
+      } else if (link.status === "pending") {
+        if (attempt >= EFSMOD_LINK_MAX_POLLS) {
+          this.renderEfmodMessage(
+            "Your EFSMOD access is still being set up. Check back in a few minutes."
+          );
+          return;
+        }
+        this.renderEfmodLoading("Preparing your EFSMOD link...");
+        this.efsmodPollTimer = setTimeout(
+          () => this.loadEfsmodLink(attempt + 1),
+          EFSMOD_LINK_POLL_MS
+        );
+      } else {
+        this.renderEfmodMessage(
+          "We could not set up your EFSMOD access. Please contact support."
+        );
+      }
+    } catch (error) {
+      console.warn("Failed to load EFSMOD link:", error);
+      this.clearEfmodSlot();
+    }
   }
 
   async loadUserProfile() {
@@ -142,6 +631,22 @@ class ProfileManager {
         this.handleFormSubmit(event)
       );
     }
+
+    if (this.isWizard()) {
+      if (this.nextButton) {
+        this.nextButton.addEventListener("click", () => this.goToNextStep());
+      }
+      if (this.backButton) {
+        this.backButton.addEventListener("click", () =>
+          this.goToPreviousStep()
+        );
+      }
+      if (this.saveDraftButton) {
+        this.saveDraftButton.addEventListener("click", () =>
+          this.saveDraft({ announce: true })
+        );
+      }
+    }
   }
 
   toggleIntakeForm(forceState) {
@@ -171,6 +676,19 @@ class ProfileManager {
       return;
     }
 
+    // Enter in a field moves through the wizard instead of submitting early
+    if (this.isWizard() && this.currentStep < this.wizardSteps.length - 1) {
+      this.goToNextStep();
+      return;
+    }
+
+    const fieldErrors = this.validateIntakeForm();
+    this.showFieldErrors(fieldErrors);
+    if (Object.keys(fieldErrors).length) {
+      this.showError("Please correct the highlighted fields.");
+      return;
+    }
+
     // Disable submit to prevent duplicates and show loader in EFSMOD slot
     const submitBtn = this.form.querySelector(
       'button[type="submit"], .flwins-btn-primary'
@@ -181,14 +699,7 @@ class ProfileManager {
     }
     this.renderEfmodLoading("Preparing your EFSMOD link...");
 
-    const formData = new FormData(this.form);
-    const payload = {};
-
-    for (const [key, value] of formData.entries()) {
-      if (typeof value === "string") {
-        payload[key] = value.trim();
-      }
-    }
+    const payload = this.collectIntakeValues();
 
     try {
       const response = await fetch("/api/intake", {
@@ -203,39 +714,52 @@ class ProfileManager {
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
+        if (response.status === 422 && errorData.fields) {
+          this.showFieldErrors(errorData.fields);
+        }
         this.showError(errorData.error || "Failed to submit intake form.");
+        this.clearEfmodSlot();
+        if (submitBtn) {
+          submitBtn.disabled = prevDisabled;
+        }
         return;
       }
 
       const data = await response.json().catch(() => ({}));
       this.showSuccess("Intake form submitted successfully.");
+      // The server discards the draft once the intake is saved
+      this.setDraftStatus("");
 
-      // Replace loader with the final link (computed internally)
-      this.clearEfmodSlot();
-      this.renderEfmodLink();
+      // Replace loader with the link once the invitation has been sent.
       // Do not auto-navigate; the user must click the link to proceed to EFSMOD.
+      this.loadEfsmodLink();
 
-      // Surface Graph account creation result if available
+      // Surface account provisioning results (guest invite and/or member
+      // account, depending on the server's provisioning mode)
       if (data && data.accountCreation) {
         const ac = data.accountCreation;
         if (ac.created) {
           const upn = ac.userPrincipalName || "user";
           this.showSuccess(`Account created in Entra ID: ${upn}`);
-        } else if (ac.invited) {
+          if (ac.credentials && ac.credentials.viewUrl) {
+            this.renderCredentialsLink(ac.credentials.viewUrl);
+          }
+        } else if (ac.member === "pending") {
+          this.showSuccess("Your account is being set up.");
+        }
+        if (ac.invited) {
           const email = ac.invitedEmail || "user";
           this.showSuccess(`Invitation sent to: ${email}`);
           if (ac.inviteRedeemUrl) {
             this.showSuccess(`Redeem link: ${ac.inviteRedeemUrl}`);
           }
-        } else if (ac.error) {
+        }
+        if (ac.error) {
           this.showError(`Account creation failed: ${ac.error}`);
         }
       }
 
-      // Intentionally ignore any EFSMOD links from the server; always use the canonical link above
-
       // Keep the form visible so the link appears under the submit button.
-      // Since we always render the EFSMOD link above, do not auto-hide here.
     } catch (error) {
       console.error("Intake submission error:", error);
       this.showError("An unexpected error occurred while submitting the form.");
@@ -302,27 +826,33 @@ class ProfileManager {
     }, 5000);
   }
 
-  renderEfmodLink() {
-    try {
-      let slot = document.getElementById("efsmode-deeplink");
+  getEfmodSlot() {
+    let slot = document.getElementById("efsmode-deeplink");
+    if (!slot) {
       // Fallback container if placeholder is missing
       const container =
-        slot ||
-        document.getElementById("intake-form")?.parentElement ||
-        document.body;
-      if (!slot) {
-        slot = document.createElement("div");
-        slot.id = "efsmode-deeplink";
-        slot.style.marginTop = "12px";
-        container.appendChild(slot);
-      }
-      slot.innerHTML = "";
+        document.getElementById("intake-form")?.parentElement || document.body;
+      slot = document.createElement("div");
+      slot.id = "efsmode-deeplink";
+      slot.style.marginTop = "12px";
+      container.appendChild(slot);
+    }
+    slot.innerHTML = "";
+    return slot;
+  }
+
+  renderEfmodLink(link) {
+    try {
+      const slot = this.getEfmodSlot();
       const title = document.createElement("div");
-      title.textContent = "Continue in EFSMOD:";
+      title.textContent =
+        link.kind === "redeem"
+          ? "Accept your EFSMOD invitation to continue:"
+          : "Continue in EFSMOD:";
       title.style.fontWeight = "600";
       title.style.marginBottom = "8px";
       const a = document.createElement("a");
-      a.href = this.getEfsmodeDeepLink();
+      a.href = link.url;
       a.textContent = "Open School Readiness Form in EFSMOD";
       a.rel = "noopener noreferrer";
       a.target = "_blank";
@@ -334,6 +864,33 @@ class ProfileManager {
     }
   }
 
+  // Link to the one-time temporary password page for a new member account
+  renderCredentialsLink(url) {
+    let slot = document.getElementById("account-credentials-link");
+    if (!slot) {
+      const container =
+        document.getElementById("intake-form")?.parentElement || document.body;
+      slot = document.createElement("div");
+      slot.id = "account-credentials-link";
+      slot.style.marginTop = "12px";
+      container.appendChild(slot);
+    }
+    slot.innerHTML = "";
+    const a = document.createElement("a");
+    a.href = url;
+    a.textContent = "View your temporary password (shown only once)";
+    a.style.color = "#2563eb";
+    slot.appendChild(a);
+  }
+
+  renderEfmodMessage(text) {
+    const slot = this.getEfmodSlot();
+    const message = document.createElement("div");
+    message.setAttribute("role", "status");
+    message.textContent = text;
+    slot.appendChild(message);
+  }
+
   clearEfmodSlot() {
     const slot = document.getElementById("efsmode-deeplink");
     if (slot) {
@@ -354,18 +911,7 @@ class ProfileManager {
 
   renderEfmodLoading(text = "Loading...") {
     this.ensureSpinnerStyles();
-    let slot = document.getElementById("efsmode-deeplink");
-    const container =
-      slot ||
-      document.getElementById("intake-form")?.parentElement ||
-      document.body;
-    if (!slot) {
-      slot = document.createElement("div");
-      slot.id = "efsmode-deeplink";
-      slot.style.marginTop = "12px";
-      container.appendChild(slot);
-    }
-    slot.innerHTML = "";
+    const slot = this.getEfmodSlot();
     const wrapper = document.createElement("div");
     wrapper.setAttribute("role", "status");
     wrapper.setAttribute("aria-live", "polite");
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+// Eligibility rule set check
+//   node scripts/eligibility-rules.js [--date YYYY-MM-DD]
+//
+// Loads every rule set in ELIGIBILITY_RULES_DIR (default
+// config/eligibility-rules), fails on the first invalid one and shows which
+// set applies on --date (default today). Run it before deploying a new
+// fiscal year's file.
+
+require("dotenv").config();
+
+const {
+  loadRuleSets,
+  getActiveRuleSet,
+  incomeLimitFor,
+} = require("../config/eligibility");
+
+const readOption = (args, name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+const main = () => {
+  const args = process.argv.slice(2);
+  const dateOption = readOption(args, "--date");
+  const date = dateOption ? new Date(`${dateOption}T12:00:00Z`) : new Date();
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid --date "${dateOption}". Use YYYY-MM-DD.`);
+  }
+
+  const ruleSets = loadRuleSets();
+  console.log(`${ruleSets.length} rule set(s):`);
+  for (const r of ruleSets) {
+    console.log(
+      `  ${r.id}  FY ${r.fiscalYear || "-"}  from ${r.effectiveFrom}`
+    );
+  }
+
+  const active = getActiveRuleSet({ date });
+  console.log(
+    `In effect on ${date.toISOString().slice(0, 10)}: ${active.id} (${
+      active.source || "no source noted"
+    })`
+  );
+  for (const size of [1, 2, 3, 4]) {
+    console.log(
+      `  household of ${size}: $${incomeLimitFor(active, size).toLocaleString(
+        "en-US"
+      )} a year`
+    );
+  }
+};
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+// Runs the local Microsoft Graph / login.microsoftonline.com stand-in
+//   node scripts/fake-graph.js [--port 4010] [--domain flwins.onmicrosoft.com]
+//
+// Then start the app with the printed AUTHORITY_HOST and GRAPH_BASE_URL so
+// member accounts and EFSMOD invitations are created in memory here.
+
+const { startFakeGraph } = require("../config/fake-graph");
+
+const readOption = (args, name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const fake = await startFakeGraph({
+    port: Number.parseInt(readOption(args, "--port"), 10) || 4010,
+    domain: readOption(args, "--domain"),
+  });
+
+  console.log(`Fake Graph listening on ${fake.url}`);
+  console.log("Point the app at it with:");
+  for (const [key, value] of Object.entries(fake.env)) {
+    console.log(`  ${key}=${value}`);
+  }
+};
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// Schema migration CLI
+//   node scripts/migrate.js up [--dry-run]
+//   node scripts/migrate.js status
+
+require("dotenv").config();
+
+const { getMigrationStatus, runMigrations } = require("../config/migrations");
+
+const printStatus = (status) => {
+  console.log(`Applied (${status.applied.length}):`);
+  for (const m of status.applied) {
+    const appliedAt = new Date(m.appliedAt).toISOString();
+    console.log(`  ${m.id}  ${appliedAt}  ${m.durationMs}ms  ${m.description}`);
+  }
+  console.log(`Pending (${status.pending.length}):`);
+  for (const m of status.pending) {
+    console.log(`  ${m.id}  ${m.description}`);
+  }
+  if (status.modified.length) {
+    console.warn(
+      `WARNING: applied migrations changed on disk: ${status.modified.join(
+        ", "
+      )}`
+    );
+  }
+  if (status.unknown.length) {
+    console.warn(
+      `WARNING: applied migrations missing on disk: ${status.unknown.join(
+        ", "
+      )}`
+    );
+  }
+};
+
+const main = async () => {
+  const [command = "up", ...flags] = process.argv.slice(2);
+
+  if (command === "status") {
+    printStatus(await getMigrationStatus());
+    return;
+  }
+
+  if (command === "up") {
+    const dryRun = flags.includes("--dry-run");
+    const result = await runMigrations({ dryRun });
+    if (dryRun) {
+      console.log(
+        `Dry run: ${result.pending.length} migration(s) would be applied.`
+      );
+    } else {
+      console.log(`Applied ${result.applied.length} migration(s).`);
+    }
+    return;
+  }
+
+  throw new Error(`Unknown command "${command}". Use "up" or "status".`);
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+// Outbox administration
+//   node scripts/outbox.js list [--status pending|processing|done|dead] [--limit N]
+//   node scripts/outbox.js replay [<message id> ...]
+//
+// replay requeues dead-lettered messages (all of them when no ids are given)
+// with a fresh attempt budget; the running app's worker picks them up.
+
+require("dotenv").config();
+
+const { getStore } = require("../config/stores");
+
+const readOption = (args, name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+const list = async (args) => {
+  const status = readOption(args, "--status") || null;
+  const limit = Number.parseInt(readOption(args, "--limit"), 10) || 50;
+  const messages = await getStore().listOutboxMessages({ status, limit });
+
+  console.log(`${messages.length} message(s)${status ? ` (${status})` : ""}:`);
+  for (const m of messages) {
+    const createdAt = new Date(m.createdAt).toISOString();
+    console.log(
+      `  ${m.id}  ${m.type}  ${m.status}  attempts=${m.attempts}  ${createdAt}`
+    );
+    if (m.status !== "done" && m.lastError) {
+      console.log(`      last error: ${m.lastError}`);
+    }
+  }
+};
+
+const replay = async (args) => {
+  const ids = args.filter((arg) => !arg.startsWith("--"));
+  const count = await getStore().replayOutboxMessages({
+    ids: ids.length ? ids : null,
+  });
+  console.log(`Requeued ${count} dead-lettered message(s).`);
+};
+
+const main = async () => {
+  const [command = "list", ...args] = process.argv.slice(2);
+  if (command === "list") return list(args);
+  if (command === "replay") return replay(args);
+  throw new Error(`Unknown command "${command}". Use list or replay.`);
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
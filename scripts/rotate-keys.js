@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+// Field encryption key rotation
+//   node scripts/rotate-keys.js [--new-key] [--dry-run]
+//
+// --new-key  create a new local key version first (Key Vault: create the new
+//            version in the vault instead, then run without this flag)
+// --dry-run  only count values that would be re-encrypted
+
+require("dotenv").config();
+
+const { getStore } = require("../config/stores");
+const { rotateEncryptedData } = require("../config/stores/encrypted-store");
+
+const main = async () => {
+  const flags = process.argv.slice(2);
+  const dryRun = flags.includes("--dry-run");
+  const store = getStore();
+
+  if (flags.includes("--new-key")) {
+    if (dryRun) {
+      console.log("Dry run: skipping new key version.");
+    } else {
+      const kid = await store.encryptor.keyProvider.createKeyVersion();
+      console.log(`Created key version ${kid}`);
+    }
+  }
+
+  const result = await rotateEncryptedData(store, {
+    dryRun,
+    onProgress: ({ collection, scanned, rotated }) =>
+      console.log(`  ${collection}: scanned ${scanned}, rotate ${rotated}`),
+  });
+
+  console.log(
+    `${dryRun ? "Dry run: would re-encrypt" : "Re-encrypted"} ${
+      result.rotated
+    } of ${result.scanned} row(s) to key ${result.currentKeyId}.`
+  );
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
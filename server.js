@@ -0,0 +1,48 @@
+// Entry point: starts background work and listens. app.js only builds the
+// Express app so tests can load it without a port or worker.
+require("dotenv").config();
+
+const { app, outboxWorker } = require("./app");
+const { getStore } = require("./config/stores");
+const { runMigrations } = require("./config/migrations");
+const { getProvisioningMode } = require("./config/provisioning");
+const { logger } = require("./config/logger");
+
+const port = process.env.PORT || 3000;
+
+logger.info("Starting", {
+  store: getStore().kind,
+  provisioningMode: getProvisioningMode(),
+});
+
+const start = async () => {
+  // Apply pending schema migrations before anything touches the tables they
+  // create. Set SQL_MIGRATE_ON_STARTUP=false to run them only via
+  // `npm run migrate`.
+  if (
+    getStore().kind === "sql" &&
+    process.env.SQL_MIGRATE_ON_STARTUP !== "false"
+  ) {
+    await runMigrations({ logger: { log: (message) => logger.info(message) } });
+  }
+
+  // Set OUTBOX_WORKER_ENABLED=false on instances that should not process
+  // outbox messages.
+  if (process.env.OUTBOX_WORKER_ENABLED !== "false") {
+    outboxWorker.start();
+  }
+
+  app.listen(port, () => {
+    logger.info("Server is running", {
+      port,
+      environment: process.env.NODE_ENV || "development",
+    });
+  });
+};
+
+// A failed migration stops the process rather than serving on a schema the
+// code does not match
+start().catch((err) => {
+  logger.error("Failed to start", err);
+  process.exit(1);
+});
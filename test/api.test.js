@@ -0,0 +1,1059 @@
+// HTTP-level tests for the API routes. Runs the app in-process with the
+// memory store, the Easy Auth emulator (x-dev-persona) and the fake Graph.
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startFakeGraph } = require("../config/fake-graph");
+
+let fake;
+let server;
+let baseUrl;
+
+const request = (path, { persona, headers = {}, ...options } = {}) =>
+  fetch(`${baseUrl}${path}`, {
+    ...options,
+    redirect: "manual",
+    headers: {
+      ...(persona ? { "x-dev-persona": persona } : {}),
+      ...(options.body ? { "Content-Type": "application/json" } : {}),
+      ...headers,
+    },
+  });
+
+before(async () => {
+  fake = await startFakeGraph();
+  Object.assign(process.env, fake.env, {
+    NODE_ENV: "test",
+    INTAKE_STORE: "memory",
+    EASY_AUTH_EMULATOR: "true",
+    PROVISIONING_MODE: "guest",
+    PROVISIONING_WAIT_MS: "5000",
+    READINESS_CACHE_MS: "0",
+    EFSMOD_TENANT_ID: "efsmod-tenant",
+    EFSMOD_CLIENT_ID: "efsmod-app",
+    EFSMOD_CLIENT_SECRET: "efsmod-secret",
+    EFSMOD_BASE_URL: "efsmod.example.net",
+  });
+
+  const { app } = require("../app");
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await fake.close();
+});
+
+describe("GET /health", () => {
+  it("reports healthy without authentication", async () => {
+    const res = await request("/health");
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.status, "healthy");
+    assert.equal(typeof body.uptime, "number");
+  });
+});
+
+describe("GET /health/ready", () => {
+  it("checks the store, EFSMOD settings and token without authentication", async () => {
+    const res = await request("/health/ready");
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.status, "up");
+    assert.deepEqual(Object.keys(body.checks).sort(), [
+      "efsmodConfig",
+      "efsmodToken",
+      "provisioning",
+      "store",
+    ]);
+    assert.equal(body.checks.efsmodToken.status, "up");
+  });
+
+  it("reports degraded when EFSMOD settings are broken", async () => {
+    const baseUrl = process.env.EFSMOD_BASE_URL;
+    process.env.EFSMOD_BASE_URL = "https://not a host";
+    try {
+      const res = await request("/health/ready");
+      assert.equal(res.status, 200);
+      const body = await res.json();
+      assert.equal(body.status, "degraded");
+      assert.deepEqual(Object.keys(body.checks.efsmodConfig).sort(), [
+        "latencyMs",
+        "status",
+      ]);
+      assert.equal(body.checks.efsmodConfig.status, "down");
+      assert.equal(body.checks.store.status, "up");
+      assert.ok(!JSON.stringify(body).includes("EFSMOD_BASE_URL"));
+    } finally {
+      process.env.EFSMOD_BASE_URL = baseUrl;
+    }
+  });
+
+  it("reports down with 503 when intakes cannot be saved", async () => {
+    process.env.PROVISIONING_MODE = "everything";
+    try {
+      const res = await request("/health/ready");
+      assert.equal(res.status, 503);
+      assert.equal((await res.json()).status, "down");
+    } finally {
+      process.env.PROVISIONING_MODE = "guest";
+    }
+  });
+});
+
+describe("GET /api/auth/status and /api/auth/me", () => {
+  for (const path of ["/api/auth/status", "/api/auth/me"]) {
+    it(`${path} reports anonymous callers as signed out`, async () => {
+      const res = await request(path);
+      assert.equal(res.status, 200);
+      assert.deepEqual(await res.json(), {
+        authenticated: false,
+        user: null,
+      });
+    });
+
+    it(`${path} returns the signed-in persona and its roles`, async () => {
+      const res = await request(path, { persona: "caseworker" });
+      const body = await res.json();
+      assert.equal(body.authenticated, true);
+      assert.equal(body.user.id, "priya.shah@example.gov");
+      assert.deepEqual(body.user.roles, ["applicant", "caseworker"]);
+    });
+  }
+
+  it("ignores cookies with malformed percent-encoding", async () => {
+    const res = await request("/api/auth/status", {
+      headers: { Cookie: "broken=%E0%A4%A; AppServiceAuthSession=caseworker" },
+    });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.user.id, "priya.shah@example.gov");
+  });
+});
+
+describe("GET /api/profile", () => {
+  it("requires sign-in", async () => {
+    const res = await request("/api/profile");
+    assert.equal(res.status, 401);
+  });
+
+  it("returns the profile from claims when there is no Graph token", async () => {
+    const res = await request("/api/profile", { persona: "applicant" });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.profile.email, "jane.rivera@example.com");
+    assert.equal(body.profile.firstName, "Jane");
+    assert.equal(body.graph, null);
+  });
+
+  it("enriches the profile from Graph /me with the delegated token", async () => {
+    const user = fake.addUser("home-tenant", {
+      userPrincipalName: "jane.rivera@example.com",
+      displayName: "Jane Q. Rivera",
+      givenName: "Jane",
+      surname: "Rivera",
+      jobTitle: "Eligibility Analyst",
+      city: "Tallahassee",
+    });
+    const res = await request("/api/profile", {
+      persona: "applicant",
+      headers: {
+        "x-ms-token-aad-access-token": fake.issueUserToken(
+          "home-tenant",
+          user.id
+        ),
+      },
+    });
+    const body = await res.json();
+    assert.equal(body.profile.displayName, "Jane Q. Rivera");
+    assert.equal(body.profile.jobTitle, "Eligibility Analyst");
+    assert.equal(body.profile.city, "Tallahassee");
+    assert.equal(body.graph.givenName, "Jane");
+  });
+
+  it("falls back to claims when Graph rejects the token", async () => {
+    const res = await request("/api/profile", {
+      persona: "applicant",
+      headers: { "x-ms-token-aad-access-token": "expired-token" },
+    });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.graph, null);
+    assert.equal(body.profile.displayName, "Jane Rivera");
+  });
+});
+
+describe("POST /api/intake", () => {
+  it("requires sign-in", async () => {
+    const res = await request("/api/intake", {
+      method: "POST",
+      body: JSON.stringify({}),
+    });
+    assert.equal(res.status, 401);
+  });
+
+  it("rejects invalid fields with 422 and per-field messages", async () => {
+    const res = await request("/api/intake", {
+      method: "POST",
+      persona: "applicant",
+      body: JSON.stringify({ zipCode: "ABCDE", phone: "12345" }),
+    });
+    assert.equal(res.status, 422);
+    const body = await res.json();
+    assert.deepEqual(Object.keys(body.fields).sort(), ["phone", "zipCode"]);
+    const versions = await request("/api/intake/versions", {
+      persona: "applicant",
+    });
+    assert.deepEqual((await versions.json()).versions, []);
+  });
+
+  it("saves a version and invites the applicant to EFSMOD", async () => {
+    const res = await request("/api/intake", {
+      method: "POST",
+      persona: "applicant-2",
+      body: JSON.stringify({ city: "  Miami  ", phone: "305-555-0100" }),
+    });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.version.sequence, 1);
+    assert.equal(body.accountCreation.mode, "guest");
+    assert.equal(body.accountCreation.guest, "invited");
+    assert.equal(body.accountCreation.invitedEmail, "marcus.lee@example.com");
+    assert.match(body.accountCreation.inviteRedeemUrl, /\/redeem\//);
+
+    const guests = fake
+      .users("efsmod-tenant")
+      .filter((u) => u.mail === "marcus.lee@example.com");
+    assert.equal(guests.length, 1);
+
+    const versions = await request("/api/intake/versions/1", {
+      persona: "applicant-2",
+    });
+    const { version } = await versions.json();
+    assert.equal(version.city, "Miami");
+  });
+
+  it("numbers resubmissions without inviting again", async () => {
+    const res = await request("/api/intake", {
+      method: "POST",
+      persona: "applicant-2",
+      body: JSON.stringify({ city: "Orlando" }),
+    });
+    const body = await res.json();
+    assert.equal(body.version.sequence, 2);
+    assert.equal(body.accountCreation.guest, "invited");
+    const invites = fake.state.requests.filter(
+      (r) => r.route === "POST /v1.0/invitations"
+    );
+    assert.equal(invites.length, 1);
+  });
+});
+
+describe("/api/intake/draft", () => {
+  const saveDraft = (persona, draft) =>
+    request("/api/intake/draft", {
+      method: "PUT",
+      persona,
+      body: JSON.stringify(draft),
+    });
+
+  it("requires sign-in", async () => {
+    assert.equal((await request("/api/intake/draft")).status, 401);
+  });
+
+  it("returns 404 until a draft is saved", async () => {
+    const res = await request("/api/intake/draft", { persona: "caseworker" });
+    assert.equal(res.status, 404);
+  });
+
+  it("saves a partial draft and resumes it", async () => {
+    const res = await saveDraft("caseworker", {
+      step: "contact",
+      data: { city: "Tampa", zipCode: "336" },
+    });
+    assert.equal(res.status, 200);
+
+    const resumed = await request("/api/intake/draft", {
+      persona: "caseworker",
+    });
+    const { draft } = await resumed.json();
+    assert.equal(draft.step, "contact");
+    assert.deepEqual(draft.data, { city: "Tampa", zipCode: "336" });
+    assert.ok(draft.updatedAt);
+  });
+
+  it("rejects overlong answers with 422", async () => {
+    const res = await saveDraft("caseworker", {
+      step: "contact",
+      data: { city: "x".repeat(151) },
+    });
+    assert.equal(res.status, 422);
+    assert.ok((await res.json()).fields.city);
+  });
+
+  it("deletes the draft when the intake is submitted", async () => {
+    const res = await request("/api/intake", {
+      method: "POST",
+      persona: "caseworker",
+      body: JSON.stringify({ city: "Tampa", zipCode: "33602" }),
+    });
+    assert.equal(res.status, 200);
+    const draft = await request("/api/intake/draft", { persona: "caseworker" });
+    assert.equal(draft.status, 404);
+  });
+
+  it("can be discarded", async () => {
+    await saveDraft("caseworker", { step: "applicant", data: {} });
+    const res = await request("/api/intake/draft", {
+      method: "DELETE",
+      persona: "caseworker",
+    });
+    assert.equal(res.status, 204);
+    const draft = await request("/api/intake/draft", { persona: "caseworker" });
+    assert.equal(draft.status, 404);
+  });
+});
+
+describe("/api/household/members", () => {
+  const ava = {
+    firstName: "Ava",
+    lastName: "Shah",
+    relationship: "child",
+    dateOfBirth: "2022-06-01",
+    careNeeded: "full-time",
+  };
+  let memberId;
+
+  it("requires sign-in", async () => {
+    assert.equal((await request("/api/household/members")).status, 401);
+  });
+
+  it("adds a member and lists it", async () => {
+    const res = await request("/api/household/members", {
+      method: "POST",
+      persona: "caseworker",
+      body: JSON.stringify(ava),
+    });
+    assert.equal(res.status, 201);
+    const { member } = await res.json();
+    assert.equal(member.firstName, "Ava");
+    assert.equal(typeof member.age, "number");
+    memberId = member.id;
+
+    const list = await request("/api/household/members", {
+      persona: "caseworker",
+    });
+    const { members } = await list.json();
+    assert.deepEqual(
+      members.map((m) => m.id),
+      [memberId]
+    );
+  });
+
+  it("rejects invalid members with 422", async () => {
+    const res = await request("/api/household/members", {
+      method: "POST",
+      persona: "caseworker",
+      body: JSON.stringify({ ...ava, dateOfBirth: "2999-01-01" }),
+    });
+    assert.equal(res.status, 422);
+    assert.ok((await res.json()).fields.dateOfBirth);
+  });
+
+  it("updates a member", async () => {
+    const res = await request(`/api/household/members/${memberId}`, {
+      method: "PUT",
+      persona: "caseworker",
+      body: JSON.stringify({ ...ava, careNeeded: "part-time" }),
+    });
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).member.careNeeded, "part-time");
+  });
+
+  it("hides members from other applicants", async () => {
+    const res = await request(`/api/household/members/${memberId}`, {
+      method: "PUT",
+      persona: "applicant",
+      body: JSON.stringify(ava),
+    });
+    assert.equal(res.status, 404);
+    const list = await request("/api/household/members", {
+      persona: "applicant",
+    });
+    assert.deepEqual((await list.json()).members, []);
+  });
+
+  it("lets staff read an applicant's household", async () => {
+    const path = `/api/applicants/${encodeURIComponent(
+      "priya.shah@example.gov"
+    )}/household/members`;
+    assert.equal((await request(path, { persona: "applicant" })).status, 403);
+    const res = await request(path, { persona: "caseworker" });
+    assert.equal((await res.json()).members.length, 1);
+  });
+
+  it("removes a member", async () => {
+    const path = `/api/household/members/${memberId}`;
+    const res = await request(path, {
+      method: "DELETE",
+      persona: "caseworker",
+    });
+    assert.equal(res.status, 204);
+    const again = await request(path, {
+      method: "DELETE",
+      persona: "caseworker",
+    });
+    assert.equal(again.status, 404);
+    const bogus = await request("/api/household/members/not-an-id", {
+      method: "DELETE",
+      persona: "caseworker",
+    });
+    assert.equal(bogus.status, 404);
+  });
+});
+
+describe("/api/documents", () => {
+  const pdf = Buffer.from("%PDF-1.7\n1 0 obj\n<<>>\nendobj\n%%EOF\n");
+  const upload = (query, body, contentType = "application/pdf") =>
+    request(`/api/documents?${new URLSearchParams(query)}`, {
+      method: "POST",
+      persona: "applicant",
+      headers: { "Content-Type": contentType },
+      body,
+    });
+  let documentId;
+
+  it("requires sign-in", async () => {
+    assert.equal((await request("/api/documents")).status, 401);
+  });
+
+  it("uploads a document and lists it", async () => {
+    const res = await upload(
+      {
+        category: "proof-of-income",
+        fileName: "C:\\fakepath\\Paystub März.pdf",
+      },
+      pdf
+    );
+    assert.equal(res.status, 201);
+    const { document } = await res.json();
+    assert.equal(document.fileName, "Paystub März.pdf");
+    assert.equal(document.sizeBytes, pdf.length);
+    assert.equal("storageKey" in document, false);
+    documentId = document.id;
+
+    const list = await request("/api/documents", { persona: "applicant" });
+    const { documents } = await list.json();
+    assert.deepEqual(
+      documents.map((d) => d.id),
+      [documentId]
+    );
+  });
+
+  it("downloads the file as an attachment", async () => {
+    const res = await request(`/api/documents/${documentId}/file`, {
+      persona: "applicant",
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), "application/pdf");
+    assert.match(
+      res.headers.get("content-disposition"),
+      /^attachment; filename="Paystub M_rz.pdf"; filename\*=UTF-8''Paystub%20M%C3%A4rz.pdf$/
+    );
+    assert.deepEqual(Buffer.from(await res.arrayBuffer()), pdf);
+  });
+
+  it("rejects files whose contents do not match their type", async () => {
+    const res = await upload(
+      { category: "proof-of-income", fileName: "paystub.pdf" },
+      Buffer.from("MZ\x90\x00not really a pdf")
+    );
+    assert.equal(res.status, 422);
+    const { fields } = await res.json();
+    assert.match(fields.file, /do not match/);
+
+    const text = await upload(
+      { category: "other", fileName: "notes.txt" },
+      "hello",
+      "text/plain"
+    );
+    assert.match((await text.json()).fields.file, /PDF, JPEG or PNG/);
+  });
+
+  it("rejects oversized files with 413", async () => {
+    const res = await upload(
+      { category: "other", fileName: "big.pdf" },
+      Buffer.alloc(10 * 1024 * 1024 + 1)
+    );
+    assert.equal(res.status, 413);
+    assert.ok((await res.json()).fields.file);
+  });
+
+  it("keeps documents private to their owner", async () => {
+    const res = await request(`/api/documents/${documentId}/file`, {
+      persona: "applicant-2",
+    });
+    assert.equal(res.status, 404);
+    const removed = await request(`/api/documents/${documentId}`, {
+      method: "DELETE",
+      persona: "applicant-2",
+    });
+    assert.equal(removed.status, 404);
+  });
+
+  it("lets staff list and download any applicant's documents", async () => {
+    const path = `/api/applicants/${encodeURIComponent(
+      "jane.rivera@example.com"
+    )}/documents`;
+    assert.equal((await request(path, { persona: "applicant-2" })).status, 403);
+    const list = await request(path, { persona: "caseworker" });
+    assert.equal((await list.json()).documents.length, 1);
+    const file = await request(`${path}/${documentId}/file`, {
+      persona: "caseworker",
+    });
+    assert.equal(file.status, 200);
+  });
+
+  it("deletes a document", async () => {
+    const res = await request(`/api/documents/${documentId}`, {
+      method: "DELETE",
+      persona: "applicant",
+    });
+    assert.equal(res.status, 204);
+    const file = await request(`/api/documents/${documentId}/file`, {
+      persona: "applicant",
+    });
+    assert.equal(file.status, 404);
+  });
+});
+
+describe("/api/applications", () => {
+  const applicant = encodeURIComponent("marcus.lee@example.com");
+  const statusPath = `/api/applicants/${applicant}/applications/school-readiness/status`;
+  const setStatus = (persona, body, path = statusPath) =>
+    request(path, { method: "POST", persona, body: JSON.stringify(body) });
+  const ownApplications = async (persona) =>
+    (await (await request("/api/applications", { persona })).json())
+      .applications;
+
+  it("requires sign-in", async () => {
+    const res = await request("/api/applications");
+    assert.equal(res.status, 401);
+  });
+
+  it("shows a submitted application with its history and next steps", async () => {
+    const [application] = await ownApplications("applicant-2");
+    assert.equal(application.id, "school-readiness");
+    assert.equal(application.status, "efsmod-invited");
+    assert.equal(application.version, 2);
+    assert.deepEqual(
+      application.timeline.map((entry) => entry.label),
+      [
+        "Application submitted",
+        "EFSMOD invitation sent",
+        "Application resubmitted (version 2)",
+      ]
+    );
+    assert.deepEqual(
+      application.nextActions.map((a) => a.id),
+      ["accept-efsmod", "upload-documents"]
+    );
+  });
+
+  it("lets only staff change the status", async () => {
+    const res = await setStatus("applicant-2", { status: "approved" });
+    assert.equal(res.status, 403);
+  });
+
+  it("rejects unknown statuses and denials without a reason", async () => {
+    const unknown = await setStatus("caseworker", { status: "submitted" });
+    assert.equal(unknown.status, 422);
+    const denial = await setStatus("caseworker", { status: "denied" });
+    assert.deepEqual(Object.keys((await denial.json()).fields), ["reason"]);
+  });
+
+  it("refuses to review an application that was never submitted", async () => {
+    const res = await setStatus(
+      "caseworker",
+      { status: "in-review" },
+      `/api/applicants/${encodeURIComponent(
+        "nobody@example.com"
+      )}/applications/school-readiness/status`
+    );
+    assert.equal(res.status, 409);
+  });
+
+  it("records decisions and shows them to the applicant", async () => {
+    const review = await setStatus("caseworker", { status: "in-review" });
+    assert.equal(review.status, 201);
+    const res = await setStatus("caseworker", {
+      status: "denied",
+      reason: "Income is above the limit.",
+    });
+    const { application } = await res.json();
+    assert.equal(application.status, "denied");
+    const last = application.timeline[application.timeline.length - 1];
+    assert.equal(last.changedBy, "priya.shah@example.gov");
+    assert.equal(last.reason, "Income is above the limit.");
+
+    const [own] = await ownApplications("applicant-2");
+    assert.equal(own.status, "denied");
+    assert.equal(own.decision.reason, "Income is above the limit.");
+    assert.equal("changedBy" in own.timeline[own.timeline.length - 1], false);
+    assert.deepEqual(
+      own.nextActions.map((a) => a.id),
+      ["accept-efsmod", "resubmit"]
+    );
+  });
+
+  it("lets staff read any applicant's applications", async () => {
+    const path = `/api/applicants/${applicant}/applications`;
+    assert.equal((await request(path, { persona: "applicant" })).status, 403);
+    const res = await request(path, { persona: "caseworker" });
+    const { applications } = await res.json();
+    assert.equal(applications[0].status, "denied");
+  });
+});
+
+describe("caseworker portal", () => {
+  const marcus = `/api/applicants/${encodeURIComponent(
+    "marcus.lee@example.com"
+  )}`;
+  const search = async (query, persona = "caseworker") => {
+    const res = await request(`/api/applicants?${new URLSearchParams(query)}`, {
+      persona,
+    });
+    assert.equal(res.status, 200);
+    return res.json();
+  };
+  const assign = (persona, caseworkerId) =>
+    request(`${marcus}/assignment`, {
+      method: "PUT",
+      persona,
+      body: JSON.stringify({ caseworkerId }),
+    });
+
+  it("is limited to staff", async () => {
+    const res = await request("/api/applicants", { persona: "applicant-2" });
+    assert.equal(res.status, 403);
+    const detail = await request(marcus, { persona: "applicant-2" });
+    assert.equal(detail.status, 403);
+  });
+
+  it("searches by name, email, ZIP and submission date", async () => {
+    const byName = await search({ name: "mar le" });
+    assert.deepEqual(
+      byName.cases.map((c) => c.userId),
+      ["marcus.lee@example.com"]
+    );
+    assert.equal(byName.cases[0].email, "marcus.lee@example.com");
+
+    const byEmail = await search({ email: "MARCUS.LEE@example.com" });
+    assert.equal(byEmail.total, 1);
+    assert.equal((await search({ email: "marcus@example.com" })).total, 0);
+
+    const byZip = await search({ zipCode: "336" });
+    assert.deepEqual(
+      byZip.cases.map((c) => c.zipCode),
+      ["33602"]
+    );
+
+    const today = new Date().toISOString().slice(0, 10);
+    assert.ok((await search({ submittedFrom: today })).total >= 2);
+    assert.equal((await search({ submittedTo: "2020-01-01" })).total, 0);
+  });
+
+  it("pages through results", async () => {
+    const first = await search({ pageSize: 1 });
+    assert.ok(first.total >= 2);
+    assert.equal(first.totalPages, first.total);
+    const second = await search({ pageSize: 1, page: 2 });
+    assert.notEqual(second.cases[0].userId, first.cases[0].userId);
+  });
+
+  it("rejects invalid searches field by field", async () => {
+    const res = await request(
+      "/api/applicants?zipCode=3a&submittedFrom=2025-02-30&pageSize=500",
+      { persona: "caseworker" }
+    );
+    assert.equal(res.status, 422);
+    assert.deepEqual(Object.keys((await res.json()).fields).sort(), [
+      "pageSize",
+      "submittedFrom",
+      "zipCode",
+    ]);
+  });
+
+  it("shows a case with its history and application", async () => {
+    const res = await request(marcus, { persona: "caseworker" });
+    assert.equal(res.status, 200);
+    const { case: item } = await res.json();
+    assert.equal(item.intake.city, "Orlando");
+    assert.equal(item.intake.email, "marcus.lee@example.com");
+    assert.deepEqual(
+      item.versions.map((v) => v.sequence),
+      [2, 1]
+    );
+    assert.equal(item.assignment, null);
+    assert.equal(item.applications[0].id, "school-readiness");
+
+    const missing = await request(
+      `/api/applicants/${encodeURIComponent("nobody@example.com")}`,
+      { persona: "caseworker" }
+    );
+    assert.equal(missing.status, 404);
+  });
+
+  it("keeps internal notes", async () => {
+    const empty = await request(`${marcus}/notes`, {
+      method: "POST",
+      persona: "caseworker",
+      body: JSON.stringify({ body: "  " }),
+    });
+    assert.equal(empty.status, 422);
+
+    const res = await request(`${marcus}/notes`, {
+      method: "POST",
+      persona: "caseworker",
+      body: JSON.stringify({ body: "Called about the pay stubs." }),
+    });
+    assert.equal(res.status, 201);
+    const { note } = await res.json();
+    assert.equal(note.authorId, "priya.shah@example.gov");
+
+    const detail = await (
+      await request(marcus, { persona: "caseworker" })
+    ).json();
+    assert.deepEqual(
+      detail.case.notes.map((n) => n.body),
+      ["Called about the pay stubs."]
+    );
+  });
+
+  it("lets caseworkers take unassigned cases", async () => {
+    assert.equal((await search({ assignedTo: "me" })).total, 0);
+    const res = await assign("caseworker", "priya.shah@example.gov");
+    assert.equal(res.status, 200);
+    const { assignment } = await res.json();
+    assert.equal(assignment.assignedTo, "priya.shah@example.gov");
+    assert.equal(assignment.assignedToName, "Priya Shah");
+    assert.deepEqual(
+      (await search({ assignedTo: "me" })).cases.map((c) => c.userId),
+      ["marcus.lee@example.com"]
+    );
+    const unassigned = await search({ assignedTo: "unassigned" });
+    assert.ok(
+      unassigned.cases.every((c) => c.userId !== "marcus.lee@example.com")
+    );
+  });
+
+  it("leaves reassignment to agency administrators", async () => {
+    const res = await assign("caseworker", "tom.becker@example.gov");
+    assert.equal(res.status, 403);
+    const admin = await assign("agency-admin", "tom.becker@example.gov");
+    assert.equal(admin.status, 200);
+    assert.equal((await assign("caseworker", null)).status, 403);
+    const released = await assign("agency-admin", null);
+    assert.equal((await released.json()).assignment, null);
+  });
+});
+
+describe("audit log", () => {
+  const searchAudit = async (query, persona = "agency-admin") => {
+    const res = await request(`/api/audit?${new URLSearchParams(query)}`, {
+      persona,
+    });
+    assert.equal(res.status, 200);
+    return res.json();
+  };
+
+  it("returns a correlation id on every response", async () => {
+    const own = await request("/health", {
+      headers: { "X-Correlation-Id": "trace-123" },
+    });
+    assert.equal(own.headers.get("x-correlation-id"), "trace-123");
+    const replaced = await request("/health", {
+      headers: { "X-Correlation-Id": "bad id <script>" },
+    });
+    assert.match(replaced.headers.get("x-correlation-id"), /^[0-9a-f-]{36}$/);
+  });
+
+  it("is limited to agency administrators", async () => {
+    assert.equal((await request("/api/audit")).status, 401);
+    const res = await request("/api/audit", { persona: "caseworker" });
+    assert.equal(res.status, 403);
+    const exported = await request("/api/audit/export", {
+      persona: "applicant",
+    });
+    assert.equal(exported.status, 403);
+  });
+
+  it("records an intake save and its EFSMOD invite under one correlation id", async () => {
+    const res = await request("/api/intake", {
+      method: "POST",
+      persona: "applicant",
+      headers: { "X-Correlation-Id": "audit-intake-1" },
+      body: JSON.stringify({ city: "Tallahassee", zipCode: "32301" }),
+    });
+    assert.equal(res.status, 200);
+
+    const { events } = await searchAudit({ correlationId: "audit-intake-1" });
+    const submit = events.find((e) => e.action === "intake.submit");
+    assert.equal(submit.actorType, "user");
+    assert.equal(submit.actorId, "jane.rivera@example.com");
+    assert.equal(submit.targetId, "jane.rivera@example.com");
+    assert.equal(submit.recordId, "1");
+    assert.ok(submit.fields.includes("city"));
+    assert.ok(submit.ip);
+    assert.ok(!JSON.stringify(submit).includes("Tallahassee"));
+
+    const invite = events.find((e) => e.action === "efsmod.invite");
+    assert.equal(invite.actorType, "system");
+    assert.equal(invite.targetId, "jane.rivera@example.com");
+    assert.ok(invite.fields.includes("email"));
+  });
+
+  it("passes the correlation id on to Graph", () => {
+    const invite = fake.state.requests.find(
+      (r) =>
+        r.route === "POST /v1.0/invitations" &&
+        r.correlationId === "audit-intake-1"
+    );
+    assert.ok(invite);
+    // Graph only takes GUIDs as client-request-id
+    assert.equal(invite.clientRequestId, null);
+  });
+
+  it("lists only the fields a resubmission changed", async () => {
+    const { events } = await searchAudit({
+      targetId: "marcus.lee@example.com",
+      action: "intake.submit",
+    });
+    const resubmit = events.find((e) => e.recordId === "2");
+    assert.ok(resubmit.fields.includes("city"));
+    assert.ok(!resubmit.fields.includes("email"));
+  });
+
+  it("records reads by applicants and staff", async () => {
+    await request("/api/profile", { persona: "applicant" });
+    const profile = await searchAudit({
+      actorId: "jane.rivera@example.com",
+      action: "profile.read",
+    });
+    assert.ok(profile.total >= 1);
+
+    const byStaff = await searchAudit({
+      actorId: "priya.shah@example.gov",
+      targetId: "marcus.lee@example.com",
+    });
+    assert.ok(byStaff.events.some((e) => e.action === "case.read"));
+    assert.ok(byStaff.events.some((e) => e.action === "case.note.add"));
+  });
+
+  it("validates the query and audits who searched", async () => {
+    const res = await request("/api/audit?action=nope&from=2025-13-01", {
+      persona: "agency-admin",
+    });
+    assert.equal(res.status, 422);
+    assert.deepEqual(Object.keys((await res.json()).fields).sort(), [
+      "action",
+      "from",
+    ]);
+
+    await searchAudit({ targetId: "jane.rivera@example.com" });
+    const { events } = await searchAudit({
+      actorId: "tom.becker@example.gov",
+      action: "audit.search",
+    });
+    assert.deepEqual(events[0].fields, ["targetId"]);
+    assert.equal(events[0].targetId, "jane.rivera@example.com");
+  });
+
+  it("exports events as CSV or NDJSON", async () => {
+    const csv = await request(
+      "/api/audit/export?targetId=jane.rivera%40example.com",
+      { persona: "agency-admin" }
+    );
+    assert.equal(csv.status, 200);
+    assert.match(csv.headers.get("content-type"), /^text\/csv/);
+    assert.match(csv.headers.get("content-disposition"), /attachment/);
+    const lines = (await csv.text()).trim().split("\r\n");
+    assert.match(lines[0], /^id,occurredAt,actorType,actorId,action/);
+    assert.ok(lines.some((line) => line.includes("intake.submit")));
+
+    const ndjson = await request(
+      "/api/audit/export?format=ndjson&action=efsmod.invite",
+      { persona: "agency-admin" }
+    );
+    const records = (await ndjson.text())
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+    assert.ok(records.every((r) => r.action === "efsmod.invite"));
+
+    const bad = await request("/api/audit/export?format=xml", {
+      persona: "agency-admin",
+    });
+    assert.equal(bad.status, 422);
+  });
+});
+
+describe("/api/eligibility", () => {
+  it("serves the screening questions without sign-in", async () => {
+    const res = await request("/api/eligibility/questions");
+    assert.equal(res.status, 200);
+    const questions = await res.json();
+    assert.ok(questions.ruleSet.effectiveFrom);
+    assert.ok(questions.activities.some((a) => a.askHours));
+    assert.ok(questions.incomeFrequencies.some((f) => f.value === "monthly"));
+  });
+
+  it("screens answers and explains the result", async () => {
+    const res = await request("/api/eligibility/screen", {
+      method: "POST",
+      body: JSON.stringify({
+        householdSize: "3",
+        income: "1500",
+        incomeFrequency: "monthly",
+        activity: "employment",
+        hoursPerWeek: "32",
+        hasEligibleChild: "yes",
+      }),
+    });
+    assert.equal(res.status, 200);
+    const screening = await res.json();
+    assert.equal(screening.result, "likely-eligible");
+    assert.equal(screening.annualIncome, 18000);
+    assert.ok(screening.reasons.every((r) => r.message));
+  });
+
+  it("rejects incomplete answers field by field", async () => {
+    const res = await request("/api/eligibility/screen", {
+      method: "POST",
+      body: JSON.stringify({ householdSize: "0", activity: "employment" }),
+    });
+    assert.equal(res.status, 422);
+    const { fields } = await res.json();
+    assert.ok(fields.householdSize);
+    assert.ok(fields.hoursPerWeek);
+  });
+});
+
+describe("GET /api/intake/schema", () => {
+  it("serves the intake field rules", async () => {
+    const res = await request("/api/intake/schema");
+    assert.equal(res.status, 200);
+    const { steps, fields, householdMember, documents } = await res.json();
+    assert.equal(steps[steps.length - 1].id, "review");
+    assert.ok(householdMember.fields.some((f) => f.name === "dateOfBirth"));
+    assert.ok(documents.contentTypes.includes("application/pdf"));
+    const zip = fields.find((f) => f.name === "zipCode");
+    assert.equal(zip.label, "ZIP Code");
+    assert.ok(zip.pattern);
+  });
+});
+
+describe("GET /api/efsmod/config-status", () => {
+  it("is limited to system administrators", async () => {
+    assert.equal((await request("/api/efsmod/config-status")).status, 401);
+    const res = await request("/api/efsmod/config-status", {
+      persona: "caseworker",
+    });
+    assert.equal(res.status, 403);
+  });
+
+  it("reports which settings are present without exposing secrets", async () => {
+    const res = await request("/api/efsmod/config-status", {
+      persona: "system-admin",
+    });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.EFSMOD_CLIENT_SECRET, true);
+    assert.equal(body.normalizedBaseUrl, "https://efsmod.example.net");
+    assert.ok(!JSON.stringify(body).includes("efsmod-secret"));
+  });
+});
+
+describe("/api/account/credentials", () => {
+  const saved = {};
+
+  before(() => {
+    const env = {
+      PROVISIONING_MODE: "member",
+      AZ_TENANT_ID: "home-tenant",
+      AZ_CLIENT_ID: "home-app",
+      AZ_CLIENT_SECRET: "home-secret",
+    };
+    for (const name of Object.keys(env)) saved[name] = process.env[name];
+    Object.assign(process.env, env);
+  });
+
+  after(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  it("requires sign-in", async () => {
+    assert.equal((await request("/api/account/credentials")).status, 401);
+    const res = await request("/api/account/credentials/view", {
+      method: "POST",
+    });
+    assert.equal(res.status, 401);
+  });
+
+  it("returns 404 before a password is issued", async () => {
+    const res = await request("/api/account/credentials", {
+      persona: "applicant",
+    });
+    assert.equal(res.status, 404);
+  });
+
+  it("shows the initial password once and never in the intake response", async () => {
+    const intake = await request("/api/intake", {
+      method: "POST",
+      persona: "applicant",
+      body: JSON.stringify({ city: "Tallahassee" }),
+    });
+    assert.equal(intake.status, 200);
+    const intakeText = await intake.text();
+    const { accountCreation } = JSON.parse(intakeText);
+    assert.equal(accountCreation.member, "created");
+    assert.equal(accountCreation.credentials.status, "available");
+    assert.equal(accountCreation.credentials.viewUrl, "/account-password");
+
+    const status = await request("/api/account/credentials", {
+      persona: "applicant",
+    });
+    assert.equal((await status.json()).status, "available");
+
+    const view = await request("/api/account/credentials/view", {
+      method: "POST",
+      persona: "applicant",
+    });
+    assert.equal(view.status, 200);
+    assert.equal(view.headers.get("cache-control"), "no-store");
+    const { password, mustChangeOnSignIn } = await view.json();
+    assert.ok(password.length >= 12);
+    assert.equal(mustChangeOnSignIn, true);
+    assert.ok(!intakeText.includes(password));
+
+    const again = await request("/api/account/credentials/view", {
+      method: "POST",
+      persona: "applicant",
+    });
+    assert.equal(again.status, 410);
+    assert.ok(!(await again.text()).includes(password));
+
+    const later = await request("/api/account/credentials", {
+      persona: "applicant",
+    });
+    const viewed = await later.json();
+    assert.equal(viewed.status, "viewed");
+    assert.equal(viewed.viewUrl, null);
+  });
+});
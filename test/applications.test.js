@@ -0,0 +1,162 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  APPLICATION_STATUS,
+  validateStatusChange,
+  buildApplication,
+} = require("../config/applications");
+
+const draft = {
+  createdAt: "2025-09-01T10:00:00.000Z",
+  updatedAt: "2025-09-02T10:00:00.000Z",
+};
+const version = (sequence, submittedAt) => ({ sequence, submittedAt });
+const v1 = version(1, "2025-09-03T10:00:00.000Z");
+const v2 = version(2, "2025-09-10T10:00:00.000Z");
+const invited = {
+  status: "invited",
+  invitedAt: "2025-09-03T10:00:05.000Z",
+};
+const event = (status, createdAt, extra = {}) => ({
+  status,
+  createdAt,
+  changedBy: "priya.shah@example.gov",
+  changedByName: "Priya Shah",
+  reason: null,
+  ...extra,
+});
+const actions = (application) => application.nextActions.map((a) => a.id);
+
+describe("validateStatusChange", () => {
+  it("accepts caseworker statuses", () => {
+    const { change, errors } = validateStatusChange({
+      status: "approved",
+      reason: "  ",
+    });
+    assert.deepEqual(errors, {});
+    assert.deepEqual(change, { status: "approved", reason: null });
+  });
+
+  it("rejects statuses the applicant's actions set", () => {
+    const { errors } = validateStatusChange({ status: "submitted" });
+    assert.deepEqual(Object.keys(errors), ["status"]);
+  });
+
+  it("needs a reason for a denial", () => {
+    assert.ok(validateStatusChange({ status: "denied" }).errors.reason);
+    assert.ok(
+      validateStatusChange({ status: "denied", reason: "x".repeat(1001) })
+        .errors.reason
+    );
+    assert.deepEqual(
+      validateStatusChange({ status: "denied", reason: "Over income" }).errors,
+      {}
+    );
+  });
+});
+
+describe("buildApplication", () => {
+  it("is null until the applicant starts", () => {
+    assert.equal(buildApplication({}), null);
+  });
+
+  it("reports a draft with a continue action", () => {
+    const application = buildApplication({ draft });
+    assert.equal(application.status, APPLICATION_STATUS.DRAFT);
+    assert.equal(application.startedAt, draft.createdAt);
+    assert.equal(application.submittedAt, null);
+    assert.deepEqual(actions(application), ["continue"]);
+  });
+
+  it("is submitted, then EFSMOD-invited once the invitation goes out", () => {
+    const submitted = buildApplication({ versions: [v1] });
+    assert.equal(submitted.status, APPLICATION_STATUS.SUBMITTED);
+    assert.deepEqual(actions(submitted), ["upload-documents"]);
+
+    const application = buildApplication({
+      versions: [v1],
+      invitation: invited,
+      documentCount: 1,
+      efsmodLink: "https://efsmod.example.net/redeem",
+    });
+    assert.equal(application.status, APPLICATION_STATUS.EFSMOD_INVITED);
+    assert.deepEqual(actions(application), ["accept-efsmod"]);
+    assert.deepEqual(
+      application.timeline.map((entry) => entry.status),
+      ["submitted", "efsmod-invited"]
+    );
+  });
+
+  it("asks the applicant to call when the invitation failed", () => {
+    const application = buildApplication({
+      versions: [v1],
+      invitation: { status: "failed" },
+      documentCount: 1,
+    });
+    assert.equal(application.status, APPLICATION_STATUS.SUBMITTED);
+    assert.deepEqual(actions(application), ["contact-help"]);
+  });
+
+  it("takes the latest caseworker decision", () => {
+    const application = buildApplication({
+      versions: [v1],
+      invitation: invited,
+      events: [
+        event("in-review", "2025-09-04T10:00:00.000Z"),
+        event("denied", "2025-09-05T10:00:00.000Z", { reason: "Over income" }),
+      ],
+    });
+    assert.equal(application.status, APPLICATION_STATUS.DENIED);
+    assert.match(application.message, /Over income/);
+    assert.deepEqual(application.decision, {
+      status: "denied",
+      reason: "Over income",
+      decidedAt: "2025-09-05T10:00:00.000Z",
+    });
+    assert.deepEqual(actions(application), ["resubmit"]);
+    assert.equal("changedBy" in application.timeline[2], false);
+  });
+
+  it("shows staff who changed the status", () => {
+    const application = buildApplication(
+      {
+        versions: [v1],
+        events: [event("approved", "2025-09-04T10:00:00.000Z")],
+      },
+      { includeDetails: true }
+    );
+    assert.equal(application.status, APPLICATION_STATUS.APPROVED);
+    assert.equal(application.timeline[1].changedByName, "Priya Shah");
+    assert.deepEqual(actions(application), []);
+  });
+
+  it("returns to submitted when the applicant resubmits after a decision", () => {
+    const application = buildApplication({
+      versions: [v2, v1],
+      events: [
+        event("denied", "2025-09-05T10:00:00.000Z", { reason: "Over income" }),
+      ],
+      documentCount: 2,
+    });
+    assert.equal(application.status, APPLICATION_STATUS.SUBMITTED);
+    assert.equal(application.decision, null);
+    assert.equal(application.version, 2);
+    assert.equal(application.firstSubmittedAt, v1.submittedAt);
+    assert.equal(application.updatedAt, v2.submittedAt);
+    assert.equal(
+      application.timeline[application.timeline.length - 1].label,
+      "Application resubmitted (version 2)"
+    );
+  });
+
+  it("offers to finish unsent changes to a submitted application", () => {
+    const application = buildApplication({
+      draft: { ...draft, updatedAt: "2025-09-12T10:00:00.000Z" },
+      versions: [v2, v1],
+      documentCount: 1,
+    });
+    assert.equal(application.status, APPLICATION_STATUS.SUBMITTED);
+    assert.deepEqual(actions(application), ["resubmit"]);
+    assert.equal(application.updatedAt, "2025-09-12T10:00:00.000Z");
+  });
+});
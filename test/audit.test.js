@@ -0,0 +1,156 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  clientIp,
+  changedFieldNames,
+  toAuditEvent,
+  validateAuditQuery,
+  usedCriteria,
+  matchesAuditFilter,
+  toAuditRecord,
+  formatAuditExport,
+} = require("../config/audit");
+const { resolveCorrelationId } = require("../config/correlation");
+
+describe("clientIp", () => {
+  it("drops ports and IPv4-mapped prefixes", () => {
+    assert.equal(clientIp({ ip: "203.0.113.7:51234" }), "203.0.113.7");
+    assert.equal(clientIp({ ip: "[2001:db8::1]:443" }), "2001:db8::1");
+    assert.equal(clientIp({ ip: "::ffff:127.0.0.1" }), "127.0.0.1");
+    assert.equal(clientIp({ ip: "2001:db8::1" }), "2001:db8::1");
+    assert.equal(clientIp({ socket: {} }), null);
+  });
+});
+
+describe("resolveCorrelationId", () => {
+  it("keeps plain ids and replaces anything else", () => {
+    assert.equal(resolveCorrelationId("abc-123.x:y"), "abc-123.x:y");
+    for (const value of [undefined, "", "a b", "x".repeat(129), "<id>"]) {
+      assert.match(resolveCorrelationId(value), /^[0-9a-f-]{36}$/);
+    }
+  });
+});
+
+describe("changedFieldNames", () => {
+  it("lists the names of changed fields only", () => {
+    const names = ["city", "phone", "email"];
+    assert.deepEqual(
+      changedFieldNames(
+        { city: "Miami", phone: "305-555-0100", email: "a@b.co" },
+        { city: "Orlando", phone: null, email: "a@b.co" },
+        names
+      ),
+      ["city", "phone"]
+    );
+    assert.deepEqual(changedFieldNames(null, { city: "Miami" }, names), [
+      "city",
+    ]);
+  });
+});
+
+describe("toAuditEvent", () => {
+  it("keeps only audit attributes, never values", () => {
+    const event = toAuditEvent({
+      actorId: "jane.rivera@example.com",
+      action: "intake.submit",
+      targetId: "jane.rivera@example.com",
+      recordId: 2,
+      fields: ["phone", "city", "city"],
+      ip: "203.0.113.7",
+      correlationId: "abc",
+      values: { city: "Miami" },
+    });
+    assert.ok(event.occurredAt instanceof Date);
+    assert.equal(event.actorType, "user");
+    assert.equal(event.targetType, "applicant");
+    assert.equal(event.recordId, "2");
+    assert.deepEqual(event.fields, ["city", "phone"]);
+    assert.equal("values" in event, false);
+  });
+
+  it("has no target type without a target", () => {
+    const event = toAuditEvent({ action: "case.search", targetId: null });
+    assert.equal(event.targetType, null);
+  });
+});
+
+describe("validateAuditQuery", () => {
+  it("includes the whole end day", () => {
+    const { filter, errors } = validateAuditQuery({
+      from: "2025-09-01",
+      to: "2025-09-30",
+      page: "2",
+    });
+    assert.deepEqual(errors, {});
+    assert.equal(filter.before.toISOString(), "2025-10-01T00:00:00.000Z");
+    assert.equal(filter.offset, 50);
+    assert.deepEqual(usedCriteria(filter), ["from", "to"]);
+  });
+
+  it("rejects unknown actions, bad dates and page sizes", () => {
+    const { errors } = validateAuditQuery({
+      action: "intake.delete",
+      from: "2025-10-02",
+      to: "2025-10-01",
+      pageSize: "500",
+    });
+    assert.deepEqual(Object.keys(errors).sort(), ["action", "pageSize", "to"]);
+  });
+});
+
+describe("matchesAuditFilter", () => {
+  const event = {
+    actorId: "priya.shah@example.gov",
+    targetId: "marcus.lee@example.com",
+    action: "case.read",
+    correlationId: "abc",
+    occurredAt: "2025-09-10T12:00:00.000Z",
+  };
+
+  it("matches every given criterion", () => {
+    const { filter } = validateAuditQuery({
+      targetId: "marcus.lee@example.com",
+      to: "2025-09-10",
+    });
+    assert.equal(matchesAuditFilter(event, filter), true);
+    assert.equal(
+      matchesAuditFilter(event, { ...filter, action: "case.assign" }),
+      false
+    );
+    assert.equal(
+      matchesAuditFilter(
+        event,
+        validateAuditQuery({ from: "2025-09-11" }).filter
+      ),
+      false
+    );
+  });
+});
+
+describe("formatAuditExport", () => {
+  const record = toAuditRecord({
+    id: "1",
+    occurredAt: new Date("2025-09-10T12:00:00Z"),
+    actorType: "user",
+    actorId: '=HYPERLINK("x")',
+    action: "intake.submit",
+    targetType: "applicant",
+    targetId: "jane.rivera@example.com",
+    recordId: "1",
+    fields: ["city", "phone"],
+    ip: "203.0.113.7",
+    correlationId: "abc",
+  });
+
+  it("writes CSV with quoting and no live formulas", () => {
+    const [header, row] = formatAuditExport([record], "csv").split("\r\n");
+    assert.equal(header.split(",").length, 11);
+    assert.match(row, /,"'=HYPERLINK\(""x""\)",/);
+    assert.match(row, /,city phone,/);
+  });
+
+  it("writes one JSON record per line", () => {
+    const [line] = formatAuditExport([record], "ndjson").trim().split("\n");
+    assert.deepEqual(JSON.parse(line).fields, ["city", "phone"]);
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getAppBaseUrl,
+  trustsPrincipalHeaders,
+  resolveUser,
+} = require("../config/auth");
+
+const forgedPrincipal = Buffer.from(
+  JSON.stringify({
+    auth_typ: "aad",
+    claims: [{ typ: "roles", val: "system-admin" }],
+    userId: "mallory@example.com",
+  })
+).toString("base64");
+
+const withEnv = async (env, fn) => {
+  const saved = { ...process.env };
+  for (const name of [
+    "WEBSITE_AUTH_ENABLED",
+    "EASY_AUTH_EMULATOR",
+    "APP_BASE_URL",
+    "WEBSITE_HOSTNAME",
+  ]) {
+    delete process.env[name];
+  }
+  Object.assign(process.env, env);
+  try {
+    return await fn();
+  } finally {
+    process.env = saved;
+  }
+};
+
+describe("getAppBaseUrl", () => {
+  it("comes from configuration, never from the request", () => {
+    assert.equal(
+      getAppBaseUrl({ APP_BASE_URL: "https://flwins.example.gov/" }),
+      "https://flwins.example.gov"
+    );
+    assert.equal(
+      getAppBaseUrl({ WEBSITE_HOSTNAME: "flwins2-dev.azurewebsites.net" }),
+      "https://flwins2-dev.azurewebsites.net"
+    );
+    assert.equal(getAppBaseUrl({}), null);
+  });
+});
+
+describe("trustsPrincipalHeaders", () => {
+  it("trusts x-ms-client-principal only behind Easy Auth or the emulator", () => {
+    assert.equal(
+      trustsPrincipalHeaders({ WEBSITE_AUTH_ENABLED: "True" }),
+      true
+    );
+    assert.equal(trustsPrincipalHeaders({ EASY_AUTH_EMULATOR: "true" }), true);
+    assert.equal(trustsPrincipalHeaders({ NODE_ENV: "production" }), false);
+    assert.equal(
+      trustsPrincipalHeaders({
+        NODE_ENV: "production",
+        EASY_AUTH_EMULATOR: "true",
+      }),
+      false
+    );
+  });
+});
+
+describe("resolveUser", () => {
+  const request = () => ({
+    headers: { "x-ms-client-principal": forgedPrincipal },
+  });
+
+  it("ignores a client-supplied principal header off Easy Auth", async () => {
+    const user = await withEnv({ NODE_ENV: "production" }, () =>
+      resolveUser(request())
+    );
+    assert.equal(user, null);
+  });
+
+  it("reads the principal header behind Easy Auth", async () => {
+    const user = await withEnv({ WEBSITE_AUTH_ENABLED: "True" }, () =>
+      resolveUser(request())
+    );
+    assert.equal(user.id, "mallory@example.com");
+    assert.equal(user.source, "header");
+  });
+});
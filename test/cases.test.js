@@ -0,0 +1,160 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  validateCaseSearch,
+  matchesCaseFilter,
+  validateCaseNote,
+  validateAssignment,
+  toAssignment,
+} = require("../config/cases");
+
+const viewer = { userId: "priya.shah@example.gov" };
+
+describe("validateCaseSearch", () => {
+  it("defaults to the first page of everything", () => {
+    const { filter, errors } = validateCaseSearch({}, viewer);
+    assert.deepEqual(errors, {});
+    assert.equal(filter.name, null);
+    assert.equal(filter.assignedTo, undefined);
+    assert.equal(filter.page, 1);
+    assert.equal(filter.pageSize, 25);
+    assert.equal(filter.offset, 0);
+  });
+
+  it("includes the whole end day of a date range", () => {
+    const { filter, errors } = validateCaseSearch(
+      {
+        submittedFrom: "2025-09-01",
+        submittedTo: "2025-09-30",
+        page: "3",
+        pageSize: "10",
+      },
+      viewer
+    );
+    assert.deepEqual(errors, {});
+    assert.equal(
+      filter.submittedFrom.toISOString(),
+      "2025-09-01T00:00:00.000Z"
+    );
+    assert.equal(
+      filter.submittedBefore.toISOString(),
+      "2025-10-01T00:00:00.000Z"
+    );
+    assert.equal(filter.offset, 20);
+  });
+
+  it("resolves me and unassigned", () => {
+    assert.equal(
+      validateCaseSearch({ assignedTo: "me" }, viewer).filter.assignedTo,
+      viewer.userId
+    );
+    assert.equal(
+      validateCaseSearch({ assignedTo: "unassigned" }, viewer).filter
+        .assignedTo,
+      null
+    );
+  });
+
+  it("reports every invalid parameter", () => {
+    const { errors } = validateCaseSearch(
+      {
+        email: "marcus",
+        zipCode: "32",
+        submittedFrom: "2025-10-01",
+        submittedTo: "2025-09-01",
+        page: "0",
+        pageSize: "101",
+      },
+      viewer
+    );
+    assert.deepEqual(Object.keys(errors).sort(), [
+      "email",
+      "page",
+      "pageSize",
+      "submittedTo",
+      "zipCode",
+    ]);
+  });
+});
+
+describe("matchesCaseFilter", () => {
+  const intake = {
+    firstName: "Jane",
+    lastName: "Rivera",
+    emailHash: "hash",
+    zipCode: "32301",
+    updatedAt: "2025-09-15T14:00:00.000Z",
+  };
+  const matches = (query, assignment = null, extra = {}) =>
+    matchesCaseFilter(intake, assignment, {
+      ...validateCaseSearch(query, viewer).filter,
+      ...extra,
+    });
+
+  it("matches every name word against the start of either name", () => {
+    assert.ok(matches({ name: "jan RIV" }));
+    assert.ok(matches({ name: "rivera" }));
+    assert.equal(matches({ name: "ane" }), false);
+    assert.equal(matches({ name: "jane smith" }), false);
+  });
+
+  it("matches ZIP prefixes, dates and email hashes", () => {
+    assert.ok(matches({ zipCode: "323" }));
+    assert.equal(matches({ zipCode: "330" }), false);
+    assert.ok(
+      matches({ submittedFrom: "2025-09-15", submittedTo: "2025-09-15" })
+    );
+    assert.equal(matches({ submittedTo: "2025-09-14" }), false);
+    assert.ok(matches({}, null, { emailHash: "hash" }));
+    assert.equal(matches({}, null, { emailHash: "other" }), false);
+  });
+
+  it("filters by assignee", () => {
+    const mine = { assignedTo: viewer.userId };
+    assert.ok(matches({ assignedTo: "me" }, mine));
+    assert.equal(matches({ assignedTo: "unassigned" }, mine), false);
+    assert.ok(matches({ assignedTo: "unassigned" }, { assignedTo: null }));
+  });
+});
+
+describe("validateCaseNote", () => {
+  it("trims the note and requires text", () => {
+    assert.deepEqual(validateCaseNote({ body: "  Called back " }), {
+      note: { body: "Called back" },
+      errors: {},
+    });
+    assert.ok(validateCaseNote({ body: " " }).errors.body);
+    assert.ok(validateCaseNote({ body: "x".repeat(4001) }).errors.body);
+  });
+});
+
+describe("validateAssignment", () => {
+  it("assigns or unassigns", () => {
+    assert.deepEqual(
+      validateAssignment({
+        caseworkerId: " tom@example.gov ",
+        caseworkerName: "Tom",
+      }),
+      {
+        assignment: { assignedTo: "tom@example.gov", assignedToName: "Tom" },
+        errors: {},
+      }
+    );
+    assert.deepEqual(
+      validateAssignment({ caseworkerId: null, caseworkerName: "Tom" })
+        .assignment,
+      { assignedTo: null, assignedToName: null }
+    );
+  });
+
+  it("needs a caseworker id or null", () => {
+    assert.ok(validateAssignment({}).errors.caseworkerId);
+    assert.ok(validateAssignment({ caseworkerId: "" }).errors.caseworkerId);
+    assert.ok(validateAssignment({ caseworkerId: 7 }).errors.caseworkerId);
+  });
+
+  it("reports a cleared assignment as none", () => {
+    assert.equal(toAssignment({ assignedTo: null }), null);
+    assert.equal(toAssignment(null), null);
+  });
+});
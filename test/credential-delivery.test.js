@@ -0,0 +1,79 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStore } = require("../config/stores");
+const {
+  getCredentialTtlMs,
+  issueCredential,
+  describeCredentialDelivery,
+} = require("../config/credential-delivery");
+
+const password = "Initial-Password-1";
+
+describe("getCredentialTtlMs", () => {
+  it("defaults to an hour", () => {
+    assert.equal(getCredentialTtlMs({}), 60 * 60 * 1000);
+    assert.equal(
+      getCredentialTtlMs({ INITIAL_PASSWORD_VIEW_TTL_MINUTES: "0" }),
+      60 * 60 * 1000
+    );
+    assert.equal(
+      getCredentialTtlMs({ INITIAL_PASSWORD_VIEW_TTL_MINUTES: "15" }),
+      15 * 60 * 1000
+    );
+  });
+});
+
+describe("issueCredential", () => {
+  it("can be viewed once, then only its status remains", async () => {
+    const store = createStore({ INTAKE_STORE: "memory" });
+    await issueCredential(store, "jane", password);
+
+    const issued = await store.getCredentialDelivery("jane");
+    assert.equal("secret" in issued, false);
+    const status = describeCredentialDelivery(issued);
+    assert.equal(status.status, "available");
+    assert.equal(status.viewUrl, "/account-password");
+    assert.ok(!JSON.stringify(status).includes(password));
+
+    assert.equal(await store.takeCredentialSecret("jane"), password);
+    assert.equal(await store.takeCredentialSecret("jane"), null);
+    const viewed = describeCredentialDelivery(
+      await store.getCredentialDelivery("jane")
+    );
+    assert.equal(viewed.status, "viewed");
+    assert.ok(viewed.viewedAt);
+    assert.equal(viewed.viewUrl, null);
+  });
+
+  it("expires unviewed", async () => {
+    const store = createStore({ INTAKE_STORE: "memory" });
+    await issueCredential(store, "jane", password, { ttlMs: 60000 });
+    const delivery = await store.getCredentialDelivery("jane");
+    const later = new Date(Date.now() + 61000);
+    assert.equal(describeCredentialDelivery(delivery, later).status, "expired");
+
+    await issueCredential(store, "jane", password, { ttlMs: -1 });
+    assert.equal(await store.takeCredentialSecret("jane"), null);
+    const expired = await store.getCredentialDelivery("jane");
+    assert.equal(expired.hasSecret, false);
+    assert.equal(describeCredentialDelivery(expired).status, "expired");
+  });
+
+  it("keeps the password encrypted at rest", async () => {
+    const store = createStore({ INTAKE_STORE: "memory" });
+    await issueCredential(store, "jane", password);
+    const rows = await store.listEncryptedRows("credentialDeliveries", [
+      "secret",
+    ]);
+    assert.equal(rows.length, 1);
+    assert.ok(!rows[0].values.secret.includes(password));
+  });
+
+  it("never hands out another applicant's password", async () => {
+    const store = createStore({ INTAKE_STORE: "memory" });
+    await issueCredential(store, "jane", password);
+    assert.equal(await store.takeCredentialSecret("marcus"), null);
+    assert.equal(await store.getCredentialDelivery("marcus"), null);
+    assert.equal(await store.takeCredentialSecret("jane"), password);
+  });
+});
@@ -0,0 +1,163 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  DOCUMENT_MAX_BYTES,
+  getDocumentRules,
+  detectContentType,
+  validateDocumentUpload,
+  newStorageKey,
+  contentDisposition,
+} = require("../config/documents");
+const {
+  MemoryBlobStorage,
+  LocalBlobStorage,
+  createDocumentStorage,
+} = require("../config/document-storage");
+
+const pdf = Buffer.from("%PDF-1.4\n%%EOF\n");
+const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0]);
+
+describe("validateDocumentUpload", () => {
+  const upload = {
+    category: "proof-of-residency",
+    fileName: "lease.pdf",
+    contentType: "application/pdf",
+    data: pdf,
+  };
+
+  it("accepts a PDF and describes it", () => {
+    const { document, errors } = validateDocumentUpload(upload);
+    assert.deepEqual(errors, {});
+    assert.equal(document.contentType, "application/pdf");
+    assert.equal(document.sizeBytes, pdf.length);
+    assert.match(document.sha256, /^[0-9a-f]{64}$/);
+  });
+
+  it("detects types from the file signature", () => {
+    assert.equal(detectContentType(pdf), "application/pdf");
+    assert.equal(detectContentType(png), "image/png");
+    assert.equal(detectContentType(Buffer.from("MZ")), null);
+  });
+
+  it("requires a known category, a name and a file", () => {
+    const { document, errors } = validateDocumentUpload({});
+    assert.equal(document, null);
+    assert.deepEqual(Object.keys(errors).sort(), [
+      "category",
+      "file",
+      "fileName",
+    ]);
+  });
+
+  it("rejects other types and mismatched contents", () => {
+    assert.match(
+      validateDocumentUpload({ ...upload, contentType: "text/html" }).errors
+        .file,
+      /PDF, JPEG or PNG/
+    );
+    assert.match(
+      validateDocumentUpload({ ...upload, contentType: "image/png" }).errors
+        .file,
+      /do not match/
+    );
+  });
+
+  it("rejects files over the size limit", () => {
+    const data = Buffer.concat([pdf, Buffer.alloc(DOCUMENT_MAX_BYTES)]);
+    assert.match(
+      validateDocumentUpload({ ...upload, data }).errors.file,
+      /10 MB or smaller/
+    );
+  });
+
+  it("keeps only the base name of the file", () => {
+    const { document } = validateDocumentUpload({
+      ...upload,
+      fileName: "C:\\fakepath\\..\\<lease>.pdf",
+    });
+    assert.equal(document.fileName, "lease.pdf");
+    const long = validateDocumentUpload({
+      ...upload,
+      fileName: `${"a".repeat(300)}.pdf`,
+    });
+    assert.equal(long.document.fileName.length, 255);
+    assert.ok(long.document.fileName.endsWith(".pdf"));
+  });
+
+  it("ignores Content-Type parameters and case", () => {
+    const { errors } = validateDocumentUpload({
+      ...upload,
+      contentType: "Application/PDF; charset=binary",
+    });
+    assert.deepEqual(errors, {});
+  });
+});
+
+describe("document helpers", () => {
+  it("serves the upload rules", () => {
+    const rules = getDocumentRules();
+    assert.equal(rules.maxBytes, DOCUMENT_MAX_BYTES);
+    assert.ok(rules.accept.includes(".pdf"));
+    assert.ok(rules.categories.some((c) => c.value === "proof-of-income"));
+  });
+
+  it("quotes download names safely", () => {
+    assert.equal(
+      contentDisposition('Ava\'s "form" (1).pdf'),
+      "attachment; filename=\"Ava's _form_ (1).pdf\"; filename*=UTF-8''Ava%27s%20%22form%22%20%281%29.pdf"
+    );
+  });
+});
+
+describe("document storage", () => {
+  const exercise = async (storage) => {
+    const key = newStorageKey();
+    assert.equal(await storage.get(key), null);
+    await storage.put(key, pdf, { contentType: "application/pdf" });
+    assert.deepEqual(await storage.get(key), pdf);
+    await storage.delete(key);
+    assert.equal(await storage.get(key), null);
+    await storage.delete(key);
+  };
+
+  it("stores blobs in memory", () => exercise(new MemoryBlobStorage()));
+
+  it("stores blobs on local disk", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "documents-"));
+    try {
+      await exercise(new LocalBlobStorage({ dir }));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("refuses keys that could escape the storage directory", async () => {
+    const storage = new LocalBlobStorage({ dir: os.tmpdir() });
+    await assert.rejects(storage.get("../etc/passwd"), /Invalid/);
+  });
+
+  it("picks a backend from the environment", () => {
+    assert.equal(createDocumentStorage({}).name, "local");
+    assert.equal(
+      createDocumentStorage({ INTAKE_STORE: "memory" }).name,
+      "memory"
+    );
+    assert.equal(
+      createDocumentStorage({
+        DOCUMENT_STORAGE_ACCOUNT_URL: "https://acct.blob.core.windows.net",
+      }).name,
+      "azure"
+    );
+    assert.throws(
+      () => createDocumentStorage({ NODE_ENV: "production" }),
+      /DOCUMENT_STORAGE_ACCOUNT_URL/
+    );
+    assert.throws(
+      () => createDocumentStorage({ DOCUMENT_STORAGE: "s3" }),
+      /Unknown DOCUMENT_STORAGE/
+    );
+  });
+});
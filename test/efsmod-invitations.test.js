@@ -0,0 +1,42 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStore } = require("../config/stores");
+const {
+  createEfsmodInviteHandler,
+  resolveEfsmodLink,
+} = require("../config/efsmod-invitations");
+
+const email = "jane.rivera@example.com";
+
+describe("createEfsmodInviteHandler", () => {
+  it("never gives one applicant another applicant's invitation links", async () => {
+    const store = createStore({ INTAKE_STORE: "memory" });
+    const sent = [];
+    const handler = createEfsmodInviteHandler(store, {
+      invite: async (payload) => {
+        sent.push(payload.userId);
+        return {
+          email: payload.email,
+          invitedUserId: "guest-a",
+          invitedUserPrincipalName: "jane.rivera_example.com#EXT#@efsmod",
+          inviteRedeemUrl: "https://login.example/redeem/secret-a",
+          deepLink: "https://efsmod.example/deep/secret-a",
+          loginLink: "https://efsmod.example/.auth/login/FLWINS",
+        };
+      },
+    });
+
+    await handler.deliver({ userId: "applicant-a", email });
+    await handler.deliver({ userId: "applicant-b", email });
+
+    assert.deepEqual(sent, ["applicant-a"]);
+    const own = await store.getEfsmodInvitation("applicant-b");
+    assert.equal(own.status, "invited");
+    assert.equal(own.inviteRedeemUrl, null);
+    assert.equal(own.deepLink, null);
+    assert.equal(own.invitedUserId, null);
+    const link = resolveEfsmodLink(own, { loginLink: null });
+    assert.notEqual(link.kind, "redeem");
+    assert.ok(!JSON.stringify(own).includes("secret-a"));
+  });
+});
@@ -0,0 +1,163 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { FAILURES, startFakeGraph } = require("../config/fake-graph");
+const { clearTokenCache } = require("../config/graph-client");
+const {
+  normalizeBaseUrl,
+  resolveRedirectUrl,
+  inviteExternalUserToEfmod,
+  getGuestUserState,
+} = require("../config/efsmod-provision");
+
+describe("normalizeBaseUrl", () => {
+  it("adds https when the scheme is missing", () => {
+    assert.equal(
+      normalizeBaseUrl("efsmod.azurewebsites.net"),
+      "https://efsmod.azurewebsites.net"
+    );
+  });
+
+  it("keeps http and drops the trailing slash", () => {
+    assert.equal(
+      normalizeBaseUrl("  http://localhost:3000/ "),
+      "http://localhost:3000"
+    );
+  });
+
+  it("keeps a path", () => {
+    assert.equal(
+      normalizeBaseUrl("https://example.net/app/"),
+      "https://example.net/app"
+    );
+  });
+
+  it("returns null for blank, non-string or unparseable values", () => {
+    assert.equal(normalizeBaseUrl(""), null);
+    assert.equal(normalizeBaseUrl("   "), null);
+    assert.equal(normalizeBaseUrl(undefined), null);
+    assert.equal(normalizeBaseUrl(42), null);
+    assert.equal(normalizeBaseUrl("https://exa mple.net"), null);
+  });
+});
+
+describe("resolveRedirectUrl", () => {
+  it("joins the base URL and path", () => {
+    assert.equal(
+      resolveRedirectUrl("efsmod.example.net/", "/srapp.html"),
+      "https://efsmod.example.net/srapp.html"
+    );
+  });
+
+  it("adds the leading slash to a relative path", () => {
+    assert.equal(
+      resolveRedirectUrl("https://efsmod.example.net", "srapp.html"),
+      "https://efsmod.example.net/srapp.html"
+    );
+  });
+
+  it("defaults to the site root", () => {
+    assert.equal(
+      resolveRedirectUrl("https://efsmod.example.net"),
+      "https://efsmod.example.net/"
+    );
+  });
+
+  it("honors a full URL in the path", () => {
+    assert.equal(
+      resolveRedirectUrl("ignored", "https://other.example.net/landing"),
+      "https://other.example.net/landing"
+    );
+  });
+
+  it("rejects an invalid base URL", () => {
+    assert.throws(
+      () => resolveRedirectUrl("", "/srapp.html"),
+      /EFSMOD_BASE_URL is invalid/
+    );
+  });
+});
+
+describe("EFSMOD Graph calls (fake Graph)", () => {
+  let fake;
+
+  before(async () => {
+    fake = await startFakeGraph();
+    Object.assign(process.env, fake.env, {
+      EFSMOD_TENANT_ID: "efsmod-tenant",
+      EFSMOD_CLIENT_ID: "efsmod-app",
+      EFSMOD_CLIENT_SECRET: "efsmod-secret",
+      EFSMOD_BASE_URL: "https://efsmod.example.net",
+      EFSMOD_REDIRECT_PATH: "/srapp.html",
+    });
+  });
+
+  after(() => fake.close());
+
+  it("invites the applicant as a guest and returns the redeem link", async () => {
+    const invite = await inviteExternalUserToEfmod({
+      firstName: "Jane",
+      lastName: "Rivera",
+      email: " jane.rivera@example.com ",
+    });
+    assert.equal(invite.email, "jane.rivera@example.com");
+    assert.equal(invite.deepLink, invite.inviteRedeemUrl);
+    assert.equal(
+      invite.loginLink,
+      "https://efsmod.example.net/.auth/login/FLWINS?post_login_redirect_uri=%2Fsrapp.html"
+    );
+
+    const [guest] = fake.users("efsmod-tenant");
+    assert.equal(guest.id, invite.invitedUserId);
+    assert.equal(guest.displayName, "Jane Rivera");
+  });
+
+  it("reads the guest's redemption state", async () => {
+    const [guest] = fake.users("efsmod-tenant");
+    assert.equal(
+      (await getGuestUserState(guest.id)).state,
+      "PendingAcceptance"
+    );
+    fake.redeem("efsmod-tenant", guest.id);
+    assert.equal((await getGuestUserState(guest.id)).state, "Accepted");
+  });
+
+  it("rejects an invalid email as not retryable", async () => {
+    await assert.rejects(
+      inviteExternalUserToEfmod({ email: "not-an-email" }),
+      (err) => err.retryable === false
+    );
+  });
+
+  it("retries briefly throttled invitations", async () => {
+    fake.failNext("POST /v1.0/invitations", {
+      ...FAILURES.throttled,
+      retryAfter: 0,
+    });
+    const invite = await inviteExternalUserToEfmod({
+      email: "marcus.lee@example.com",
+    });
+    assert.ok(invite.invitedUserId);
+  });
+
+  it("surfaces long throttling with Retry-After for the outbox", async () => {
+    fake.failNext("POST /v1.0/invitations", {
+      status: 429,
+      code: "TooManyRequests",
+      message: "Slow down.",
+      retryAfter: 300,
+    });
+    await assert.rejects(
+      inviteExternalUserToEfmod({ email: "sam@example.com" }),
+      (err) => err.status === 429 && err.retryAfter === 300
+    );
+  });
+
+  it("reports a rejected app token", async () => {
+    clearTokenCache();
+    fake.failNext("POST /:tenantId/oauth2/v2.0/token", "unauthorized");
+    await assert.rejects(
+      inviteExternalUserToEfmod({ email: "sam@example.com" }),
+      (err) => err.status === 401
+    );
+  });
+});
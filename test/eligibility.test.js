@@ -0,0 +1,223 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  RESULTS,
+  checkRuleSet,
+  loadRuleSets,
+  clearRuleSetCache,
+  getActiveRuleSet,
+  incomeLimitFor,
+  getScreenerQuestions,
+  validateScreening,
+  screenEligibility,
+} = require("../config/eligibility");
+
+const ruleSet = getActiveRuleSet({ date: new Date("2025-09-01T12:00:00Z") });
+
+const screen = (overrides = {}) => {
+  const { answers, errors } = validateScreening(
+    {
+      householdSize: 3,
+      income: 2500,
+      incomeFrequency: "monthly",
+      activity: "employment",
+      hoursPerWeek: 30,
+      hasEligibleChild: "yes",
+      ...overrides,
+    },
+    ruleSet
+  );
+  assert.deepEqual(errors, {});
+  return screenEligibility(answers, ruleSet);
+};
+
+const codes = (screening) => screening.reasons.map((r) => r.code);
+
+describe("eligibility rule sets", () => {
+  afterEach(() => clearRuleSetCache());
+
+  it("loads the shipped rule sets", () => {
+    const ruleSets = loadRuleSets();
+    assert.ok(ruleSets.length >= 1);
+    assert.equal(ruleSet.id, "sr-2025-2026");
+  });
+
+  it("picks the latest rule set that has started", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "eligibility-"));
+    try {
+      for (const [id, effectiveFrom] of [
+        ["old", "2024-07-01"],
+        ["new", "2025-07-01"],
+      ]) {
+        fs.writeFileSync(
+          path.join(dir, `${id}.json`),
+          JSON.stringify({ ...ruleSet, id, effectiveFrom })
+        );
+      }
+      const on = (day) =>
+        getActiveRuleSet({ date: new Date(`${day}T12:00:00Z`), dir }).id;
+      assert.equal(on("2025-06-30"), "old");
+      assert.equal(on("2025-07-01"), "new");
+      assert.throws(() => on("2024-01-01"), /No eligibility rules/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("rejects malformed rule sets", () => {
+    assert.throws(
+      () => checkRuleSet({ ...ruleSet, effectiveFrom: "July 2025" }),
+      /effectiveFrom/
+    );
+    assert.throws(
+      () =>
+        checkRuleSet({
+          ...ruleSet,
+          income: { ...ruleSet.income, limits: ruleSet.income.limits.slice(1) },
+        }),
+      /income.limits/
+    );
+    assert.throws(
+      () =>
+        checkRuleSet({
+          ...ruleSet,
+          priorityGroups: [{ id: "x", label: "X", waives: ["age"] }],
+        }),
+      /waives unknown requirements: age/
+    );
+  });
+
+  it("extends income limits past the table", () => {
+    const { limits, eachAdditionalMember } = ruleSet.income;
+    assert.equal(incomeLimitFor(ruleSet, 1), limits[0].annual);
+    assert.equal(
+      incomeLimitFor(ruleSet, limits.length + 2),
+      limits[limits.length - 1].annual + 2 * eachAdditionalMember
+    );
+  });
+
+  it("serves questions without the rule details", () => {
+    const questions = getScreenerQuestions(ruleSet);
+    assert.equal(questions.ruleSet.id, "sr-2025-2026");
+    assert.ok(
+      questions.activities.find((a) => a.value === "employment").askHours
+    );
+    assert.equal(
+      questions.activities.find((a) => a.value === "none").askHours,
+      false
+    );
+    assert.equal("waives" in questions.priorityGroups[0], false);
+  });
+});
+
+describe("validateScreening", () => {
+  it("accepts form strings and normalizes them", () => {
+    const { answers, errors } = validateScreening(
+      {
+        householdSize: "4",
+        income: "$1,250.50",
+        incomeFrequency: "biweekly",
+        activity: "education",
+        hoursPerWeek: "20",
+        hasEligibleChild: "no",
+        priorityGroups: ["military", "military"],
+      },
+      ruleSet
+    );
+    assert.deepEqual(errors, {});
+    assert.equal(answers.householdSize, 4);
+    assert.equal(answers.income, 1250.5);
+    assert.equal(answers.hasEligibleChild, false);
+    assert.deepEqual(answers.priorityGroups, ["military"]);
+  });
+
+  it("reports every missing or invalid answer", () => {
+    const { errors } = validateScreening(
+      { householdSize: 0, income: -5, priorityGroups: ["royalty"] },
+      ruleSet
+    );
+    assert.deepEqual(Object.keys(errors).sort(), [
+      "activity",
+      "hasEligibleChild",
+      "householdSize",
+      "income",
+      "incomeFrequency",
+      "priorityGroups",
+    ]);
+  });
+
+  it("asks for hours only for qualifying activities", () => {
+    const base = {
+      householdSize: 2,
+      income: 0,
+      incomeFrequency: "monthly",
+      hasEligibleChild: true,
+    };
+    assert.ok(
+      validateScreening({ ...base, activity: "employment" }, ruleSet).errors
+        .hoursPerWeek
+    );
+    const { answers, errors } = validateScreening(
+      { ...base, activity: "none", hoursPerWeek: 40 },
+      ruleSet
+    );
+    assert.deepEqual(errors, {});
+    assert.equal(answers.hoursPerWeek, null);
+  });
+});
+
+describe("screenEligibility", () => {
+  it("finds a working family under the limit likely eligible", () => {
+    const screening = screen();
+    assert.equal(screening.result, RESULTS.LIKELY_ELIGIBLE);
+    assert.equal(screening.annualIncome, 30000);
+    assert.equal(screening.incomeLimit, incomeLimitFor(ruleSet, 3));
+    assert.deepEqual(codes(screening), ["income-within-limit", "activity-met"]);
+  });
+
+  it("sends income just over the limit to review", () => {
+    const limit = incomeLimitFor(ruleSet, 3);
+    const screening = screen({
+      income: limit + 100,
+      incomeFrequency: "annually",
+    });
+    assert.equal(screening.result, RESULTS.NEEDS_REVIEW);
+    assert.ok(codes(screening).includes("income-near-limit"));
+  });
+
+  it("finds income well over the limit likely ineligible", () => {
+    const screening = screen({ income: 9000 });
+    assert.equal(screening.result, RESULTS.LIKELY_INELIGIBLE);
+    assert.ok(codes(screening).includes("income-over-limit"));
+  });
+
+  it("reviews part-time work and job searching", () => {
+    assert.equal(screen({ hoursPerWeek: 10 }).result, RESULTS.NEEDS_REVIEW);
+    const searching = screen({ activity: "job-search" });
+    assert.equal(searching.result, RESULTS.NEEDS_REVIEW);
+    assert.ok(codes(searching).includes("activity-not-met"));
+  });
+
+  it("needs a child in the age range", () => {
+    const screening = screen({ hasEligibleChild: "no" });
+    assert.equal(screening.result, RESULTS.LIKELY_INELIGIBLE);
+    assert.equal(codes(screening)[0], "no-eligible-child");
+  });
+
+  it("lets priority groups waive requirements", () => {
+    const screening = screen({
+      income: 9000,
+      activity: "none",
+      priorityGroups: ["protective-services"],
+    });
+    assert.equal(screening.result, RESULTS.LIKELY_ELIGIBLE);
+    assert.deepEqual(codes(screening), [
+      "priority-group",
+      "income-waived",
+      "activity-waived",
+    ]);
+  });
+});
@@ -0,0 +1,142 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { createStore } = require("../config/stores");
+const { createMemoryStore } = require("../config/stores/memory-store");
+const {
+  withFieldEncryption,
+  rotateEncryptedData,
+} = require("../config/stores/encrypted-store");
+const { FieldEncryptor, isEncrypted } = require("../config/field-encryption");
+const { LocalKeyProvider } = require("../config/key-providers");
+
+const jane = {
+  userId: "jane",
+  firstName: "Jane",
+  lastName: "Rivera",
+  email: "jane.rivera@example.com",
+  phone: "305-555-0100",
+};
+const caseworker = { id: "caseworker", name: "Case Worker" };
+
+const rawIntake = async (store, userId) => {
+  const rows = await store.listEncryptedRows("intakeForms", ["email", "phone"]);
+  const intake = await store.getIntake(userId);
+  return rows.find((row) => row.id === intake.id).values;
+};
+
+const encryptedMemoryStore = () => {
+  const backend = createMemoryStore();
+  const provider = new LocalKeyProvider();
+  return {
+    backend,
+    provider,
+    store: withFieldEncryption(backend, new FieldEncryptor(provider)),
+  };
+};
+
+describe("withFieldEncryption", () => {
+  it("stores PII encrypted and reads it back decrypted", async () => {
+    const { store } = encryptedMemoryStore();
+    await store.saveIntake(jane, caseworker, {
+      outbox: [{ type: "efsmod.invite", payload: { email: jane.email } }],
+    });
+
+    const raw = await rawIntake(store, "jane");
+    assert.ok(isEncrypted(raw.email));
+    assert.ok(isEncrypted(raw.phone));
+
+    const intake = await store.getIntake("jane");
+    assert.equal(intake.email, jane.email);
+    assert.equal(intake.phone, jane.phone);
+    assert.equal("emailHash" in intake, false);
+
+    const [message] = await store.claimOutboxMessages();
+    assert.deepEqual(message.payload, { email: jane.email });
+  });
+
+  it("finds intakes by email only through the blind index", async () => {
+    const { store } = encryptedMemoryStore();
+    await store.saveIntake(jane, caseworker);
+    const { intakes } = await store.searchIntakes({
+      email: " Jane.Rivera@Example.com",
+    });
+    assert.deepEqual(
+      intakes.map((i) => i.userId),
+      ["jane"]
+    );
+    const none = await store.searchIntakes({ email: "jane@example.com" });
+    assert.equal(none.total, 0);
+  });
+});
+
+describe("rotateEncryptedData", () => {
+  it("re-encrypts older and plaintext values under the current key", async () => {
+    const { backend, provider, store } = encryptedMemoryStore();
+    await store.saveIntake(jane, caseworker);
+    // Saved before encryption was enabled: plaintext and no blind index
+    await backend.saveIntake(
+      { userId: "marcus", email: "marcus.lee@example.com" },
+      caseworker
+    );
+    await provider.createKeyVersion();
+
+    const dryRun = await rotateEncryptedData(store, { dryRun: true });
+    assert.equal(dryRun.currentKeyId, "local:2");
+    assert.equal(dryRun.rotated, 4);
+    assert.equal(
+      store.encryptor.keyIdOf((await rawIntake(store, "jane")).email),
+      "local:1"
+    );
+
+    const result = await rotateEncryptedData(store, { batchSize: 1 });
+    assert.equal(result.rotated, 4);
+    for (const userId of ["jane", "marcus"]) {
+      const raw = await rawIntake(store, userId);
+      assert.equal(store.encryptor.keyIdOf(raw.email), "local:2");
+    }
+    assert.equal((await store.getIntake("jane")).phone, jane.phone);
+    assert.equal(
+      (await store.searchIntakes({ email: "marcus.lee@example.com" })).total,
+      1
+    );
+    assert.equal((await rotateEncryptedData(store)).rotated, 0);
+  });
+});
+
+describe("scripts/rotate-keys.js", () => {
+  it("adds a key version and re-encrypts a file store", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rotate-keys-"));
+    const env = {
+      PATH: process.env.PATH,
+      INTAKE_STORE: "file",
+      INTAKE_STORE_FILE: path.join(dir, "store.json"),
+      FIELD_ENCRYPTION_PROVIDER: "local",
+      FIELD_ENCRYPTION_KEY_FILE: path.join(dir, "keys.json"),
+      LOG_LEVEL: "error",
+    };
+    try {
+      await createStore(env).saveIntake(jane, caseworker);
+
+      const output = execFileSync(
+        process.execPath,
+        [path.join(__dirname, "..", "scripts", "rotate-keys.js"), "--new-key"],
+        { env, encoding: "utf8" }
+      );
+      assert.match(output, /Created key version local:2/);
+      assert.match(output, /Re-encrypted 2 of 2 row\(s\) to key local:2/);
+
+      const store = createStore(env);
+      assert.equal(
+        store.encryptor.keyIdOf((await rawIntake(store, "jane")).email),
+        "local:2"
+      );
+      assert.equal((await store.getIntake("jane")).email, jane.email);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
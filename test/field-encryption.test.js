@@ -0,0 +1,171 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { FieldEncryptor, isEncrypted } = require("../config/field-encryption");
+const {
+  LocalKeyProvider,
+  createKeyProvider,
+} = require("../config/key-providers");
+
+const record = {
+  email: "jane.rivera@example.com",
+  phone: "305-555-0100",
+  city: "Miami",
+  notes: "",
+};
+
+// Flips a bit in one envelope part (0 = kid ... 4 = ciphertext)
+const tamper = (value, part) => {
+  const parts = value.split(".");
+  const bytes = Buffer.from(parts[part + 2], "base64url");
+  bytes[0] ^= 1;
+  parts[part + 2] = bytes.toString("base64url");
+  return parts.join(".");
+};
+
+describe("FieldEncryptor", () => {
+  it("round-trips encrypted fields and leaves the rest alone", async () => {
+    const encryptor = new FieldEncryptor(new LocalKeyProvider());
+    const encrypted = await encryptor.encryptFields(record, [
+      "email",
+      "phone",
+      "notes",
+    ]);
+    assert.ok(isEncrypted(encrypted.email));
+    assert.ok(isEncrypted(encrypted.phone));
+    assert.ok(!encrypted.email.includes("jane"));
+    assert.equal(encrypted.city, "Miami");
+    assert.equal(encrypted.notes, "");
+    assert.equal(encryptor.keyIdOf(encrypted.email), "local:1");
+
+    const decrypted = await encryptor.decryptFields(encrypted, [
+      "email",
+      "phone",
+      "notes",
+    ]);
+    assert.deepEqual(decrypted, record);
+  });
+
+  it("uses a fresh data key and IV per record", async () => {
+    const encryptor = new FieldEncryptor(new LocalKeyProvider());
+    const first = await encryptor.encryptFields(record, ["email"]);
+    const second = await encryptor.encryptFields(record, ["email"]);
+    assert.notEqual(first.email, second.email);
+  });
+
+  it("reads legacy plaintext as it is", async () => {
+    const encryptor = new FieldEncryptor(new LocalKeyProvider());
+    assert.equal(await encryptor.decryptValue("Miami"), "Miami");
+    assert.equal(encryptor.keyIdOf("Miami"), null);
+  });
+
+  it("rejects a tampered ciphertext, auth tag or wrapped key", async () => {
+    const encryptor = new FieldEncryptor(new LocalKeyProvider());
+    const { email } = await encryptor.encryptFields(record, ["email"]);
+    for (const part of [1, 3, 4]) {
+      // A fresh encryptor so the data key is not served from the cache
+      const reader = new FieldEncryptor(encryptor.keyProvider);
+      await assert.rejects(reader.decryptValue(tamper(email, part)));
+    }
+    await assert.rejects(
+      encryptor.decryptValue("enc.v1.bm90LWVub3VnaA"),
+      /Malformed/
+    );
+  });
+
+  it("cannot decrypt with another keyring", async () => {
+    const { email } = await new FieldEncryptor(
+      new LocalKeyProvider()
+    ).encryptFields(record, ["email"]);
+    await assert.rejects(
+      new FieldEncryptor(new LocalKeyProvider()).decryptValue(email)
+    );
+  });
+
+  it("derives a stable blind index from the normalized value", () => {
+    const keyring = LocalKeyProvider.generateKeyring();
+    const encryptor = new FieldEncryptor(new LocalKeyProvider({ keyring }));
+    const index = encryptor.blindIndex("jane.rivera@example.com");
+    assert.match(index, /^[0-9a-f]{64}$/);
+    assert.equal(encryptor.blindIndex("  Jane.Rivera@Example.com "), index);
+    assert.notEqual(encryptor.blindIndex("marcus.lee@example.com"), index);
+    assert.equal(encryptor.blindIndex(""), null);
+
+    const sameKeys = new FieldEncryptor(new LocalKeyProvider({ keyring }));
+    assert.equal(sameKeys.blindIndex("jane.rivera@example.com"), index);
+    const otherKeys = new FieldEncryptor(new LocalKeyProvider());
+    assert.notEqual(otherKeys.blindIndex("jane.rivera@example.com"), index);
+  });
+
+  it("decrypts values from every key version after a rotation", async () => {
+    const provider = new LocalKeyProvider();
+    const encryptor = new FieldEncryptor(provider);
+    const before = await encryptor.encryptFields(record, ["email"]);
+
+    assert.equal(await provider.createKeyVersion(), "local:2");
+    const after = await encryptor.encryptFields(record, ["email"]);
+    assert.equal(encryptor.keyIdOf(after.email), "local:2");
+
+    const reader = new FieldEncryptor(provider);
+    assert.equal(await reader.decryptValue(before.email), record.email);
+    assert.equal(await reader.decryptValue(after.email), record.email);
+    assert.equal(encryptor.needsRotation(before, ["email"], "local:2"), true);
+    assert.equal(encryptor.needsRotation(after, ["email"], "local:2"), false);
+    assert.equal(
+      encryptor.needsRotation({ email: "plain" }, ["email"], "local:2"),
+      true
+    );
+  });
+});
+
+describe("LocalKeyProvider", () => {
+  it("creates the key file once and keeps new versions in it", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "field-keys-"));
+    const filePath = path.join(dir, "keys.json");
+    try {
+      const provider = new LocalKeyProvider({ filePath });
+      const { email } = await new FieldEncryptor(provider).encryptFields(
+        record,
+        ["email"]
+      );
+      await provider.createKeyVersion();
+
+      const reloaded = new LocalKeyProvider({ filePath });
+      assert.equal(await reloaded.currentKeyId(), "local:2");
+      assert.equal(
+        await new FieldEncryptor(reloaded).decryptValue(email),
+        record.email
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("fails clearly for an unknown key version", async () => {
+    const provider = new LocalKeyProvider();
+    await assert.rejects(
+      provider.unwrapKey("local:9", Buffer.alloc(60)),
+      /version 9 not found/
+    );
+  });
+});
+
+describe("createKeyProvider", () => {
+  it("picks the provider from the environment", () => {
+    assert.equal(createKeyProvider({}, { ephemeral: true }).name, "local");
+    assert.throws(
+      () => createKeyProvider({ FIELD_ENCRYPTION_PROVIDER: "hsm" }),
+      /Unknown FIELD_ENCRYPTION_PROVIDER/
+    );
+    assert.throws(
+      () => createKeyProvider({ NODE_ENV: "production" }),
+      /production/
+    );
+    assert.throws(
+      () => createKeyProvider({ FIELD_ENCRYPTION_PROVIDER: "keyvault" }),
+      /FIELD_ENCRYPTION_KEYVAULT_KEY_ID/
+    );
+  });
+});
@@ -0,0 +1,213 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startFakeGraph, FAILURES } = require("../config/fake-graph");
+const {
+  GraphError,
+  getAppToken,
+  clearTokenCache,
+  createGraphClient,
+} = require("../config/graph-client");
+const { runWithCorrelationId } = require("../config/correlation");
+
+const credentials = (tenantId) => ({
+  tenantId,
+  clientId: "home-app",
+  clientSecret: "home-secret",
+});
+
+describe("graph-client (fake Graph)", () => {
+  let fake;
+  let graph;
+
+  const calls = (route) =>
+    fake.state.requests.filter((r) => r.route === route).length;
+
+  before(async () => {
+    fake = await startFakeGraph({
+      pageSize: 2,
+      clients: [{ clientId: "home-app", clientSecret: "home-secret" }],
+    });
+    Object.assign(process.env, fake.env);
+  });
+
+  after(() => fake.close());
+
+  beforeEach(() => {
+    fake.reset();
+    clearTokenCache();
+    graph = createGraphClient({
+      getToken: () => getAppToken(credentials("home-tenant")),
+      maxRetryAfterSeconds: 1,
+    });
+  });
+
+  describe("getAppToken", () => {
+    it("caches a token per tenant and shares one request", async () => {
+      const [first, second] = await Promise.all([
+        getAppToken(credentials("home-tenant")),
+        getAppToken(credentials("home-tenant")),
+      ]);
+      assert.equal(first, second);
+      assert.equal(await getAppToken(credentials("home-tenant")), first);
+      assert.equal(calls("POST /home-tenant/oauth2/v2.0/token"), 1);
+
+      const other = await getAppToken(credentials("efsmod-tenant"));
+      assert.notEqual(other, first);
+      assert.equal(calls("POST /efsmod-tenant/oauth2/v2.0/token"), 1);
+
+      clearTokenCache();
+      assert.notEqual(await getAppToken(credentials("home-tenant")), first);
+      assert.equal(calls("POST /home-tenant/oauth2/v2.0/token"), 2);
+    });
+
+    it("renews a token that is close to expiry", async () => {
+      const shortLived = await startFakeGraph({ tokenLifetimeSeconds: 60 });
+      Object.assign(process.env, shortLived.env);
+      try {
+        await getAppToken(credentials("home-tenant"));
+        await getAppToken(credentials("home-tenant"));
+        assert.equal(
+          shortLived.state.requests.filter((r) => r.route.endsWith("/token"))
+            .length,
+          2
+        );
+      } finally {
+        Object.assign(process.env, fake.env);
+        await shortLived.close();
+      }
+    });
+
+    it("reports a rejected client without caching the failure", async () => {
+      await assert.rejects(
+        getAppToken({ ...credentials("home-tenant"), clientSecret: "wrong" }),
+        (err) =>
+          err instanceof GraphError &&
+          err.status === 401 &&
+          err.code === "invalid_client" &&
+          /home-tenant/.test(err.message)
+      );
+      assert.ok(await getAppToken(credentials("home-tenant")));
+    });
+  });
+
+  describe("getAll", () => {
+    it("follows @odata.nextLink through every page", async () => {
+      for (const name of ["Ana", "Ben", "Cam", "Dee", "Eli"]) {
+        fake.addUser("home-tenant", { displayName: name });
+      }
+      const users = await graph.getAll("/users?$select=displayName");
+      assert.deepEqual(
+        users.map((u) => u.displayName),
+        ["Ana", "Ben", "Cam", "Dee", "Eli"]
+      );
+      assert.equal(calls("GET /v1.0/users"), 3);
+    });
+
+    it("stops after maxPages", async () => {
+      for (const name of ["Ana", "Ben", "Cam"]) {
+        fake.addUser("home-tenant", { displayName: name });
+      }
+      const users = await graph.getAll("/users", { maxPages: 1 });
+      assert.equal(users.length, 2);
+    });
+  });
+
+  describe("errors", () => {
+    it("maps Graph errors to GraphError with status, code and request id", async () => {
+      await assert.rejects(graph.get("/users/nobody"), (err) => {
+        assert.ok(err instanceof GraphError);
+        assert.equal(err.status, 404);
+        assert.equal(err.code, "Request_ResourceNotFound");
+        assert.ok(err.requestId);
+        assert.match(err.message, /^Graph GET \/users\/nobody failed \(404\)/);
+        assert.equal(err.isConflict, false);
+        assert.equal(err.isThrottled, false);
+        return true;
+      });
+      assert.equal(
+        await graph.get("/users/nobody", { notFoundAsNull: true }),
+        null
+      );
+    });
+
+    it("flags a taken UPN as a conflict, whether 400 or 409", async () => {
+      const user = {
+        displayName: "Jane Rivera",
+        mailNickname: "jane",
+        userPrincipalName: "jane@flwins.onmicrosoft.com",
+        accountEnabled: true,
+        passwordProfile: { password: "Initial-Password-1" },
+      };
+      await graph.post("/users", user);
+      await assert.rejects(
+        graph.post("/users", user),
+        (err) => err.status === 400 && err.isConflict
+      );
+      fake.failNext("POST /v1.0/users", "conflict");
+      await assert.rejects(
+        graph.post("/users", { ...user, userPrincipalName: "j2@x" }),
+        (err) => err.status === 409 && err.isConflict
+      );
+    });
+
+    it("retries throttling within maxRetryAfterSeconds", async () => {
+      fake.failNext(
+        "GET /v1.0/organization",
+        { ...FAILURES.unavailable, retryAfter: 0 },
+        { times: 2 }
+      );
+      const { value } = await graph.get("/organization");
+      assert.equal(value.length, 1);
+      assert.equal(calls("GET /v1.0/organization"), 3);
+    });
+
+    it("leaves longer Retry-After waits to the caller", async () => {
+      fake.failNext("GET /v1.0/organization", {
+        ...FAILURES.throttled,
+        retryAfter: 120,
+      });
+      await assert.rejects(
+        graph.get("/organization"),
+        (err) => err.isThrottled && err.status === 429 && err.retryAfter === 120
+      );
+      assert.equal(calls("GET /v1.0/organization"), 1);
+    });
+
+    it("gives up after maxRetries", async () => {
+      const impatient = createGraphClient({
+        getToken: () => getAppToken(credentials("home-tenant")),
+        maxRetries: 1,
+      });
+      fake.failNext(
+        "GET /v1.0/organization",
+        { ...FAILURES.unavailable, retryAfter: 0 },
+        { times: 2 }
+      );
+      await assert.rejects(
+        impatient.get("/organization"),
+        (err) => err.status === 503
+      );
+      assert.equal(calls("GET /v1.0/organization"), 2);
+    });
+
+    it("does not retry other client errors", async () => {
+      fake.failNext("GET /v1.0/organization", "forbidden");
+      await assert.rejects(
+        graph.get("/organization"),
+        (err) =>
+          err.status === 403 && err.code === "Authorization_RequestDenied"
+      );
+      assert.equal(calls("GET /v1.0/organization"), 1);
+    });
+  });
+
+  it("sends the current correlation id", async () => {
+    const id = "3f2b8c1e-5d4a-4e6f-9a7b-123456789012";
+    await runWithCorrelationId(id, () => graph.get("/organization"));
+    const [call] = fake.state.requests.filter(
+      (r) => r.route === "GET /v1.0/organization"
+    );
+    assert.equal(call.correlationId, id);
+    assert.equal(call.clientRequestId, id);
+  });
+});
@@ -0,0 +1,96 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getHouseholdMemberSchema,
+  validateHouseholdMember,
+  ageOn,
+  toHouseholdMember,
+} = require("../config/household");
+
+const now = new Date("2026-03-15T12:00:00Z");
+
+describe("validateHouseholdMember", () => {
+  const child = {
+    firstName: " Ava ",
+    lastName: "Rivera",
+    relationship: "child",
+    dateOfBirth: "2022-06-01",
+    careNeeded: "full-time",
+  };
+
+  it("accepts a complete member and trims values", () => {
+    const { member, errors } = validateHouseholdMember(
+      { ...child, isAdmin: "true" },
+      { now }
+    );
+    assert.deepEqual(errors, {});
+    assert.equal(member.firstName, "Ava");
+    assert.equal(member.careNotes, null);
+    assert.equal("isAdmin" in member, false);
+  });
+
+  it("requires name, relationship and date of birth", () => {
+    const { errors } = validateHouseholdMember({}, { now });
+    assert.deepEqual(Object.keys(errors).sort(), [
+      "dateOfBirth",
+      "firstName",
+      "lastName",
+      "relationship",
+    ]);
+  });
+
+  it("rejects unknown relationships and care needs", () => {
+    const { errors } = validateHouseholdMember(
+      { ...child, relationship: "cousin", careNeeded: "weekends" },
+      { now }
+    );
+    assert.equal(errors.relationship, "Choose a valid relationship to you.");
+    assert.equal(errors.careNeeded, "Choose a valid child care needed.");
+  });
+
+  it("checks the date of birth is a real, past date", () => {
+    const check = (dateOfBirth) =>
+      validateHouseholdMember({ ...child, dateOfBirth }, { now }).errors
+        .dateOfBirth;
+    assert.equal(check("06/01/2022"), "Enter the date of birth as YYYY-MM-DD.");
+    assert.equal(check("2023-02-30"), "Enter a real date of birth.");
+    assert.equal(check("2026-03-16"), "Date of birth cannot be in the future.");
+    assert.equal(check("1890-01-01"), "Check the year of the date of birth.");
+    assert.equal(check("2026-03-15"), undefined);
+  });
+});
+
+describe("ageOn", () => {
+  it("counts whole years up to the birthday", () => {
+    assert.equal(ageOn("2022-03-15", now), 4);
+    assert.equal(ageOn("2022-03-16", now), 3);
+    assert.equal(ageOn("not a date", now), null);
+  });
+});
+
+describe("toHouseholdMember", () => {
+  it("keeps member fields and drops storage details", () => {
+    const member = toHouseholdMember({
+      id: "m1",
+      userId: "u1",
+      intakeFormId: "f1",
+      firstName: "Ava",
+      lastName: "Rivera",
+      relationship: "child",
+      dateOfBirth: "2022-06-01",
+    });
+    assert.equal(member.id, "m1");
+    assert.equal(member.careNeeded, null);
+    assert.equal(typeof member.age, "number");
+    assert.equal("userId" in member, false);
+    assert.equal("intakeFormId" in member, false);
+  });
+});
+
+describe("getHouseholdMemberSchema", () => {
+  it("serves the rules without the pii flags", () => {
+    const { fields, maxMembers } = getHouseholdMemberSchema();
+    assert.equal(maxMembers, 20);
+    assert.ok(fields.every((f) => !("pii" in f)));
+  });
+});
@@ -0,0 +1,31 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { text, parseDay, parsePositiveInt } = require("../config/input-parsing");
+
+describe("text", () => {
+  it("trims strings and turns blanks and non-strings into null", () => {
+    assert.equal(text("  Tampa "), "Tampa");
+    assert.equal(text("   "), null);
+    assert.equal(text(42), null);
+  });
+});
+
+describe("parseDay", () => {
+  it("accepts only real YYYY-MM-DD dates", () => {
+    assert.equal(
+      parseDay("2025-09-30").toISOString(),
+      "2025-09-30T00:00:00.000Z"
+    );
+    assert.equal(parseDay("2025-02-30"), null);
+    assert.equal(parseDay("09/30/2025"), null);
+  });
+});
+
+describe("parsePositiveInt", () => {
+  it("falls back when missing and is NaN when invalid", () => {
+    assert.equal(parsePositiveInt(undefined, 1), 1);
+    assert.equal(parsePositiveInt("3", 1), 3);
+    assert.ok(Number.isNaN(parsePositiveInt("0", 1)));
+    assert.ok(Number.isNaN(parsePositiveInt("2.5", 1)));
+  });
+});
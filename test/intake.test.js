@@ -0,0 +1,146 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  INTAKE_STEPS,
+  INTAKE_FIELDS,
+  getIntakeSchema,
+  validateIntake,
+  validateIntakeDraft,
+  diffIntakeVersions,
+} = require("../config/intake");
+
+describe("validateIntake", () => {
+  const user = {
+    firstName: "Jane",
+    lastName: "Rivera",
+    email: "jane@example.com",
+  };
+
+  it("falls back to the signed-in user's name and email", () => {
+    const { intake, errors } = validateIntake(
+      { city: " Miami ", firstName: "  " },
+      user
+    );
+    assert.deepEqual(errors, {});
+    assert.equal(intake.firstName, "Jane");
+    assert.equal(intake.lastName, "Rivera");
+    assert.equal(intake.email, "jane@example.com");
+    assert.equal(intake.city, "Miami");
+    assert.equal(intake.phone, null);
+  });
+
+  it("ignores fields that are not on the form", () => {
+    const { intake } = validateIntake({ isAdmin: "true" }, user);
+    assert.equal("isAdmin" in intake, false);
+  });
+
+  it("requires name and email", () => {
+    const { errors } = validateIntake({});
+    assert.deepEqual(Object.keys(errors).sort(), [
+      "email",
+      "firstName",
+      "lastName",
+    ]);
+    assert.equal(errors.email, "Email Address is required.");
+  });
+
+  it("accepts US ZIP codes, phone numbers and state codes", () => {
+    const { intake, errors } = validateIntake(
+      {
+        zipCode: "32301-1234",
+        phone: "(850) 555-0101",
+        workPhone: "+1 850.555.0102",
+        state: "fl",
+      },
+      user
+    );
+    assert.deepEqual(errors, {});
+    assert.equal(intake.state, "FL");
+  });
+
+  it("reports each invalid field", () => {
+    const { errors } = validateIntake(
+      {
+        zipCode: "3230",
+        phone: "555-0101",
+        state: "Florida",
+        email: "jane@",
+        city: "x".repeat(151),
+        department: 42,
+      },
+      user
+    );
+    assert.match(errors.zipCode, /ZIP code/);
+    assert.match(errors.phone, /10-digit US phone number/);
+    assert.equal(errors.state, "State must be 2 characters or fewer.");
+    assert.equal(errors.email, "Enter a valid email address.");
+    assert.equal(errors.city, "City must be 150 characters or fewer.");
+    assert.equal(errors.department, "Department must be text.");
+  });
+
+  it("rejects a state that is not on the list", () => {
+    const { errors } = validateIntake({ state: "XX" }, user);
+    assert.equal(errors.state, "Choose a valid state.");
+  });
+});
+
+describe("getIntakeSchema", () => {
+  it("serves the rules without server-only details", () => {
+    const { fields } = getIntakeSchema();
+    assert.deepEqual(
+      fields.map((f) => f.name),
+      INTAKE_FIELDS.map((f) => f.name)
+    );
+    const zip = fields.find((f) => f.name === "zipCode");
+    assert.equal(zip.maxLength, 10);
+    assert.ok(new RegExp(zip.pattern).test("32301"));
+    assert.ok(fields.every((f) => !("pii" in f) && !("userFallback" in f)));
+  });
+
+  it("places every field on a wizard step before the review", () => {
+    const { steps, fields } = getIntakeSchema();
+    assert.deepEqual(
+      steps.map((s) => s.id),
+      ["applicant", "contact", "household", "documents", "review"]
+    );
+    const formSteps = INTAKE_STEPS.slice(0, -1).map((s) => s.id);
+    assert.ok(fields.every((f) => formSteps.includes(f.step)));
+  });
+});
+
+describe("validateIntakeDraft", () => {
+  it("keeps known, non-blank answers without enforcing required or format", () => {
+    const { step, data, errors } = validateIntakeDraft({
+      step: "contact",
+      data: { city: " Miami ", zipCode: "323", phone: "", isAdmin: "true" },
+    });
+    assert.deepEqual(errors, {});
+    assert.equal(step, "contact");
+    assert.deepEqual(data, { city: "Miami", zipCode: "323" });
+  });
+
+  it("rejects non-text and overlong answers", () => {
+    const { errors } = validateIntakeDraft({
+      data: { department: 42, city: "x".repeat(151) },
+    });
+    assert.equal(errors.department, "Department must be text.");
+    assert.equal(errors.city, "City must be 150 characters or fewer.");
+  });
+
+  it("falls back to the first step for unknown steps", () => {
+    assert.equal(validateIntakeDraft({ step: "payment" }).step, "applicant");
+    assert.equal(validateIntakeDraft().step, "applicant");
+  });
+});
+
+describe("diffIntakeVersions", () => {
+  it("lists changed fields with labels", () => {
+    assert.deepEqual(
+      diffIntakeVersions(
+        { city: "Miami", state: "FL" },
+        { city: "Orlando", state: "FL" }
+      ),
+      [{ field: "city", label: "City", from: "Miami", to: "Orlando" }]
+    );
+  });
+});
@@ -0,0 +1,130 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { redact, redactText, createLogger } = require("../config/logger");
+const {
+  runWithCorrelationId,
+  correlationHeaders,
+} = require("../config/correlation");
+
+const capture = (options) => {
+  const lines = [];
+  const logger = createLogger({
+    ...options,
+    write: (level, line) => lines.push({ level, ...JSON.parse(line) }),
+  });
+  return { logger, lines };
+};
+
+describe("redactText", () => {
+  it("masks emails, phone numbers and tokens", () => {
+    assert.equal(
+      redactText("Invite for jane.rivera@example.com failed"),
+      "Invite for [email] failed"
+    );
+    assert.equal(redactText("call (305) 555-0100"), "call [phone]");
+    assert.equal(redactText("Bearer abc.def-123"), "Bearer [token]");
+    assert.equal(
+      redactText("token eyJhbGciOi.eyJzdWIiOi.c2lnbmF0dXJl"),
+      "token [token]"
+    );
+    assert.equal(
+      redactText("grant_type=x&client_secret=s3cr3t&scope=y"),
+      "grant_type=x&client_secret=[redacted]&scope=y"
+    );
+  });
+
+  it("leaves ids and longer digit runs alone", () => {
+    const id = "3f2b8c1e-5d4a-4e6f-9a7b-123456789012";
+    assert.equal(redactText(`intake ${id}`), `intake ${id}`);
+    assert.equal(redactText("order 123456789012345"), "order 123456789012345");
+  });
+});
+
+describe("redact", () => {
+  it("drops sensitive and personal fields", () => {
+    const safe = redact({
+      userId: "u1",
+      Authorization: "Bearer x",
+      client_secret: "s",
+      refreshToken: "r",
+      claims: [{ typ: "email", val: "a@b.co" }],
+      "http://schemas.xmlsoap.org/ws/2005/05/identity/claims/name": "Jane",
+      email: "jane.rivera@example.com",
+      nested: { phone: "305-555-0100", city: "Miami" },
+    });
+    assert.deepEqual(safe, {
+      userId: "u1",
+      Authorization: "[redacted]",
+      client_secret: "[redacted]",
+      refreshToken: "[redacted]",
+      claims: "[redacted]",
+      "http://schemas.xmlsoap.org/ws/2005/05/identity/claims/name":
+        "[redacted]",
+      email: "[redacted]",
+      nested: { phone: "[redacted]", city: "Miami" },
+    });
+  });
+
+  it("reduces errors to safe properties without response bodies", () => {
+    const error = new Error("Graph rejected jane.rivera@example.com");
+    error.status = 400;
+    error.code = "BadRequest";
+    error.body = { error: { message: "secret detail" } };
+    const safe = redact(error);
+    assert.equal(safe.message, "Graph rejected [email]");
+    assert.equal(safe.status, 400);
+    assert.equal(safe.code, "BadRequest");
+    assert.equal("body" in safe, false);
+    assert.ok(!safe.stack.includes("jane.rivera"));
+  });
+});
+
+describe("createLogger", () => {
+  it("writes JSON lines at or above the level", () => {
+    const { logger, lines } = capture({ level: "warn" });
+    logger.info("skipped");
+    logger.warn("Outbox message failed", { messageId: "m1", attempts: 2 });
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].level, "warn");
+    assert.equal(lines[0].msg, "Outbox message failed");
+    assert.equal(lines[0].messageId, "m1");
+    assert.ok(lines[0].time);
+  });
+
+  it("defaults to info for unknown levels", () => {
+    const { logger, lines } = capture({ level: "verbose" });
+    logger.debug("skipped");
+    logger.info("kept");
+    assert.deepEqual(
+      lines.map((line) => line.msg),
+      ["kept"]
+    );
+  });
+
+  it("adds child bindings, errors and the current correlation id", () => {
+    const { logger, lines } = capture({ level: "debug" });
+    const child = logger.child({ component: "outbox" });
+    runWithCorrelationId("req-1", () =>
+      child.error("Outbox worker error", new Error("boom"))
+    );
+    child.info("outside");
+    assert.equal(lines[0].component, "outbox");
+    assert.equal(lines[0].correlationId, "req-1");
+    assert.equal(lines[0].error.message, "boom");
+    assert.equal("correlationId" in lines[1], false);
+  });
+});
+
+describe("correlationHeaders", () => {
+  it("sends client-request-id only for GUIDs", () => {
+    const guid = "3f2b8c1e-5d4a-4e6f-9a7b-123456789012";
+    assert.deepEqual(correlationHeaders(guid), {
+      "x-correlation-id": guid,
+      "client-request-id": guid,
+    });
+    assert.deepEqual(correlationHeaders("req-1"), {
+      "x-correlation-id": "req-1",
+    });
+    assert.deepEqual(correlationHeaders(), {});
+  });
+});
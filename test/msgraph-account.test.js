@@ -0,0 +1,188 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startFakeGraph } = require("../config/fake-graph");
+const {
+  parseClientVariablesFile,
+  sanitize,
+  makeMailNickname,
+  createUserFromIntake,
+  findUserByPrincipalName,
+  resetUserPassword,
+} = require("../config/msgraph-account");
+
+describe("parseClientVariablesFile", () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "flwins-client-vars-"));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("reads key: value lines, skipping comments and blanks", () => {
+    const file = path.join(dir, "client-variables");
+    fs.writeFileSync(
+      file,
+      [
+        "# Graph app",
+        "tenantId: 00000000-0000-0000-0000-000000000000",
+        "",
+        "clientId : abc",
+        "secret: s3cr3t:with:colons",
+        "not a pair",
+        "  : no key",
+      ].join("\r\n")
+    );
+    assert.deepEqual(parseClientVariablesFile(file), {
+      tenantId: "00000000-0000-0000-0000-000000000000",
+      clientId: "abc",
+      secret: "s3cr3t:with:colons",
+    });
+  });
+
+  it("returns an empty object when the file is missing", () => {
+    assert.deepEqual(
+      parseClientVariablesFile(path.join(dir, "does-not-exist")),
+      {}
+    );
+  });
+});
+
+describe("sanitize (mail nickname)", () => {
+  it("strips characters Graph rejects", () => {
+    assert.equal(sanitize("jane rivera!+tag"), "janeriveratag");
+  });
+
+  it("keeps letters, digits, dots, underscores and hyphens", () => {
+    assert.equal(sanitize("J.o_s-é9"), "J.o_s-e9");
+  });
+
+  it("truncates to max", () => {
+    assert.equal(sanitize("abcdefgh", { max: 3 }), "abc");
+  });
+
+  it("falls back for empty or non-string input", () => {
+    assert.equal(sanitize("!!!"), "user");
+    assert.equal(sanitize(null, { fallback: "x" }), "x");
+  });
+});
+
+describe("makeMailNickname", () => {
+  it("uses the email's local part", () => {
+    assert.equal(
+      makeMailNickname({ firstName: "Jane", email: "jane.rivera@example.com" }),
+      "jane.rivera"
+    );
+  });
+
+  it("joins first and last name without an email", () => {
+    assert.equal(
+      makeMailNickname({ firstName: "Mary Ann", lastName: "O'Neil" }),
+      "MaryAnn.ONeil"
+    );
+  });
+
+  it("falls back to user", () => {
+    assert.equal(makeMailNickname({}), "user");
+  });
+});
+
+describe("createUserFromIntake (fake Graph)", () => {
+  let fake;
+
+  before(async () => {
+    fake = await startFakeGraph({ domain: "flwins.onmicrosoft.com" });
+    Object.assign(process.env, fake.env, {
+      AZ_TENANT_ID: "home-tenant",
+      AZ_CLIENT_ID: "home-app",
+      AZ_CLIENT_SECRET: "home-secret",
+    });
+    delete process.env.UPN_DOMAIN;
+  });
+
+  after(() => fake.close());
+
+  it("creates a member in the tenant's default domain", async () => {
+    const { created, initialPassword } = await createUserFromIntake({
+      firstName: "Jane",
+      lastName: "Rivera",
+      email: "jane.rivera@example.com",
+      state: "FL",
+      workPhone: "850-555-0101",
+    });
+    assert.equal(
+      created.userPrincipalName,
+      "jane.rivera@flwins.onmicrosoft.com"
+    );
+    assert.equal(created.displayName, "Jane Rivera");
+    assert.deepEqual(created.otherMails, ["jane.rivera@example.com"]);
+    assert.deepEqual(created.businessPhones, ["850-555-0101"]);
+    assert.equal(created.usageLocation, "US");
+    assert.ok(initialPassword.length >= 12);
+    assert.equal(created.passwordProfile, undefined);
+  });
+
+  it("flags a taken UPN as a conflict", async () => {
+    await assert.rejects(
+      createUserFromIntake({
+        firstName: "Jane",
+        email: "jane.rivera@example.com",
+      }),
+      (err) =>
+        err.status === 400 &&
+        err.isConflict &&
+        err.userPrincipalName === "jane.rivera@flwins.onmicrosoft.com"
+    );
+  });
+
+  it("numbers the UPN when asked for a suffix", async () => {
+    const { created } = await createUserFromIntake(
+      { firstName: "Jane", email: "jane.rivera@example.org" },
+      { upnSuffix: 2 }
+    );
+    assert.equal(
+      created.userPrincipalName,
+      "jane.rivera2@flwins.onmicrosoft.com"
+    );
+  });
+
+  it("treats a 409 as a conflict too", async () => {
+    fake.failNext("POST /v1.0/users", "conflict");
+    await assert.rejects(
+      createUserFromIntake({ email: "marcus.lee@example.com" }),
+      (err) => err.status === 409 && err.isConflict
+    );
+  });
+
+  it("finds an existing user and returns null for an unknown one", async () => {
+    const user = await findUserByPrincipalName(
+      "jane.rivera@flwins.onmicrosoft.com"
+    );
+    assert.equal(user.userPrincipalName, "jane.rivera@flwins.onmicrosoft.com");
+    assert.equal(
+      await findUserByPrincipalName("nobody@flwins.onmicrosoft.com"),
+      null
+    );
+  });
+
+  it("resets a user's password", async () => {
+    const user = await findUserByPrincipalName(
+      "jane.rivera@flwins.onmicrosoft.com"
+    );
+    const password = await resetUserPassword(user.id);
+    assert.ok(password.length >= 12);
+    const [patched] = fake.users("home-tenant").filter((u) => u.id === user.id);
+    assert.ok(patched.passwordResetAt);
+  });
+
+  it("does not retry a rejected token", async () => {
+    fake.failNext("GET /v1.0/users/:id", "unauthorized");
+    await assert.rejects(
+      findUserByPrincipalName("jane.rivera@flwins.onmicrosoft.com"),
+      (err) => err.status === 401 && err.code === "InvalidAuthenticationToken"
+    );
+  });
+});
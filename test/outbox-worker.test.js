@@ -0,0 +1,296 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { createStore } = require("../config/stores");
+const { createLogger } = require("../config/logger");
+const {
+  OutboxWorker,
+  computeBackoff,
+  isRetryable,
+} = require("../config/outbox-worker");
+
+const quiet = createLogger({ write: () => {} });
+const submittedBy = { id: "jane" };
+
+const queue = async (store, payload = { userId: "jane" }) => {
+  await store.saveIntake({ userId: "jane" }, submittedBy, {
+    outbox: [{ type: "test.step", payload }],
+  });
+  const [message] = await store.listOutboxMessages();
+  return message;
+};
+
+const failing = (error, calls) => ({
+  deliver: async () => {
+    calls.push("deliver");
+    throw error;
+  },
+  onDeadLetter: async (payload, lastError) => {
+    calls.push(`dead:${payload.userId}:${lastError}`);
+  },
+});
+
+const httpError = (status, props = {}) =>
+  Object.assign(new Error(`Graph ${status}`), { status, ...props });
+
+describe("computeBackoff", () => {
+  const options = { baseDelayMs: 1000, maxDelayMs: 10000 };
+
+  it("doubles per attempt with equal jitter, up to the cap", () => {
+    assert.equal(
+      computeBackoff(1, options, undefined, () => 0),
+      500
+    );
+    assert.equal(
+      computeBackoff(1, options, undefined, () => 1),
+      1000
+    );
+    assert.equal(
+      computeBackoff(3, options, undefined, () => 1),
+      4000
+    );
+    assert.equal(
+      computeBackoff(10, options, undefined, () => 1),
+      10000
+    );
+    assert.equal(
+      computeBackoff(10, options, undefined, () => 0),
+      5000
+    );
+  });
+
+  it("waits at least as long as Retry-After asks", () => {
+    assert.equal(
+      computeBackoff(1, options, 30, () => 0),
+      30000
+    );
+    assert.equal(
+      computeBackoff(3, options, 1, () => 1),
+      4000
+    );
+  });
+});
+
+describe("isRetryable", () => {
+  it("retries network errors, 5xx, 408 and 429 only", () => {
+    assert.equal(isRetryable(new Error("ECONNRESET")), true);
+    assert.equal(isRetryable(httpError(503)), true);
+    assert.equal(isRetryable(httpError(429)), true);
+    assert.equal(isRetryable(httpError(408)), true);
+    assert.equal(isRetryable(httpError(400)), false);
+    assert.equal(isRetryable(httpError(403)), false);
+    assert.equal(isRetryable(httpError(503, { retryable: false })), false);
+  });
+});
+
+describe("OutboxWorker", () => {
+  it("reschedules a failed message with backoff", async () => {
+    const store = createStore({ INTAKE_STORE: "memory" });
+    const { id } = await queue(store);
+    const calls = [];
+    const worker = new OutboxWorker({
+      store,
+      handlers: { "test.step": failing(httpError(503), calls) },
+      logger: quiet,
+      baseDelayMs: 60000,
+      maxDelayMs: 3600000,
+    });
+
+    const before = Date.now();
+    assert.deepEqual(await worker.processDue(), {
+      delivered: 0,
+      retried: 1,
+      dead: 0,
+    });
+    const [message] = await store.listOutboxMessages();
+    assert.equal(message.id, id);
+    assert.equal(message.status, "pending");
+    assert.equal(message.attempts, 1);
+    assert.equal(message.lastError, "Graph 503");
+    const delay = new Date(message.nextAttemptAt).getTime() - before;
+    assert.ok(delay >= 30000 && delay <= 61000, `delay ${delay}`);
+    assert.deepEqual(calls, ["deliver"]);
+
+    // Not due yet, so the next pass leaves it alone
+    assert.equal((await worker.processDue()).retried, 0);
+  });
+
+  it("honours Retry-After from the failing call", async () => {
+    const store = createStore({ INTAKE_STORE: "memory" });
+    await queue(store);
+    const worker = new OutboxWorker({
+      store,
+      handlers: {
+        "test.step": failing(httpError(429, { retryAfter: 600 }), []),
+      },
+      logger: quiet,
+      baseDelayMs: 1000,
+    });
+
+    const before = Date.now();
+    await worker.processDue();
+    const [message] = await store.listOutboxMessages();
+    assert.ok(new Date(message.nextAttemptAt).getTime() - before >= 600000);
+  });
+
+  it("dead-letters after maxAttempts and calls onDeadLetter once", async () => {
+    const store = createStore({ INTAKE_STORE: "memory" });
+    await queue(store);
+    const calls = [];
+    const worker = new OutboxWorker({
+      store,
+      handlers: { "test.step": failing(httpError(503), calls) },
+      logger: quiet,
+      maxAttempts: 3,
+      // Retries are due at once, so one pass works through every attempt
+      baseDelayMs: 0,
+    });
+
+    assert.deepEqual(await worker.processDue(), {
+      delivered: 0,
+      retried: 2,
+      dead: 1,
+    });
+    const [message] = await store.listOutboxMessages();
+    assert.equal(message.status, "dead");
+    assert.equal(message.attempts, 3);
+    assert.deepEqual(calls, [
+      "deliver",
+      "deliver",
+      "deliver",
+      "dead:jane:Graph 503",
+    ]);
+  });
+
+  it("dead-letters errors retrying cannot fix on the first attempt", async () => {
+    const store = createStore({ INTAKE_STORE: "memory" });
+    await queue(store);
+    const calls = [];
+    const worker = new OutboxWorker({
+      store,
+      handlers: { "test.step": failing(httpError(403), calls) },
+      logger: quiet,
+    });
+
+    assert.equal((await worker.processDue()).dead, 1);
+    assert.deepEqual(calls, ["deliver", "dead:jane:Graph 403"]);
+  });
+
+  it("dead-letters a message type without a handler", async () => {
+    const store = createStore({ INTAKE_STORE: "memory" });
+    await queue(store);
+    const worker = new OutboxWorker({ store, handlers: {}, logger: quiet });
+
+    assert.equal((await worker.processDue()).dead, 1);
+    const [message] = await store.listOutboxMessages();
+    assert.match(message.lastError, /No outbox handler for type "test.step"/);
+  });
+
+  it("keeps going when onDeadLetter fails", async () => {
+    const store = createStore({ INTAKE_STORE: "memory" });
+    await queue(store);
+    const worker = new OutboxWorker({
+      store,
+      handlers: {
+        "test.step": {
+          deliver: async () => {
+            throw httpError(400);
+          },
+          onDeadLetter: async () => {
+            throw new Error("store unavailable");
+          },
+        },
+      },
+      logger: quiet,
+    });
+
+    assert.equal((await worker.processDue()).dead, 1);
+  });
+
+  it("delivers a requeued dead letter with a fresh attempt budget", async () => {
+    const store = createStore({ INTAKE_STORE: "memory" });
+    const { id } = await queue(store);
+    let healthy = false;
+    const delivered = [];
+    const worker = new OutboxWorker({
+      store,
+      handlers: {
+        "test.step": {
+          deliver: async (payload) => {
+            if (!healthy) throw httpError(503);
+            delivered.push(payload.userId);
+          },
+        },
+      },
+      logger: quiet,
+      maxAttempts: 1,
+    });
+
+    assert.equal((await worker.processDue()).dead, 1);
+    healthy = true;
+    assert.equal(await store.replayOutboxMessages({ ids: [id] }), 1);
+    assert.equal((await store.listOutboxMessages())[0].attempts, 0);
+
+    assert.equal((await worker.processDue()).delivered, 1);
+    assert.deepEqual(delivered, ["jane"]);
+    assert.equal((await store.listOutboxMessages())[0].status, "done");
+  });
+
+  it("delivers only the requested messages with deliverNow", async () => {
+    const store = createStore({ INTAKE_STORE: "memory" });
+    const delivered = [];
+    const worker = new OutboxWorker({
+      store,
+      handlers: {
+        "test.step": { deliver: async (payload) => delivered.push(payload) },
+      },
+      logger: quiet,
+    });
+    const first = await queue(store, { userId: "jane" });
+    await queue(store, { userId: "marcus" });
+
+    await worker.deliverNow([first.id]);
+    assert.deepEqual(delivered, [{ userId: "jane" }]);
+  });
+});
+
+describe("scripts/outbox.js replay", () => {
+  it("requeues dead-lettered messages in the configured store", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "outbox-replay-"));
+    const env = {
+      PATH: process.env.PATH,
+      INTAKE_STORE: "file",
+      INTAKE_STORE_FILE: path.join(dir, "store.json"),
+      FIELD_ENCRYPTION_PROVIDER: "local",
+      FIELD_ENCRYPTION_KEY_FILE: path.join(dir, "keys.json"),
+      LOG_LEVEL: "error",
+    };
+    const run = (...args) =>
+      execFileSync(
+        process.execPath,
+        [path.join(__dirname, "..", "scripts", "outbox.js"), ...args],
+        { env, encoding: "utf8" }
+      );
+    try {
+      const store = createStore(env);
+      await queue(store);
+      await new OutboxWorker({
+        store,
+        handlers: {},
+        logger: quiet,
+      }).processDue();
+
+      assert.match(run("list", "--status", "dead"), /1 message\(s\) \(dead\)/);
+      assert.match(run("replay"), /Requeued 1 dead-lettered message\(s\)/);
+
+      const [message] = await createStore(env).listOutboxMessages();
+      assert.equal(message.status, "pending");
+      assert.equal(message.attempts, 0);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
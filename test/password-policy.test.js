@@ -0,0 +1,116 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  CHARACTER_CLASSES,
+  getPasswordPolicy,
+  generatePassword,
+} = require("../config/password-policy");
+
+const classesIn = (password) =>
+  Object.entries(CHARACTER_CLASSES)
+    .filter(([, alphabet]) => [...password].some((c) => alphabet.includes(c)))
+    .map(([name]) => name);
+
+describe("getPasswordPolicy", () => {
+  it("defaults to 20 characters from all four classes", () => {
+    const policy = getPasswordPolicy({});
+    assert.equal(policy.length, 20);
+    assert.deepEqual(Object.keys(policy.classes), [
+      "upper",
+      "lower",
+      "digit",
+      "symbol",
+    ]);
+  });
+
+  it("reads the length, classes and symbols", () => {
+    const policy = getPasswordPolicy({
+      INITIAL_PASSWORD_LENGTH: "32",
+      INITIAL_PASSWORD_CHARACTER_CLASSES: " Upper, lower ,digit",
+      INITIAL_PASSWORD_SYMBOLS: "#!",
+    });
+    assert.equal(policy.length, 32);
+    assert.deepEqual(Object.keys(policy.classes), ["upper", "lower", "digit"]);
+
+    const withSymbols = getPasswordPolicy({ INITIAL_PASSWORD_SYMBOLS: "#!" });
+    assert.equal(withSymbols.classes.symbol, "#!");
+  });
+
+  it("rejects lengths Entra would not accept", () => {
+    for (const length of ["11", "257", "16.5", "twenty"]) {
+      assert.throws(
+        () => getPasswordPolicy({ INITIAL_PASSWORD_LENGTH: length }),
+        /INITIAL_PASSWORD_LENGTH/
+      );
+    }
+    assert.equal(
+      getPasswordPolicy({ INITIAL_PASSWORD_LENGTH: "12" }).length,
+      12
+    );
+  });
+
+  it("needs at least three known character classes", () => {
+    assert.throws(
+      () =>
+        getPasswordPolicy({
+          INITIAL_PASSWORD_CHARACTER_CLASSES: "upper,lower",
+        }),
+      /at least 3/
+    );
+    assert.throws(
+      () =>
+        getPasswordPolicy({
+          INITIAL_PASSWORD_CHARACTER_CLASSES: "upper,lower,lower",
+        }),
+      /at least 3/
+    );
+    assert.throws(
+      () =>
+        getPasswordPolicy({
+          INITIAL_PASSWORD_CHARACTER_CLASSES: "upper,lower,emoji",
+        }),
+      /Unknown INITIAL_PASSWORD_CHARACTER_CLASSES: emoji/
+    );
+  });
+});
+
+describe("generatePassword", () => {
+  it("has the policy length and every required class", () => {
+    const policy = getPasswordPolicy({});
+    for (let i = 0; i < 50; i += 1) {
+      const password = generatePassword(policy);
+      assert.equal(password.length, 20);
+      assert.deepEqual(classesIn(password), [
+        "upper",
+        "lower",
+        "digit",
+        "symbol",
+      ]);
+    }
+  });
+
+  it("uses only the configured classes", () => {
+    const policy = getPasswordPolicy({
+      INITIAL_PASSWORD_LENGTH: "12",
+      INITIAL_PASSWORD_CHARACTER_CLASSES: "upper,lower,digit",
+    });
+    for (let i = 0; i < 50; i += 1) {
+      const password = generatePassword(policy);
+      assert.equal(password.length, 12);
+      assert.deepEqual(classesIn(password), ["upper", "lower", "digit"]);
+    }
+  });
+
+  it("draws symbols only from INITIAL_PASSWORD_SYMBOLS", () => {
+    const policy = getPasswordPolicy({ INITIAL_PASSWORD_SYMBOLS: "#" });
+    const password = generatePassword(policy);
+    assert.ok(password.includes("#"));
+    assert.doesNotMatch(password, /[!@$%^&*()\-_=+[\]{}]/);
+  });
+
+  it("does not repeat", () => {
+    const passwords = new Set();
+    for (let i = 0; i < 100; i += 1) passwords.add(generatePassword());
+    assert.equal(passwords.size, 100);
+  });
+});
@@ -0,0 +1,154 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStore } = require("../config/stores");
+const {
+  planProvisioning,
+  createMemberAccountHandler,
+  describeAccountCreation,
+} = require("../config/provisioning");
+
+const intake = {
+  firstName: "Jane",
+  lastName: "Rivera",
+  email: "jane.rivera@example.com",
+};
+
+describe("planProvisioning", () => {
+  it("leaves the pending status to the intake save", async () => {
+    const store = createStore({ INTAKE_STORE: "memory" });
+    const { outbox, provisioning } = await planProvisioning(
+      store,
+      "both",
+      "jane",
+      intake
+    );
+    assert.deepEqual(
+      outbox.map((m) => m.type),
+      ["efsmod.invite", "member.create"]
+    );
+    assert.equal(await store.getEfsmodInvitation("jane"), null);
+    assert.equal(await store.getProvisionedAccount("jane"), null);
+
+    await store.saveIntake(
+      { userId: "jane", ...intake },
+      { id: "jane" },
+      { outbox, provisioning }
+    );
+    const invitation = await store.getEfsmodInvitation("jane");
+    assert.equal(invitation.status, "pending");
+    assert.equal(invitation.email, intake.email);
+    assert.equal((await store.getProvisionedAccount("jane")).status, "pending");
+  });
+});
+
+describe("createMemberAccountHandler", () => {
+  const conflict = (userPrincipalName) =>
+    Object.assign(new Error("UPN taken"), {
+      status: 400,
+      isConflict: true,
+      userPrincipalName,
+    });
+  const payload = { userId: "jane", ...intake };
+
+  it("never links an existing account with the same UPN", async () => {
+    const store = createStore({ INTAKE_STORE: "memory" });
+    const attempts = [];
+    const handler = createMemberAccountHandler(store, {
+      createUser: async (_intake, { upnSuffix = "" } = {}) => {
+        const upn = `jane.rivera${upnSuffix}@flwins.onmicrosoft.com`;
+        attempts.push(upn);
+        if (!upnSuffix) throw conflict(upn);
+        return {
+          created: { id: "new-user", userPrincipalName: upn },
+          initialPassword: "Initial-Password-1",
+        };
+      },
+    });
+
+    await handler.deliver(payload);
+    assert.deepEqual(attempts, [
+      "jane.rivera@flwins.onmicrosoft.com",
+      "jane.rivera2@flwins.onmicrosoft.com",
+    ]);
+    const account = await store.getProvisionedAccount("jane");
+    assert.equal(account.status, "created");
+    assert.equal(account.graphUserId, "new-user");
+    assert.equal(
+      await store.takeCredentialSecret("jane"),
+      "Initial-Password-1"
+    );
+  });
+
+  it("gives up after five taken UPNs", async () => {
+    const store = createStore({ INTAKE_STORE: "memory" });
+    let attempts = 0;
+    const handler = createMemberAccountHandler(store, {
+      createUser: async () => {
+        attempts += 1;
+        throw conflict("jane.rivera@flwins.onmicrosoft.com");
+      },
+    });
+
+    await assert.rejects(handler.deliver(payload), /UPN taken/);
+    assert.equal(attempts, 5);
+    assert.equal(await store.getProvisionedAccount("jane"), null);
+  });
+
+  it("resets the password when storing it failed after the account was created", async () => {
+    const store = createStore({ INTAKE_STORE: "memory" });
+    let created = 0;
+    const options = {
+      createUser: async () => {
+        created += 1;
+        return {
+          created: {
+            id: "jane-user",
+            userPrincipalName: "jane.rivera@flwins.onmicrosoft.com",
+          },
+          initialPassword: "Lost-Password-1",
+        };
+      },
+      resetPassword: async (id) => {
+        assert.equal(id, "jane-user");
+        return "Reset-Password-1";
+      },
+    };
+    const failingStore = {
+      ...store,
+      saveCredentialDelivery: async () => {
+        throw new Error("Key Vault unavailable");
+      },
+    };
+
+    await assert.rejects(
+      createMemberAccountHandler(failingStore, options).deliver(payload)
+    );
+    const pending = await store.getProvisionedAccount("jane");
+    assert.equal(pending.graphUserId, "jane-user");
+    assert.notEqual(pending.status, "created");
+
+    await createMemberAccountHandler(store, options).deliver(payload);
+    assert.equal(created, 1);
+    assert.equal((await store.getProvisionedAccount("jane")).status, "created");
+    assert.equal(await store.takeCredentialSecret("jane"), "Reset-Password-1");
+  });
+});
+
+describe("describeAccountCreation", () => {
+  it("reports a failed step without the Graph error", async () => {
+    const store = createStore({ INTAKE_STORE: "memory" });
+    await createMemberAccountHandler(store).onDeadLetter(
+      { userId: "jane" },
+      "Graph 403: Insufficient privileges for tenant home-tenant"
+    );
+
+    const result = await describeAccountCreation(store, "member", "jane");
+    assert.equal(result.member, "failed");
+    assert.ok(result.error);
+    assert.ok(!result.error.includes("Graph"));
+    assert.match(
+      (await store.getProvisionedAccount("jane")).lastError,
+      /Insufficient privileges/
+    );
+  });
+});
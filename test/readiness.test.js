@@ -0,0 +1,128 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  checkReadiness,
+  createReadinessChecks,
+  createReadinessProbe,
+  toPublicReadiness,
+} = require("../config/readiness");
+
+const passing = (name, critical = true) => ({ name, critical, run: () => {} });
+const failing = (name, critical) => ({
+  name,
+  critical,
+  run: async () => {
+    throw new Error(`${name} unavailable for jane.rivera@example.com`);
+  },
+});
+
+describe("checkReadiness", () => {
+  it("is up when every check passes", async () => {
+    const readiness = await checkReadiness([
+      passing("store"),
+      passing("efsmodToken", false),
+    ]);
+    assert.equal(readiness.status, "up");
+    assert.equal(readiness.checks.store.status, "up");
+    assert.equal(typeof readiness.checks.store.latencyMs, "number");
+  });
+
+  it("is degraded when only non-critical checks fail", async () => {
+    const readiness = await checkReadiness([
+      passing("store"),
+      failing("efsmodToken", false),
+    ]);
+    assert.equal(readiness.status, "degraded");
+    assert.equal(readiness.checks.efsmodToken.status, "down");
+    assert.equal(
+      readiness.checks.efsmodToken.error,
+      "efsmodToken unavailable for [email]"
+    );
+  });
+
+  it("is down when a critical check fails or times out", async () => {
+    const hanging = {
+      name: "store",
+      critical: true,
+      run: () => new Promise(() => {}),
+    };
+    const readiness = await checkReadiness([hanging], { timeoutMs: 20 });
+    assert.equal(readiness.status, "down");
+    assert.match(readiness.checks.store.error, /Timed out/);
+  });
+});
+
+describe("createReadinessChecks", () => {
+  const names = (env) =>
+    createReadinessChecks(() => ({ kind: "memory" }), env).map((c) => c.name);
+
+  it("checks only what the provisioning mode uses", () => {
+    assert.deepEqual(names({ PROVISIONING_MODE: "guest" }), [
+      "store",
+      "provisioning",
+      "efsmodConfig",
+      "efsmodToken",
+    ]);
+    assert.deepEqual(names({ PROVISIONING_MODE: "member" }), [
+      "store",
+      "provisioning",
+      "graphToken",
+    ]);
+  });
+
+  it("fails the provisioning check for an unknown mode", async () => {
+    const checks = createReadinessChecks(() => ({ kind: "memory" }), {
+      PROVISIONING_MODE: "everything",
+    });
+    const readiness = await checkReadiness(checks.filter((c) => c.critical));
+    assert.equal(readiness.status, "down");
+    assert.equal(readiness.checks.store.status, "up");
+    assert.match(readiness.checks.provisioning.error, /PROVISIONING_MODE/);
+  });
+
+  it("fails the store check when the store cannot be created", async () => {
+    const [store] = createReadinessChecks(() => {
+      throw new Error("No field encryption key configured.");
+    }, {});
+    const readiness = await checkReadiness([store]);
+    assert.equal(readiness.status, "down");
+  });
+});
+
+describe("createReadinessProbe", () => {
+  it("reuses a verdict within the cache window", async () => {
+    let runs = 0;
+    const results = [];
+    const probe = createReadinessProbe(
+      () => [
+        {
+          name: "store",
+          critical: true,
+          run: () => {
+            runs += 1;
+          },
+        },
+      ],
+      { cacheMs: 60000, onResult: (readiness) => results.push(readiness) }
+    );
+    await Promise.all([probe(), probe()]);
+    await probe();
+    assert.equal(runs, 1);
+    assert.equal(results.length, 1);
+  });
+});
+
+describe("toPublicReadiness", () => {
+  it("keeps only status and latency", async () => {
+    const readiness = await checkReadiness([failing("efsmodToken", false)]);
+    assert.deepEqual(toPublicReadiness(readiness), {
+      status: "degraded",
+      checks: {
+        efsmodToken: {
+          status: "down",
+          latencyMs: readiness.checks.efsmodToken.latencyMs,
+        },
+      },
+    });
+  });
+});